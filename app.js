@@ -1,14 +1,13 @@
-require("dotenv").config();
+const config = require("./app_api/config");
 
 const createError = require("http-errors");
 const express = require("express");
 const path = require("path");
 const cookieParser = require("cookie-parser");
-const logger = require("morgan");
 const handlebars = require("hbs");
 const passport = require("passport");
 
-require("./app_api/models/db");
+require("./app_api/repositories");
 
 require("./app_api/config/passport");
 
@@ -16,7 +15,16 @@ require("./app_api/config/passport");
 const indexRouter = require("./app_server/routes/index");
 const usersRouter = require("./app_server/routes/users");
 const travelRouter = require("./app_server/routes/travel");
+const contentRouter = require("./app_server/routes/content");
+const accountRouter = require("./app_server/routes/account");
 const apiRouter = require("./app_api/routes/index");
+const apiErrors = require("./app_api/middleware/errorHandler");
+const cors = require("./app_api/middleware/cors");
+const { recordRequest } = require("./app_api/middleware/metrics");
+const requestId = require("./app_api/middleware/requestId");
+const logRequest = require("./app_api/middleware/requestLog");
+const { logger } = require("./app_api/lib/logger");
+const healthRouter = require("./app_api/routes/health");
 
 const app = express();
 
@@ -28,37 +36,39 @@ handlebars.registerPartials(path.join(__dirname, "/app_server/views/partials"));
 
 app.set("view engine", "hbs");
 
-app.use(logger("dev"));
+// Give every request an ID, count it in the metrics, and answer health checks before anything
+// else. Health checks and metrics scrapes are not logged.
+app.use(requestId);
+app.use(recordRequest);
+app.use("/", healthRouter);
+
+app.use(logRequest);
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
 app.use(passport.initialize());
 
-// Enable CORS
-app.use("/api", (req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "http://localhost:4200");
-  res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept, Authorization");
-  res.header("Acccess-Control-Allow-Methods", "GET, POST, PUT, DELETE");
-  next();
-});
+// Enable CORS for the configured origins
+app.use("/api", cors(config.cors.origins));
 
 // Wire routes to controllers
 app.use("/", indexRouter);
 app.use("/users", usersRouter);
 app.use("/travel", travelRouter);
+app.use("/", contentRouter);
+app.use("/", accountRouter);
 app.use("/api", apiRouter);
 
-// Catch unauthorized error and create 401
-app.use((err, req, res) => {
-  if (err.name === "UnauthorizedError") {
-    res.status(401).json({ message: err.name + ": " + err.message });
-  }
-});
+// Send API errors, including unauthorized (401) errors, in the JSON error format
+app.use("/api", apiErrors.notFound, apiErrors.errorHandler);
 
 // catch 404 and forward to error handler
 app.use(function (req, res, next) {
-  console.log(`Unhandled route: ${req.method} ${req.url}`);
+  logger.debug("Unhandled route", {
+    method: req.method,
+    url: req.originalUrl
+  });
   next(createError(404));
 });
 
@@ -68,6 +78,10 @@ app.use(function (err, req, res) {
   res.locals.message = err.message;
   res.locals.error = req.app.get("env") === "development" ? err : {};
 
+  if (!err.status || err.status >= 500) {
+    logger.error("Could not render the page", { err });
+  }
+
   // render the error page
   res.status(err.status || 500);
   res.render("error");
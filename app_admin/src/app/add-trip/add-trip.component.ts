@@ -32,6 +32,7 @@ export class AddTripComponent implements OnInit {
       start: ["", Validators.required],
       resort: ["", Validators.required],
       perPerson: ["", Validators.required],
+      capacity: [0, [Validators.required, Validators.min(0)]],
       image: ["", Validators.required],
       description: ["", Validators.required]
     });
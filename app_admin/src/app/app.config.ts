@@ -1,7 +1,8 @@
 import { ApplicationConfig } from "@angular/core";
 import { provideRouter } from "@angular/router";
-import { provideHttpClient } from "@angular/common/http";
+import { provideHttpClient, withInterceptors } from "@angular/common/http";
 
 import { routes } from "./app.routes";
+import { authInterceptor } from "./services/auth.interceptor";
 
-export const appConfig: ApplicationConfig = { providers: [provideRouter(routes), provideHttpClient()] };
+export const appConfig: ApplicationConfig = { providers: [provideRouter(routes), provideHttpClient(withInterceptors([authInterceptor]))] };
@@ -16,6 +16,7 @@ import { Trip } from "../models/trip";
 export class EditTripComponent implements OnInit {
   public editForm!: FormGroup;
   trip!: Trip;
+  tripCode!: string;
   submitted = false;
   message: string = "";
 
@@ -33,6 +34,7 @@ export class EditTripComponent implements OnInit {
       this.router.navigate([""]);
       return;
     }
+    this.tripCode = tripCode;
 
     console.log("EditTripComponent::ngOnInit");
     console.log("tripcode: " + tripCode);
@@ -45,6 +47,7 @@ export class EditTripComponent implements OnInit {
       start: ["", Validators.required],
       resort: ["", Validators.required],
       perPerson: ["", Validators.required],
+      capacity: [0, [Validators.required, Validators.min(0)]],
       image: ["", Validators.required],
       description: ["", Validators.required]
     });
@@ -73,7 +76,7 @@ export class EditTripComponent implements OnInit {
     this.submitted = true;
 
     if (this.editForm.valid) {
-      this.tripDataService.updateTrip(this.editForm.value).subscribe({
+      this.tripDataService.updateTrip(this.tripCode, this.editForm.value).subscribe({
         next: (value: Trip) => {
           console.log(value);
           this.router.navigate([""]);
@@ -1,7 +1,9 @@
 export class AuthResponse {
   token: string;
+  refreshToken: string;
 
-  constructor(token: string) {
+  constructor(token: string, refreshToken: string) {
     this.token = token;
+    this.refreshToken = refreshToken;
   }
 }
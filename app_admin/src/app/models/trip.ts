@@ -3,9 +3,14 @@ export interface Trip {
   code: string;
   name: string;
   length: string;
+  nights: number;
+  days: number;
   start: Date;
   resort: string;
   perPerson: string;
+  price: { amount: number; currency: string };
+  capacity: number;
+  booked: number;
   image: string;
   description: string;
 }
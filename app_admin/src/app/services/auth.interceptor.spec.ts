@@ -0,0 +1,175 @@
+import { TestBed } from "@angular/core/testing";
+import { HttpClient, provideHttpClient, withInterceptors } from "@angular/common/http";
+import { HttpTestingController, provideHttpClientTesting } from "@angular/common/http/testing";
+
+import { authInterceptor } from "./auth.interceptor";
+import { BROWSER_STORAGE } from "../storage";
+
+const API = "http://localhost:3000/api/v1";
+
+// An access token that expires a number of seconds from now
+function accessToken(name: string, expiresIn: number): string {
+  const claims = {
+    email: "admin@travlr.test",
+    name,
+    exp: Math.floor(Date.now() / 1000) + expiresIn
+  };
+  const payload = btoa(JSON.stringify(claims));
+  return `header.${payload}.signature`;
+}
+
+// Waits until the pending promises, such as a refresh, have settled
+function settle(): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+// A browser storage that holds its items in memory
+function memoryStorage(): Storage {
+  const items = new Map<string, string>();
+  return {
+    get length() {
+      return items.size;
+    },
+    clear: () => items.clear(),
+    getItem: (key: string) => items.get(key) ?? null,
+    key: (index: number) => Array.from(items.keys())[index] ?? null,
+    removeItem: (key: string) => {
+      items.delete(key);
+    },
+    setItem: (key: string, value: string) => {
+      items.set(key, value);
+    }
+  };
+}
+
+describe("authInterceptor", () => {
+  let http: HttpClient;
+  let api: HttpTestingController;
+  let storage: Storage;
+
+  // Answers the pending refresh request with new tokens
+  function answerRefresh(refreshToken: string, token: string): void {
+    const refresh = api.expectOne(`${API}/token/refresh`);
+    expect(refresh.request.body).toEqual({ refreshToken });
+    expect(refresh.request.headers.has("Authorization")).toBeFalse();
+    refresh.flush({ token, refreshToken: `${refreshToken}-next` });
+  }
+
+  beforeEach(() => {
+    storage = memoryStorage();
+    TestBed.configureTestingModule({
+      providers: [
+        { provide: BROWSER_STORAGE, useValue: storage },
+        provideHttpClient(withInterceptors([authInterceptor])),
+        provideHttpClientTesting()
+      ]
+    });
+    http = TestBed.inject(HttpClient);
+    api = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    api.verify();
+  });
+
+  it("sends the access token with a request", () => {
+    const token = accessToken("current", 900);
+    storage.setItem("travlr-token", token);
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    http.get(`${API}/trips`).subscribe();
+
+    const req = api.expectOne(`${API}/trips`);
+    expect(req.request.headers.get("Authorization")).toBe(`Bearer ${token}`);
+    req.flush([]);
+  });
+
+  it("refreshes an access token that is about to expire before sending the request", async () => {
+    const fresh = accessToken("fresh", 900);
+    storage.setItem("travlr-token", accessToken("stale", 30));
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    const done = new Promise((resolve) => http.get(`${API}/trips`).subscribe(resolve));
+
+    answerRefresh("refresh-1", fresh);
+    await settle();
+    const req = api.expectOne(`${API}/trips`);
+    expect(req.request.headers.get("Authorization")).toBe(`Bearer ${fresh}`);
+    req.flush([]);
+
+    await done;
+    expect(storage.getItem("travlr-token")).toBe(fresh);
+    expect(storage.getItem("travlr-refresh-token")).toBe("refresh-1-next");
+  });
+
+  it("refreshes the access token once and sends the request again after a 401", async () => {
+    const fresh = accessToken("fresh", 900);
+    storage.setItem("travlr-token", accessToken("revoked", 900));
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    const done = new Promise((resolve) => http.get(`${API}/trips`).subscribe(resolve));
+
+    api.expectOne(`${API}/trips`).flush(null, { status: 401, statusText: "Unauthorized" });
+    answerRefresh("refresh-1", fresh);
+    await settle();
+    const retry = api.expectOne(`${API}/trips`);
+    expect(retry.request.headers.get("Authorization")).toBe(`Bearer ${fresh}`);
+    retry.flush(["trip"]);
+
+    expect(await done).toEqual(["trip"]);
+  });
+
+  it("fails with a second 401 instead of refreshing again", async () => {
+    storage.setItem("travlr-token", accessToken("revoked", 900));
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    const failed = new Promise((resolve) => http.get(`${API}/trips`).subscribe({ error: resolve }));
+
+    api.expectOne(`${API}/trips`).flush(null, { status: 401, statusText: "Unauthorized" });
+    answerRefresh("refresh-1", accessToken("fresh", 900));
+    await settle();
+    api.expectOne(`${API}/trips`).flush(null, { status: 401, statusText: "Unauthorized" });
+
+    expect((await failed as { status: number }).status).toBe(401);
+  });
+
+  it("shares one refresh between concurrent requests", async () => {
+    const fresh = accessToken("fresh", 900);
+    storage.setItem("travlr-token", accessToken("expired", -10));
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    const first = new Promise((resolve) => http.get(`${API}/trips`).subscribe(resolve));
+    const second = new Promise((resolve) => http.get(`${API}/trips/REEF1`).subscribe(resolve));
+
+    answerRefresh("refresh-1", fresh);
+    await settle();
+    api.expectOne(`${API}/trips`).flush([]);
+    api.expectOne(`${API}/trips/REEF1`).flush({});
+
+    await Promise.all([first, second]);
+  });
+
+  it("removes the tokens when the refresh token is rejected", async () => {
+    storage.setItem("travlr-token", accessToken("expired", -10));
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    const failed = new Promise((resolve) => http.get(`${API}/trips`).subscribe({ error: resolve }));
+
+    api.expectOne(`${API}/token/refresh`).flush(null, { status: 401, statusText: "Unauthorized" });
+
+    expect((await failed as { status: number }).status).toBe(401);
+    expect(storage.getItem("travlr-token")).toBeNull();
+    expect(storage.getItem("travlr-refresh-token")).toBeNull();
+  });
+
+  it("sends the requests that sign in and out without a token", () => {
+    storage.setItem("travlr-token", accessToken("expired", -10));
+    storage.setItem("travlr-refresh-token", "refresh-1");
+
+    http.post(`${API}/login`, {}).subscribe();
+
+    const req = api.expectOne(`${API}/login`);
+    expect(req.request.headers.has("Authorization")).toBeFalse();
+    req.flush({});
+  });
+});
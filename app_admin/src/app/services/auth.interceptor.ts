@@ -0,0 +1,68 @@
+/**
+ * @file    auth.interceptor.ts
+ * @brief   This file contains the authInterceptor function, which authenticates the requests to the API.
+ *
+ * @details The access token expires after a few minutes, while the refresh token keeps the session open
+ *          much longer. The interceptor sends the access token with each request, replaces it first if it
+ *          has expired or is about to, and replaces it and sends the request again once if the API still
+ *          answers 401.
+ */
+
+import { inject } from "@angular/core";
+import { HttpErrorResponse, HttpEvent, HttpHandlerFn, HttpInterceptorFn, HttpRequest } from "@angular/common/http";
+import { Observable, catchError, from, switchMap, throwError } from "rxjs";
+
+import { AuthenticationService } from "./authentication.service";
+
+// Seconds before the access token expires from which it is replaced before a request
+const REFRESH_MARGIN_SECONDS = 60;
+
+// The requests that sign in or out, which carry no access token and must not trigger a refresh
+const AUTH_PATH = /\/api\/v1\/(login|register|token\/refresh|logout)$/;
+
+/**
+ * @brief   Adds the access token to a request, if there is one.
+ *
+ * @param req   The request.
+ * @param token The access token, or null.
+ * @returns The request with an Authorization header, or the request unchanged.
+ */
+function withToken(req: HttpRequest<unknown>, token: string | null): HttpRequest<unknown> {
+  return token === null ? req : req.clone({ setHeaders: { Authorization: `Bearer ${token}` } });
+}
+
+/**
+ * @brief   Sends the access token with each request to the API, and refreshes it when needed.
+ *
+ * @details A request that still gets 401 after a refresh, or while no refresh token is stored, fails
+ *          with that response. A failed refresh removes the tokens (see AuthenticationService.refresh),
+ *          so the user has to log in again.
+ *
+ * @param req  The request.
+ * @param next The next handler in the chain.
+ * @returns An Observable of the events of the response.
+ */
+export const authInterceptor: HttpInterceptorFn = (req: HttpRequest<unknown>, next: HttpHandlerFn): Observable<HttpEvent<unknown>> => {
+  if (AUTH_PATH.test(req.url)) {
+    return next(req);
+  }
+
+  const authentication: AuthenticationService = inject(AuthenticationService);
+  const send = (): Observable<HttpEvent<unknown>> => next(withToken(req, authentication.getToken()));
+  const refreshAndSend = (): Observable<HttpEvent<unknown>> => from(authentication.refresh()).pipe(switchMap(send));
+
+  if (authentication.getRefreshToken() === null) {
+    return send();
+  }
+
+  if (authentication.tokenExpiresWithin(REFRESH_MARGIN_SECONDS)) {
+    return refreshAndSend();
+  }
+
+  return send().pipe(catchError((error: unknown) => {
+    if (error instanceof HttpErrorResponse && error.status === 401 && authentication.getRefreshToken() !== null) {
+      return refreshAndSend();
+    }
+    return throwError(() => error);
+  }));
+};
@@ -23,6 +23,11 @@ import { TripDataService } from "./trip-data.service";
  */
 @Injectable({ providedIn: "root" })
 export class AuthenticationService {
+  /**
+   * @brief   The refresh in progress, shared by every caller until it settles.
+   */
+  private refreshing: Promise<unknown> | null = null;
+
   /**
    * @brief   Constructs an instance of the AuthenticationService.
    *
@@ -49,6 +54,33 @@ export class AuthenticationService {
     this.storage.setItem("travlr-token", token);
   }
 
+  /**
+   * @brief   Retrieves the refresh token from the browser's storage.
+   *
+   * @returns The refresh token as a string, or null if not found.
+   */
+  public getRefreshToken(): string | null {
+    return this.storage.getItem("travlr-refresh-token");
+  }
+
+  /**
+   * @brief   Saves the access token and refresh token of an authentication response.
+   *
+   * @param authResp The AuthResponse returned by login, registration, or refresh.
+   */
+  private saveTokens(authResp: AuthResponse): void {
+    this.saveToken(authResp.token);
+    this.storage.setItem("travlr-refresh-token", authResp.refreshToken);
+  }
+
+  /**
+   * @brief   Removes the access token and refresh token from the browser's storage.
+   */
+  private clearTokens(): void {
+    this.storage.removeItem("travlr-token");
+    this.storage.removeItem("travlr-refresh-token");
+  }
+
   /**
    * @brief   Performs the user login process.
    *
@@ -56,7 +88,7 @@ export class AuthenticationService {
    * @returns A Promise that resolves with an unknown value.
    */
   public login(user: User): Promise<unknown> {
-    return this.tripDataService.login(user).then((authResp: AuthResponse) => this.saveToken(authResp.token));
+    return this.tripDataService.login(user).then((authResp: AuthResponse) => this.saveTokens(authResp));
   }
 
   /**
@@ -68,30 +100,97 @@ export class AuthenticationService {
   public register(user: User): Promise<unknown> {
     return this.tripDataService.register(user)
       .then((authResp: AuthResponse) =>
-        this.saveToken(authResp.token));
+        this.saveTokens(authResp));
+  }
+
+  /**
+   * @brief   Replaces the short-lived access token using the stored refresh token.
+   *
+   * @details The refresh token is single use, so the new refresh token is stored as well. If the
+   *          server rejects the refresh token, the session is over and both tokens are removed.
+   *          Calls made while a refresh is in progress share it, because sending the same refresh
+   *          token twice makes the server revoke the session.
+   *
+   * @returns A Promise that resolves once the new tokens have been saved.
+   */
+  public refresh(): Promise<unknown> {
+    if (this.refreshing === null) {
+      this.refreshing = this.requestRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
   }
 
   /**
-   * @brief Logs out the current user by removing the authentication token from the browser's storage.
+   * @brief   Exchanges the stored refresh token for new tokens.
+   *
+   * @returns A Promise that resolves once the new tokens have been saved.
+   */
+  private requestRefresh(): Promise<unknown> {
+    const refreshToken: string | null = this.getRefreshToken();
+
+    if (refreshToken === null) {
+      return Promise.reject(new Error("Not logged in"));
+    }
+
+    return this.tripDataService.refreshToken(refreshToken)
+      .then((authResp: AuthResponse) => this.saveTokens(authResp))
+      .catch((error: unknown) => {
+        this.clearTokens();
+        throw error;
+      });
+  }
+
+  /**
+   * @brief Logs out the current user.
+   *
+   * @details The session is revoked on the server, so the tokens stop working even if a copy
+   *          was taken. The tokens are removed from the browser's storage whether or not the
+   *          server could be reached.
    */
   public logout(): void {
-    this.storage.removeItem("travlr-token");
+    const refreshToken: string | null = this.getRefreshToken();
+    this.clearTokens();
+
+    if (refreshToken !== null) {
+      this.tripDataService.logout(refreshToken).catch((error: unknown) => console.log(error));
+    }
   }
 
   /**
-   * @brief Checks if the user is currently logged in.
+   * @brief Checks if the access token is missing, has expired, or expires within a number of seconds.
    *
-   * @returns True if the user is logged in and the token has not expired, false otherwise.
+   * @param seconds The number of seconds from now.
+   * @returns True if the access token must be replaced before that time, false otherwise.
    */
-  public isLoggedIn(): boolean {
+  public tokenExpiresWithin(seconds: number): boolean {
     const token: string | null = this.getToken();
 
     if (token === null) {
-      return false;
+      return true;
     }
 
     const payload = JSON.parse(atob(token.split(".")[1]));
-    return payload.exp > (Date.now() / 1000);
+    return payload.exp <= (Date.now() / 1000) + seconds;
+  }
+
+  /**
+   * @brief Checks if the user is currently logged in.
+   *
+   * @details An expired access token does not end the session while a refresh token is stored: the
+   *          next request to the API replaces it (see auth.interceptor.ts), and the tokens are
+   *          removed if the server no longer accepts the refresh token.
+   *
+   * @returns True if the user has an access token that has not expired or a refresh token, false otherwise.
+   */
+  public isLoggedIn(): boolean {
+    if (this.getToken() === null) {
+      return false;
+    }
+
+    return !this.tokenExpiresWithin(0) || this.getRefreshToken() !== null;
   }
 
   /**
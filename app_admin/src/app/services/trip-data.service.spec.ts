@@ -1,16 +1,44 @@
-import { TestBed } from '@angular/core/testing';
+import { TestBed } from "@angular/core/testing";
+import { provideHttpClient } from "@angular/common/http";
+import { HttpTestingController, provideHttpClientTesting } from "@angular/common/http/testing";
 
-import { TripDataService } from './trip-data.service';
+import { TripDataService } from "./trip-data.service";
+import { Trip } from "../models/trip";
 
-describe('TripDataService', () => {
+const TRIPS = "http://localhost:3000/api/v1/trips";
+
+describe("TripDataService", () => {
   let service: TripDataService;
+  let api: HttpTestingController;
 
   beforeEach(() => {
-    TestBed.configureTestingModule({});
+    TestBed.configureTestingModule({ providers: [provideHttpClient(), provideHttpClientTesting()] });
     service = TestBed.inject(TripDataService);
+    api = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => {
+    api.verify();
   });
 
-  it('should be created', () => {
+  it("should be created", () => {
     expect(service).toBeTruthy();
   });
+
+  it("follows the next links until it has every trip", () => {
+    const page2 = `${TRIPS}?limit=100&cursor=page2`;
+    const page3 = `${TRIPS}?limit=100&cursor=page3`;
+    let trips: Trip[] = [];
+
+    service.getTrips().subscribe((value: Trip[]) => {
+      trips = value;
+    });
+
+    api.expectOne(`${TRIPS}?limit=100`).flush([{ code: "REEF1" }], { headers: { Link: `<${page2}>; rel="next"` } });
+    // The deprecated paths send another link first
+    api.expectOne(page2).flush([{ code: "REEF2" }], { headers: { Link: `</api/v1/trips>; rel="successor-version", <${page3}>; rel="next"` } });
+    api.expectOne(page3).flush([{ code: "REEF3" }]);
+
+    expect(trips.map((trip: Trip) => trip.code)).toEqual(["REEF1", "REEF2", "REEF3"]);
+  });
 });
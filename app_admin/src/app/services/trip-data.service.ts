@@ -7,14 +7,28 @@
  */
 
 import { Inject, Injectable } from "@angular/core";
-import { HttpClient } from "@angular/common/http";
-import { Observable, lastValueFrom } from "rxjs";
+import { HttpClient, HttpResponse } from "@angular/common/http";
+import { Observable, lastValueFrom, map, of, switchMap } from "rxjs";
 
 import { Trip } from "../models/trip";
 import { User } from "../models/user";
 import { AuthResponse } from "../models/authresponse";
 import { BROWSER_STORAGE } from "../storage";
 
+// The number of trips requested per page, which is the most the API returns at once
+const TRIP_PAGE_SIZE = 100;
+
+/**
+ * @brief Finds the URL of the next page in a 'Link' header.
+ *
+ * @param header The 'Link' header of a response, or null.
+ * @returns The URL with rel="next", or null if this is the last page.
+ */
+function nextPageUrl(header: string | null): string | null {
+  const next = /<([^>]*)>\s*;\s*rel="next"/.exec(header ?? "");
+  return next === null ? null : next[1];
+}
+
 /**
  * @class   TripDataService
  * @brief   Provides data services for trips and authentication.
@@ -24,8 +38,8 @@ import { BROWSER_STORAGE } from "../storage";
  */
 @Injectable({ providedIn: "root" })
 export class TripDataService {
-  private apiBaseUrl = "http://localhost:3000/api";
-  private tripUrl = "http://localhost:3000/api/trips";
+  private apiBaseUrl = "http://localhost:3000/api/v1";
+  private tripUrl = "http://localhost:3000/api/v1/trips";
 
   /**
    * @brief Constructs an instance of the TripDataService.
@@ -36,12 +50,29 @@ export class TripDataService {
   constructor(private http: HttpClient, @Inject(BROWSER_STORAGE) private storage: Storage) {}
 
   /**
-   * @brief Retrieves a list of trips from the backend API.
+   * @brief Retrieves every trip from the backend API.
+   *
+   * @details The API returns the trips a page at a time, so the 'next' links of the pages are
+   *          followed until the last one.
    *
    * @returns An Observable that emits an array of Trip objects.
    */
   getTrips(): Observable<Trip[]> {
-    return this.http.get<Trip[]>(this.tripUrl);
+    return this.getTripPages(`${this.tripUrl}?limit=${TRIP_PAGE_SIZE}`);
+  }
+
+  /**
+   * @brief Retrieves a page of trips and the pages after it.
+   *
+   * @param url The URL of the page.
+   * @returns An Observable that emits the trips of the page and of every later page, in order.
+   */
+  private getTripPages(url: string): Observable<Trip[]> {
+    return this.http.get<Trip[]>(url, { observe: "response" }).pipe(switchMap((response: HttpResponse<Trip[]>) => {
+      const trips: Trip[] = response.body ?? [];
+      const next: string | null = nextPageUrl(response.headers.get("Link"));
+      return next === null ? of(trips) : this.getTripPages(next).pipe(map((rest: Trip[]) => trips.concat(rest)));
+    }));
   }
 
   /**
@@ -67,11 +98,12 @@ export class TripDataService {
   /**
    * @brief Updates an existing trip in the backend API.
    *
+   * @param tripCode The code of the trip to update, which may differ from a new code in the form.
    * @param formData The Trip object containing the updated trip data.
    * @returns An Observable that emits the updated Trip object.
    */
-  updateTrip(formData: Trip): Observable<Trip> {
-    return this.http.put<Trip>(this.tripUrl, formData);
+  updateTrip(tripCode: string, formData: Trip): Observable<Trip> {
+    return this.http.put<Trip>(this.tripUrl + "/" + encodeURIComponent(tripCode), formData);
   }
 
   /**
@@ -94,16 +126,36 @@ export class TripDataService {
     return this.makeAuthApiCall("register", user);
   }
 
+  /**
+   * @brief Exchanges a refresh token for a new access token and refresh token.
+   *
+   * @param refreshToken The refresh token of the current session.
+   * @returns A Promise that resolves with an AuthResponse object.
+   */
+  public refreshToken(refreshToken: string): Promise<AuthResponse> {
+    return this.makeAuthApiCall("token/refresh", { refreshToken });
+  }
+
+  /**
+   * @brief Revokes the session of a refresh token on the server.
+   *
+   * @param refreshToken The refresh token of the current session.
+   * @returns A Promise that resolves when the session has been revoked.
+   */
+  public logout(refreshToken: string): Promise<unknown> {
+    return lastValueFrom(this.http.post(`${this.apiBaseUrl}/logout`, { refreshToken }));
+  }
+
   /**
    * @brief Makes an API call for authentication.
    *
    * @tparam AuthResponse The type of the expected response object.
    * @param urlPath The URL path for the authentication API endpoint.
-   * @param user The User object containing the user's credentials or registration information.
+   * @param body The request body, such as the user's credentials or a refresh token.
    * @returns A Promise that resolves with an AuthResponse object.
    */
-  private async makeAuthApiCall<AuthResponse>(urlPath: string, user: User): Promise<AuthResponse> {
+  private async makeAuthApiCall<AuthResponse>(urlPath: string, body: User | { refreshToken: string }): Promise<AuthResponse> {
     const url: string = `${this.apiBaseUrl}/${urlPath}`;
-    return (await lastValueFrom(this.http.post(url, user))) as AuthResponse;
+    return (await lastValueFrom(this.http.post(url, body))) as AuthResponse;
   }
 }
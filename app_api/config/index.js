@@ -0,0 +1,13 @@
+/**
+ * @file    index.js
+ * @brief   This file holds the configuration of the server, the API, and the site.
+ *
+ * @details The configuration is loaded from the environment and the '.env' files when this
+ *          module is first required (see 'config/load.js' for the variables). If any setting is
+ *          missing or invalid, requiring this module throws an error whose 'problems' list each
+ *          one: the entry points, such as 'bin/www', print them and exit.
+ */
+
+const { loadConfig } = require("./load");
+
+module.exports = loadConfig();
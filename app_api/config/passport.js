@@ -5,13 +5,16 @@
  * @details Passport.js is a middleware for Node.js that provides authentication strategies
  *          for various authentication methods, including local authentication (username and password).
  *          This file sets up the local authentication strategy using the 'passport-local' module
- *          and the 'users' model from the MongoDB database.
+ *          and the 'users' repository of the storage backend (see 'repositories/index.js').
  */
 
 const passport = require("passport");
 const LocalStrategy = require("passport-local").Strategy;
-const mongoose = require("mongoose");
-const User = mongoose.model("users");
+const { users } = require("../repositories");
+const { verifyPassword } = require("../lib/passwords");
+const { logger } = require("../lib/logger");
+
+const INVALID_CREDENTIALS = "Incorrect email or password.";
 
 /**
  * @brief                   Configures the local authentication strategy for Passport.js.
@@ -20,6 +23,10 @@ const User = mongoose.model("users");
  *                          It specifies that the 'email' field should be used as the username field for authentication.
  *                          The strategy function finds a user in the database based on the provided email address,
  *                          verifies the password, and returns the user object if the credentials are valid.
+ *                          An unknown email address and a wrong password fail with the same message, and a
+ *                          password is hashed in both cases, so neither the response nor its timing reveals
+ *                          which accounts exist. After a successful login, a password hash made with an older
+ *                          algorithm or cost is upgraded (see 'lib/passwords.js').
  *
  * @param {string} username The email address of the user attempting to authenticate.
  * @param {string} password The password provided by the user.
@@ -33,15 +40,24 @@ passport.use(
     { usernameField: "email" },
     async (username, password, done) => {
       try {
-        const user = await User.findOne({ email: username }).exec();
+        const user = await users.findByEmail(username);
         if (!user) {
-          return done(null, false, { message: "Incorrect username." });
+          await verifyPassword(password, null);
+          return done(null, false, { message: INVALID_CREDENTIALS });
         }
 
-        if (!user.validPassword(password)) {
-          return done(null, false, { message: "Incorrect password." });
+        if (!(await user.validPassword(password))) {
+          return done(null, false, { message: INVALID_CREDENTIALS });
         }
 
+        // A failed upgrade leaves the old hash in place, which still works
+        await user.upgradePassword(password)
+          .then((upgraded) => upgraded && users.update(user._id, user.passwordFields()))
+          .catch((err) => logger.warn("Could not upgrade the password hash", {
+            userId: user._id,
+            err
+          }));
+
         return done(null, user);
       } catch (err) {
         return done(err);
@@ -0,0 +1,77 @@
+/**
+ * @file    roles.js
+ * @brief   This file defines the user roles and the permissions granted to each role.
+ *
+ * @details Every user has exactly one role. Self-registered users are customers; editors and
+ *          admins are promoted by an admin, and the first admin is promoted with the
+ *          'bin/promote-admin' command. Routes declare the permission they need, and the
+ *          'authorize' middleware checks it against the role carried in the user's JWT.
+ */
+
+/**
+ * @brief   The roles a user may have, from least to most privileged.
+ */
+const ROLES = ["customer", "editor", "admin"];
+
+/**
+ * @brief   The role given to newly registered users.
+ */
+const DEFAULT_ROLE = "customer";
+
+/**
+ * @brief   The permissions granted to each role.
+ *
+ * @details trips:create     Add new trips.
+ *          trips:update     Edit existing trips, view their revision history, and revert them.
+ *          trips:archive    Archive trips, list archived trips, and restore them.
+ *          trips:import     Create and update trips in bulk from a JSON or CSV import.
+ *          images:upload    Upload the images used by trips.
+ *          content:create   Add rooms, meals, and news articles to the website.
+ *          content:update   Edit rooms, meals, and news articles.
+ *          content:delete   Delete rooms, meals, and news articles.
+ *          bookings:create  Book trips, and view and cancel one's own bookings.
+ *          bookings:manage  View, confirm, and cancel every booking.
+ *          users:manage     Change the role of other users.
+ */
+const PERMISSIONS = {
+  customer: ["bookings:create"],
+  editor: [
+    "trips:create",
+    "trips:update",
+    "trips:import",
+    "images:upload",
+    "content:create",
+    "content:update",
+    "bookings:create"
+  ],
+  admin: [
+    "trips:create",
+    "trips:update",
+    "trips:archive",
+    "trips:import",
+    "images:upload",
+    "content:create",
+    "content:update",
+    "content:delete",
+    "bookings:create",
+    "bookings:manage",
+    "users:manage"
+  ]
+};
+
+/**
+ * @brief   Checks whether a role grants a permission.
+ *
+ * @param {string} role       The role to check.
+ * @param {string} permission The permission to look for.
+ * @returns {boolean} True if the role grants the permission, false otherwise.
+ */
+const hasPermission = (role, permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, role) && PERMISSIONS[role].includes(permission);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  hasPermission
+};
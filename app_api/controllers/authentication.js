@@ -2,14 +2,41 @@
  * @file    authentication.js
  * @brief   This file contains the authentication routes and handlers for user registration and login.
  *
- * @details This file exports two functions, `register` and `login`, which handle user registration
- *          and login requests, respectively. The functions use the Passport.js middleware for
- *          authentication and the 'users' model from the MongoDB database.
+ * @details This file exports the functions `register`, `login`, `refresh`, and `logout`, which
+ *          handle user registration, login, access token refresh, and logout requests,
+ *          respectively, and the functions that reset forgotten passwords and verify email
+ *          addresses. The functions use the Passport.js middleware for authentication and the
+ *          'users', 'sessions', and 'tokens' repositories of the storage backend (see
+ *          'repositories/index.js').
+ *
+ *          Registration and login start a new session and respond with a short-lived access token
+ *          ('token') and a single-use refresh token ('refreshToken'). The refresh token is
+ *          exchanged for a new pair at '/api/v1/token/refresh' and revoked at '/api/v1/logout'.
+ *
+ *          Password reset and email verification links are sent by email with single-use tokens
+ *          (see 'lib/accountMail.js'), which are used up by the functions in 'lib/accounts.js'.
  */
 
 const passport = require("passport");
-const mongoose = require("mongoose");
-const User = mongoose.model("users");
+const validator = require("validator");
+const User = require("../models/user");
+const { users, sessions } = require("../repositories");
+const { DEFAULT_ROLE } = require("../config/roles");
+const { sendError, handleError } = require("../lib/errors");
+const { sendPasswordReset, sendVerification } = require("../lib/accountMail");
+const accounts = require("../lib/accounts");
+const { logger } = require("../lib/logger");
+
+/**
+ * @brief   Starts a session for a user and issues its tokens.
+ *
+ * @param {Object} user The authenticated user document.
+ * @returns {Promise<Object>} The access 'token' and the 'refreshToken' of the new session.
+ */
+const startSession = async (user) => {
+  const { session, refreshToken } = await sessions.start(user);
+  return { token: user.generateJwt(session._id), refreshToken };
+};
 
 /**
  * @brief   Handles user registration requests.
@@ -17,36 +44,33 @@ const User = mongoose.model("users");
  * @param {Object} req The Express request object.
  * @param {Object} res The Express response object.
  *
- * @details This function handles user registration requests. It first validates that all required
- *          fields (name, email, and password) are present in the request body. If any field is
- *          missing, it returns a 400 Bad Request response with an error message.
- *
- *          If all required fields are present, it creates a new User object, sets the name, email,
- *          and password (using the `setPassword` method), and generates a JSON Web Token (JWT) using
- *          the `generateJwt` method.
+ * @details This function handles user registration requests. The route's request schema has
+ *          already checked that the name, email, and password are present. It creates a new User
+ *          object with the 'customer' role and sets the name, email, and password (using the
+ *          `setPassword` method). A role supplied in the request body is ignored; staff roles are
+ *          only granted by an admin.
  *
- *          The function then attempts to save the new user to the database using the `save` method.
- *          If the save operation is successful, it returns a 200 OK response with the generated JWT.
- *          If an error occurs during the save operation, it logs the error to the console and returns
- *          a 400 Bad Request response with the error object.
+ *          The function then attempts to add the new user with `users.create`. If the save
+ *          operation is successful, it starts a session and returns a 200 OK response with the
+ *          access token and refresh token, and emails the user a link to verify their email
+ *          address. A failure to send the email is logged and does not fail the registration; the
+ *          user can ask for another link. If the email address is already registered, it returns a
+ *          409 Conflict response; if the user is otherwise invalid, it returns a 400 Bad Request
+ *          response listing the invalid fields.
  */
 const register = async (req, res) => {
-  if (!req.body.name || !req.body.email || !req.body.password) {
-    return res.status(400).json({ message: "All fields required" });
-  }
-
   const user = new User();
   user.name = req.body.name;
   user.email = req.body.email;
-  user.setPassword(req.body.password);
-  const token = user.generateJwt();
+  user.role = DEFAULT_ROLE; // Self-registration never grants staff roles
 
   try {
-    await user.save();
-    res.status(200).json({ token });
+    await user.setPassword(req.body.password);
+    const saved = await users.create(user);
+    res.status(200).json(await startSession(saved));
+    sendVerification(saved).catch((err) => logger.error("Could not send the verification email", { err }));
   } catch (err) {
-    console.log(err);
-    res.status(400).json(err);
+    handleError(res, err);
   }
 };
 
@@ -56,47 +80,207 @@ const register = async (req, res) => {
  * @param {Object} req The Express request object.
  * @param {Object} res The Express response object.
  *
- * @details This function handles user login requests. It first validates that both the email and
- *          password fields are present in the request body. If either field is missing, it returns
- *          a 400 Bad Request response with an error message.
- *
- *          If both fields are present, it uses the Passport.js `authenticate` method with the 'local'
- *          strategy to authenticate the user. The authentication callback function is called with
- *          an error object (if any), the authenticated user object (if successful), and an info object
- *          containing additional information.
+ * @details This function handles user login requests. The route's request schema has already
+ *          checked that the email and password are present. It uses the Passport.js `authenticate`
+ *          method with the 'local' strategy to authenticate the user. The authentication callback
+ *          function is called with an error object (if any), the authenticated user object (if
+ *          successful), and an info object containing additional information.
  *
- *          If an error occurs during the authentication process, it logs the error to the console and
- *          returns a 404 Not Found response with the error object.
+ *          If an error occurs during the authentication process, it logs the error to the console
+ *          and returns a 500 Internal Server Error response.
  *
- *          If the authentication is successful (i.e., the user object is not null), it generates a
- *          JSON Web Token (JWT) using the `generateJwt` method and returns a 200 OK response with the
- *          generated JWT.
+ *          If the authentication is successful (i.e., the user object is not null), it starts a new
+ *          session and returns a 200 OK response with the access token and refresh token.
  *
- *          If the authentication fails (i.e., the user object is null), it logs the info object to the
- *          console and returns a 401 Unauthorized response with the info object.
+ *          If the authentication fails (i.e., the user object is null), it logs the info object to
+ *          the console and returns a 401 Unauthorized response with the message of the info
+ *          object.
  */
 const login = (req, res) => {
-  if (!req.body.email || !req.body.password) {
-    return res.status(400).json({ message: "All fields required" });
-  }
-
-  passport.authenticate("local", (err, user, info) => {
+  passport.authenticate("local", async (err, user, info) => {
     if (err) {
-      console.log(err);
-      return res.status(404).json(err);
+      return handleError(res, err);
     }
 
     if (user) {
-      const token = user.generateJwt();
-      res.status(200).json({ token });
+      try {
+        res.status(200).json(await startSession(user));
+      } catch (err) {
+        handleError(res, err);
+      }
     } else {
-      console.log(info);
-      res.status(401).json(info);
+      logger.info("Login failed", { reason: info && info.message });
+      sendError(res, 401, (info && info.message) || "Invalid credentials");
     }
   })(req, res);
 };
 
+/**
+ * @brief   Handles access token refresh requests.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function exchanges the refresh token in the request body for a new access token
+ *          and a new refresh token. The presented refresh token cannot be used again. The new
+ *          access token is generated from the user's current record, so role changes take effect
+ *          on the next refresh.
+ *
+ *          If the refresh token is unknown, expired, or revoked, it returns a 401 Unauthorized
+ *          response. If the refresh token was already used, every session of the user is revoked
+ *          and a 401 Unauthorized response is returned.
+ */
+const refresh = async (req, res) => {
+  try {
+    const rotated = await sessions.rotate(req.body.refreshToken);
+    if (!rotated) {
+      return sendError(res, 401, "Invalid refresh token");
+    }
+
+    const user = await users.findById(rotated.session.user);
+    if (!user) {
+      await sessions.revokeAllForUser(rotated.session.user, "user deleted");
+      return sendError(res, 401, "Invalid refresh token");
+    }
+
+    res.status(200).json({
+      token: user.generateJwt(rotated.session._id),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Handles user logout requests.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function revokes the session that owns the refresh token in the request body.
+ *          The refresh token and every access token issued for the session stop working
+ *          immediately. Logging out of a session that is unknown or already revoked is not an
+ *          error, so it returns a 204 No Content response in both cases.
+ */
+const logout = async (req, res) => {
+  try {
+    await sessions.revokeByToken(req.body.refreshToken, "logout");
+    res.status(204).end();
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Handles requests to reset a forgotten password.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function emails a password reset link to the user with the email address in the
+ *          request body. It returns a 202 Accepted response with the same message whether or not
+ *          the user exists, and before the email is sent, so the response does not reveal which
+ *          accounts exist.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const email = validator.normalizeEmail(req.body.email, { all_lowercase: true });
+    const user = await users.findByEmail(email);
+    if (user) {
+      sendPasswordReset(user).catch((err) => logger.error("Could not send the password reset email", { err }));
+    }
+    res.status(202).json({ message: "If an account uses that email address, a password reset link has been sent to it." });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Handles requests to set a new password with a password reset token.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function uses up the reset token in the request body and sets the user's password
+ *          to the one in the request body (see `resetPassword` in 'lib/accounts.js'). Following
+ *          the emailed link proves the email address, so the user is also marked as verified.
+ *          Every session of the user is revoked, so anyone signed in with the old password is
+ *          signed out. It returns a 200 OK response.
+ *
+ *          If the token is unknown, expired, already used, or was sent to an address the user no
+ *          longer has, it returns a 400 Bad Request response with the 'invalid_token' code.
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const user = await accounts.resetPassword(req.body.token, req.body.password);
+    if (!user) {
+      return sendError(res, 400, "The password reset link is invalid or has expired", [], "invalid_token");
+    }
+    res.status(200).json({ message: "Your password has been reset. Sign in with the new password." });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Handles requests to verify an email address with a verification token.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function uses up the verification token in the request body and marks the user
+ *          as verified. It returns a 200 OK response with the verified email address.
+ *
+ *          If the token is unknown, expired, already used, or was sent to an address the user no
+ *          longer has, it returns a 400 Bad Request response with the 'invalid_token' code.
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await accounts.verifyEmail(req.body.token);
+    if (!user) {
+      return sendError(res, 400, "The verification link is invalid or has expired", [], "invalid_token");
+    }
+    res.status(200).json({ email: user.email, verified: true });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Handles requests to send another verification email.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function emails a new verification link to the signed-in user, which cancels
+ *          the links sent before. It returns a 202 Accepted response once the email is sent. If
+ *          the user's email address is already verified, it returns a 409 Conflict response.
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await users.findById(req.auth._id);
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+    if (user.verified) {
+      return sendError(res, 409, "Your email address is already verified");
+    }
+
+    await sendVerification(user);
+    res.status(202).json({ message: `A verification link has been sent to ${user.email}.` });
+  } catch (err) {
+    handleError(res, err);
+  }
+};
+
 module.exports = {
   register,
-  login
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
@@ -0,0 +1,271 @@
+/**
+ * @file    bookings.js
+ * @brief   This file contains the controller functions for handling booking-related operations.
+ *
+ * @details This file exports the functions that let customers book trips, list and cancel their
+ *          own bookings, and let admins list, confirm, and cancel every booking. These functions
+ *          use the 'bookings' and 'trips' repositories of the storage backend (see
+ *          'repositories/index.js').
+ *
+ *          A trip never sells more places than its capacity. Places are reserved with
+ *          `trips.reserve`, which checks the capacity and increments the trip's 'booked' counter
+ *          in one atomic step, so concurrent requests cannot both take the last places.
+ */
+
+const mongoose = require("mongoose");
+const { trips, bookings } = require("../repositories");
+const { DEFAULT_ROLE, hasPermission } = require("../config/roles");
+const { sendError, handleError } = require("../lib/errors");
+const tripService = require("../lib/tripService");
+
+/**
+ * @brief   Checks whether the user making the request may manage every booking.
+ *
+ * @param {Object} req The Express request object.
+ * @returns {boolean} True if the user's role grants 'bookings:manage', false otherwise.
+ */
+const canManage = (req) => hasPermission(req.auth.role || DEFAULT_ROLE, "bookings:manage");
+
+/**
+ * @brief   Builds the filter that selects a booking the user making the request may access.
+ *
+ * @param {Object} req The Express request object.
+ * @returns {Object|null} The field values of the booking, or null if the 'bookingId' parameter
+ *                        is not valid.
+ */
+const accessibleBooking = (req) => {
+  if (!mongoose.isValidObjectId(req.params.bookingId)) {
+    return null;
+  }
+
+  const filter = { _id: req.params.bookingId };
+  if (!canManage(req)) {
+    filter.user = req.auth._id;
+  }
+  return filter;
+};
+
+/**
+ * @brief   Calculates the total price of a booking.
+ *
+ * @param {Object} trip      The trip document.
+ * @param {number} travelers The number of travelers.
+ * @returns {Object|null} The total as { amount, currency } in minor units, or null if the trip
+ *                        has no price.
+ */
+const totalPrice = (trip, travelers) => {
+  if (!trip.price || !Number.isInteger(trip.price.amount)) {
+    return null;
+  }
+  return { amount: trip.price.amount * travelers, currency: trip.price.currency };
+};
+
+/**
+ * @brief   Books places on a trip.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function books the number of places given by 'travelers' in the request body on
+ *          the trip given by 'tripCode'. It reserves the places by incrementing the trip's
+ *          'booked' counter only if the result stays within the trip's capacity. It then creates
+ *          a pending booking with the total price calculated from the trip's per-person price.
+ *
+ *          If the input is missing or invalid, it sends a 400 Bad Request response. If the trip
+ *          does not exist or is archived, it sends a 404 Not Found response. If the trip does not
+ *          have enough places left, it sends a 409 Conflict response. Otherwise, it sends a 201
+ *          Created response with the booking.
+ */
+const bookingsCreate = async (req, res) => {
+  const tripCode = req.body.tripCode;
+  const travelers = Number(req.body.travelers);
+
+  try {
+    const trip = await trips.reserve(tripCode, travelers);
+    if (trip) {
+      tripService.invalidate();
+    }
+
+    if (!trip) {
+      if (await trips.findActive(tripCode)) {
+        return sendError(res, 409, "Not enough places left on trip " + tripCode);
+      }
+      return sendError(res, 404, "Trip not found with code " + tripCode);
+    }
+
+    try {
+      const total = totalPrice(trip, travelers);
+      if (!total) {
+        throw new Error("Trip " + tripCode + " has no price");
+      }
+
+      const booking = await bookings.create({
+        tripCode,
+        user: req.auth._id,
+        travelers,
+        totalPrice: total
+      });
+      return res.status(201).json(booking);
+    } catch (err) {
+      // Give the reserved places back before reporting the error
+      await trips.release(tripCode, travelers);
+      tripService.invalidate();
+      throw err;
+    }
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Retrieves the bookings of the user making the request.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response with the user's bookings, newest first.
+ */
+const bookingsListOwn = async (req, res) => {
+  try {
+    const q = await bookings.list({ user: req.auth._id });
+    return res.status(200).json(q);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Retrieves every booking.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response with every booking, newest first. The optional
+ *          'status' and 'tripCode' query parameters narrow the list. If 'status' is not a known
+ *          booking status, it sends a 400 Bad Request response.
+ */
+const bookingsListAll = async (req, res) => {
+  const filter = {};
+
+  if (req.query.status !== undefined) {
+    filter.status = req.query.status;
+  }
+  if (req.query.tripCode !== undefined) {
+    filter.tripCode = req.query.tripCode;
+  }
+
+  try {
+    const q = await bookings.list(filter);
+    return res.status(200).json(q);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Retrieves a single booking.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response with the booking given by the 'bookingId'
+ *          parameter. Customers can only see their own bookings; other bookings are reported as
+ *          not found, with a 404 Not Found response.
+ */
+const bookingsReadOne = async (req, res) => {
+  const filter = accessibleBooking(req);
+  if (!filter) {
+    return sendError(res, 404, "Booking not found");
+  }
+
+  try {
+    const booking = await bookings.find(filter);
+    if (!booking) {
+      return sendError(res, 404, "Booking not found");
+    }
+    return res.status(200).json(booking);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Cancels a booking.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function cancels the booking given by the 'bookingId' parameter and gives its
+ *          places back to the trip. Customers can only cancel their own bookings; admins can
+ *          cancel any booking. The status change is a conditional update, so the places are
+ *          released only once even if the booking is cancelled twice at the same time.
+ *
+ *          If the booking is not found, it sends a 404 Not Found response. If it is already
+ *          cancelled, it sends a 409 Conflict response. Otherwise, it sends a 200 OK response
+ *          with the cancelled booking.
+ */
+const bookingsCancel = async (req, res) => {
+  const filter = accessibleBooking(req);
+  if (!filter) {
+    return sendError(res, 404, "Booking not found");
+  }
+
+  try {
+    const booking = await bookings.cancel(filter);
+
+    if (!booking) {
+      if (await bookings.find(filter)) {
+        return sendError(res, 409, "Booking is already cancelled");
+      }
+      return sendError(res, 404, "Booking not found");
+    }
+
+    await trips.release(booking.tripCode, booking.travelers);
+    tripService.invalidate();
+    return res.status(200).json(booking);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Confirms a pending booking.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function confirms the booking given by the 'bookingId' parameter. Only pending
+ *          bookings can be confirmed. If the booking is not found, it sends a 404 Not Found
+ *          response. If it is not pending, it sends a 409 Conflict response. Otherwise, it sends
+ *          a 200 OK response with the confirmed booking.
+ */
+const bookingsConfirm = async (req, res) => {
+  const filter = accessibleBooking(req);
+  if (!filter) {
+    return sendError(res, 404, "Booking not found");
+  }
+
+  try {
+    const booking = await bookings.confirm(filter);
+
+    if (!booking) {
+      const existing = await bookings.find(filter);
+      if (existing) {
+        return sendError(res, 409, `Booking is ${existing.status}, only pending bookings can be confirmed`);
+      }
+      return sendError(res, 404, "Booking not found");
+    }
+    return res.status(200).json(booking);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+module.exports = {
+  bookingsCreate,
+  bookingsListOwn,
+  bookingsListAll,
+  bookingsReadOne,
+  bookingsCancel,
+  bookingsConfirm
+};
@@ -0,0 +1,163 @@
+/**
+ * @file    content.js
+ * @brief   This file contains the controller functions for the rooms, meals, and news articles
+ *          shown on the website.
+ *
+ * @details Rooms, meals, and news articles are managed in the same way, so their controllers are
+ *          built by `contentController` from the repository and the fields of each kind of
+ *          content. Each controller lists the documents, finds one by its 'code', and adds,
+ *          updates, and deletes documents. The image of a document, if it has one, must exist in
+ *          'public/images' (see 'lib/images.js'). These functions use the 'rooms', 'meals', and
+ *          'news' repositories of the storage backend (see 'repositories/index.js').
+ */
+
+const storage = require("../repositories");
+const { LISTING_ORDERS } = require("../models/content");
+const { assertImageExists } = require("../lib/images");
+const { sendError, handleError } = require("../lib/errors");
+
+/**
+ * @brief   Builds the controller functions of a kind of content.
+ *
+ * @param {Object} repository The repository of the content.
+ * @param {Object} options    'label' names a document in error messages, 'fields' lists the
+ *                            fields a request may set, 'sort' is the order of the listing, and
+ *                            'filter(query)' builds the field values the listed documents must
+ *                            have from its query string.
+ * @returns {Object} The Express handlers 'list', 'read', 'create', 'update', and 'remove'.
+ */
+const contentController = (repository, {
+  label,
+  fields,
+  sort,
+  filter = () => ({})
+}) => {
+  // Copies the fields a request may set from the request body
+  const pick = (body) => {
+    const values = {};
+    fields.forEach((field) => {
+      if (body[field] !== undefined) {
+        values[field] = body[field];
+      }
+    });
+    return values;
+  };
+
+  const notFound = (res, code) => sendError(res, 404, `${label} not found with code ${code}`);
+
+  /**
+   * @brief   Retrieves every document, in listing order. The optional 'limit' query parameter
+   *          caps their number. Sends a 200 OK response with the documents.
+   */
+  const list = async (req, res) => {
+    try {
+      const docs = await repository.list({
+        where: filter(req.query),
+        sort,
+        limit: req.query.limit === undefined ? undefined : Number(req.query.limit)
+      });
+      return res.status(200).json(docs);
+    } catch (err) {
+      return handleError(res, err);
+    }
+  };
+
+  /**
+   * @brief   Retrieves the document whose code matches the 'code' parameter. Sends a 200 OK
+   *          response with the document, or a 404 Not Found response if there is none.
+   */
+  const read = async (req, res) => {
+    try {
+      const doc = await repository.findByCode(req.params.code);
+      if (!doc) {
+        return notFound(res, req.params.code);
+      }
+      return res.status(200).json(doc);
+    } catch (err) {
+      return handleError(res, err);
+    }
+  };
+
+  /**
+   * @brief   Adds a document from the request body. Sends a 201 Created response with the new
+   *          document, a 400 Bad Request response if its image does not exist, or a 409
+   *          Conflict response if its code is already in use.
+   */
+  const create = async (req, res) => {
+    try {
+      await assertImageExists(req.body.image);
+      const doc = await repository.create(pick(req.body));
+      return res.status(201).json(doc);
+    } catch (err) {
+      return handleError(res, err);
+    }
+  };
+
+  /**
+   * @brief   Updates the document whose code matches the 'code' parameter with the fields in the
+   *          request body. Sends a 200 OK response with the updated document, or a 404 Not Found
+   *          response if there is none.
+   */
+  const update = async (req, res) => {
+    try {
+      await assertImageExists(req.body.image);
+      const doc = await repository.update(req.params.code, pick(req.body));
+      if (!doc) {
+        return notFound(res, req.params.code);
+      }
+      return res.status(200).json(doc);
+    } catch (err) {
+      return handleError(res, err);
+    }
+  };
+
+  /**
+   * @brief   Deletes the document whose code matches the 'code' parameter. Sends a 204 No Content
+   *          response, or a 404 Not Found response if there is none.
+   */
+  const remove = async (req, res) => {
+    try {
+      const doc = await repository.remove(req.params.code);
+      if (!doc) {
+        return notFound(res, req.params.code);
+      }
+      return res.status(204).end();
+    } catch (err) {
+      return handleError(res, err);
+    }
+  };
+
+  return {
+    list,
+    read,
+    create,
+    update,
+    remove
+  };
+};
+
+const rooms = contentController(storage.rooms, {
+  label: "Room",
+  fields: ["code", "name", "description", "rate", "image", "position"],
+  sort: LISTING_ORDERS.rooms
+});
+
+const meals = contentController(storage.meals, {
+  label: "Meal",
+  fields: ["code", "name", "dish", "description", "image", "position"],
+  sort: LISTING_ORDERS.meals
+});
+
+// The news listing may be narrowed to one category
+const news = contentController(storage.news, {
+  label: "News article",
+  fields: ["code", "title", "category", "author", "publishedAt", "body", "image"],
+  sort: LISTING_ORDERS.news,
+  filter: (query) => (query.category === undefined ? {} : { category: query.category })
+});
+
+module.exports = {
+  rooms,
+  meals,
+  news
+};
@@ -0,0 +1,55 @@
+/**
+ * @file    docs.js
+ * @brief   This file contains the controller functions for the documentation of the API.
+ *
+ * @details The OpenAPI document is built in 'openapi/index.js'. The documentation page shows it
+ *          with Swagger UI, whose files are served from the 'swagger-ui-dist' package (see
+ *          'routes/v1.js').
+ */
+
+const openapi = require("../openapi");
+
+/**
+ * @brief   Sends the OpenAPI document of the API.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response with the OpenAPI 3.1 document as JSON.
+ */
+const docsOpenApi = (req, res) => res.status(200).json(openapi);
+
+/**
+ * @brief   Sends the documentation page of the API.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response with an HTML page that loads Swagger UI and
+ *          points it at the OpenAPI document. The addresses are relative to the path the API is
+ *          mounted on.
+ */
+const docsPage = (req, res) => {
+  const base = req.baseUrl;
+  res.status(200).type("html").send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Travlr Getaways API</title>
+  <link rel="stylesheet" href="${base}/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${base}/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: "${base}/openapi.json", dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+  docsOpenApi,
+  docsPage
+};
@@ -0,0 +1,82 @@
+/**
+ * @file    health.js
+ * @brief   This file contains the controller functions for the health checks and metrics of the
+ *          server.
+ *
+ * @details '/healthz' tells whether the process is alive, and '/readyz' whether it can serve
+ *          requests: its storage backend is connected and it is not shutting down (see
+ *          'lib/shutdown.js'). An orchestrator restarts a process that is not alive, and only
+ *          sends requests to a process that is ready. '/metrics' serves the request metrics and
+ *          the state of the storage backend and the trip cache in the Prometheus text format.
+ *          The memory backend is always connected (see 'repositories/index.js').
+ */
+
+const storage = require("../repositories");
+const tripService = require("../lib/tripService");
+const { isShuttingDown } = require("../lib/shutdown");
+const { metrics } = require("../middleware/metrics");
+
+const dbState = () => storage.state();
+
+/**
+ * @brief   Reports whether the process is alive.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function always sends a 200 OK response while the process can answer, with the
+ *          state of the storage backend for information.
+ */
+const healthz = (req, res) => res.status(200).json({ status: "ok", db: dbState() });
+
+/**
+ * @brief   Reports whether the process is ready to serve requests.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response if the storage backend is connected and the
+ *          server is not shutting down. Otherwise, it sends a 503 Service Unavailable response
+ *          with the reason.
+ */
+const readyz = (req, res) => {
+  const db = dbState();
+  if (isShuttingDown()) {
+    return res.status(503).json({ status: "shutting down", db });
+  }
+  if (db !== "connected") {
+    return res.status(503).json({ status: "not ready", db });
+  }
+  return res.status(200).json({ status: "ready", db });
+};
+
+/**
+ * @brief   Sends the metrics of the server in the Prometheus text format.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ */
+const metricsText = (req, res) => {
+  const cache = tripService.cacheStats();
+  const gauge = (name, type, help, value) => ({
+    name,
+    type,
+    help,
+    value
+  });
+
+  res.status(200).type("text/plain; version=0.0.4").send(metrics.render([
+    gauge("travlr_db_up", "gauge", "1 if the database connection is open, otherwise 0.", Number(dbState() === "connected")),
+    gauge("travlr_trip_cache_hits_total", "counter", "Trip reads served from the cache.", cache.hits),
+    gauge("travlr_trip_cache_misses_total", "counter", "Trip reads loaded from the database.", cache.misses),
+    gauge("travlr_trip_cache_entries", "gauge", "Entries in the trip cache.", cache.entries),
+    gauge("process_uptime_seconds", "gauge", "How long the process has run, in seconds.", process.uptime()),
+    gauge("process_resident_memory_bytes", "gauge", "Resident memory of the process, in bytes.", process.memoryUsage().rss)
+  ]));
+};
+
+module.exports = {
+  healthz,
+  readyz,
+  metricsText
+};
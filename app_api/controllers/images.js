@@ -0,0 +1,52 @@
+/**
+ * @file    images.js
+ * @brief   This file contains the controller functions for uploading trip images.
+ *
+ * @details This file exports the function that stores an uploaded image in 'public/images' so
+ *          that it can be used as the 'image' of a trip. The checks and the storage are in
+ *          'lib/images.js'.
+ */
+
+const { storeImage } = require("../lib/images");
+const { sendError, handleError } = require("../lib/errors");
+
+/**
+ * @brief   Stores an uploaded trip image.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function stores the image read by the 'imageUpload' middleware under a name made
+ *          from its content and writes its thumbnail. The stored name is the value to use as the
+ *          'image' of a trip when it is added or updated.
+ *
+ *          If no image was sent, it sends a 400 Bad Request response. If the file is too large,
+ *          it sends a 413 Payload Too Large response, and if it is not a JPEG, PNG, WebP, or GIF
+ *          image, a 415 Unsupported Media Type response. Otherwise, it sends a 201 Created
+ *          response with the stored image, or a 200 OK response if the same image was already
+ *          stored. The response has the 'image' name, the 'url' of the image and of its
+ *          'thumbnailUrl', and its 'format', 'width', 'height', and 'size' in bytes.
+ */
+const imagesUpload = async (req, res) => {
+  if (!req.file) {
+    return sendError(res, 400, "The request is invalid",
+      [{ field: "image", message: "image is required" }], "validation_failed");
+  }
+
+  try {
+    const {
+      created,
+      thumbnail,
+      ...stored
+    } = await storeImage(req.file.buffer);
+    return res.status(created ? 201 : 200).json({
+      ...stored,
+      url: `/images/${stored.image}`,
+      thumbnailUrl: `/images/${thumbnail}`
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+module.exports = { imagesUpload };
@@ -3,39 +3,185 @@
  * @brief   This file contains the controller functions for handling trip-related operations.
  *
  * @details This file exports several functions that handle various operations related to trips,
- *          such as listing all trips, finding a trip by code, adding a new trip, and updating an
- *          existing trip. These functions interact with the 'trips' and 'users' models from the
- *          MongoDB database.
+ *          such as listing all trips, searching trips, finding a trip by code, adding a new trip,
+ *          updating an existing trip, archiving or restoring a trip, and importing or exporting
+ *          the whole catalogue. These functions read and write the trips, their revisions, and the
+ *          users through the storage backend (see 'repositories/index.js').
+ *
+ *          Trips are never removed from the database. Deleting a trip archives it instead, which
+ *          hides it from the public listings until it is restored. Every change is recorded in
+ *          the trip's revision history with the user who made it (see 'lib/tripHistory.js').
+ *
+ *          Trip responses carry an ETag (see 'lib/etags.js'). Reads answer 'If-None-Match' with
+ *          304 Not Modified, and updates honor 'If-Match' so that a client cannot overwrite a
+ *          change it has not seen.
+ *
+ *          Public reads go through the trip service, which caches them (see 'lib/tripService.js').
+ *          Every change invalidates the cache.
  */
 
-const mongoose = require("mongoose");
 const Trip = require("../models/travlr");
-const Model = mongoose.model("trips");
-const User = mongoose.model("users");
+const storage = require("../repositories");
+const tripService = require("../lib/tripService");
+const { CATALOGUE_FIELDS, typedFieldsFromInput } = require("../lib/tripFields");
+const {
+  errorBody,
+  sendError,
+  handleError
+} = require("../lib/errors");
+const {
+  importTrips,
+  tripsFromCsv,
+  tripsToCsv,
+  exportRecord
+} = require("../lib/tripCatalog");
+const { diff, recordRevision } = require("../lib/tripHistory");
+const { assertImageExists } = require("../lib/images");
+const {
+  tripETag,
+  listETag,
+  parseIfMatch,
+  parseVersions
+} = require("../lib/etags");
 
 /**
- * @brief   Retrieves a list of all trips.
+ * @brief   Builds the record of the user making a change, for the revision history.
+ *
+ * @param {Object} req      The Express request object.
+ * @param {string} userName The name of the user, as found by `getUser`.
+ * @returns {Object} The actor { name, email }.
+ */
+const actorOf = (req, userName) => ({ name: userName, email: req.auth.email });
+
+/**
+ * @brief   Builds the trip document after an update from the document before it.
+ *
+ * @details Updates that are recorded in the history fetch the trip as it was before the change,
+ *          in the same atomic operation that changes it, and build the new state from it. This
+ *          avoids a second query that another change could slip in front of.
+ *
+ * @param {Object} before The trip document before the update.
+ * @param {Object} fields The fields set by the update. Undefined fields are left unchanged.
+ * @returns {Object} The trip document after the update, with the next revision number.
+ */
+const applyUpdate = (before, fields) => {
+  const after = Trip.hydrate(before.toObject({ virtuals: false }));
+  Object.keys(fields).forEach((field) => {
+    if (fields[field] !== undefined) {
+      after.set(field, fields[field]);
+    }
+  });
+  after.revision = before.revision + 1;
+  return after;
+};
+
+/**
+ * @brief   Sends a trip with its ETag.
+ *
+ * @param {Object} res  The Express response object.
+ * @param {Object} trip The trip document.
+ * @returns {Object} The Express response object.
+ */
+const sendTrip = (res, trip) => {
+  res.set("ETag", tripETag(trip));
+  return res.status(200).json(trip);
+};
+
+/**
+ * @brief   Sends the error response for an update that matched no trip.
+ *
+ * @details The update may have missed because the trip does not exist (404 Not Found), because
+ *          it changed since the client read it (412 Precondition Failed, with the current trip
+ *          and its ETag so the client can merge and retry), or because the new capacity is lower
+ *          than the places booked (409 Conflict).
+ *
+ * @param {Object} req     The Express request object.
+ * @param {Object} res     The Express response object.
+ * @param {Object} fields  The fields of the update.
+ * @param {Array<string>|string|null} ifMatch The parsed 'If-Match' header.
+ * @returns {Promise<Object>} The Express response object.
+ */
+const sendUpdateMiss = async (req, res, fields, ifMatch = null) => {
+  const current = await storage.trips.findActive(req.params.tripCode);
+  if (current && Array.isArray(ifMatch) && !ifMatch.includes(tripETag(current))) {
+    res.set("ETag", tripETag(current));
+    return res.status(412).json({
+      ...errorBody(412, "The trip has changed since it was read", [], "precondition_failed"),
+      current
+    });
+  }
+  if (current && fields.capacity !== undefined) {
+    return sendError(res, 409, "Capacity cannot be lower than the places already booked",
+      [{ field: "capacity", message: "capacity must cover the places already booked" }]);
+  }
+  return sendError(res, 404, "Trip not found with code " + req.params.tripCode);
+};
+
+/**
+ * @brief   Retrieves a page of trips.
  *
  * @param {Object} req The Express request object.
  * @param {Object} res The Express response object.
  *
- * @details This function retrieves a list of all trips from the database. It first executes a
- *          MongoDB query to find all documents in the 'trips' collection. If the query returns
- *          no data, it sends a 404 Not Found response with an error message. Otherwise, it sends
- *          a 200 OK response with the list of trips.
+ * @details This function retrieves a page of trips that have not been archived. The query string
+ *          may filter the trips by resort, price range, start date window, and number of nights,
+ *          choose the sort order, and set the page size (see `parseTripQuery` in
+ *          'lib/tripQuery.js'). If there are more trips after the current page, a 'Link' header
+ *          with rel="next" points at the next page. The next page is addressed by an opaque
+ *          cursor, so pages stay consistent while trips are added. The page has an ETag, so a
+ *          client can revalidate it with 'If-None-Match' and get a 304 Not Modified response.
+ *          Pages are read through the trip service cache.
+ *
+ *          If a query parameter is unknown or malformed, it sends a 400 Bad Request response
+ *          with an error message. Otherwise, it sends a 200 OK response with the list of trips.
  */
 const tripsList = async (req, res) => {
-  // No filter, return all records
-  const q = await Model.find({}).exec();
-
-  if (!q) {
-    // Database returned no data
-    const err = new Error("No trips found");
-    console.log(err);
-    return res.status(404).json(err);
-  } else {
-    // Return resuling trip list
-    return res.status(200).json(q);
+  try {
+    const { trips, nextCursor } = await tripService.listTrips(req.query);
+
+    let next = "";
+    if (nextCursor) {
+      const params = new URLSearchParams(req.query);
+      params.set("cursor", nextCursor);
+      next = `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}?${params}`;
+      res.links({ next });
+    }
+
+    // Return resulting trip list; Express answers a matching If-None-Match with 304
+    res.set("ETag", listETag(trips, next));
+    return res.status(200).json(trips);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Searches the trips by name, resort, and description.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function ranks the trips that have not been archived against the search query
+ *          in the 'q' query parameter (see `searchTrips` in 'lib/tripSearch.js'). Matching
+ *          ignores the markup of descriptions, and accepts word prefixes and small typos. The
+ *          optional 'limit' query parameter sets the number of results, 20 by default.
+ *
+ *          If the query has no letters or digits, it sends a 400 Bad Request response. Otherwise,
+ *          it sends a 200 OK response with the query 'q', the 'total' number of matching trips,
+ *          and the best 'results', each with the 'trip', its 'score', and the 'highlights' of the
+ *          fields that matched as HTML fragments. A search with no matches has no results.
+ */
+const tripsSearch = async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    const { total, results } = await tripService.searchTrips(req.query.q, { limit });
+    return res.status(200).json({
+      q: req.query.q,
+      total,
+      results
+    });
+  } catch (err) {
+    return handleError(res, err);
   }
 };
 
@@ -45,23 +191,26 @@ const tripsList = async (req, res) => {
  * @param {Object} req The Express request object.
  * @param {Object} res The Express response object.
  *
- * @details This function retrieves a single trip from the database based on the 'tripCode' parameter
- *          in the request URL. It executes a MongoDB query to find documents in the 'trips' collection
- *          where the 'code' field matches the provided 'tripCode'. If the query returns no data, it
- *          sends a 404 Not Found response with an error message. Otherwise, it sends a 200 OK response
- *          with the trip details.
+ * @details This function retrieves a single trip from the database based on the 'tripCode'
+ *          parameter in the request URL, through the trip service, which reads the trip whose
+ *          'code' field matches the provided 'tripCode'. Archived trips are not returned. If no
+ *          trip matches, it sends a 404 Not Found response with an error message. Otherwise, it
+ *          sends a 200 OK response with a list holding the trip, and the trip's ETag. If the ETag
+ *          matches the request's 'If-None-Match' header, it sends a 304 Not Modified response
+ *          instead.
  */
 const tripsFindByCode = async (req, res) => {
-  const q = await Model.find({ code: req.params.tripCode }).exec(); // No filter, return all records
-
-  if (!q) {
-    // Database returned no data
-    const err = new Error("Trip not found");
-    console.log(err);
-    return res.status(404).json(err);
-  } else {
-    // Return resulting trip list
-    return res.status(200).json(q);
+  try {
+    const trip = await tripService.findTrip(req.params.tripCode);
+
+    if (!trip) {
+      return sendError(res, 404, "Trip not found with code " + req.params.tripCode);
+    }
+    // Return resulting trip list; Express answers a matching If-None-Match with 304
+    res.set("ETag", tripETag(trip));
+    return res.status(200).json([trip]);
+  } catch (err) {
+    return handleError(res, err);
   }
 };
 
@@ -74,37 +223,50 @@ const tripsFindByCode = async (req, res) => {
  * @details This function adds a new trip to the database based on the data provided in the request
  *          body. It first calls the `getUser` function to retrieve the user associated with the
  *          request. If the user is found, it creates a new 'Trip' document using the data from the
- *          request body and saves it to the database. If the operation is successful, it sends a
- *          200 OK response with the new trip details. If an error occurs, it sends an appropriate
- *          error response with a status code and error message.
+ *          request body and saves it to the database. The price and duration may be given either
+ *          as the typed fields 'price', 'nights', and 'days', or as the display strings
+ *          'perPerson' and 'length' (see 'lib/tripFields.js'). The 'image' must already exist in
+ *          'public/images', usually uploaded with POST /api/v1/images; otherwise it sends a 400
+ *          Bad Request response. The new trip starts its history with revision 1. If the operation
+ *          is successful, it sends a 200 OK response with the new trip details. If an error
+ *          occurs, it sends an appropriate error response with a status code and error message.
  */
 const tripsAddTrip = async (req, res) => {
   await getUser(req, res,
-    (req, res) => {
-      Trip
+    async (req, res, userName) => {
+      let typed;
+      try {
+        typed = typedFieldsFromInput(req.body);
+        await assertImageExists(req.body.image);
+      } catch (err) {
+        return handleError(res, err);
+      }
+
+      storage.trips
         .create({
           code: req.body.code,
           name: req.body.name,
-          length: req.body.length,
+          nights: typed.nights,
+          days: typed.days,
           start: req.body.start,
           resort: req.body.resort,
-          perPerson: req.body.perPerson,
+          price: typed.price,
           image: req.body.image,
-          description: req.body.description
+          description: req.body.description,
+          capacity: req.body.capacity,
+          revision: 1
         })
-        .then(trip => {
-          if (!trip) {
-            return res.status(404).send({ message: "Trip not found with code" + req.params.tripCode });
-          }
-          res.send(trip);
+        .then(async trip => {
+          tripService.invalidate();
+          await recordRevision({
+            before: null,
+            after: trip,
+            action: "create",
+            actor: actorOf(req, userName)
+          });
+          sendTrip(res, trip);
         })
-        .catch(err => {
-          if (err.kind === "ObjectId") {
-            return res.status(404).send({ message: "Trip not found with code" + req.params.tripCode });
-          }
-          // server error
-          return res.status(500).json(err);
-        });
+        .catch(err => handleError(res, err));
     }
   );
 };
@@ -116,42 +278,322 @@ const tripsAddTrip = async (req, res) => {
  * @param {Object} res The Express response object.
  *
  * @details This function updates an existing trip in the database based on the 'tripCode' parameter
- *          in the request URL and the data provided in the request body. It first calls the `getUser`
- *          function to retrieve the user associated with the request. If the user is found, it
- *          executes a MongoDB query to find and update the 'Trip' document where the 'code' field
- *          matches the provided 'tripCode'. If the operation is successful, it sends a 200 OK response
- *          with the updated trip details. If an error occurs, it sends an appropriate error response
- *          with a status code and error message.
+ *          in the request URL and the data provided in the request body. It first calls the
+ *          `getUser` function to retrieve the user associated with the request. If the user is
+ *          found, it finds and updates the trip whose 'code' field matches the provided
+ *          'tripCode'. Archived trips must be restored before they can be updated. The capacity
+ *          cannot be lowered below the number of places already booked; such an update gets a 409
+ *          Conflict response. The price, duration, and image are checked as in `tripsAddTrip`. The
+ *          previous values of the changed fields are kept in the trip's revision history.
+ *
+ *          If the request has an 'If-Match' header, the trip is only updated if its current ETag
+ *          is one of those listed; otherwise it sends a 412 Precondition Failed response with the
+ *          current trip. If the operation is successful, it sends a 200 OK response with the
+ *          updated trip details and its new ETag. If an error occurs, it sends an appropriate
+ *          error response with a status code and error message.
  */
 const tripsUpdateTrip = async (req, res) => {
-  await getUser(req, res, (req, res) => {
-    Trip.findOneAndUpdate({ code: req.params.tripCode },
-      {
-        code: req.body.code,
-        name: req.body.name,
-        length: req.body.length,
-        start: req.body.start,
-        resort: req.body.resort,
-        perPerson: req.body.perPerson,
-        image: req.body.image,
-        description: req.body.description
-      },
-      { new: true })
-      .then(trip => {
+  await getUser(req, res, async (req, res, userName) => {
+    let typed;
+    try {
+      typed = typedFieldsFromInput(req.body);
+      await assertImageExists(req.body.image);
+    } catch (err) {
+      return handleError(res, err);
+    }
+
+    const ifMatch = parseIfMatch(req.get("If-Match"));
+    const versions = Array.isArray(ifMatch) ? parseVersions(ifMatch) : undefined;
+
+    const fields = {
+      code: req.body.code,
+      name: req.body.name,
+      nights: typed.nights,
+      days: typed.days,
+      start: req.body.start,
+      resort: req.body.resort,
+      price: typed.price,
+      image: req.body.image,
+      description: req.body.description,
+      capacity: req.body.capacity
+    };
+
+    storage.trips.update(req.params.tripCode, fields, { versions })
+      .then(async before => {
+        if (!before) {
+          return sendUpdateMiss(req, res, fields, ifMatch);
+        }
+        tripService.invalidate();
+
+        const trip = applyUpdate(before, fields);
+        await recordRevision({
+          before,
+          after: trip,
+          action: "update",
+          actor: actorOf(req, userName)
+        });
+        sendTrip(res, trip);
+      })
+      .catch(err => handleError(res, err));
+  });
+};
+
+/**
+ * @brief   Retrieves a list of archived trips.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function retrieves every trip that has been archived, most recently archived
+ *          first. It sends a 200 OK response with the list of archived trips, which may be empty.
+ */
+const tripsListArchived = async (req, res) => {
+  try {
+    const q = await storage.trips.listArchived();
+    return res.status(200).json(q);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Archives (soft-deletes) a trip.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function archives the trip whose 'code' field matches the 'tripCode' parameter
+ *          in the request URL. It first calls the `getUser` function to retrieve the user
+ *          associated with the request, then marks the trip as archived and records the user's
+ *          name and the current time. The trip document is kept so it can be restored later.
+ *          If the trip does not exist or is already archived, it sends a 404 Not Found response.
+ *          Otherwise, it sends a 200 OK response with the archived trip details.
+ */
+const tripsDeleteTrip = async (req, res) => {
+  await getUser(req, res, (req, res, userName) => {
+    storage.trips.archive(req.params.tripCode, userName)
+      .then(async trip => {
         if (!trip) {
-          return res.status(404).send({ message: "Trip not found with code" + req.params.tripCode });
+          return sendError(res, 404, "Trip not found with code " + req.params.tripCode);
         }
-        res.send(trip);
+        tripService.invalidate();
+        await recordRevision({
+          before: { ...trip.toObject({ virtuals: false }), archived: false },
+          after: trip,
+          action: "delete",
+          actor: actorOf(req, userName)
+        });
+        sendTrip(res, trip);
       })
-      .catch(err => {
-        if (err.kind === "ObjectId") {
-          return res.status(404).send({ message: "Trip not found with code" + req.params.tripCode });
+      .catch(err => handleError(res, err));
+  });
+};
+
+/**
+ * @brief   Restores an archived trip.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function restores the archived trip whose 'code' field matches the 'tripCode'
+ *          parameter in the request URL, making it visible in the public listings again. The
+ *          archive details are cleared. If no archived trip matches the code, it sends a 404
+ *          Not Found response. Otherwise, it sends a 200 OK response with the restored trip.
+ */
+const tripsRestoreTrip = async (req, res) => {
+  await getUser(req, res, (req, res, userName) => {
+    storage.trips.restore(req.params.tripCode)
+      .then(async trip => {
+        if (!trip) {
+          return sendError(res, 404, "Archived trip not found with code " + req.params.tripCode);
         }
-        return res.status(500).json(err); // server error
+        tripService.invalidate();
+        await recordRevision({
+          before: { ...trip.toObject({ virtuals: false }), archived: true },
+          after: trip,
+          action: "restore",
+          actor: actorOf(req, userName)
+        });
+        sendTrip(res, trip);
+      })
+      .catch(err => handleError(res, err));
+  });
+};
+
+/**
+ * @brief   Retrieves the revision history of a trip.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function retrieves the revisions of the trip whose 'code' field matches the
+ *          'tripCode' parameter in the request URL, newest first. Each revision lists the user
+ *          who made the change, when, and the changed fields with their values before and after.
+ *          The history of archived trips is included. If the trip does not exist, it sends a 404
+ *          Not Found response. Otherwise, it sends a 200 OK response with the revisions.
+ */
+const tripsHistory = async (req, res) => {
+  try {
+    const trip = await storage.trips.findByCode(req.params.tripCode);
+    if (!trip) {
+      return sendError(res, 404, "Trip not found with code " + req.params.tripCode);
+    }
+
+    const q = await storage.revisions.listForTrip(trip._id);
+    return res.status(200).json(q);
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Reverts a trip to the state of an earlier revision.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function puts the catalogue fields of the trip whose 'code' field matches the
+ *          'tripCode' parameter back to their values just after the revision given by the
+ *          'revision' parameter. Booking and archive state are not changed, and archived trips
+ *          must be restored before they can be reverted. The revert is itself recorded as a new
+ *          revision, so it can be undone in the same way.
+ *
+ *          If the trip or the revision does not exist, it sends a 404 Not Found response. If the
+ *          old capacity is lower than the places booked since, it sends a 409 Conflict response,
+ *          and if the old image no longer exists, a 400 Bad Request response. Otherwise, it sends
+ *          a 200 OK response with the reverted trip. If the trip already matches the revision,
+ *          nothing is changed or recorded.
+ */
+const tripsRevertTrip = async (req, res) => {
+  await getUser(req, res, async (req, res, userName) => {
+    try {
+      const current = await storage.trips.findActive(req.params.tripCode);
+      if (!current) {
+        return sendError(res, 404, "Trip not found with code " + req.params.tripCode);
+      }
+
+      const target = await storage.revisions.find(current._id, Number(req.params.revision));
+      if (!target) {
+        return sendError(res, 404, `Revision ${req.params.revision} not found for trip ${req.params.tripCode}`);
+      }
+
+      const fields = {};
+      CATALOGUE_FIELDS.forEach((field) => {
+        fields[field] = target.snapshot[field];
       });
+      if (!diff(current, { ...current.toObject({ virtuals: false }), ...fields }).length) {
+        return sendTrip(res, current);
+      }
+      await assertImageExists(fields.image);
+
+      const before = await storage.trips.update(req.params.tripCode, fields);
+      if (!before) {
+        return sendUpdateMiss(req, res, fields);
+      }
+      tripService.invalidate();
+
+      const trip = applyUpdate(before, fields);
+      await recordRevision({
+        before,
+        after: trip,
+        action: "revert",
+        actor: actorOf(req, userName),
+        revertedTo: target.revision
+      });
+      return sendTrip(res, trip);
+    } catch (err) {
+      return handleError(res, err);
+    }
   });
 };
 
+/**
+ * @brief   Exports the trip catalogue as JSON or CSV.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends every trip that has not been archived, ordered by code, as a file
+ *          download. The 'format' query parameter chooses 'json' (the default), an array of trips
+ *          that can be imported again, or 'csv', a spreadsheet with the price in major units.
+ *          Booking and archive details are not exported. If the format is unknown, it sends a
+ *          400 Bad Request response.
+ */
+const tripsExport = async (req, res) => {
+  const format = req.query.format || "json";
+
+  try {
+    const trips = await storage.trips.listActive();
+
+    res.attachment(`trips.${format}`);
+    if (format === "csv") {
+      return res.status(200).send(tripsToCsv(trips));
+    }
+    return res.status(200).json(trips.map(exportRecord));
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+/**
+ * @brief   Imports trips from JSON or CSV, creating new trips and updating existing ones.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function upserts the trips in the request body by code. The body is either a JSON
+ *          array of trips or, with the 'text/csv' content type, a CSV file in the export format.
+ *          Every row is validated against the trip schema first, and the import is all or
+ *          nothing: if any row is rejected, no trip is changed (see 'lib/tripCatalog.js'). With
+ *          the query parameter 'dryRun=true', the rows are validated and the changes reported
+ *          without writing them.
+ *
+ *          The response is a report with a 'rows' entry per trip giving its status: 'created',
+ *          'updated', 'unchanged', or 'rejected' with the reasons. If the body cannot be read or
+ *          any row is rejected, it sends a 400 Bad Request response with the report. Otherwise,
+ *          it sends a 200 OK response with the report.
+ */
+const tripsImport = async (req, res) => {
+  const dryRun = req.query.dryRun === "true";
+
+  let report;
+  try {
+    const trips = req.is("text/csv") ? tripsFromCsv(String(req.body)) : req.body;
+    report = await importTrips(trips, { dryRun, actor: { name: req.auth.name, email: req.auth.email } });
+  } catch (err) {
+    return handleError(res, err);
+  }
+  if (report.applied) {
+    tripService.invalidate();
+  }
+
+  if (report.rejected) {
+    let outcome = "no trips were imported";
+    if (dryRun) {
+      outcome = "the import would not be applied";
+    } else if (report.applied) {
+      outcome = "the other trips were imported";
+    }
+    const message = `${report.rejected} trip(s) rejected, ${outcome}`;
+    const details = report.rows
+      .filter((row) => row.status === "rejected")
+      .flatMap((row) => row.errors.map((error) => ({ row: row.row, ...error })));
+    return res.status(400).json({ ...errorBody(400, message, details, "import_rejected"), report });
+  }
+  return res.status(200).json({ dryRun, ...report });
+};
+
+/**
+ * @brief   Reports the use of the trip cache.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sends a 200 OK response with the number of cache hits, misses, and
+ *          clears, the hit rate, and the number of cached entries (see 'lib/tripService.js').
+ */
+const tripsCacheStats = (req, res) => res.status(200).json(tripService.cacheStats());
+
 /**
  * @brief   Retrieves a user based on the email address in the request.
  *
@@ -167,23 +609,30 @@ const tripsUpdateTrip = async (req, res) => {
 const getUser = async (req, res, callback) => {
   if (req.auth && req.auth.email) {
     try {
-      const user = await User.findOne({ email: req.auth.email }).exec();
+      const user = await storage.users.findByEmail(req.auth.email);
 
       if (!user) {
-        return res.status(404).json({ message: "User not found" });
+        return sendError(res, 404, "User not found");
       }
       callback(req, res, user.name);
     } catch (err) {
-      return res
-        .status(404)
-        .json({ message: "User not found" });
+      return handleError(res, err);
     }
   }
 };
 
 module.exports = {
   tripsList,
+  tripsSearch,
   tripsFindByCode,
   tripsAddTrip,
-  tripsUpdateTrip
+  tripsUpdateTrip,
+  tripsListArchived,
+  tripsDeleteTrip,
+  tripsRestoreTrip,
+  tripsHistory,
+  tripsRevertTrip,
+  tripsExport,
+  tripsImport,
+  tripsCacheStats
 };
@@ -0,0 +1,53 @@
+/**
+ * @file    users.js
+ * @brief   This file contains the controller functions for managing users.
+ *
+ * @details This file exports the functions that let an admin manage other users, such as
+ *          changing a user's role. These functions use the 'users' repository of the storage
+ *          backend (see 'repositories/index.js').
+ */
+
+const { users } = require("../repositories");
+const { sendError, handleError } = require("../lib/errors");
+
+/**
+ * @brief   Changes the role of a user.
+ *
+ * @param {Object} req The Express request object.
+ * @param {Object} res The Express response object.
+ *
+ * @details This function sets the role of the user whose email address matches the 'email'
+ *          parameter in the request URL to the 'role' given in the request body. If the role is
+ *          not one of the known roles, it sends a 400 Bad Request response. Admins cannot change
+ *          their own role, so the last admin cannot lock everyone out by accident. If the user
+ *          is not found, it sends a 404 Not Found response. Otherwise, it sends a 200 OK
+ *          response with the user's email, name, and new role.
+ *
+ *          The new role takes effect when the user's access token is next refreshed.
+ */
+const usersSetRole = async (req, res) => {
+  const role = req.body.role;
+
+  const email = String(req.params.email).trim().toLowerCase();
+  if (req.auth && req.auth.email === email) {
+    return sendError(res, 400, "You cannot change your own role");
+  }
+
+  try {
+    const found = await users.findByEmail(email);
+    const user = found && await users.update(found._id, { role });
+
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+    return res.status(200).json({
+      email: user.email,
+      name: user.name,
+      role: user.role
+    });
+  } catch (err) {
+    return handleError(res, err);
+  }
+};
+
+module.exports = { usersSetRole };
@@ -0,0 +1,95 @@
+/**
+ * @file    accountMail.js
+ * @brief   This file sends the password reset and email verification emails.
+ *
+ * @details Each email issues a new single-use token (see 'models/token.js') and links to a page
+ *          of the site with a form that sends it back: '/reset-password' asks for the new
+ *          password, and '/verify-email' asks the user to confirm the address (see
+ *          'app_server/controllers/account.js'). The links start with the configured APP_URL
+ *          (see 'config/load.js'). The token is also printed in the email for clients that call
+ *          the API directly, at '/api/v1/password/reset' and '/api/v1/email/verify'.
+ */
+
+const validator = require("validator");
+const config = require("../config");
+const { tokens } = require("../repositories");
+const { sendMail } = require("./mail");
+
+/**
+ * @brief   Builds a link to a page of the site with a token.
+ *
+ * @param {string} page  The path of the page.
+ * @param {string} token The plaintext token.
+ * @returns {string} The link.
+ */
+const link = (page, token) => {
+  const url = new URL(page, config.appUrl);
+  url.searchParams.set("token", token);
+  return url.toString();
+};
+
+/**
+ * @brief   Issues a token to a user and emails it as a link.
+ *
+ * @param {Object} user    The user document.
+ * @param {string} purpose The purpose of the token.
+ * @param {Object} email   The 'subject', the 'page' to link to, the 'intro' line, and the
+ *                         'action' label of the link.
+ * @returns {Promise<Object>} The 'id' of the sent message.
+ */
+const sendTokenEmail = async (user, purpose, {
+  subject,
+  page,
+  intro,
+  action
+}) => {
+  const { token, expiresAt } = await tokens.issue(user, purpose);
+  const url = link(page, token);
+  const expires = expiresAt.toUTCString();
+
+  // Names are stored HTML-escaped (see 'models/user.js')
+  const name = validator.unescape(user.name);
+
+  return sendMail({
+    to: user.email,
+    subject,
+    text: `Hello ${name},\n\n${intro}\n\n${action}: ${url}\n\n` +
+      `Or send this token to the API: ${token}\n\nThe link works once and expires on ${expires}. ` +
+      "If you did not ask for this email, you can ignore it.\n",
+    html: `<p>Hello ${user.name},</p><p>${intro}</p>` +
+      `<p><a href="${validator.escape(url)}">${action}</a></p>` +
+      `<p>The link works once and expires on ${expires}. ` +
+      "If you did not ask for this email, you can ignore it.</p>"
+  });
+};
+
+/**
+ * @brief   Emails a user a link to reset their password.
+ *
+ * @param {Object} user The user document.
+ * @returns {Promise<Object>} The 'id' of the sent message.
+ */
+const sendPasswordReset = (user) => sendTokenEmail(user, "passwordReset", {
+  subject: "Reset your Travlr Getaways password",
+  page: "/reset-password",
+  intro: "Someone asked to reset the password of your Travlr Getaways account.",
+  action: "Choose a new password"
+});
+
+/**
+ * @brief   Emails a user a link to verify their email address.
+ *
+ * @param {Object} user The user document.
+ * @returns {Promise<Object>} The 'id' of the sent message.
+ */
+const sendVerification = (user) => sendTokenEmail(user, "emailVerification", {
+  subject: "Verify your Travlr Getaways email address",
+  page: "/verify-email",
+  intro: "Please confirm that this is the email address of your Travlr Getaways account.",
+  action: "Verify my email address"
+});
+
+module.exports = {
+  sendPasswordReset,
+  sendVerification
+};
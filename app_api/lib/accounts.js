@@ -0,0 +1,71 @@
+/**
+ * @file    accounts.js
+ * @brief   This file uses up the tokens that reset passwords and verify email addresses.
+ *
+ * @details The tokens are sent by email as links to pages of the site (see 'lib/accountMail.js').
+ *          The API routes and the site pages both use them through these functions, so the site
+ *          does not call its own API over HTTP. A token is only accepted if the user still has
+ *          the email address it was sent to.
+ */
+
+const {
+  users,
+  sessions,
+  tokens
+} = require("../repositories");
+
+/**
+ * @brief   Uses up a token and finds the user it was issued to.
+ *
+ * @param {string} token   The plaintext token.
+ * @param {string} purpose The purpose the token must have.
+ * @returns {Promise<Object|null>} The user document, or null if the token is unknown, expired,
+ *                                 already used, or was sent to an address the user no longer has.
+ */
+const consumeToken = async (token, purpose) => {
+  const issued = await tokens.consume(token, purpose);
+  const user = issued && await users.findById(issued.user);
+  return user && user.email === issued.email ? user : null;
+};
+
+/**
+ * @brief   Sets a new password with a password reset token.
+ *
+ * @details Following the emailed link proves the email address, so the user is also marked as
+ *          verified. Every session of the user is revoked, so anyone signed in with the old
+ *          password is signed out.
+ *
+ * @param {string} token    The plaintext password reset token.
+ * @param {string} password The new password.
+ * @returns {Promise<Object|null>} The user document, or null if the token is not valid.
+ */
+const resetPassword = async (token, password) => {
+  const user = await consumeToken(token, "passwordReset");
+  if (!user) {
+    return null;
+  }
+
+  await user.setPassword(password);
+  await users.update(user._id, { ...user.passwordFields(), verified: true });
+  await sessions.revokeAllForUser(user._id, "password reset");
+  return user;
+};
+
+/**
+ * @brief   Marks the email address of a user as verified with a verification token.
+ *
+ * @param {string} token The plaintext verification token.
+ * @returns {Promise<Object|null>} The user document, or null if the token is not valid.
+ */
+const verifyEmail = async (token) => {
+  const user = await consumeToken(token, "emailVerification");
+  if (user) {
+    await users.update(user._id, { verified: true });
+  }
+  return user;
+};
+
+module.exports = {
+  resetPassword,
+  verifyEmail
+};
@@ -0,0 +1,91 @@
+/**
+ * @file    cache.js
+ * @brief   This file defines an in-memory cache of loaded values with hit and miss statistics.
+ *
+ * @details Each value is cached under a key for a time to live, after which it is loaded again.
+ *          The cache keeps the promise of a value while it loads, so concurrent requests for the
+ *          same key share one load. A failed load is not cached. When the cache holds more than
+ *          its maximum number of entries, the entries stored first are removed first.
+ *
+ *          `clear` removes every entry, including loads in progress, so a value read before a
+ *          change is never served after it.
+ */
+
+/**
+ * @brief   Creates a cache.
+ *
+ * @param {Object} options 'ttlMs' is how long a value is kept, in milliseconds, where 0 turns
+ *                         caching off; 'maxEntries' is the largest number of entries kept; and
+ *                         'now' returns the current time in milliseconds.
+ * @returns {Object} The cache, with the methods 'get', 'clear', and 'stats'.
+ */
+const createCache = ({
+  ttlMs,
+  maxEntries = 500,
+  now = Date.now
+}) => {
+  const entries = new Map();
+  const counts = {
+    hits: 0,
+    misses: 0,
+    clears: 0
+  };
+
+  return {
+    /**
+     * @brief   Gets a value from the cache, loading it on a miss.
+     *
+     * @param {string}   key  The key of the value.
+     * @param {Function} load Returns a promise of the value.
+     * @returns {Promise<*>} The value.
+     */
+    get: (key, load) => {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > now()) {
+        counts.hits += 1;
+        return entry.value;
+      }
+
+      counts.misses += 1;
+      const value = load();
+      if (ttlMs > 0) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: now() + ttlMs });
+        if (entries.size > maxEntries) {
+          entries.delete(entries.keys().next().value);
+        }
+        value.catch(() => {
+          if (entries.get(key) && entries.get(key).value === value) {
+            entries.delete(key);
+          }
+        });
+      }
+      return value;
+    },
+
+    /**
+     * @brief   Removes every entry.
+     */
+    clear: () => {
+      entries.clear();
+      counts.clears += 1;
+    },
+
+    /**
+     * @brief   Reports the use of the cache.
+     *
+     * @returns {Object} The number of 'hits', 'misses', and 'clears', the 'hitRate' from 0 to
+     *                   1, and the number of 'entries'.
+     */
+    stats: () => {
+      const lookups = counts.hits + counts.misses;
+      return {
+        ...counts,
+        hitRate: lookups ? Math.round((counts.hits / lookups) * 1000) / 1000 : 0,
+        entries: entries.size
+      };
+    }
+  };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,86 @@
+/**
+ * @file    counters.js
+ * @brief   This file defines the store of expiring counters used for rate limiting, with an
+ *          in-memory implementation.
+ *
+ * @details A counter store keeps named counters, each of which expires at the end of its time
+ *          window. Any object with the methods of the CounterStore type below can be used as a
+ *          store. The in-memory store is enough for a single API process and for tests; several
+ *          processes behind a load balancer need a shared store, such as one backed by Redis,
+ *          that implements the same methods.
+ */
+
+/**
+ * @typedef {Object} Counter
+ * @property {number} count   The number of times the counter has been incremented in its window.
+ * @property {number} resetAt The time the window ends, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {Object} CounterStore
+ * @property {function(string, number): Promise<Counter>} increment Adds one to a counter. If the
+ *           counter does not exist or has expired, it starts at one with a new window of the
+ *           given length in milliseconds.
+ * @property {function(string): Promise<Counter|null>} get Reads a counter, or null if it does
+ *           not exist or has expired.
+ * @property {function(string): Promise<void>} reset Removes a counter.
+ */
+
+// Number of increments between two sweeps of the expired counters
+const SWEEP_INTERVAL = 1000;
+
+/**
+ * @brief   Creates a counter store that keeps its counters in memory.
+ *
+ * @param {Object} options 'now' returns the current time in milliseconds, so tests can control
+ *                         the clock.
+ * @returns {CounterStore} The store.
+ */
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const counters = new Map();
+  let increments = 0;
+
+  // Returns a counter that has not expired, removing it if it has
+  const live = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  // Counters that are never read again would otherwise stay in memory
+  const sweep = () => {
+    increments += 1;
+    if (increments % SWEEP_INTERVAL === 0) {
+      const time = now();
+      counters.forEach((counter, key) => {
+        if (counter.resetAt <= time) {
+          counters.delete(key);
+        }
+      });
+    }
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      sweep();
+      const counter = live(key) || { count: 0, resetAt: now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    get: async (key) => {
+      const counter = live(key);
+      return counter && { ...counter };
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,114 @@
+/**
+ * @file    csv.js
+ * @brief   This file reads and writes comma separated values (RFC 4180).
+ *
+ * @details Fields may be quoted with double quotes, in which case they can contain commas, line
+ *          breaks, and doubled quotes. Both CRLF and LF line endings are accepted, as is the byte
+ *          order mark that spreadsheet programs put at the start of the file.
+ */
+
+const createError = require("http-errors");
+
+/**
+ * @brief   Parses CSV text into records keyed by the header row.
+ *
+ * @param {string} text The CSV text. The first line must be the header row.
+ * @returns {Object} The 'columns' of the header row and the 'records', one object per line with
+ *                   a property per column. Empty fields are left out of the records.
+ * @throws  {HttpError} 400 if the text is malformed.
+ */
+const parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (c === "\"") {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === "\"" && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      endField();
+    } else if (c === "\n" || (c === "\r" && text[i + 1] === "\n")) {
+      if (c === "\r") {
+        i++;
+      }
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) {
+    throw createError(400, "CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length) {
+    endRow();
+  }
+
+  // Blank lines carry no data
+  const [columns, ...lines] = rows.filter((r) => r.length > 1 || r[0] !== "");
+  if (!columns) {
+    throw createError(400, "CSV must start with a header row");
+  }
+
+  const records = lines.map((values, index) => {
+    if (values.length !== columns.length) {
+      throw createError(400, `CSV row ${index + 1} has ${values.length} fields, expected ${columns.length}`);
+    }
+    const record = {};
+    columns.forEach((column, j) => {
+      if (values[j] !== "") {
+        record[column] = values[j];
+      }
+    });
+    return record;
+  });
+  return { columns, records };
+};
+
+/**
+ * @brief   Quotes a value for CSV if it contains a comma, quote, or line break.
+ *
+ * @param {*} value The value. null and undefined are written as empty fields.
+ * @returns {string} The CSV field.
+ */
+const formatField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+/**
+ * @brief   Writes records as CSV text with a header row.
+ *
+ * @param {Array<string>} columns The columns, in order.
+ * @param {Array<Object>} records The records, with a property per column.
+ * @returns {string} The CSV text, with CRLF line endings.
+ */
+const stringify = (columns, records) => [columns, ...records.map((record) => columns.map((c) => record[c]))]
+  .map((values) => values.map(formatField).join(","))
+  .join("\r\n") + "\r\n";
+
+module.exports = {
+  parse,
+  stringify
+};
@@ -0,0 +1,115 @@
+/**
+ * @file    errors.js
+ * @brief   This file builds the error responses of the API.
+ *
+ * @details Every error response of the API has the same JSON body:
+ *
+ *            { "code": "not_found", "message": "Trip not found with code X", "details": [] }
+ *
+ *          'code' is a stable, machine readable name for the kind of error, 'message' is meant
+ *          for people, and 'details' lists the individual problems, each with a 'message' and,
+ *          where it applies, the 'field' it concerns. Validation errors from the request schemas
+ *          and from Mongoose, duplicate keys, malformed JSON bodies, and authentication errors
+ *          from 'express-jwt' are all converted into this format.
+ */
+
+const { logger } = require("./logger");
+
+// Error code for each HTTP status used by the API
+const ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  412: "precondition_failed",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "too_many_requests",
+  500: "internal_error"
+};
+
+/**
+ * @brief   Builds the body of an error response.
+ *
+ * @param {number} status  The HTTP status code.
+ * @param {string} message A description of the error.
+ * @param {Array<Object>} details The individual problems, each with a 'message' and an optional
+ *                                'field'.
+ * @param {string} code    The error code. Defaults to the code for the status.
+ * @returns {Object} The error body { code, message, details }.
+ */
+const errorBody = (status, message, details = [], code = undefined) => ({
+  code: code || ERROR_CODES[status] || (status < 500 ? "invalid_request" : "internal_error"),
+  message,
+  details
+});
+
+/**
+ * @brief   Converts any error into the status and body of an error response.
+ *
+ * @param {Error} err The error.
+ * @returns {Object} The HTTP 'status' and the error 'body'.
+ */
+const toErrorResponse = (err) => {
+  if (err.name === "ValidationError" && err.errors) {
+    const details = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+    return { status: 400, body: errorBody(400, "The request is invalid", details, "validation_failed") };
+  }
+  if (err.name === "CastError") {
+    const details = [{ field: err.path, message: `${err.path} must be a valid ${err.kind}` }];
+    return { status: 400, body: errorBody(400, "The request is invalid", details, "validation_failed") };
+  }
+  if (err.code === 11000) {
+    const details = Object.keys(err.keyValue || {}).map((field) => ({
+      field,
+      message: `${field} '${err.keyValue[field]}' is already in use`
+    }));
+    const message = details.length ? details[0].message : "A record with the same key already exists";
+    return { status: 409, body: errorBody(409, message, details, "duplicate") };
+  }
+  if (err.name === "UnauthorizedError") {
+    return { status: 401, body: errorBody(401, err.message) };
+  }
+  if (err.status && err.status < 500) {
+    // http-errors and body-parser errors
+    return { status: err.status, body: errorBody(err.status, err.message, err.details, err.code) };
+  }
+  return { status: 500, body: errorBody(500, "Internal server error") };
+};
+
+/**
+ * @brief   Sends an error response.
+ *
+ * @param {Object} res     The Express response object.
+ * @param {number} status  The HTTP status code.
+ * @param {string} message A description of the error.
+ * @param {Array<Object>} details The individual problems, if any.
+ * @param {string} code    The error code. Defaults to the code for the status.
+ * @returns {Object} The Express response object.
+ */
+const sendError = (res, status, message, details = [], code = undefined) =>
+  res.status(status).json(errorBody(status, message, details, code));
+
+/**
+ * @brief   Sends the error response for an error thrown while handling a request.
+ *
+ * @details Server errors are logged, and their details are not sent to the client.
+ *
+ * @param {Object} res The Express response object.
+ * @param {Error}  err The error.
+ * @returns {Object} The Express response object.
+ */
+const handleError = (res, err) => {
+  const { status, body } = toErrorResponse(err);
+  if (status >= 500) {
+    logger.error("Request failed", { err });
+  }
+  return res.status(status).json(body);
+};
+
+module.exports = {
+  errorBody,
+  sendError,
+  handleError
+};
@@ -0,0 +1,77 @@
+/**
+ * @file    etags.js
+ * @brief   This file builds and checks the entity tags (ETags) of trips.
+ *
+ * @details The ETag of a trip is made from its document ID, its revision number, and its number
+ *          of booked places, so it changes whenever the trip is edited or booked. Clients send it
+ *          back in an 'If-Match' header to make sure they update the version they read, and in an
+ *          'If-None-Match' header to revalidate a cached response.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @brief   Builds the ETag of a trip.
+ *
+ * @param {Object} trip The trip document.
+ * @returns {string} The quoted, strong ETag.
+ */
+const tripETag = (trip) => `"${trip._id}-${trip.revision || 0}-${trip.booked || 0}"`;
+
+/**
+ * @brief   Builds the ETag of a list of trips.
+ *
+ * @param {Array<Object>} trips The trip documents.
+ * @param {string} extra Anything else the response depends on, such as the link to the next page.
+ * @returns {string} The quoted, strong ETag.
+ */
+const listETag = (trips, extra = "") => {
+  const hash = crypto.createHash("sha1");
+  trips.forEach((trip) => hash.update(tripETag(trip)));
+  hash.update(extra);
+  return `"${hash.digest("base64url")}"`;
+};
+
+/**
+ * @brief   Parses an 'If-Match' header.
+ *
+ * @param {string|undefined} header The header value.
+ * @returns {Array<string>|string|null} null if there is no header, "*" if any version matches,
+ *                                      or the list of ETags.
+ */
+const parseIfMatch = (header) => {
+  if (header === undefined || header.trim() === "") {
+    return null;
+  }
+  if (header.trim() === "*") {
+    return "*";
+  }
+  return header.split(",").map((tag) => tag.trim()).filter(Boolean);
+};
+
+/**
+ * @brief   Reads the trip versions named by a list of ETags.
+ *
+ * @details The versions let an update apply only if the trip is still at one of the versions the
+ *          client read, in the same atomic operation (see `trips.update` in the repositories).
+ *          Weak and malformed ETags name no version.
+ *
+ * @param {Array<string>} tags The ETags from an 'If-Match' header.
+ * @returns {Array<Object>} The versions, each with the trip 'id' and its 'revision' and 'booked'
+ *                          numbers. If no ETag is valid, the list is empty and matches no trip.
+ */
+const parseVersions = (tags) => tags
+  .map((tag) => /^"([0-9a-f]{24})-(\d+)-(\d+)"$/.exec(tag))
+  .filter(Boolean)
+  .map(([, id, revision, booked]) => ({
+    id,
+    revision: Number(revision),
+    booked: Number(booked)
+  }));
+
+module.exports = {
+  tripETag,
+  listETag,
+  parseIfMatch,
+  parseVersions
+};
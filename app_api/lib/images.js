@@ -0,0 +1,196 @@
+/**
+ * @file    images.js
+ * @brief   This file stores the trip images uploaded through the API in 'public/images'.
+ *
+ * @details An upload is accepted only if it decodes as a JPEG, PNG, WebP, or GIF image; its file
+ *          name and content type are not trusted. It is stored as 'upload-<hash>.<ext>', where
+ *          <hash> comes from the SHA-256 hash of its content, so the same image uploaded twice is
+ *          stored once and a stored image never changes. A thumbnail THUMBNAIL_WIDTH pixels wide
+ *          is written with the same name to 'public/images/thumbs'.
+ *
+ *          Trips, rooms, meals, and news articles refer to their image by file name.
+ *          `collectGarbage` removes uploads that none of them refers to once they are older than
+ *          GRACE_PERIOD_MS, which leaves time to save the trip or content an image was uploaded
+ *          for. Images that were copied into 'public/images' by hand, such as 'reef1.jpg', are
+ *          not uploads and are never removed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const createError = require("http-errors");
+const sharp = require("sharp");
+const {
+  trips,
+  rooms,
+  meals,
+  news
+} = require("../repositories");
+
+const IMAGES_DIR = path.join(__dirname, "..", "..", "public", "images");
+const THUMBS_DIR = path.join(IMAGES_DIR, "thumbs");
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const THUMBNAIL_WIDTH = 400;
+const GRACE_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+// Image format reported by sharp => file extension
+const FORMATS = {
+  jpeg: "jpg",
+  png: "png",
+  webp: "webp",
+  gif: "gif"
+};
+
+// A file name in 'public/images', without any directory part
+const IMAGE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const UPLOAD_NAME = /^upload-[0-9a-f]{32}\.(jpg|png|webp|gif)$/;
+
+/**
+ * @brief   Checks whether an image exists in 'public/images'.
+ *
+ * @param {string} name The file name of the image.
+ * @returns {Promise<boolean>} True if the image exists, false otherwise.
+ */
+const imageExists = async (name) => {
+  if (typeof name !== "string" || !IMAGE_NAME.test(name)) {
+    return false;
+  }
+
+  try {
+    return (await fs.promises.stat(path.join(IMAGES_DIR, name))).isFile();
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return false;
+    }
+    throw err;
+  }
+};
+
+/**
+ * @brief   Finds the images in a list that do not exist in 'public/images'.
+ *
+ * @param {Array<string>} names The file names of the images.
+ * @returns {Promise<Set<string>>} The names of the missing images.
+ */
+const missingImages = async (names) => {
+  const unique = [...new Set(names)];
+  const exists = await Promise.all(unique.map((name) => imageExists(name)));
+  return new Set(unique.filter((name, i) => !exists[i]));
+};
+
+/**
+ * @brief   Checks that the image of a trip exists in 'public/images'.
+ *
+ * @param {string|undefined} name The file name of the image, or undefined if it is not changing.
+ * @throws  {HttpError} 400 if the image does not exist.
+ */
+const assertImageExists = async (name) => {
+  if (name === undefined || await imageExists(name)) {
+    return;
+  }
+
+  const message = `image ${name} does not exist. Upload it with POST /api/v1/images first.`;
+  throw createError(400, "The request is invalid", {
+    code: "validation_failed",
+    details: [{ field: "image", message }]
+  });
+};
+
+/**
+ * @brief   Stores an uploaded image and its thumbnail.
+ *
+ * @param {Buffer} buffer The content of the uploaded file.
+ * @returns {Promise<Object>} The stored 'image' name to use in a trip, the 'thumbnail' path
+ *                            relative to 'public/images', the image 'format', 'width', 'height',
+ *                            and 'size' in bytes, and 'created', which is false if the same
+ *                            image was already stored.
+ * @throws  {HttpError} 413 if the file is larger than MAX_BYTES, or 415 if it is not a JPEG, PNG,
+ *                      WebP, or GIF image.
+ */
+const storeImage = async (buffer) => {
+  if (buffer.length > MAX_BYTES) {
+    throw createError(413, `Images must not be larger than ${MAX_BYTES / (1024 * 1024)} MB`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    metadata = {};
+  }
+  const ext = FORMATS[metadata.format];
+  if (!ext) {
+    throw createError(415, "The file must be a JPEG, PNG, WebP, or GIF image");
+  }
+
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 32);
+  const name = `upload-${hash}.${ext}`;
+  const file = path.join(IMAGES_DIR, name);
+  const created = !(await imageExists(name));
+
+  if (created) {
+    await fs.promises.mkdir(THUMBS_DIR, { recursive: true });
+    await sharp(buffer)
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .toFile(path.join(THUMBS_DIR, name));
+    await fs.promises.writeFile(file, buffer);
+  } else {
+    // Uploading an image again restarts its grace period
+    const now = new Date();
+    await fs.promises.utimes(file, now, now);
+  }
+
+  return {
+    image: name,
+    thumbnail: `thumbs/${name}`,
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    size: buffer.length,
+    created
+  };
+};
+
+/**
+ * @brief   Removes the uploaded images that no trip, room, meal, or news article refers to.
+ *
+ * @details Archived trips still refer to their images, so restoring a trip never loses its
+ *          image. Uploads younger than GRACE_PERIOD_MS are kept.
+ *
+ * @param {Object} options 'dryRun' reports what would be removed without removing it, and 'now'
+ *                         is the time the age of the uploads is measured from.
+ * @returns {Promise<Object>} The names of the 'removed' images and the number of uploads 'kept'.
+ */
+const collectGarbage = async ({ dryRun = false, now = Date.now() } = {}) => {
+  const inUse = await Promise.all([trips, rooms, meals, news].map((repository) => repository.imagesInUse()));
+  const used = new Set(inUse.flat());
+  const uploads = (await fs.promises.readdir(IMAGES_DIR)).filter((name) => UPLOAD_NAME.test(name));
+
+  const removed = [];
+  for (const name of uploads.filter((upload) => !used.has(upload))) {
+    const file = path.join(IMAGES_DIR, name);
+    const { mtimeMs } = await fs.promises.stat(file);
+    if (now - mtimeMs < GRACE_PERIOD_MS) {
+      continue;
+    }
+
+    removed.push(name);
+    if (!dryRun) {
+      await fs.promises.rm(path.join(THUMBS_DIR, name), { force: true });
+      await fs.promises.rm(file, { force: true });
+    }
+  }
+
+  return { removed, kept: uploads.length - removed.length };
+};
+
+module.exports = {
+  IMAGES_DIR,
+  MAX_BYTES,
+  imageExists,
+  missingImages,
+  assertImageExists,
+  storeImage,
+  collectGarbage
+};
@@ -0,0 +1,150 @@
+/**
+ * @file    logger.js
+ * @brief   This file writes the logs of the server, the API, and the site.
+ *
+ * @details Each log entry is written to the standard output as one line of JSON, for example:
+ *
+ *            {"time":"2026-10-19T09:30:00.000Z","level":"info","msg":"Request","requestId":"…",
+ *             "method":"GET","url":"/travel","status":200,"durationMs":12.5}
+ *
+ *          Entries below the level set by LOG_LEVEL ("error", "warn", "info", or "debug"; see
+ *          'config/load.js') are not written. Entries written while a request is handled get
+ *          its 'requestId' (see 'lib/requestContext.js').
+ *
+ *          The fields of an entry are redacted before they are written: any field whose name
+ *          mentions a password, token, secret, authorization, or cookie is replaced with
+ *          "[REDACTED]", at any depth. Errors are written as their name, message, code, status,
+ *          and stack, rather than every property they carry, which for a Mongoose error can
+ *          include the document that failed.
+ */
+
+const config = require("../config");
+const { currentRequestId } = require("./requestContext");
+
+// Severity of each level; an entry is written if its level is at least the configured one
+const LEVELS = {
+  error: 50,
+  warn: 40,
+  info: 30,
+  debug: 20
+};
+
+// Names of the fields and query parameters whose values are never written
+const SENSITIVE = /pass(word)?|token|secret|authorization|cookie/i;
+const REDACTED = "[REDACTED]";
+
+// Nesting depth below which the fields of an entry are not written
+const MAX_DEPTH = 6;
+
+/**
+ * @brief   Redacts a value for logging.
+ *
+ * @param {*}      value The value.
+ * @param {number} depth How deep the value is in the entry.
+ * @returns {*} A copy of the value whose sensitive fields are redacted and whose errors are
+ *              reduced to their name, message, code, status, and stack.
+ */
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.status,
+      stack: value.stack
+    }, depth);
+  }
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Object]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  // Documents and IDs are written as their JSON, e.g. an ObjectId as its hex string
+  const source = typeof value.toJSON === "function" ? value.toJSON() : value;
+  if (source === null || typeof source !== "object") {
+    return source;
+  }
+  return Object.keys(source).reduce((copy, key) => {
+    copy[key] = SENSITIVE.test(key) ? REDACTED : redact(source[key], depth + 1);
+    return copy;
+  }, {});
+};
+
+/**
+ * @brief   Redacts the sensitive query parameters of a URL, such as the token of an email link.
+ *
+ * @param {string} url The URL, e.g. '/verify-email?token=abc'.
+ * @returns {string} The URL with the values of the sensitive parameters redacted, e.g.
+ *                   '/verify-email?token=%5BREDACTED%5D'.
+ */
+const redactUrl = (url) => {
+  const start = url.indexOf("?");
+  if (start === -1) {
+    return url;
+  }
+  const params = new URLSearchParams(url.slice(start + 1));
+  [...params.keys()].filter((name) => SENSITIVE.test(name)).forEach((name) => params.set(name, REDACTED));
+  return `${url.slice(0, start)}?${params}`;
+};
+
+/**
+ * @brief   Creates a logger.
+ *
+ * @param {Object} options 'level' is the lowest level written, 'bindings' are fields added to
+ *                         every entry, and 'write' writes a line (by default, to the standard
+ *                         output).
+ * @returns {Object} The logger, with a method for each level, e.g. 'logger.info(msg, fields)',
+ *                   and 'child(bindings)', which creates a logger that adds more fields.
+ */
+const createLogger = ({
+  level = "info",
+  bindings = {},
+  write = (line) => process.stdout.write(line)
+} = {}) => {
+  const threshold = LEVELS[level];
+
+  /**
+   * @brief   Creates the method of a level.
+   *
+   * @param {string} name The level.
+   * @returns {Function} A function that writes a message with optional fields at that level.
+   */
+  const at = (name) => (msg, fields = {}) => {
+    if (LEVELS[name] < threshold) {
+      return;
+    }
+    const requestId = currentRequestId();
+    write(`${JSON.stringify({
+      time: new Date().toISOString(),
+      level: name,
+      msg,
+      ...(requestId ? { requestId } : {}),
+      ...redact({ ...bindings, ...fields })
+    })}\n`);
+  };
+
+  return {
+    error: at("error"),
+    warn: at("warn"),
+    info: at("info"),
+    debug: at("debug"),
+    child: (more) => createLogger({
+      level,
+      bindings: { ...bindings, ...more },
+      write
+    })
+  };
+};
+
+const logger = createLogger({ level: config.log.level });
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  redactUrl
+};
@@ -0,0 +1,156 @@
+/**
+ * @file    mail.js
+ * @brief   This file sends email through a pluggable mail transport.
+ *
+ * @details A mail transport is any object with a `send(message)` method that delivers a message
+ *          { from, to, subject, text, html } and resolves to { id }. Three transports are
+ *          provided:
+ *
+ *            console  Prints each message to the console. This is the default.
+ *            file     Writes each message as a JSON file to a directory, where development tools
+ *                     and tests can read it.
+ *            smtp     Sends each message to an SMTP server, such as a mail provider or a local
+ *                     stand-in like Mailpit or MailHog.
+ *
+ *          The transport and its settings come from the configuration (see 'config/load.js'):
+ *
+ *            MAIL_TRANSPORT   "console", "file", or "smtp".
+ *            MAIL_DIR         The directory of the file transport. Defaults to 'travlr-mail' in
+ *                             the system's temporary directory.
+ *            SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *                             The server of the smtp transport. Defaults to 127.0.0.1:1025
+ *                             without TLS or authentication, where local stand-ins listen.
+ *            MAIL_FROM        The sender of every message.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const config = require("../config");
+const { logger } = require("./logger");
+
+/**
+ * @brief   Creates a transport that prints each message to the console.
+ *
+ * @returns {Object} The transport.
+ */
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    const id = crypto.randomUUID();
+    console.log(`Mail ${id} to ${message.to}: ${message.subject}\n\n${message.text}\n`);
+    return { id };
+  }
+});
+
+/**
+ * @brief   Creates a transport that writes each message to a directory.
+ *
+ * @details Each message is written as '<time>-<id>.json', so the files sort in the order the
+ *          messages were sent.
+ *
+ * @param {Object} options 'dir' is the directory, which is created if it does not exist.
+ * @returns {Object} The transport.
+ */
+const createFileTransport = ({ dir }) => ({
+  send: async (message) => {
+    const id = crypto.randomUUID();
+    const sentAt = new Date();
+    const file = path.join(dir, `${sentAt.getTime()}-${id}.json`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+      id,
+      sentAt,
+      ...message
+    }, null, 2));
+    logger.info("Mail written", {
+      mailId: id,
+      file
+    });
+    return { id };
+  }
+});
+
+/**
+ * @brief   Creates a transport that sends each message to an SMTP server.
+ *
+ * @param {Object} options The 'host', 'port', and 'secure' (TLS) settings of the server, and the
+ *                         'user' and 'pass' to authenticate with, if any.
+ * @returns {Object} The transport.
+ */
+const createSmtpTransport = ({
+  host,
+  port,
+  secure = false,
+  user,
+  pass
+}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * @brief   Creates the transport described by the mail configuration.
+ *
+ * @param {Object} mail The 'transport' name, the 'dir' of the file transport, and the 'smtp'
+ *                      settings.
+ * @returns {Object} The transport.
+ * @throws  {Error} If the transport is not known.
+ */
+const createTransport = (mail = config.mail) => {
+  switch (mail.transport) {
+    case "console":
+      return createConsoleTransport();
+    case "file":
+      return createFileTransport({ dir: mail.dir });
+    case "smtp":
+      return createSmtpTransport(mail.smtp);
+    default:
+      throw new Error(`Unknown mail transport '${mail.transport}'`);
+  }
+};
+
+let transport = null;
+
+/**
+ * @brief   Replaces the transport used by `sendMail`, for example with a stub in tests.
+ *
+ * @param {Object|null} next The transport, or null to use the configured one.
+ */
+const setTransport = (next) => {
+  transport = next;
+};
+
+/**
+ * @brief   Sends a message.
+ *
+ * @param {Object} message The 'to' address, 'subject', and 'text' and 'html' bodies.
+ * @returns {Promise<Object>} The 'id' of the sent message.
+ */
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport.send({ from: config.mail.from, ...message });
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransport,
+  setTransport,
+  sendMail
+};
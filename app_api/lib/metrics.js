@@ -0,0 +1,114 @@
+/**
+ * @file    metrics.js
+ * @brief   This file counts the requests of the server and writes them in the Prometheus text
+ *          format.
+ *
+ * @details Requests are counted by method, route, and status, and their durations are recorded
+ *          in a histogram with the same labels. The route is the pattern of the Express route,
+ *          such as '/api/v1/trips/:tripCode', rather than the path, so that each trip does not
+ *          become a series of its own. See 'middleware/metrics.js'.
+ *
+ *          The format is described at
+ *          https://prometheus.io/docs/instrumenting/exposition_formats/.
+ */
+
+// Upper bounds of the duration histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @brief   Escapes the value of a label.
+ *
+ * @param {*} value The value.
+ * @returns {string} The value with backslashes, double quotes, and newlines escaped.
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+/**
+ * @brief   Writes a set of labels.
+ *
+ * @param {Object} labels The labels, mapped to their values.
+ * @returns {string} The labels in braces, e.g. '{method="GET",status="200"}', or "" if there are
+ *                   none.
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map((name) => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * @brief   Writes a metric with its help text and type.
+ *
+ * @param {string} name    The name of the metric.
+ * @param {string} type    "counter", "gauge", or "histogram".
+ * @param {string} help    What the metric measures.
+ * @param {Array<string>} samples The lines of its samples.
+ * @returns {string} The lines of the metric.
+ */
+const formatMetric = (name, type, help, samples) =>
+  [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples].join("\n");
+
+/**
+ * @brief   Creates a set of request metrics.
+ *
+ * @param {Object} options 'buckets' are the upper bounds of the duration histogram, in seconds.
+ * @returns {Object} The metrics, with the methods 'observe' and 'render'.
+ */
+const createMetrics = ({ buckets = DEFAULT_BUCKETS } = {}) => {
+  const series = new Map();
+
+  return {
+    /**
+     * @brief   Records a request.
+     *
+     * @param {Object} labels  The 'method', 'route', and 'status' of the request.
+     * @param {number} seconds How long the request took.
+     */
+    observe: (labels, seconds) => {
+      const key = JSON.stringify(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = {
+          labels,
+          count: 0,
+          sum: 0,
+          buckets: buckets.map(() => 0)
+        };
+        series.set(key, entry);
+      }
+      entry.count += 1;
+      entry.sum += seconds;
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) {
+          entry.buckets[i] += 1;
+        }
+      });
+    },
+
+    /**
+     * @brief   Writes the metrics in the Prometheus text format.
+     *
+     * @param {Array<Object>} gauges Other values to include, each with its 'name', 'type',
+     *                               'help', and 'value'.
+     * @returns {string} The metrics.
+     */
+    render: (gauges = []) => {
+      const entries = [...series.values()];
+      const metrics = [
+        formatMetric("http_requests_total", "counter", "The number of HTTP requests, by method, route, and status.",
+          entries.map((e) => `http_requests_total${formatLabels(e.labels)} ${e.count}`)),
+        formatMetric("http_request_duration_seconds", "histogram", "How long HTTP requests took, in seconds.",
+          entries.flatMap((e) => [
+            ...buckets.map((bound, i) =>
+              `http_request_duration_seconds_bucket${formatLabels({ ...e.labels, le: bound })} ${e.buckets[i]}`),
+            `http_request_duration_seconds_bucket${formatLabels({ ...e.labels, le: "+Inf" })} ${e.count}`,
+            `http_request_duration_seconds_sum${formatLabels(e.labels)} ${e.sum}`,
+            `http_request_duration_seconds_count${formatLabels(e.labels)} ${e.count}`
+          ])),
+        ...gauges.map((g) => formatMetric(g.name, g.type, g.help, [`${g.name} ${g.value}`]))
+      ];
+      return `${metrics.join("\n")}\n`;
+    }
+  };
+};
+
+module.exports = { createMetrics };
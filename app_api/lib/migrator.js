@@ -0,0 +1,155 @@
+/**
+ * @file    migrator.js
+ * @brief   This file runs the versioned database migrations in 'app_api/migrations'.
+ *
+ * @details Each migration is a file named '<number>-<name>.js' that exports a 'description' and
+ *          the async functions 'up(db, options)' and 'down(db, options)'. Migrations run in file
+ *          name order. Applied migrations are recorded in the 'migrations' collection, so running
+ *          'up' again only applies the pending ones. A migration that reports 'rejected' documents
+ *          is not recorded, and the migrations after it are not run: it stays pending until the
+ *          documents are fixed and 'up' is run again.
+ *
+ *          Reverting a migration usually loses data, so 'down' is treated as destructive. A
+ *          migration may list other destructive directions in its 'destructive' export.
+ *          Destructive operations are refused unless the TRAVLR_ALLOW_DESTRUCTIVE environment
+ *          variable is set to 'true' (see 'config/load.js'). Dry runs never write and are always
+ *          allowed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const createError = require("http-errors");
+const config = require("../config");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const COLLECTION = "migrations";
+
+/**
+ * @brief   Checks whether destructive operations have been explicitly allowed.
+ *
+ * @returns {boolean} True if TRAVLR_ALLOW_DESTRUCTIVE is 'true', false otherwise.
+ */
+const destructiveAllowed = () => config.migrations.allowDestructive;
+
+/**
+ * @brief   Refuses a destructive operation unless it is a dry run or explicitly allowed.
+ *
+ * @param {string}  operation A description of the operation, used in the error message.
+ * @param {boolean} dryRun    True if the operation will not write anything.
+ * @throws  {HttpError} 403 if the operation is refused.
+ */
+const guardDestructive = (operation, dryRun) => {
+  if (!dryRun && !destructiveAllowed()) {
+    throw createError(403, `Refusing to ${operation}: it is destructive. ` +
+      "Set TRAVLR_ALLOW_DESTRUCTIVE=true to allow it, or use --dry-run to preview it.");
+  }
+};
+
+/**
+ * @brief   Loads every migration, in the order they are applied.
+ *
+ * @returns {Array<Object>} The migrations, each with its 'id' (the file name without '.js').
+ */
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => /^\d+-.+\.js$/.test(file))
+  .sort()
+  .map((file) => {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    return {
+      id: path.basename(file, ".js"),
+      destructive: ["down"],
+      ...migration
+    };
+  });
+
+/**
+ * @brief   Lists every migration and whether it has been applied.
+ *
+ * @param {Db} db The native MongoDB database handle.
+ * @returns {Promise<Array<Object>>} The migrations with their 'id', 'description', and the
+ *                                   'appliedAt' time, which is null for pending migrations.
+ */
+const status = async (db) => {
+  const applied = await db.collection(COLLECTION).find().toArray();
+  const appliedAt = new Map(applied.map((m) => [m._id, m.appliedAt]));
+
+  return loadMigrations().map((m) => ({
+    id: m.id,
+    description: m.description,
+    appliedAt: appliedAt.get(m.id) || null
+  }));
+};
+
+/**
+ * @brief   Applies every pending migration in order.
+ *
+ * @details Stops after a migration that rejected any documents, without recording it.
+ *
+ * @param {Db} db The native MongoDB database handle.
+ * @param {Object} options 'dryRun' reports what would change without writing.
+ * @returns {Promise<Array<Object>>} The 'id' and 'report' of each migration that was run, and
+ *                                   whether it was 'recorded' as applied.
+ */
+const up = async (db, { dryRun = false } = {}) => {
+  const pending = (await status(db)).filter((m) => !m.appliedAt).map((m) => m.id);
+  const migrations = loadMigrations().filter((m) => pending.includes(m.id));
+  const results = [];
+
+  for (const migration of migrations) {
+    if (migration.destructive.includes("up")) {
+      guardDestructive(`apply ${migration.id}`, dryRun);
+    }
+
+    const report = await migration.up(db, { dryRun });
+    const rejected = Boolean(report && report.rejected && report.rejected.length);
+    if (!dryRun && !rejected) {
+      await db.collection(COLLECTION).insertOne({
+        _id: migration.id,
+        description: migration.description,
+        appliedAt: new Date()
+      });
+    }
+    results.push({
+      id: migration.id,
+      report,
+      recorded: !dryRun && !rejected
+    });
+    if (rejected) {
+      break;
+    }
+  }
+  return results;
+};
+
+/**
+ * @brief   Reverts the most recently applied migration.
+ *
+ * @param {Db} db The native MongoDB database handle.
+ * @param {Object} options 'dryRun' reports what would change without writing.
+ * @returns {Promise<Object|null>} The 'id' and 'report' of the reverted migration, or null if no
+ *                                 migration has been applied.
+ */
+const down = async (db, { dryRun = false } = {}) => {
+  const applied = (await status(db)).filter((m) => m.appliedAt);
+  if (!applied.length) {
+    return null;
+  }
+
+  const last = applied[applied.length - 1];
+  const migration = loadMigrations().find((m) => m.id === last.id);
+  if (migration.destructive.includes("down")) {
+    guardDestructive(`revert ${migration.id}`, dryRun);
+  }
+
+  const report = await migration.down(db, { dryRun });
+  if (!dryRun) {
+    await db.collection(COLLECTION).deleteOne({ _id: migration.id });
+  }
+  return { id: migration.id, report };
+};
+
+module.exports = {
+  status,
+  up,
+  down
+};
@@ -0,0 +1,119 @@
+/**
+ * @file    passwords.js
+ * @brief   This file hashes and verifies user passwords.
+ *
+ * @details Passwords are hashed with scrypt on the libuv thread pool, so hashing does not block
+ *          other requests. Each user stores the algorithm and parameters their hash was made
+ *          with next to the hash and salt:
+ *
+ *            pbkdf2  PBKDF2 with 'iterations', 'digest', and 'keyLength'. Users created before
+ *                    the algorithm was stored have no algorithm and use LEGACY_PARAMS.
+ *            scrypt  scrypt with cost 'N', block size 'r', parallelization 'p', and 'keyLength'.
+ *
+ *          New hashes are made with CURRENT_ALGORITHM and CURRENT_PARAMS. A hash made with any
+ *          other algorithm or parameters still verifies, and `needsRehash` tells the caller to
+ *          hash the password again the next time it is known, i.e. after a successful login.
+ *          Raising the cost is a matter of changing CURRENT_PARAMS.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+const scrypt = promisify(crypto.scrypt);
+
+const LEGACY_ALGORITHM = "pbkdf2";
+const LEGACY_PARAMS = {
+  iterations: 100000,
+  digest: "sha512",
+  keyLength: 64
+};
+
+const CURRENT_ALGORITHM = "scrypt";
+const CURRENT_PARAMS = {
+  N: 2 ** 15,
+  r: 8,
+  p: 1,
+  keyLength: 64
+};
+
+// Hash function of each algorithm => derived key, as a Buffer
+const ALGORITHMS = {
+  pbkdf2: (password, salt, params) =>
+    pbkdf2(password, salt, params.iterations, params.keyLength, params.digest),
+  scrypt: (password, salt, params) => scrypt(password, salt, params.keyLength, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    // scrypt needs 128 * N * r bytes, which is more than the default limit allows for large N
+    maxmem: 256 * params.N * params.r
+  })
+};
+
+/**
+ * @brief   Hashes a password with the current algorithm and parameters.
+ *
+ * @param {string} password The plaintext password.
+ * @returns {Promise<Object>} The 'hash' and 'salt', hex encoded, and the 'algorithm' and
+ *                            'params' they were made with.
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await ALGORITHMS[CURRENT_ALGORITHM](String(password), salt, CURRENT_PARAMS);
+  return {
+    hash: key.toString("hex"),
+    salt,
+    algorithm: CURRENT_ALGORITHM,
+    params: { ...CURRENT_PARAMS }
+  };
+};
+
+/**
+ * @brief   Checks a password against a stored hash.
+ *
+ * @details The hashes are compared in constant time. Without a stored hash, for example when no
+ *          user has the email address given at login, a hash is still made and false is returned,
+ *          so the time taken does not reveal whether the user exists.
+ *
+ * @param {string} password The plaintext password.
+ * @param {Object} stored   The stored 'hash', 'salt', 'algorithm', and 'params'.
+ * @returns {Promise<boolean>} True if the password matches, false otherwise.
+ */
+const verifyPassword = async (password, stored) => {
+  if (!stored || !stored.hash || !stored.salt) {
+    await hashPassword(password);
+    return false;
+  }
+
+  const algorithm = stored.algorithm || LEGACY_ALGORITHM;
+  const derive = ALGORITHMS[algorithm];
+  if (!derive) {
+    throw new Error(`Unknown password hashing algorithm '${algorithm}'`);
+  }
+
+  const expected = Buffer.from(stored.hash, "hex");
+  const key = await derive(String(password), stored.salt, stored.params || LEGACY_PARAMS);
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+};
+
+/**
+ * @brief   Checks whether a stored hash was made with other than the current algorithm and
+ *          parameters.
+ *
+ * @param {Object} stored The stored 'algorithm' and 'params'.
+ * @returns {boolean} True if the password should be hashed again.
+ */
+const needsRehash = (stored) => {
+  if (stored.algorithm !== CURRENT_ALGORITHM || !stored.params) {
+    return true;
+  }
+  return Object.keys(CURRENT_PARAMS).some((key) => stored.params[key] !== CURRENT_PARAMS[key]);
+};
+
+module.exports = {
+  CURRENT_ALGORITHM,
+  CURRENT_PARAMS,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
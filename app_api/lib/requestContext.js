@@ -0,0 +1,37 @@
+/**
+ * @file    requestContext.js
+ * @brief   This file keeps the ID of the request being handled, so that code called while
+ *          handling it can find the ID without being passed the request.
+ *
+ * @details The ID is set for each request by 'middleware/requestId.js' and follows the request
+ *          through callbacks, promises, and awaits (see Node's AsyncLocalStorage). The logger
+ *          adds it to every line it writes (see 'lib/logger.js').
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @brief   Runs a function as part of a request.
+ *
+ * @param {string}   requestId The ID of the request.
+ * @param {Function} fn        The function, which handles the request.
+ * @returns {*} What the function returns.
+ */
+const runWithRequestId = (requestId, fn) => storage.run({ requestId }, fn);
+
+/**
+ * @brief   Finds the ID of the request being handled.
+ *
+ * @returns {string|undefined} The ID, or undefined outside a request, e.g. at startup.
+ */
+const currentRequestId = () => {
+  const store = storage.getStore();
+  return store ? store.requestId : undefined;
+};
+
+module.exports = {
+  runWithRequestId,
+  currentRequestId
+};
@@ -0,0 +1,113 @@
+/**
+ * @file    seeder.js
+ * @brief   This file loads trips and website content from JSON seed files into the storage
+ *          backend.
+ *
+ * @details Seeding is idempotent: the trips in the file are imported by code (see
+ *          'lib/tripCatalog.js'), so running the seed again updates the existing trips instead of
+ *          duplicating them, and trips that are not in the file are left alone. Bookings and
+ *          archive state are kept. If any trip in the file is invalid, nothing is written.
+ *
+ *          The rooms, meals, and news articles of the website are seeded in the same way from
+ *          CONTENT_SEED_FILES, by code. Content that is not in the files, such as articles added
+ *          through the API, is left alone.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const createError = require("http-errors");
+const { importTrips } = require("./tripCatalog");
+const {
+  Room,
+  Meal,
+  News
+} = require("../models/content");
+const storage = require("../repositories");
+
+const DATA_DIR = path.join(__dirname, "..", "..", "data");
+const DEFAULT_SEED_FILE = path.join(DATA_DIR, "trips.json");
+
+// Kind of content, which is also the name of its repository => its model and seed file
+const CONTENT_SEED_FILES = {
+  rooms: { Model: Room, file: path.join(DATA_DIR, "rooms.json") },
+  meals: { Model: Meal, file: path.join(DATA_DIR, "meals.json") },
+  news: { Model: News, file: path.join(DATA_DIR, "news.json") }
+};
+
+/**
+ * @brief   Upserts the trips of a seed file by code.
+ *
+ * @param {Object} options 'file' is the seed file (data/trips.json by default), and 'dryRun'
+ *                         reports what would change without writing.
+ * @returns {Promise<Object>} The import report (see `importTrips`).
+ */
+const seedTrips = async ({ file = DEFAULT_SEED_FILE, dryRun = false } = {}) =>
+  importTrips(JSON.parse(fs.readFileSync(file, "utf8")), { dryRun, actor: { name: "seed" } });
+
+/**
+ * @brief   Upserts the documents of one kind of content by code.
+ *
+ * @param {Model}  Model      The Mongoose model of the content.
+ * @param {Object} repository The repository of the content (see 'repositories').
+ * @param {Array<Object>} docs The documents to seed.
+ * @param {boolean} dryRun True to report what would change without writing.
+ * @returns {Promise<Object>} The number of documents 'created', 'updated', and 'unchanged'.
+ * @throws  {HttpError} 400 if any document is invalid, in which case nothing is written.
+ */
+const seedCollection = async (Model, repository, docs, dryRun) => {
+  docs.forEach((doc) => {
+    const invalid = new Model(doc).validateSync();
+    if (invalid) {
+      throw createError(400, `Invalid ${Model.modelName} ${doc.code}: ${invalid.message}`);
+    }
+  });
+
+  const report = {
+    created: 0,
+    updated: 0,
+    unchanged: 0
+  };
+  for (const doc of docs) {
+    const existing = await repository.findByCode(doc.code);
+    if (!existing) {
+      report.created += 1;
+      if (!dryRun) {
+        await repository.create(doc);
+      }
+      continue;
+    }
+
+    existing.set(doc);
+    if (!existing.isModified()) {
+      report.unchanged += 1;
+      continue;
+    }
+    report.updated += 1;
+    if (!dryRun) {
+      await repository.update(doc.code, doc);
+    }
+  }
+  return report;
+};
+
+/**
+ * @brief   Upserts the rooms, meals, and news articles of the content seed files by code.
+ *
+ * @param {Object} options 'dryRun' reports what would change without writing.
+ * @returns {Promise<Object>} The report of each kind of content, as returned by
+ *                            `seedCollection`, by the keys of CONTENT_SEED_FILES.
+ */
+const seedContent = async ({ dryRun = false } = {}) => {
+  const reports = {};
+  for (const [kind, { Model, file }] of Object.entries(CONTENT_SEED_FILES)) {
+    reports[kind] = await seedCollection(Model, storage[kind], JSON.parse(fs.readFileSync(file, "utf8")), dryRun);
+  }
+  return reports;
+};
+
+module.exports = {
+  DEFAULT_SEED_FILE,
+  CONTENT_SEED_FILES,
+  seedTrips,
+  seedContent
+};
@@ -0,0 +1,139 @@
+/**
+ * @file    shutdown.js
+ * @brief   This file shuts the server down gracefully when the process is asked to stop.
+ *
+ * @details On SIGTERM or SIGINT (and SIGUSR2, which nodemon sends before a restart), the server:
+ *
+ *            1. stops accepting connections, and '/readyz' answers 503 so a load balancer stops
+ *               sending it requests (see 'controllers/health.js');
+ *            2. lets the requests in flight finish, closing each connection after its response
+ *               instead of keeping it alive for another request;
+ *            3. closes the remaining connections if the requests have not finished within the
+ *               timeout (SHUTDOWN_TIMEOUT_SECONDS, see 'config/load.js');
+ *            4. runs the cleanup, which closes the database connection, and exits.
+ *
+ *          A second signal while the server drains exits at once.
+ */
+
+const readLine = require("readline");
+const { logger } = require("./logger");
+
+let shuttingDown = false;
+
+/**
+ * @brief   Tells whether the server is shutting down.
+ *
+ * @returns {boolean} True once a shutdown has started.
+ */
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * @brief   Keeps track of the requests a server is handling.
+ *
+ * @param {http.Server} server The server.
+ * @returns {Set<http.ServerResponse>} The responses of the requests in flight.
+ */
+const trackRequests = (server) => {
+  const inFlight = new Set();
+  server.on("request", (req, res) => {
+    inFlight.add(res);
+    if (shuttingDown) {
+      res.setHeader("Connection", "close");
+    }
+    res.on("close", () => {
+      inFlight.delete(res);
+      if (shuttingDown) {
+        server.closeIdleConnections();
+      }
+    });
+  });
+  return inFlight;
+};
+
+/**
+ * @brief   Stops a server and waits for its requests in flight to finish.
+ *
+ * @param {http.Server} server   The server.
+ * @param {Set<http.ServerResponse>} inFlight The responses of the requests in flight.
+ * @param {number}      timeoutMs How long to wait for the requests, in milliseconds.
+ * @returns {Promise<boolean>} True if every request finished, or false if the connections were
+ *                             closed at the timeout.
+ */
+const drain = (server, inFlight, timeoutMs) => new Promise((resolve) => {
+  inFlight.forEach((res) => {
+    if (!res.headersSent) {
+      res.setHeader("Connection", "close");
+    }
+  });
+
+  const timer = setTimeout(() => {
+    logger.warn("Closing the connections of the requests still in flight", {
+      requests: inFlight.size,
+      timeoutSeconds: timeoutMs / 1000
+    });
+    server.closeAllConnections();
+    resolve(false);
+  }, timeoutMs);
+  server.close(() => {
+    clearTimeout(timer);
+    resolve(true);
+  });
+  server.closeIdleConnections();
+});
+
+/**
+ * @brief   Shuts a server down gracefully on SIGTERM, SIGINT, and SIGUSR2.
+ *
+ * @param {http.Server} server  The server.
+ * @param {Object}      options 'timeoutMs' is how long to wait for the requests in flight, and
+ *                              'cleanup' returns a promise that closes everything else, such as
+ *                              the database connection.
+ */
+const handleSignals = (server, { timeoutMs, cleanup }) => {
+  const inFlight = trackRequests(server);
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn("Signal received again; exiting now", { signal });
+      process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info("Shutting down", {
+      signal,
+      requests: inFlight.size
+    });
+
+    try {
+      await drain(server, inFlight, timeoutMs);
+      await cleanup();
+    } catch (err) {
+      logger.error("Shutdown failed", { err });
+      process.exit(1);
+    }
+    logger.info("Shutdown complete");
+
+    if (signal === "SIGUSR2") {
+      // Let nodemon restart the process
+      process.kill(process.pid, "SIGUSR2");
+    } else {
+      process.exit(0);
+    }
+  };
+
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.once("SIGUSR2", () => shutdown("SIGUSR2"));
+
+  // Windows does not send SIGINT to Node on Ctrl+C, so emit it from the console
+  if (process.platform === "win32") {
+    readLine.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    }).on("SIGINT", () => process.emit("SIGINT"));
+  }
+};
+
+module.exports = {
+  isShuttingDown,
+  handleSignals
+};
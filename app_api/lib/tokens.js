@@ -0,0 +1,30 @@
+/**
+ * @file    tokens.js
+ * @brief   This file creates and hashes the random tokens handed to clients.
+ *
+ * @details Refresh tokens, password reset tokens, and email verification tokens are random
+ *          strings that are sent to the client once. Only their hashes are stored, so a copy of
+ *          the database cannot be used to sign in or to reset a password.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @brief   Creates a new random token.
+ *
+ * @returns {string} A URL-safe token.
+ */
+const newToken = () => crypto.randomBytes(48).toString("base64url");
+
+/**
+ * @brief   Hashes a token for storage and lookup.
+ *
+ * @param {string} token The plaintext token.
+ * @returns {string} The SHA-256 hash of the token, hex encoded.
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = {
+  newToken,
+  hashToken
+};
@@ -0,0 +1,261 @@
+/**
+ * @file    tripCatalog.js
+ * @brief   This file imports and exports the trip catalogue as JSON or CSV.
+ *
+ * @details An import upserts trips by 'code'. Every row is validated against the trip schema
+ *          before anything is written: if any row is rejected, no trip is changed. A trip whose
+ *          new capacity is below its places booked is rejected, and the storage backend checks
+ *          that again as it writes, in case places were booked in between. Only the
+ *          catalogue fields are written, so the booked places and archive state of existing
+ *          trips are kept. Each created or updated trip gets a revision in its history (see
+ *          'lib/tripHistory.js'). The image of every trip must already exist in 'public/images'
+ *          (see 'lib/images.js').
+ *
+ *          The write itself is atomic on the memory backend and on MongoDB replica sets and
+ *          sharded clusters, which write the trips in a transaction. On a standalone MongoDB
+ *          server the import is not atomic: a trip rejected while writing does not stop the
+ *          others, and if the database fails part way through the write, the trips written
+ *          before the failure stay changed (see `trips.upsertMany` in
+ *          'repositories/mongodb/trips.js').
+ *
+ *          JSON files hold an array of trips in the API format. CSV files have a header row with
+ *          the columns in CSV_COLUMNS, and give the price in major units (e.g. "799.00") with its
+ *          currency in a separate column. Both formats also accept the older 'perPerson' and
+ *          'length' strings (see 'lib/tripFields.js').
+ */
+
+const util = require("util");
+const createError = require("http-errors");
+const Trip = require("../models/travlr");
+const { trips: tripStore } = require("../repositories");
+const csv = require("./csv");
+const { recordRevision } = require("./tripHistory");
+const { missingImages } = require("./images");
+const {
+  DEFAULT_CURRENCY,
+  CATALOGUE_FIELDS,
+  parsePrice,
+  formatPrice,
+  typedFieldsFromInput
+} = require("./tripFields");
+
+const CSV_COLUMNS = ["code", "name", "nights", "days", "start", "resort", "price", "currency", "capacity", "image", "description"];
+
+/**
+ * @brief   Converts the records of a CSV file into trips in the API format.
+ *
+ * @param {string} text The CSV text.
+ * @returns {Array<Object>} The trips, one per CSV record.
+ * @throws  {HttpError} 400 if the CSV is malformed or has unknown columns.
+ */
+const tripsFromCsv = (text) => {
+  const { columns, records } = csv.parse(text);
+  const legacy = ["perPerson", "length"];
+  const unknown = columns.filter((c) => !CSV_COLUMNS.includes(c) && !legacy.includes(c));
+  if (unknown.length) {
+    throw createError(400, `Unknown CSV column(s): ${unknown.join(", ")}`);
+  }
+
+  return records.map((record) => {
+    const trip = { ...record };
+    delete trip.currency;
+    if (record.price !== undefined) {
+      const price = parsePrice(record.price);
+      if (price) {
+        trip.price = { amount: price.amount, currency: record.currency || DEFAULT_CURRENCY };
+      } else {
+        // Reported by typedFieldsFromInput as an unreadable price
+        trip.perPerson = record.price;
+        delete trip.price;
+      }
+    }
+    return trip;
+  });
+};
+
+/**
+ * @brief   Converts a trip into the fields written by an export.
+ *
+ * @param {Object} trip The trip document.
+ * @returns {Object} The catalogue fields of the trip, with 'start' as an ISO 8601 string.
+ */
+const exportRecord = (trip) => {
+  const record = {};
+  CATALOGUE_FIELDS.forEach((field) => {
+    record[field] = trip.get(field);
+  });
+  record.start = record.start && record.start.toISOString();
+  record.price = trip.price && { amount: trip.price.amount, currency: trip.price.currency };
+  return record;
+};
+
+/**
+ * @brief   Writes trips as CSV.
+ *
+ * @param {Array<Object>} trips The trip documents.
+ * @returns {string} The CSV text, with the price in major units.
+ */
+const tripsToCsv = (trips) => csv.stringify(CSV_COLUMNS, trips.map((trip) => {
+  const record = exportRecord(trip);
+  return {
+    ...record,
+    price: record.price && formatPrice(record.price.amount),
+    currency: record.price && record.price.currency
+  };
+}));
+
+/**
+ * @brief   Validates an imported trip and converts it into the fields to write.
+ *
+ * @param {Object} row A trip from the import.
+ * @returns {Object} The cast fields to write as { fields }, or the validation problems as
+ *                   { errors }, each with a 'message' and the 'field' it concerns, if any.
+ */
+const prepareRow = (row) => {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { errors: [{ message: "each trip must be an object" }] };
+  }
+
+  let typed;
+  try {
+    typed = typedFieldsFromInput(row);
+  } catch (err) {
+    return { errors: [{ message: err.message }] };
+  }
+
+  const input = {};
+  CATALOGUE_FIELDS.forEach((field) => {
+    const value = typed[field] !== undefined ? typed[field] : row[field];
+    if (value !== undefined && value !== null && value !== "") {
+      input[field] = value;
+    }
+  });
+
+  const trip = new Trip(input);
+  const invalid = trip.validateSync();
+  if (invalid) {
+    return { errors: Object.values(invalid.errors).map((e) => ({ field: e.path, message: e.message })) };
+  }
+
+  const cast = trip.toObject({ virtuals: false });
+  const fields = {};
+  Object.keys(input).forEach((field) => {
+    fields[field] = cast[field];
+  });
+  return { fields };
+};
+
+/**
+ * @brief   Checks whether an import would change any field of an existing trip.
+ *
+ * @param {Object} existing The stored trip.
+ * @param {Object} fields   The fields to write.
+ * @returns {boolean} True if any field differs, false otherwise.
+ */
+const differs = (existing, fields) =>
+  Object.keys(fields).some((field) => !util.isDeepStrictEqual(existing[field], fields[field]));
+
+/**
+ * @brief   Imports trips, upserting them by code.
+ *
+ * @param {Array<Object>} trips The trips to import, in the API format.
+ * @param {Object} options 'dryRun' validates the trips and reports what would change without
+ *                         writing, and 'actor' ({ name, email }) is recorded as the author of
+ *                         the revisions the import creates.
+ * @returns {Promise<Object>} A report with 'applied' (whether anything was written), the number
+ *                            of trips 'created', 'updated', 'unchanged', and 'rejected', and a
+ *                            'rows' entry per trip with its 1-based 'row' number, 'code',
+ *                            'status', and the 'errors' of rejected rows.
+ */
+const importTrips = async (trips, { dryRun = false, actor = {} } = {}) => {
+  if (!Array.isArray(trips)) {
+    throw createError(400, "The import must be an array of trips");
+  }
+
+  const prepared = trips.map((trip) => prepareRow(trip));
+  const codes = prepared.filter((p) => p.fields).map((p) => p.fields.code);
+  const stored = await tripStore.findManyByCode(codes);
+  const existing = new Map(stored.map((trip) => [trip.code, trip.toObject({ virtuals: false })]));
+  const missing = await missingImages(prepared.filter((p) => p.fields).map((p) => p.fields.image));
+
+  const seen = new Set();
+  const changes = [];
+  const rows = prepared.map(({ fields, errors: invalid }, index) => {
+    const row = { row: index + 1, code: fields ? fields.code : trips[index] && trips[index].code };
+    let errors = invalid;
+
+    if (!errors && seen.has(fields.code)) {
+      errors = [{ field: "code", message: `code ${fields.code} appears more than once in the import` }];
+    }
+    if (!errors && missing.has(fields.image)) {
+      errors = [{ field: "image", message: `image ${fields.image} does not exist in public/images` }];
+    }
+    const previous = fields && existing.get(fields.code);
+    if (!errors && previous && fields.capacity !== undefined && fields.capacity < (previous.booked || 0)) {
+      errors = [{
+        field: "capacity",
+        message: `capacity ${fields.capacity} is lower than the ${previous.booked} places already booked`
+      }];
+    }
+    if (errors) {
+      row.status = "rejected";
+      row.errors = errors;
+      return row;
+    }
+
+    seen.add(fields.code);
+    if (!previous) {
+      row.status = "created";
+    } else {
+      row.status = differs(previous, fields) ? "updated" : "unchanged";
+    }
+    if (row.status !== "unchanged") {
+      changes.push(fields);
+    }
+    return row;
+  });
+
+  const summarize = (applied) => {
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    return {
+      applied,
+      created: count("created"),
+      updated: count("updated"),
+      unchanged: count("unchanged"),
+      rejected: count("rejected"),
+      rows
+    };
+  };
+
+  const checked = summarize(false);
+  if (dryRun || checked.rejected || !changes.length) {
+    return checked;
+  }
+
+  const { trips: imported, rejected } = await tripStore.upsertMany(changes);
+  rejected.forEach((code) => {
+    const row = rows.find((r) => r.code === code && r.status !== "rejected");
+    const { capacity } = changes.find((fields) => fields.code === code);
+    row.status = "rejected";
+    row.errors = [{ field: "capacity", message: `capacity ${capacity} is lower than the places booked while the import was written` }];
+  });
+  const report = summarize(imported.length > 0);
+
+  for (const trip of imported) {
+    await recordRevision({
+      before: existing.get(trip.code) || null,
+      after: trip,
+      action: "import",
+      actor
+    });
+  }
+  return report;
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  tripsFromCsv,
+  tripsToCsv,
+  exportRecord,
+  importTrips
+};
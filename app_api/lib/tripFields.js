@@ -0,0 +1,142 @@
+/**
+ * @file    tripFields.js
+ * @brief   This file converts between the typed price and duration fields of a trip and the
+ *          display strings used by older clients.
+ *
+ * @details Trips store their price as an integer amount in minor units (cents) with an ISO 4217
+ *          currency code, and their duration as numbers of nights and days. Older clients and
+ *          the original seed data use the strings 'perPerson' ("799.00") and 'length'
+ *          ("4 nights / 5 days") instead. The trip model exposes those strings as virtuals built
+ *          with the format functions here, and the parse functions let the API and the data
+ *          migration accept them as input.
+ */
+
+const createError = require("http-errors");
+
+const DEFAULT_CURRENCY = "USD";
+
+// The fields that describe a trip in the catalogue, as opposed to its booking and archive state
+const CATALOGUE_FIELDS = ["code", "name", "nights", "days", "start", "resort", "price", "capacity", "image", "description"];
+
+/**
+ * @brief   Parses a price string such as "799.00" or "$1,199" into minor units.
+ *
+ * @param {string|number} value The price in major units.
+ * @returns {Object|null} The price as { amount, currency }, or null if it cannot be parsed.
+ */
+const parsePrice = (value) => {
+  const text = String(value === undefined || value === null ? "" : value).replace(/[$,\s]/g, "");
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) {
+    return null;
+  }
+
+  const [whole, fraction = ""] = text.split(".");
+  return {
+    amount: Number(whole) * 100 + Number(fraction.padEnd(2, "0")),
+    currency: DEFAULT_CURRENCY
+  };
+};
+
+/**
+ * @brief   Formats an amount in minor units as a price string such as "799.00".
+ *
+ * @param {number} amount The amount in minor units.
+ * @returns {string|undefined} The formatted price, or undefined if there is no amount.
+ */
+const formatPrice = (amount) => {
+  if (!Number.isInteger(amount)) {
+    return undefined;
+  }
+  return `${Math.floor(amount / 100)}.${String(amount % 100).padStart(2, "0")}`;
+};
+
+/**
+ * @brief   Parses a duration string such as "4 nights / 5 days".
+ *
+ * @details Either part may be missing: "4 nights" implies 5 days and "5 days" implies 4 nights.
+ *
+ * @param {string} value The duration string.
+ * @returns {Object|null} The duration as { nights, days }, or null if it cannot be parsed.
+ */
+const parseLength = (value) => {
+  const text = String(value === undefined || value === null ? "" : value);
+  const nightsMatch = text.match(/(\d+)\s*nights?\b/i);
+  const daysMatch = text.match(/(\d+)\s*days?\b/i);
+
+  if (!nightsMatch && !daysMatch) {
+    return null;
+  }
+
+  const nights = nightsMatch ? Number(nightsMatch[1]) : Number(daysMatch[1]) - 1;
+  const days = daysMatch ? Number(daysMatch[1]) : nights + 1;
+  if (nights < 0 || days < 1) {
+    return null;
+  }
+  return { nights, days };
+};
+
+/**
+ * @brief   Formats a duration as a string such as "4 nights / 5 days".
+ *
+ * @param {number} nights The number of nights.
+ * @param {number} days   The number of days.
+ * @returns {string|undefined} The formatted duration, or undefined if either part is missing.
+ */
+const formatLength = (nights, days) => {
+  if (!Number.isInteger(nights) || !Number.isInteger(days)) {
+    return undefined;
+  }
+  return `${nights} ${nights === 1 ? "night" : "nights"} / ${days} ${days === 1 ? "day" : "days"}`;
+};
+
+/**
+ * @brief   Reads the typed price and duration fields from a create or update request body.
+ *
+ * @details The typed fields 'price', 'nights', and 'days' take precedence. If they are absent,
+ *          the display strings 'perPerson' and 'length' are parsed instead, so older clients keep
+ *          working. Fields that are absent from the body are left undefined.
+ *
+ * @param {Object} body The request body.
+ * @returns {Object} The typed fields { price, nights, days }.
+ * @throws  {HttpError} 400 if a display string is present but cannot be parsed.
+ */
+const typedFieldsFromInput = (body) => {
+  const fields = {
+    price: undefined,
+    nights: undefined,
+    days: undefined
+  };
+
+  if (body.price !== undefined) {
+    fields.price = body.price;
+  } else if (body.perPerson !== undefined) {
+    fields.price = parsePrice(body.perPerson);
+    if (!fields.price) {
+      throw createError(400, `Cannot read the price "${body.perPerson}". Use a number such as 799.00.`);
+    }
+  }
+
+  if (body.nights !== undefined || body.days !== undefined) {
+    fields.nights = body.nights;
+    fields.days = body.days;
+  } else if (body.length !== undefined) {
+    const length = parseLength(body.length);
+    if (!length) {
+      throw createError(400, `Cannot read the length "${body.length}". Use a form such as "4 nights / 5 days".`);
+    }
+    fields.nights = length.nights;
+    fields.days = length.days;
+  }
+
+  return fields;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CATALOGUE_FIELDS,
+  parsePrice,
+  formatPrice,
+  parseLength,
+  formatLength,
+  typedFieldsFromInput
+};
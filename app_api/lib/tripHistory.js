@@ -0,0 +1,93 @@
+/**
+ * @file    tripHistory.js
+ * @brief   This file records the revision history of trips.
+ *
+ * @details Every change to a trip (create, update, archive, restore, revert, and import) bumps
+ *          the 'revision' counter on the trip document in the same atomic update that makes the
+ *          change, so concurrent changes get distinct numbers. The controller then records the
+ *          revision with the acting user, the changed fields, and a snapshot of the trip.
+ *
+ *          The history is an audit log, so a change whose revision could not be recorded is not
+ *          reported as successful: the error reaches the client as a 500 response and is logged
+ *          (see 'lib/errors.js'). The change itself has already been saved by then.
+ */
+
+const util = require("util");
+const { revisions } = require("../repositories");
+const { CATALOGUE_FIELDS } = require("./tripFields");
+
+// The fields compared between revisions and stored in snapshots
+const TRACKED_FIELDS = [...CATALOGUE_FIELDS, "archived"];
+
+/**
+ * @brief   Copies the tracked fields of a trip.
+ *
+ * @param {Object|null} trip A trip document or a plain trip object.
+ * @returns {Object} The tracked fields of the trip, or an empty object if there is no trip.
+ */
+const snapshot = (trip) => {
+  const values = {};
+  if (!trip) {
+    return values;
+  }
+
+  const plain = typeof trip.toObject === "function" ? trip.toObject({ virtuals: false }) : trip;
+  TRACKED_FIELDS.forEach((field) => {
+    if (plain[field] !== undefined) {
+      values[field] = plain[field];
+    }
+  });
+  return values;
+};
+
+/**
+ * @brief   Lists the tracked fields that differ between two states of a trip.
+ *
+ * @param {Object|null} before The trip before the change, or null if it was created.
+ * @param {Object}      after  The trip after the change.
+ * @returns {Array<Object>} The changes, each with its 'field' and the values 'from' and 'to'.
+ */
+const diff = (before, after) => {
+  const from = snapshot(before);
+  const to = snapshot(after);
+
+  return TRACKED_FIELDS
+    .filter((field) => !util.isDeepStrictEqual(from[field], to[field]))
+    .map((field) => ({
+      field,
+      from: from[field],
+      to: to[field]
+    }));
+};
+
+/**
+ * @brief   Records a revision of a trip.
+ *
+ * @param {Object} change The change, with the trip 'before' it (null for a new trip), the trip
+ *                        document 'after' it, the 'action', the 'actor' ({ name, email }), and,
+ *                        for a revert, the revision it went back to as 'revertedTo'.
+ * @returns {Promise<Object>} The revision.
+ * @throws  {Error} If the revision could not be recorded.
+ */
+const recordRevision = ({
+  before,
+  after,
+  action,
+  actor,
+  revertedTo
+}) => revisions.record({
+  trip: after._id,
+  tripCode: after.code,
+  revision: after.revision,
+  action,
+  actor,
+  changes: diff(before, after),
+  snapshot: snapshot(after),
+  revertedTo
+});
+
+module.exports = {
+  snapshot,
+  diff,
+  recordRevision
+};
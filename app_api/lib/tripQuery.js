@@ -0,0 +1,278 @@
+/**
+ * @file    tripQuery.js
+ * @brief   This file parses the query string of the trip listing.
+ *
+ * @details The trip listing accepts query parameters for filtering, sorting, and cursor-based
+ *          pagination. This file validates those parameters and translates them into the
+ *          filters, sort order, and page size that `trips.list` of the storage backend takes (see
+ *          'repositories/mongodb/trips.js'). Unknown or malformed parameters are rejected with a
+ *          400 Bad Request error.
+ *
+ *          Supported parameters:
+ *            - resort                Case-insensitive substring of the resort name.
+ *            - minPrice, maxPrice    Inclusive range on the per-person price, in major units
+ *                                    (e.g. dollars, not cents).
+ *            - startFrom, startTo    Inclusive window on the trip start date (ISO 8601).
+ *            - minNights, maxNights  Inclusive range on the number of nights.
+ *            - sort                  Comma separated sort keys, prefixed with '-' for descending.
+ *            - limit                 Page size, between 1 and MAX_LIMIT.
+ *            - cursor                Opaque cursor taken from the 'next' link of a previous page.
+ */
+
+const mongoose = require("mongoose");
+const createError = require("http-errors");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Public sort key => field in the 'trips' collection
+const SORT_FIELDS = {
+  code: "code",
+  name: "name",
+  resort: "resort",
+  start: "start",
+  price: "price.amount",
+  nights: "nights"
+};
+
+const ALLOWED_PARAMS = [
+  "resort",
+  "minPrice",
+  "maxPrice",
+  "startFrom",
+  "startTo",
+  "minNights",
+  "maxNights",
+  "sort",
+  "limit",
+  "cursor"
+];
+
+/**
+ * @brief   Parses a query parameter as a non-negative number.
+ *
+ * @param {Object} query The Express query object.
+ * @param {string} name  The name of the parameter.
+ * @returns {number|undefined} The parsed number, or undefined if the parameter is absent.
+ * @throws  {HttpError} 400 if the parameter is not a non-negative number.
+ */
+const parseNumber = (query, name) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(query[name]);
+  if (query[name].trim() === "" || !Number.isFinite(value) || value < 0) {
+    throw createError(400, `'${name}' must be a non-negative number`);
+  }
+  return value;
+};
+
+/**
+ * @brief   Parses a query parameter as a date.
+ *
+ * @param {Object} query The Express query object.
+ * @param {string} name  The name of the parameter.
+ * @returns {Date|undefined} The parsed date, or undefined if the parameter is absent.
+ * @throws  {HttpError} 400 if the parameter is not a valid date.
+ */
+const parseDate = (query, name) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const value = new Date(query[name]);
+  if (isNaN(value.getTime())) {
+    throw createError(400, `'${name}' must be an ISO 8601 date`);
+  }
+  return value;
+};
+
+/**
+ * @brief   Builds an inclusive range from optional bounds.
+ *
+ * @param {*} min The lower bound, or undefined.
+ * @param {*} max The upper bound, or undefined.
+ * @param {string} minName The name of the lower bound parameter, used in error messages.
+ * @param {string} maxName The name of the upper bound parameter, used in error messages.
+ * @returns {Object|undefined} The range { min, max }, either of which may be undefined, or
+ *                             undefined if neither bound is set.
+ * @throws  {HttpError} 400 if the lower bound is greater than the upper bound.
+ */
+const range = (min, max, minName, maxName) => {
+  if (min === undefined && max === undefined) {
+    return undefined;
+  }
+  if (min !== undefined && max !== undefined && min > max) {
+    throw createError(400, `'${minName}' must not be greater than '${maxName}'`);
+  }
+  return { min, max };
+};
+
+/**
+ * @brief   Parses the 'sort' parameter.
+ *
+ * @param {string|undefined} value The raw 'sort' parameter.
+ * @returns {Array<Object>} The sort keys, each with a public 'key', document 'field' and 'dir'.
+ * @throws  {HttpError} 400 if a sort key is unknown or repeated.
+ */
+const parseSort = (value) => {
+  if (value === undefined) {
+    return [];
+  }
+  if (value.trim() === "") {
+    throw createError(400, "'sort' must be a comma separated list of sort keys");
+  }
+
+  const keys = value.split(",").map((raw) => {
+    const token = raw.trim();
+    const dir = token.startsWith("-") ? -1 : 1;
+    const key = token.replace(/^[-+]/, "");
+
+    if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, key)) {
+      throw createError(400, `Unknown sort key '${key}'. Allowed keys: ${Object.keys(SORT_FIELDS).join(", ")}`);
+    }
+    return {
+      key,
+      field: SORT_FIELDS[key],
+      dir
+    };
+  });
+
+  const names = keys.map((k) => k.key);
+  if (new Set(names).size !== names.length) {
+    throw createError(400, "'sort' must not repeat a sort key");
+  }
+  return keys;
+};
+
+/**
+ * @brief   Encodes the position after a trip as an opaque cursor.
+ *
+ * @param {Object} trip The last trip document on the current page.
+ * @param {Array<Object>} sortKeys The sort keys of the current query.
+ * @param {string} sortParam The raw 'sort' parameter, used to tie the cursor to its ordering.
+ * @returns {string} A base64url encoded cursor.
+ */
+const encodeCursor = (trip, sortKeys, sortParam) => {
+  const payload = {
+    s: sortParam || "",
+    v: sortKeys.map((k) => trip.get(k.field)),
+    id: String(trip._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * @brief   Decodes a cursor into the position of the last trip of the previous page.
+ *
+ * @param {string} value The raw 'cursor' parameter.
+ * @param {Array<Object>} sortKeys The sort keys of the current query.
+ * @param {string} sortParam The raw 'sort' parameter.
+ * @returns {Object} The 'values' of the trip's sort keys, in order, and its document 'id'.
+ * @throws  {HttpError} 400 if the cursor is malformed or was issued for a different sort order.
+ */
+const decodeCursor = (value, sortKeys, sortParam) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+  } catch (err) {
+    throw createError(400, "'cursor' is malformed");
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== sortKeys.length ||
+      !mongoose.isValidObjectId(payload.id)) {
+    throw createError(400, "'cursor' is malformed");
+  }
+  if (payload.s !== (sortParam || "")) {
+    throw createError(400, "'cursor' does not match the requested sort order");
+  }
+
+  return {
+    values: payload.v.map((v, i) => (sortKeys[i].key === "start" ? new Date(v) : v)),
+    id: payload.id
+  };
+};
+
+/**
+ * @brief   Parses the trip listing query.
+ *
+ * @param {Object} query The Express query object.
+ * @returns {Object} An object with the 'resort' substring, the inclusive 'ranges' by field, the
+ *                   'sort' order ({ field: 1 or -1 }, ending with '_id'), the position of the
+ *                   trip the page starts 'after' (null on the first page), the page 'limit',
+ *                   and a 'nextCursor(trip)' function that encodes the cursor after a trip.
+ * @throws  {HttpError} 400 if any parameter is unknown or malformed.
+ */
+const parseTripQuery = (query) => {
+  const unknown = Object.keys(query).filter((name) => !ALLOWED_PARAMS.includes(name));
+  if (unknown.length) {
+    throw createError(400, `Unknown query parameter(s): ${unknown.join(", ")}`);
+  }
+
+  const malformed = Object.keys(query).filter((name) => typeof query[name] !== "string");
+  if (malformed.length) {
+    throw createError(400, `Query parameter(s) must be given once as a plain value: ${malformed.join(", ")}`);
+  }
+
+  let resort;
+  if (query.resort !== undefined) {
+    resort = query.resort.trim();
+    if (resort === "") {
+      throw createError(400, "'resort' must not be empty");
+    }
+  }
+
+  const ranges = {};
+  const start = range(parseDate(query, "startFrom"), parseDate(query, "startTo"), "startFrom", "startTo");
+  if (start) {
+    ranges.start = start;
+  }
+
+  // Prices are stored in minor units
+  const minPrice = parseNumber(query, "minPrice");
+  const maxPrice = parseNumber(query, "maxPrice");
+  const price = range(
+    minPrice === undefined ? undefined : Math.round(minPrice * 100),
+    maxPrice === undefined ? undefined : Math.round(maxPrice * 100),
+    "minPrice",
+    "maxPrice"
+  );
+  if (price) {
+    ranges["price.amount"] = price;
+  }
+  const nights = range(parseNumber(query, "minNights"), parseNumber(query, "maxNights"), "minNights", "maxNights");
+  if (nights) {
+    ranges.nights = nights;
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw createError(400, `'limit' must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  const sortKeys = parseSort(query.sort);
+  const sort = {};
+  sortKeys.forEach((k) => {
+    sort[k.field] = k.dir;
+  });
+  sort._id = 1;
+
+  return {
+    resort,
+    ranges,
+    sort,
+    after: query.cursor === undefined ? null : decodeCursor(query.cursor, sortKeys, query.sort),
+    limit,
+    nextCursor: (trip) => encodeCursor(trip, sortKeys, query.sort)
+  };
+};
+
+module.exports = {
+  parseTripQuery,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
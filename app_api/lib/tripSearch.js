@@ -0,0 +1,299 @@
+/**
+ * @file    tripSearch.js
+ * @brief   This file ranks trips against a free-text search query.
+ *
+ * @details The query is split into terms, and each term is matched against the words of a trip's
+ *          'name', 'resort', and 'description'. The description is stored as HTML, so its markup
+ *          is removed and its entities are decoded before it is searched. Words are compared
+ *          without case or accents. A term matches a word that is equal to it, a word that starts
+ *          with it, or, for terms of MIN_FUZZY_LENGTH letters or more, a word that is one or two
+ *          typing mistakes away from it.
+ *
+ *          Exact matches score more than prefix matches, which score more than typos, and a match
+ *          in the name counts more than one in the resort, which counts more than one in the
+ *          description. Trips that match more of the terms rank first, then trips with the higher
+ *          score. Each result comes with fragments of the fields that matched, as HTML with the
+ *          matched words wrapped in <mark> elements.
+ */
+
+const createError = require("http-errors");
+
+// Field => weight of a match in that field
+const FIELD_WEIGHTS = {
+  name: 3,
+  resort: 2,
+  description: 1
+};
+
+// Kind of match => score of a match of that kind
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  fuzzy: 0.5
+};
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+const MAX_TERMS = 10;
+const FRAGMENT_LENGTH = 160;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: " "
+};
+
+/**
+ * @brief   Decodes an HTML character reference such as '&amp;' or '&#39;'.
+ *
+ * @param {string} entity The whole reference.
+ * @param {string} name   The reference without its '&' and ';'.
+ * @returns {string} The decoded character, or the reference itself if it is not known.
+ */
+const decodeEntity = (entity, name) => {
+  if (name[0] === "#") {
+    const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  const key = name.toLowerCase();
+  return Object.prototype.hasOwnProperty.call(ENTITIES, key) ? ENTITIES[key] : entity;
+};
+
+/**
+ * @brief   Converts HTML into plain text.
+ *
+ * @param {string} html The HTML.
+ * @returns {string} The text, without markup and with its whitespace collapsed.
+ */
+const htmlToText = (html) => String(html || "")
+  .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, " ")
+  .replace(/<[^>]*>/g, " ")
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, decodeEntity)
+  .replace(/\s+/g, " ")
+  .trim();
+
+/**
+ * @brief   Escapes text for use in HTML.
+ *
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+/**
+ * @brief   Normalizes a word for comparison, removing case and accents.
+ *
+ * @param {string} word The word.
+ * @returns {string} The normalized word.
+ */
+const normalize = (word) => word.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+/**
+ * @brief   Splits text into normalized words.
+ *
+ * @param {string} text The text.
+ * @returns {Array<Object>} The words, each with its normalized 'word' and its 'start' and 'end'
+ *                          positions in the text.
+ */
+const words = (text) => [...text.matchAll(WORD)].map((m) => ({
+  word: normalize(m[0]),
+  start: m.index,
+  end: m.index + m[0].length
+}));
+
+/**
+ * @brief   Counts the typing mistakes between two words, up to a limit.
+ *
+ * @details This is the optimal string alignment distance: the number of letters inserted,
+ *          removed, replaced, or swapped with their neighbour.
+ *
+ * @param {string} a   The first word.
+ * @param {string} b   The second word.
+ * @param {number} max The largest distance of interest.
+ * @returns {number} The distance, or max + 1 if it is larger than max.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+/**
+ * @brief   Matches a search term against a word.
+ *
+ * @param {string} term The normalized search term.
+ * @param {string} word The normalized word.
+ * @returns {string|null} The kind of match, as a key of MATCH_SCORES, or null if it does not match.
+ */
+const matchWord = (term, word) => {
+  if (word === term) {
+    return "exact";
+  }
+  if (term.length >= MIN_PREFIX_LENGTH && word.startsWith(term)) {
+    return "prefix";
+  }
+
+  const typos = term.length >= 8 ? 2 : (term.length >= MIN_FUZZY_LENGTH ? 1 : 0);
+  if (typos && editDistance(term, word, typos) <= typos) {
+    return "fuzzy";
+  }
+  return null;
+};
+
+/**
+ * @brief   Splits a search query into its terms.
+ *
+ * @param {string} query The search query.
+ * @returns {Array<string>} The distinct normalized terms, at most MAX_TERMS.
+ * @throws  {HttpError} 400 if the query has no letters or digits.
+ */
+const parseQuery = (query) => {
+  const terms = [...new Set(words(String(query || "")).map((w) => w.word))];
+  if (!terms.length) {
+    throw createError(400, "'q' must contain at least one letter or digit");
+  }
+  return terms.slice(0, MAX_TERMS);
+};
+
+/**
+ * @brief   Builds the HTML of a field with its matched words marked.
+ *
+ * @details Text longer than FRAGMENT_LENGTH is cut to a fragment around the first matched word,
+ *          with an ellipsis where it was cut.
+ *
+ * @param {string} text The text of the field.
+ * @param {Array<Object>} ranges The matched words, with their 'start' and 'end' positions.
+ * @returns {string} The HTML fragment.
+ */
+const highlight = (text, ranges) => {
+  const marks = [...ranges].sort((a, b) => a.start - b.start);
+
+  let from = 0;
+  let to = text.length;
+  if (text.length > FRAGMENT_LENGTH) {
+    from = Math.max(0, marks[0].start - FRAGMENT_LENGTH / 4);
+    from = from && text.lastIndexOf(" ", from) + 1;
+    to = Math.min(text.length, from + FRAGMENT_LENGTH);
+    const space = text.lastIndexOf(" ", to);
+    if (to < text.length && space > marks[0].end) {
+      to = space;
+    }
+  }
+
+  let html = "";
+  let position = from;
+  marks.filter((m) => m.start >= from && m.end <= to).forEach((m) => {
+    if (m.start < position) {
+      return;
+    }
+    html += `${escapeHtml(text.slice(position, m.start))}<mark>${escapeHtml(text.slice(m.start, m.end))}</mark>`;
+    position = m.end;
+  });
+  html += escapeHtml(text.slice(position, to));
+
+  return `${from > 0 ? "…" : ""}${html}${to < text.length ? "…" : ""}`;
+};
+
+/**
+ * @brief   Ranks trips against a search query.
+ *
+ * @param {Array<Object>} trips The trips to search.
+ * @param {string} query The search query.
+ * @param {Object} options 'limit' is the largest number of results to return.
+ * @returns {Object} The number of matching trips as 'total', and the best 'results', each with
+ *                   the 'trip', its 'score', and the 'highlights' of the fields that matched.
+ * @throws  {HttpError} 400 if the query has no letters or digits.
+ */
+const searchTrips = (trips, query, { limit = 20 } = {}) => {
+  const terms = parseQuery(query);
+  const matches = [];
+
+  trips.forEach((trip) => {
+    const texts = {
+      name: String(trip.name || ""),
+      resort: String(trip.resort || ""),
+      description: htmlToText(trip.description)
+    };
+    const hits = {};
+    let score = 0;
+    let matched = 0;
+
+    terms.forEach((term) => {
+      let best = 0;
+      Object.keys(FIELD_WEIGHTS).forEach((field) => {
+        words(texts[field]).forEach((w) => {
+          const kind = matchWord(term, w.word);
+          if (kind) {
+            hits[field] = (hits[field] || []).concat(w);
+            best = Math.max(best, FIELD_WEIGHTS[field] * MATCH_SCORES[kind]);
+          }
+        });
+      });
+      if (best) {
+        matched += 1;
+        score += best;
+      }
+    });
+
+    if (matched) {
+      const highlights = {};
+      Object.keys(hits).forEach((field) => {
+        highlights[field] = highlight(texts[field], hits[field]);
+      });
+      matches.push({
+        trip,
+        score: Math.round(score * 1000) / 1000,
+        matched,
+        highlights
+      });
+    }
+  });
+
+  matches.sort((a, b) => b.matched - a.matched || b.score - a.score ||
+    String(a.trip.name).localeCompare(String(b.trip.name)));
+
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map((match) => ({
+      trip: match.trip,
+      score: match.score,
+      highlights: match.highlights
+    }))
+  };
+};
+
+module.exports = {
+  htmlToText,
+  searchTrips
+};
@@ -0,0 +1,116 @@
+/**
+ * @file    tripService.js
+ * @brief   This file reads the public trips, with a cache, for the API and the site.
+ *
+ * @details The API controllers and the server-rendered pages both read trips through this module,
+ *          so the site no longer calls its own API over HTTP. Pages of the trip list, single trips,
+ *          and the set of trips searched are cached in memory for TRIP_CACHE_TTL_SECONDS (see
+ *          'config/load.js'). Cached trips are the plain JSON the API sends, and are frozen so
+ *          no caller can change them for the others.
+ *
+ *          Every change to a trip in this process must call `invalidate`, which empties the whole
+ *          cache: a change to one trip can move it between pages, filters, and search results.
+ *          Changes made by other processes, such as 'bin/migrate seed', are seen once the cached
+ *          values expire.
+ */
+
+const config = require("../config");
+const { trips: tripStore } = require("../repositories");
+const { createCache } = require("./cache");
+const { parseTripQuery } = require("./tripQuery");
+const { searchTrips: rankTrips } = require("./tripSearch");
+
+const cache = createCache({ ttlMs: config.tripCache.ttlSeconds * 1000 });
+
+/**
+ * @brief   Converts trip documents into the frozen JSON the API sends.
+ *
+ * @param {Array<Object>} trips The trip documents.
+ * @returns {Array<Object>} The trips as plain, frozen objects.
+ */
+const toCached = (trips) => {
+  const freeze = (value) => {
+    if (value && typeof value === "object") {
+      Object.values(value).forEach(freeze);
+      Object.freeze(value);
+    }
+    return value;
+  };
+  return freeze(JSON.parse(JSON.stringify(trips)));
+};
+
+/**
+ * @brief   Builds the cache key of a list query, which does not depend on the order of its
+ *          parameters.
+ *
+ * @param {Object} query The query string parameters.
+ * @returns {string} The key.
+ */
+const listKey = (query) => `list:${new URLSearchParams(Object.entries(query).sort()).toString()}`;
+
+/**
+ * @brief   Reads a page of the trips that have not been archived.
+ *
+ * @param {Object} query The query string parameters of the list (see 'lib/tripQuery.js').
+ * @returns {Promise<Object>} The 'trips' of the page, and the 'nextCursor' of the next page, or
+ *                            null on the last page.
+ * @throws  {HttpError} 400 if a query parameter is unknown or malformed.
+ */
+const listTrips = async (query) => {
+  const parsed = parseTripQuery(query);
+
+  return cache.get(listKey(query), async () => {
+    // Fetch one trip more than the page size to detect a next page
+    const found = await tripStore.list({ ...parsed, limit: parsed.limit + 1 });
+    const trips = found.slice(0, parsed.limit);
+    return {
+      trips: toCached(trips),
+      nextCursor: found.length > parsed.limit ? parsed.nextCursor(trips[trips.length - 1]) : null
+    };
+  });
+};
+
+/**
+ * @brief   Reads a trip that has not been archived.
+ *
+ * @param {string} code The trip code.
+ * @returns {Promise<Object|null>} The trip, or null if no active trip has the code.
+ */
+const findTrip = (code) => cache.get(`trip:${code}`, async () => {
+  const trip = await tripStore.findActive(code);
+  return trip && toCached(trip);
+});
+
+/**
+ * @brief   Ranks the trips that have not been archived against a search query.
+ *
+ * @param {string} q       The search query.
+ * @param {Object} options 'limit' is the largest number of results to return.
+ * @returns {Promise<Object>} The 'total' number of matches and the best 'results' (see
+ *                            'lib/tripSearch.js').
+ * @throws  {HttpError} 400 if the query has no letters or digits.
+ */
+const searchTrips = async (q, options) => {
+  const trips = await cache.get("active", async () => toCached(await tripStore.listActive()));
+  return rankTrips(trips, q, options);
+};
+
+/**
+ * @brief   Empties the cache after a trip was created, changed, archived, or restored.
+ */
+const invalidate = () => cache.clear();
+
+/**
+ * @brief   Reports the use of the cache.
+ *
+ * @returns {Object} The cache hits, misses, clears, hit rate, and entries.
+ */
+const cacheStats = () => cache.stats();
+
+module.exports = {
+  listTrips,
+  findTrip,
+  searchTrips,
+  invalidate,
+  cacheStats
+};
@@ -0,0 +1,30 @@
+/**
+ * @file    authorize.js
+ * @brief   This file contains the permission middleware for the API routes.
+ *
+ * @details The middleware runs after the 'express-jwt' authentication middleware, which places
+ *          the verified JWT payload on 'req.auth'. It reads the user's role from the payload and
+ *          rejects the request with a 403 Forbidden response if the role does not grant the
+ *          permission required by the route. Tokens issued before roles existed carry no role
+ *          and are treated as customers.
+ */
+
+const { DEFAULT_ROLE, hasPermission } = require("../config/roles");
+const { sendError } = require("../lib/errors");
+
+/**
+ * @brief   Creates a middleware that requires a permission.
+ *
+ * @param {string} permission The permission required by the route, e.g. 'trips:create'.
+ * @returns {Function} An Express middleware function.
+ */
+const authorize = (permission) => (req, res, next) => {
+  const role = (req.auth && req.auth.role) || DEFAULT_ROLE;
+
+  if (!hasPermission(role, permission)) {
+    return sendError(res, 403, `Forbidden: the '${role}' role does not have the '${permission}' permission`);
+  }
+  next();
+};
+
+module.exports = authorize;
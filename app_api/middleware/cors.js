@@ -0,0 +1,57 @@
+/**
+ * @file    cors.js
+ * @brief   This file contains the CORS middleware of the API.
+ *
+ * @details Browsers only let a page call the API from another origin, such as the Angular admin
+ *          app, if the API allows it. Requests from the origins in the configured list
+ *          (CORS_ORIGINS, see 'config/load.js') get an 'Access-Control-Allow-Origin' header
+ *          naming their origin. Requests from other origins get no CORS headers, so the browser
+ *          does not let the page read the response.
+ *
+ *          Before sending a request with a method or headers that need permission, the browser
+ *          sends a preflight OPTIONS request. The middleware answers it itself: 204 No Content
+ *          with the allowed methods and headers for an allowed origin, or 403 Forbidden for any
+ *          other origin.
+ */
+
+const { sendError } = require("../lib/errors");
+
+const ALLOWED_METHODS = "GET, POST, PUT, DELETE, OPTIONS";
+const ALLOWED_HEADERS = "Origin, X-Requested-With, X-Request-Id, Content-Type, Accept, Authorization, If-Match, If-None-Match";
+const EXPOSED_HEADERS = "Link, ETag, Retry-After, Deprecation, Sunset, X-Request-Id";
+
+// How long browsers may cache a preflight response, in seconds
+const PREFLIGHT_MAX_AGE = 600;
+
+/**
+ * @brief   Creates the CORS middleware.
+ *
+ * @param {Array<string>} origins The origins allowed to call the API, e.g.
+ *                                'https://admin.example.com'.
+ * @returns {Function} An Express middleware function.
+ */
+const cors = (origins) => (req, res, next) => {
+  const origin = req.headers.origin;
+  const allowed = Boolean(origin) && origins.includes(origin);
+
+  // The response depends on the origin, so caches must keep one copy per origin
+  res.vary("Origin");
+  if (allowed) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Access-Control-Expose-Headers", EXPOSED_HEADERS);
+  }
+
+  if (req.method !== "OPTIONS" || !req.headers["access-control-request-method"]) {
+    return next();
+  }
+  if (!allowed) {
+    return sendError(res, 403, `Cross-origin requests from ${origin || "this page"} are not allowed`);
+  }
+
+  res.header("Access-Control-Allow-Methods", ALLOWED_METHODS);
+  res.header("Access-Control-Allow-Headers", ALLOWED_HEADERS);
+  res.header("Access-Control-Max-Age", String(PREFLIGHT_MAX_AGE));
+  res.status(204).end();
+};
+
+module.exports = cors;
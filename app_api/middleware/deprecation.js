@@ -0,0 +1,34 @@
+/**
+ * @file    deprecation.js
+ * @brief   This file contains the middleware that marks the routes of a deprecated API path.
+ *
+ * @details Every response gets three headers, so clients and their logs can tell that they
+ *          should move before the routes are removed:
+ *
+ *            Deprecation  When the routes were deprecated, as '@<seconds since 1970>' (RFC 9745).
+ *            Sunset       When the routes will stop working, as an HTTP date (RFC 8594).
+ *            Link         The same route in the version that replaces them, with the relation
+ *                         'successor-version'. Links that a route adds, such as the next page of
+ *                         the trip listing, are added after it.
+ */
+
+/**
+ * @brief   Creates the deprecation middleware.
+ *
+ * @param {Object} options 'deprecatedAt' and 'sunset' are the dates the routes were deprecated
+ *                         and will be removed, and 'successor' is the path, relative to where the
+ *                         middleware is mounted, of the version that replaces them, e.g. '/v1'.
+ * @returns {Function} An Express middleware function.
+ */
+const deprecation = ({
+  deprecatedAt,
+  sunset,
+  successor
+}) => (req, res, next) => {
+  res.set("Deprecation", `@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+  res.set("Sunset", sunset.toUTCString());
+  res.set("Link", `<${req.baseUrl}${successor}${req.path}>; rel="successor-version"`);
+  next();
+};
+
+module.exports = deprecation;
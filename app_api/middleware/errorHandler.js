@@ -0,0 +1,47 @@
+/**
+ * @file    errorHandler.js
+ * @brief   This file contains the error handling middleware for the API routes.
+ *
+ * @details Errors raised outside the controllers, such as an invalid or missing JWT, a malformed
+ *          JSON body, or a request for an unknown API route, are sent in the same JSON error
+ *          format as the errors of the controllers (see 'lib/errors.js'), instead of the HTML
+ *          error page of the website.
+ */
+
+const createError = require("http-errors");
+const { handleError } = require("../lib/errors");
+
+/**
+ * @brief   Rejects a request that no API route matched with a 404 Not Found error.
+ *
+ * @param {Object}   req  The Express request object.
+ * @param {Object}   res  The Express response object.
+ * @param {Function} next The next middleware function.
+ */
+const notFound = (req, res, next) => {
+  next(createError(404, `No API route for ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * @brief   Sends an error raised by an API route or middleware as a JSON error response.
+ *
+ * @details If the response has already started, the error is passed on to the default handler
+ *          of Express, which closes the connection, since no error response can be sent.
+ *
+ * @param {Error}    err  The error.
+ * @param {Object}   req  The Express request object.
+ * @param {Object}   res  The Express response object.
+ * @param {Function} next The next middleware function. Express only treats a middleware with
+ *                        four parameters as an error handler.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  handleError(res, err);
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
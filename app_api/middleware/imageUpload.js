@@ -0,0 +1,45 @@
+/**
+ * @file    imageUpload.js
+ * @brief   This file contains the middleware that reads an image upload from a multipart request.
+ *
+ * @details The image is sent as the 'image' field of a 'multipart/form-data' body and is kept in
+ *          memory on 'req.file' for the controller to check and store (see 'lib/images.js').
+ *          Requests that are not multipart are rejected with a 415 Unsupported Media Type error,
+ *          and files larger than MAX_BYTES with a 413 Payload Too Large error, before the rest of
+ *          the body is read.
+ */
+
+const multer = require("multer");
+const createError = require("http-errors");
+const { MAX_BYTES } = require("../lib/images");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 }
+}).single("image");
+
+/**
+ * @brief   Reads the 'image' file of a multipart request into 'req.file'.
+ *
+ * @param {Object}   req  The Express request object.
+ * @param {Object}   res  The Express response object.
+ * @param {Function} next The next middleware function.
+ */
+const imageUpload = (req, res, next) => {
+  if (!req.is("multipart/form-data")) {
+    return next(createError(415, "Upload the image as the 'image' field of a multipart/form-data body"));
+  }
+
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(createError(413, `Images must not be larger than ${MAX_BYTES / (1024 * 1024)} MB`));
+    }
+    // Every other error comes from a malformed body or an unexpected field
+    next(createError(400, err.field ? `${err.message}: '${err.field}'` : err.message));
+  });
+};
+
+module.exports = imageUpload;
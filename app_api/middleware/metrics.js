@@ -0,0 +1,67 @@
+/**
+ * @file    metrics.js
+ * @brief   This file contains the middleware that records every request of the server in the
+ *          request metrics (see 'lib/metrics.js'), and the middleware that guards them.
+ *
+ * @details The route of a request is the pattern of the Express route that handled it, prefixed
+ *          with the path its router is mounted on, e.g. '/api/v1/trips/:tripCode'. Requests that
+ *          no route handled, such as static files and unknown paths, share the route 'unmatched'.
+ *          The metrics are served at '/metrics' (see 'controllers/health.js').
+ *
+ *          The metrics reveal the routes of the API, how much each is used, and the memory of
+ *          the process, so they are only served to the metrics scraper. It sends the token of
+ *          METRICS_TOKEN as a bearer token (see 'config/load.js'). Without a token, the metrics
+ *          are open in development and test, and turned off in production.
+ */
+
+const crypto = require("crypto");
+const { createMetrics } = require("../lib/metrics");
+const { sendError } = require("../lib/errors");
+
+const metrics = createMetrics();
+
+/**
+ * @brief   Records the method, route, status, and duration of a request once it is answered.
+ *
+ * @param {Object}   req  The Express request object.
+ * @param {Object}   res  The Express response object.
+ * @param {Function} next The next middleware function.
+ */
+const recordRequest = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    metrics.observe({
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : "unmatched",
+      status: res.statusCode
+    }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+};
+
+/**
+ * @brief   Creates the middleware that only lets the metrics scraper read the metrics.
+ *
+ * @param {Object} options 'token' is the bearer token of the scraper, or null, and 'open' is
+ *                         true if the metrics are served to anyone when there is no token.
+ * @returns {Function} An Express middleware function.
+ */
+const guardMetrics = ({ token, open }) => (req, res, next) => {
+  if (!token) {
+    return open ? next() : sendError(res, 404, "The metrics are turned off: set METRICS_TOKEN to serve them");
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const sent = Buffer.from(req.get("Authorization") || "");
+  if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+    res.set("WWW-Authenticate", "Bearer realm=\"metrics\"");
+    return sendError(res, 401, "The metrics need the token of the metrics scraper");
+  }
+  return next();
+};
+
+module.exports = {
+  metrics,
+  recordRequest,
+  guardMetrics
+};
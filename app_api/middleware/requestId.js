@@ -0,0 +1,33 @@
+/**
+ * @file    requestId.js
+ * @brief   This file contains the middleware that gives each request an ID.
+ *
+ * @details The ID is taken from the 'X-Request-Id' header of the request, so that a request can
+ *          be followed from a proxy or another service, or generated if the header is missing or
+ *          not a plausible ID. It is stored as 'req.id', sent back in the 'X-Request-Id' header of
+ *          the response, added to every log entry written while the request is handled (see
+ *          'lib/requestContext.js'), and passed on when the site calls the API (see
+ *          'app_server/controllers/content.js').
+ */
+
+const crypto = require("crypto");
+const { runWithRequestId } = require("../lib/requestContext");
+
+// IDs accepted from the client: up to 128 letters, digits, and '_', '-', '.', or ':'
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * @brief   Gives a request its ID and handles the request with that ID.
+ *
+ * @param {Object}   req  The Express request object.
+ * @param {Object}   res  The Express response object.
+ * @param {Function} next The next middleware function.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  runWithRequestId(req.id, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,36 @@
+/**
+ * @file    requestLog.js
+ * @brief   This file contains the middleware that logs each request once it is answered.
+ *
+ * @details Each entry has the method, the URL with its sensitive query parameters redacted, the
+ *          status, and how long the request took. Server errors are logged at the "error" level
+ *          and other requests at "info" (see 'lib/logger.js').
+ */
+
+const { logger, redactUrl } = require("../lib/logger");
+
+/**
+ * @brief   Logs a request once its response has been sent.
+ *
+ * @param {Object}   req  The Express request object.
+ * @param {Object}   res  The Express response object.
+ * @param {Function} next The next middleware function.
+ */
+const logRequest = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const level = res.statusCode >= 500 ? "error" : "info";
+    logger[level]("Request", {
+      // The response can finish outside the context of the request, so its ID is given here
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      contentLength: Number(res.get("Content-Length")) || 0
+    });
+  });
+  next();
+};
+
+module.exports = logRequest;
@@ -0,0 +1,189 @@
+/**
+ * @file    throttle.js
+ * @brief   This file contains the middleware that limits login, registration, and account email
+ *          attempts.
+ *
+ * @details Three kinds of limit protect the login and registration routes from password guessing
+ *          and mass sign-ups, and the routes that send password reset and verification emails
+ *          from being used to flood an inbox:
+ *
+ *            - Each client IP address may make a limited number of attempts of each kind per time
+ *              window.
+ *            - Each email address may be used in a limited number of registration attempts, and
+ *              of attempts to send it an email, per time window.
+ *            - After a number of failed logins in a row for an email address, logins to it are
+ *              locked. The lock lasts longer after each further failure, up to a maximum, and a
+ *              successful login clears the failures.
+ *
+ *          A rejected request gets a 429 Too Many Requests response with a 'Retry-After' header
+ *          giving the number of seconds to wait. Failed logins are counted by email address
+ *          whether or not an account exists for it, so the lockout does not reveal which
+ *          accounts exist.
+ *
+ *          The counters are kept in a counter store (see 'lib/counters.js'). The throttles used by
+ *          the routes keep them in memory; `createThrottle` builds throttles on any other store,
+ *          such as a shared one when the API runs on several servers.
+ */
+
+const { createMemoryStore } = require("../lib/counters");
+const { sendError, handleError } = require("../lib/errors");
+const { logger } = require("../lib/logger");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * @brief   The default limits.
+ *
+ * @details login.perIp          Login attempts per client IP address per window.
+ *          register.perIp       Registration attempts per client IP address per window.
+ *          register.perAccount  Registration attempts per email address per window.
+ *          accountEmail         The same, for requests that send a password reset or
+ *                               verification email.
+ *          lockout              After 'failures' failed logins within 'windowMs', the account is
+ *                               locked for 'baseMs', doubling with each further failure up to
+ *                               'maxMs'.
+ */
+const DEFAULT_LIMITS = {
+  login: { perIp: { max: 20, windowMs: 15 * MINUTE } },
+  register: {
+    perIp: { max: 5, windowMs: HOUR },
+    perAccount: { max: 3, windowMs: HOUR }
+  },
+  accountEmail: {
+    perIp: { max: 10, windowMs: HOUR },
+    perAccount: { max: 3, windowMs: HOUR }
+  },
+  lockout: {
+    failures: 5,
+    windowMs: 24 * HOUR,
+    baseMs: MINUTE,
+    maxMs: HOUR
+  }
+};
+
+/**
+ * @brief   Normalizes an email address for use in a counter name.
+ *
+ * @param {string} email The email address from the request body.
+ * @returns {string} The trimmed, lower case email address.
+ */
+const accountKey = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * @brief   Rejects a request with a 429 Too Many Requests response.
+ *
+ * @param {Object} res     The Express response object.
+ * @param {number} retryMs The time until the request may be retried, in milliseconds.
+ * @returns {Object} The Express response object.
+ */
+const tooManyAttempts = (res, retryMs) => {
+  res.set("Retry-After", String(Math.max(1, Math.ceil(retryMs / 1000))));
+  return sendError(res, 429, "Too many attempts. Please try again later.");
+};
+
+/**
+ * @brief   Creates the login, registration, and account email throttles.
+ *
+ * @param {CounterStore} store The store of the counters.
+ * @param {Object} options 'limits' replaces DEFAULT_LIMITS, and 'now' returns the current time in
+ *                         milliseconds.
+ * @returns {Object} The Express middleware functions 'login', 'register', and 'accountEmail'.
+ */
+const createThrottle = (store, { limits = DEFAULT_LIMITS, now = Date.now } = {}) => {
+  const { lockout } = limits;
+
+  // Counts a request against a limit, returning the time to wait in milliseconds if it is over
+  const overLimit = async (key, limit) => {
+    const counter = await store.increment(key, limit.windowMs);
+    return counter.count > limit.max ? counter.resetAt - now() : 0;
+  };
+
+  // Records the outcome of a login: a success clears the failures, and a failure may lock the
+  // account for longer each time
+  const recordLogin = async (email, status) => {
+    if (status === 200) {
+      await store.reset(`login:fail:${email}`);
+      await store.reset(`login:lock:${email}`);
+      return;
+    }
+    if (status !== 401) {
+      return;
+    }
+
+    const failures = await store.increment(`login:fail:${email}`, lockout.windowMs);
+    if (failures.count >= lockout.failures) {
+      const doublings = failures.count - lockout.failures;
+      const lockMs = Math.min(lockout.baseMs * 2 ** Math.min(doublings, 30), lockout.maxMs);
+      await store.increment(`login:lock:${email}`, lockMs);
+    }
+  };
+
+  /**
+   * @brief   Limits login attempts per client IP address and locks accounts after repeated
+   *          failures. Runs before the login controller.
+   */
+  const login = async (req, res, next) => {
+    const email = accountKey(req.body.email);
+    try {
+      const ipWait = await overLimit(`login:ip:${req.ip}`, limits.login.perIp);
+      if (ipWait) {
+        return tooManyAttempts(res, ipWait);
+      }
+
+      const lock = await store.get(`login:lock:${email}`);
+      if (lock) {
+        return tooManyAttempts(res, lock.resetAt - now());
+      }
+    } catch (err) {
+      return handleError(res, err);
+    }
+
+    res.on("finish", () => {
+      recordLogin(email, res.statusCode).catch((err) => logger.error("Could not record the login attempt", { err }));
+    });
+    next();
+  };
+
+  /**
+   * @brief   Creates a middleware that limits attempts per client IP address and per email
+   *          address.
+   *
+   * @details The email address is taken from the request body or, on routes that require a
+   *          signed-in user, from the access token.
+   *
+   * @param {string} action The key of the limits in 'limits'.
+   * @returns {Function} An Express middleware function.
+   */
+  const limitAttempts = (action) => async (req, res, next) => {
+    const email = accountKey(req.body.email || (req.auth && req.auth.email));
+    try {
+      const wait = Math.max(
+        await overLimit(`${action}:ip:${req.ip}`, limits[action].perIp),
+        await overLimit(`${action}:account:${email}`, limits[action].perAccount)
+      );
+      if (wait) {
+        return tooManyAttempts(res, wait);
+      }
+    } catch (err) {
+      return handleError(res, err);
+    }
+    next();
+  };
+
+  return {
+    login,
+    register: limitAttempts("register"),
+    accountEmail: limitAttempts("accountEmail")
+  };
+};
+
+const throttle = createThrottle(createMemoryStore());
+
+module.exports = {
+  DEFAULT_LIMITS,
+  createThrottle,
+  login: throttle.login,
+  register: throttle.register,
+  accountEmail: throttle.accountEmail
+};
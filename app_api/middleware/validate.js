@@ -0,0 +1,131 @@
+/**
+ * @file    validate.js
+ * @brief   This file contains the request validation middleware for the API routes.
+ *
+ * @details Each route declares a schema for the parts of the request it reads: its 'params', its
+ *          'query', and its 'body'. A schema maps each field to a rule:
+ *
+ *            type       "string", "integer", "number", "boolean", "date", "email", "objectId",
+ *                       "object", or "array", or a list of types any of which is accepted.
+ *                       Integers and numbers may be given as numeric strings.
+ *            required   The field must be present and not empty.
+ *            enum       The field must be one of the listed values.
+ *            min, max   Bounds for numbers.
+ *            minLength, maxLength, pattern   Constraints for strings.
+ *            properties A nested schema for an object.
+ *
+ *          Fields that are not in the schema are left alone. If any field breaks its rule, the
+ *          request is rejected with a 400 Bad Request response listing every problem (see
+ *          'lib/errors.js').
+ */
+
+const mongoose = require("mongoose");
+const validator = require("validator");
+const { sendError } = require("../lib/errors");
+
+const isNumeric = (value) =>
+  typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)));
+
+// Checks for each type, with the message used when the value does not match
+const TYPES = {
+  string: [(v) => typeof v === "string", "must be a string"],
+  integer: [(v) => isNumeric(v) && Number.isInteger(Number(v)), "must be a whole number"],
+  number: [(v) => isNumeric(v) && Number.isFinite(Number(v)), "must be a number"],
+  boolean: [(v) => typeof v === "boolean", "must be true or false"],
+  date: [(v) => (typeof v === "string" || v instanceof Date) && !isNaN(new Date(v).getTime()), "must be an ISO 8601 date"],
+  email: [(v) => typeof v === "string" && validator.isEmail(v), "must be a valid email address"],
+  objectId: [(v) => typeof v === "string" && mongoose.isValidObjectId(v), "must be a valid ID"],
+  object: [(v) => v !== null && typeof v === "object" && !Array.isArray(v), "must be an object"],
+  array: [(v) => Array.isArray(v), "must be an array"]
+};
+
+/**
+ * @brief   Checks a value against a rule.
+ *
+ * @param {*}      value The value to check.
+ * @param {Object} rule  The rule of the field.
+ * @returns {string|null} The problem with the value, or null if it is valid.
+ */
+const checkRule = (value, rule) => {
+  const types = [].concat(rule.type || []);
+  const type = types.find((t) => TYPES[t][0](value));
+  if (types.length && !type) {
+    return types.map((t) => TYPES[t][1]).join(" or ");
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (type === "integer" || type === "number") {
+    if (rule.min !== undefined && Number(value) < rule.min) {
+      return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && Number(value) > rule.max) {
+      return `must be at most ${rule.max}`;
+    }
+  }
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `must be at least ${rule.minLength} characters long`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters long`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return rule.patternMessage || "has an invalid format";
+    }
+  }
+  return null;
+};
+
+/**
+ * @brief   Checks an object against a schema.
+ *
+ * @param {Object} input  The object to check, e.g. the request body.
+ * @param {Object} schema The schema, mapping each field to its rule.
+ * @param {string} prefix The path of the object, prepended to the field names in the details.
+ * @returns {Array<Object>} The problems found, each with its 'field' and 'message'.
+ */
+const checkSchema = (input, schema, prefix = "") => {
+  const details = [];
+  const values = input || {};
+
+  Object.keys(schema).forEach((name) => {
+    const rule = schema[name];
+    const field = prefix + name;
+    const value = values[name];
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) {
+        details.push({ field, message: `${field} is required` });
+      }
+      return;
+    }
+
+    const problem = checkRule(value, rule);
+    if (problem) {
+      details.push({ field, message: `${field} ${problem}` });
+    } else if (rule.properties && TYPES.object[0](value)) {
+      details.push(...checkSchema(value, rule.properties, `${field}.`));
+    }
+  });
+  return details;
+};
+
+/**
+ * @brief   Creates a middleware that validates a request against a schema.
+ *
+ * @param {Object} schema The schemas of the request's 'params', 'query', and 'body'.
+ * @returns {Function} An Express middleware function.
+ */
+const validate = (schema) => (req, res, next) => {
+  const details = ["params", "query", "body"]
+    .filter((part) => schema[part])
+    .flatMap((part) => checkSchema(req[part], schema[part]));
+
+  if (details.length) {
+    return sendError(res, 400, "The request is invalid", details, "validation_failed");
+  }
+  next();
+};
+
+module.exports = validate;
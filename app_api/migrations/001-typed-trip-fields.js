@@ -0,0 +1,216 @@
+/**
+ * @file    001-typed-trip-fields.js
+ * @brief   This migration converts the trip price and duration strings into typed fields.
+ *
+ * @details Trips used to store 'perPerson' as a string such as "799.00" and 'length' as free text
+ *          such as "4 nights / 5 days". This migration replaces them with 'price' ({ amount,
+ *          currency }, amount in minor units) and the numbers 'nights' and 'days'. Booking totals
+ *          are converted to the same { amount, currency } form.
+ *
+ *          A trip whose strings cannot be parsed is left unchanged and reported, so it can be
+ *          fixed by hand and the migration run again. The migration works on the raw collections
+ *          because the current schema no longer has the old paths. Run it with 'npm run migrate'.
+ */
+
+const fs = require("fs");
+const {
+  DEFAULT_CURRENCY,
+  parsePrice,
+  formatPrice,
+  parseLength,
+  formatLength
+} = require("../lib/tripFields");
+
+const description = "Convert trip perPerson and length strings into typed price, nights and days";
+
+/**
+ * @brief   Converts one trip from the string fields to the typed fields.
+ *
+ * @param {Object} trip A trip as stored before the migration.
+ * @returns {Object} The converted fields { set, unset }, or { errors } if the trip cannot be
+ *                   converted. A trip that is already converted yields empty 'set' and 'unset'.
+ */
+const convertTrip = (trip) => {
+  const set = {};
+  const unset = {};
+  const errors = [];
+
+  if (trip.perPerson !== undefined) {
+    const price = parsePrice(trip.perPerson);
+    if (price) {
+      set.price = price;
+      unset.perPerson = "";
+    } else {
+      errors.push(`cannot parse perPerson "${trip.perPerson}"`);
+    }
+  }
+
+  if (trip.length !== undefined) {
+    const length = parseLength(trip.length);
+    if (length) {
+      set.nights = length.nights;
+      set.days = length.days;
+      unset.length = "";
+    } else {
+      errors.push(`cannot parse length "${trip.length}"`);
+    }
+  }
+
+  return errors.length ? { errors } : { set, unset };
+};
+
+/**
+ * @brief   Applies the migration to the database.
+ *
+ * @param {Db} db The native MongoDB database handle.
+ * @param {Object} options 'dryRun' counts the changes without writing them.
+ * @returns {Promise<Object>} A report with the number of converted trips and bookings and the
+ *                            trips that could not be converted.
+ */
+const up = async (db, { dryRun = false } = {}) => {
+  const report = {
+    trips: 0,
+    bookings: 0,
+    rejected: []
+  };
+
+  const trips = db.collection("trips").find({ $or: [{ perPerson: { $exists: true } }, { length: { $exists: true } }] });
+  for await (const trip of trips) {
+    const {
+      set,
+      unset,
+      errors
+    } = convertTrip(trip);
+    if (errors) {
+      report.rejected.push({
+        code: trip.code,
+        _id: String(trip._id),
+        errors
+      });
+      continue;
+    }
+    if (!dryRun) {
+      await db.collection("trips").updateOne({ _id: trip._id }, { $set: set, $unset: unset });
+    }
+    report.trips++;
+  }
+
+  const bookings = db.collection("bookings").find({ totalPrice: { $type: "number" } });
+  for await (const booking of bookings) {
+    if (!dryRun) {
+      await db.collection("bookings").updateOne(
+        { _id: booking._id },
+        { $set: { totalPrice: { amount: Math.round(booking.totalPrice * 100), currency: DEFAULT_CURRENCY } } }
+      );
+    }
+    report.bookings++;
+  }
+
+  return report;
+};
+
+/**
+ * @brief   Reverts the migration.
+ *
+ * @details The typed fields are formatted back into the 'perPerson' and 'length' strings. The
+ *          currency is dropped, as the old format had none.
+ *
+ * @param {Db} db The native MongoDB database handle.
+ * @param {Object} options 'dryRun' counts the changes without writing them.
+ * @returns {Promise<Object>} A report with the number of reverted trips and bookings.
+ */
+const down = async (db, { dryRun = false } = {}) => {
+  const report = {
+    trips: 0,
+    bookings: 0,
+    rejected: []
+  };
+
+  const trips = db.collection("trips").find({ "price.amount": { $exists: true } });
+  for await (const trip of trips) {
+    if (!dryRun) {
+      await db.collection("trips").updateOne(
+        { _id: trip._id },
+        {
+          $set: { perPerson: formatPrice(trip.price.amount), length: formatLength(trip.nights, trip.days) },
+          $unset: {
+            price: "",
+            nights: "",
+            days: ""
+          }
+        }
+      );
+    }
+    report.trips++;
+  }
+
+  const bookings = db.collection("bookings").find({ "totalPrice.amount": { $exists: true } });
+  for await (const booking of bookings) {
+    if (!dryRun) {
+      await db.collection("bookings").updateOne(
+        { _id: booking._id },
+        { $set: { totalPrice: booking.totalPrice.amount / 100 } }
+      );
+    }
+    report.bookings++;
+  }
+
+  return report;
+};
+
+/**
+ * @brief   Converts a JSON file of trips, such as 'data/trips.json', in place.
+ *
+ * @details Trips that cannot be converted are kept unchanged in the file and reported.
+ *
+ * @param {string} file The path of the JSON file.
+ * @returns {Object} A report with the number of converted trips and the rejected trips.
+ */
+const convertFile = (file) => {
+  const report = {
+    trips: 0,
+    bookings: 0,
+    rejected: []
+  };
+
+  const trips = JSON.parse(fs.readFileSync(file, "utf8")).map((trip) => {
+    const {
+      set,
+      unset,
+      errors
+    } = convertTrip(trip);
+    if (errors) {
+      report.rejected.push({ code: trip.code, errors });
+      return trip;
+    }
+    if (!Object.keys(set).length) {
+      return trip;
+    }
+
+    report.trips++;
+    // Keep the original key order, putting the typed fields where the strings were
+    const converted = {};
+    Object.keys(trip).forEach((key) => {
+      if (key === "length") {
+        converted.nights = set.nights;
+        converted.days = set.days;
+      } else if (key === "perPerson") {
+        converted.price = set.price;
+      } else if (!Object.prototype.hasOwnProperty.call(unset, key)) {
+        converted[key] = trip[key];
+      }
+    });
+    return converted;
+  });
+
+  fs.writeFileSync(file, JSON.stringify(trips, null, 4));
+  return report;
+};
+
+module.exports = {
+  description,
+  up,
+  down,
+  convertTrip,
+  convertFile
+};
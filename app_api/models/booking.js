@@ -0,0 +1,66 @@
+/**
+ * @file    booking.js
+ * @brief   This file defines the Mongoose schema for the 'bookings' collection.
+ *
+ * @details A booking reserves places on a trip for one user. It records the trip code, the user,
+ *          the number of travelers, the total price, and the booking status. A booking starts as
+ *          'pending', may be 'confirmed' by an admin, and may be 'cancelled' by its owner or an
+ *          admin. Cancelled bookings release their places back to the trip.
+ *
+ *          Places are counted on the trip document itself ('booked' against 'capacity') so that
+ *          a single atomic update decides whether a booking fits. See 'controllers/bookings.js'.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @brief   The statuses a booking may have.
+ */
+const BOOKING_STATUSES = ["pending", "confirmed", "cancelled"];
+
+/**
+ * @brief   Defines the Mongoose schema for the 'bookings' collection.
+ *
+ * @details The bookingSchema links a booking to a trip by its code and to the user who made it.
+ *          The number of travelers must be a positive whole number. The total price is the
+ *          trip's per-person price multiplied by the number of travelers, fixed when the booking
+ *          is made.
+ */
+const bookingSchema = new mongoose.Schema({
+  tripCode: {
+    type: String,
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true,
+    index: true
+  },
+  travelers: {
+    type: Number,
+    required: true,
+    min: [1, "A booking needs at least one traveler"],
+    validate: [Number.isInteger, "Travelers must be a whole number"]
+  },
+  // Stored like the trip price: an integer amount in minor units with its currency
+  totalPrice: {
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: { type: String, required: true }
+  },
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    default: "pending",
+    index: true
+  },
+  cancelledAt: { type: Date }
+}, { timestamps: true });
+
+const Booking = mongoose.model("bookings", bookingSchema);
+module.exports = Booking;
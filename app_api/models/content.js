@@ -0,0 +1,98 @@
+/**
+ * @file    content.js
+ * @brief   This file defines the Mongoose schemas for the 'rooms', 'meals', and 'news'
+ *          collections.
+ *
+ * @details These collections hold the content of the Rooms, Meals, and News pages of the
+ *          website, so that it can be edited through the API instead of in static HTML files.
+ *          Each document is identified by its 'code', which also appears in its page URL.
+ *          Rooms and meals are shown in ascending 'position' order; news articles are shown
+ *          newest first.
+ */
+
+const mongoose = require("mongoose");
+const priceSchema = require("./price");
+
+/**
+ * @brief   The categories a news article may have.
+ *
+ * @details news  An announcement, listed under "Latest News".
+ *          tips  Advice for guests, listed under "Vacation Tips".
+ */
+const NEWS_CATEGORIES = ["news", "tips"];
+
+/**
+ * @brief   The order each kind of content is listed in, on the website and by the API.
+ */
+const LISTING_ORDERS = {
+  rooms: { position: 1, name: 1 },
+  meals: { position: 1, name: 1 },
+  news: { publishedAt: -1 }
+};
+
+// The fields every kind of content has
+const contentFields = {
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  image: { type: String }
+};
+
+// Rooms and meals are listed in ascending 'position' order, then by name
+const position = {
+  type: Number,
+  default: 0,
+  validate: [Number.isInteger, "Position must be a whole number"]
+};
+
+const roomSchema = new mongoose.Schema({
+  ...contentFields,
+  name: { type: String, required: true },
+  description: { type: String, required: true },
+  // Rate per day, in minor units; see 'models/price.js'
+  rate: { type: priceSchema, required: true },
+  position
+}, { timestamps: true });
+
+const mealSchema = new mongoose.Schema({
+  ...contentFields,
+  name: { type: String, required: true },
+  // The dish shown in bold before the description, e.g. "Fried Salmon Special"
+  dish: { type: String },
+  description: { type: String, required: true },
+  position
+}, { timestamps: true });
+
+const newsSchema = new mongoose.Schema({
+  ...contentFields,
+  title: { type: String, required: true },
+  category: {
+    type: String,
+    enum: NEWS_CATEGORIES,
+    default: "news",
+    index: true
+  },
+  author: { type: String },
+  publishedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+    index: true
+  },
+  // The article, as HTML
+  body: { type: String, required: true }
+}, { timestamps: true });
+
+const Room = mongoose.model("rooms", roomSchema);
+const Meal = mongoose.model("meals", mealSchema);
+const News = mongoose.model("news", newsSchema);
+
+module.exports = {
+  NEWS_CATEGORIES,
+  LISTING_ORDERS,
+  Room,
+  Meal,
+  News
+};
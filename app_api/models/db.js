@@ -1,61 +1,63 @@
 const mongoose = require("mongoose");
-const host = process.env.DB_HOST || "127.0.0.1";
-const dbURI = `mongodb://${host}/travlr`;
-const readLine = require("readline");
+const config = require("../config");
+const { logger } = require("../lib/logger");
 
-// Build the connection string and set the connection timeout.
-// timeout is in milliseconds.
-const connect = () => {
-  setTimeout(() => mongoose.connect(dbURI, {}), 1000);
+// Delay before retrying a failed connection, in milliseconds. It doubles after each failed
+// attempt, up to the maximum.
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+let attempt = null;
+let retry = null;
+let closing = false;
+
+// Connect to the database, retrying until it succeeds. The server answers requests meanwhile;
+// '/readyz' reports it as not ready until the connection is open (see 'controllers/health.js').
+const connect = (count = 1) => {
+  attempt = mongoose.connect(config.db.uri, {});
+  attempt.catch((err) => {
+    if (closing) {
+      return;
+    }
+    const delay = Math.min(RETRY_DELAY_MS * 2 ** (count - 1), MAX_RETRY_DELAY_MS);
+    logger.warn("Mongoose connection attempt failed", {
+      attempt: count,
+      retryInSeconds: delay / 1000,
+      err
+    });
+    retry = setTimeout(() => connect(count + 1), delay);
+  });
+};
+
+// Wait for the connection attempt in progress. Rejects if it fails, for the scripts and tests
+// that cannot do anything without the database.
+const ready = async () => {
+  await attempt;
+};
+
+// Stop retrying and close the connection if it is open. A connection attempt in progress is not
+// waited for, as it can take up to 30 s to fail.
+const close = async () => {
+  closing = true;
+  clearTimeout(retry);
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.close();
+  }
 };
 
 // Monitor connection events
 mongoose.connection.on("connected", () => {
-  console.log(`Mongoose connected to ${dbURI}`);
+  logger.info("Mongoose connected", { uri: config.db.redactedUri });
 });
 mongoose.connection.on("error", (err) => {
-  console.log("Mongoose connection error: ", err);
+  logger.error("Mongoose connection error", { err });
 });
 mongoose.connection.on("disconnected", () => {
-  console.log("Mongoose disconnected");
+  logger.info("Mongoose disconnected");
 });
 
-// Windows specific listner
-if (process.platform === "win32") {
-  const r1 = readLine.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
-  r1.on("SIGINT", () => {
-    process.emit("SIGINT");
-  });
-}
-
-// Configure for Graceful Shutdown
-const gracefulShutdown = (msg) => {
-  mongoose.connection.close(() => {
-    console.log(`Mongoose disconnected through ${msg}`);
-  });
-};
-
-// Event Listeners to process graceful shutdowns
-// Shutdown invoked by nodemon signal
-process.once("SIGUSR2", () => {
-  gracefulShutdown("nodemon restart");
-  process.kill(process.pid, "SIGUSR2");
-});
-
-// Shutdown invoked by app termination
-process.on("SIGINT", () => {
-  gracefulShutdown("app termination");
-  process.exit(0);
-});
-
-// Shutdown invoked by container termination
-process.on("SIGTERM", () => {
-  gracefulShutdown("app shutdown");
-  process.exit(0);
-});
+// The connection is closed on shutdown with 'close', once the server has finished its requests
+// (see 'lib/shutdown.js' and 'bin/www')
 
 // Make initial connection to DB
 connect();
@@ -63,5 +65,13 @@ connect();
 // Import Mongoose schemas
 require("./travlr");
 require("./user");
+require("./session");
+require("./token");
+require("./booking");
+require("./revision");
+require("./content");
 
-module.exports = mongoose;
+module.exports = {
+  ready,
+  close
+};
@@ -0,0 +1,29 @@
+/**
+ * @file    price.js
+ * @brief   This file defines the Mongoose schema of a price, shared by trips and rooms.
+ *
+ * @details A price is stored as an integer amount in minor units (e.g. cents) with its ISO 4217
+ *          currency code, so that sums and comparisons are exact. See 'lib/tripFields.js' for
+ *          the conversions to and from display strings.
+ */
+
+const mongoose = require("mongoose");
+const { DEFAULT_CURRENCY } = require("../lib/tripFields");
+
+const priceSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: [Number.isInteger, "Price amount must be a whole number of minor units"]
+  },
+  currency: {
+    type: String,
+    required: true,
+    default: DEFAULT_CURRENCY,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, "Currency must be an ISO 4217 code"]
+  }
+}, { _id: false });
+
+module.exports = priceSchema;
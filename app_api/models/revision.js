@@ -0,0 +1,70 @@
+/**
+ * @file    revision.js
+ * @brief   This file defines the Mongoose schema for the 'revisions' collection.
+ *
+ * @details A revision records one change to a trip: who made it, when, which fields changed and
+ *          their values before and after, and a snapshot of the trip after the change. Revisions
+ *          are numbered per trip from 1, matching the 'revision' counter on the trip document,
+ *          and are never changed once written. See 'lib/tripHistory.js'.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * @brief   The kinds of change a revision may record.
+ *
+ * @details create   The trip was added.
+ *          update   The trip was edited.
+ *          delete   The trip was archived.
+ *          restore  The trip was restored from the archive.
+ *          revert   The trip was put back to the state of an earlier revision.
+ *          import   The trip was created or updated by a bulk import.
+ */
+const REVISION_ACTIONS = ["create", "update", "delete", "restore", "revert", "import"];
+
+/**
+ * @brief   Defines the Mongoose schema for the 'revisions' collection.
+ *
+ * @details The revisionSchema links a revision to the trip document, so a trip keeps its history
+ *          when its code changes. The code at the time of the change is stored as well. 'from'
+ *          and 'to' hold any type of value, as each field of a trip has its own type.
+ */
+const revisionSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "trips",
+    required: true
+  },
+  tripCode: { type: String, required: true },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  actor: {
+    name: { type: String },
+    email: { type: String }
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // The revision a 'revert' went back to
+  revertedTo: { type: Number }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+revisionSchema.index({ trip: 1, revision: -1 }, { unique: true });
+
+const Revision = mongoose.model("revisions", revisionSchema);
+module.exports = Revision;
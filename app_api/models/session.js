@@ -0,0 +1,176 @@
+/**
+ * @file    session.js
+ * @brief   This file defines the Mongoose schema for the 'sessions' collection.
+ *
+ * @details A session is created each time a user signs in and represents one refresh token
+ *          family. The session stores a hash of the current refresh token and the hashes of
+ *          every refresh token it has rotated out. Access tokens carry the session ID in their
+ *          'sid' claim, so revoking a session immediately invalidates the access tokens issued
+ *          for it.
+ *
+ *          Refresh tokens are single use. Refreshing swaps the current token for a new one. If a
+ *          token that was already rotated out is presented again, it has most likely been stolen,
+ *          so every session of that user is revoked.
+ */
+
+const mongoose = require("mongoose");
+const { newToken, hashToken } = require("../lib/tokens");
+
+/**
+ * @brief   How long a session lasts without being refreshed, in days.
+ */
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * @brief   Defines the Mongoose schema for the 'sessions' collection.
+ *
+ * @details The sessionSchema links a session to its user and records the current refresh token
+ *          hash, the hashes of rotated tokens, the expiry time, and the time and reason of
+ *          revocation. Expired sessions are removed by a TTL index.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousHashes: {
+    type: [String],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String }
+}, { timestamps: true });
+
+/**
+ * @brief   Calculates the expiry time of a session refreshed now.
+ *
+ * @returns {Date} The expiry time.
+ */
+const newExpiry = () => {
+  const expiry = new Date();
+  expiry.setDate(expiry.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiry;
+};
+
+sessionSchema.statics.newExpiry = newExpiry;
+
+/**
+ * @brief   Starts a new session for a user.
+ *
+ * @param {Object} user The user document.
+ * @returns {Promise<Object>} The new session document and its plaintext 'refreshToken'.
+ */
+sessionSchema.statics.start = async function (user) {
+  const refreshToken = newToken();
+  const session = await this.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: newExpiry()
+  });
+  return { session, refreshToken };
+};
+
+/**
+ * @brief   Exchanges a refresh token for a new one.
+ *
+ * @details If the token is the current token of an active session, it is rotated out and a new
+ *          token is returned. If the token was already rotated out, every session of the user is
+ *          revoked. Unknown, expired, and revoked tokens are rejected.
+ *
+ * @param {string} refreshToken The plaintext refresh token presented by the client.
+ * @returns {Promise<Object|null>} The session document and the new plaintext 'refreshToken',
+ *                                 or null if the token was rejected.
+ */
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const hash = hashToken(refreshToken);
+  const next = newToken();
+  const now = new Date();
+
+  // Swap the token atomically so two concurrent refreshes cannot both succeed
+  const session = await this.findOneAndUpdate(
+    {
+      tokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: { tokenHash: hashToken(next), expiresAt: newExpiry() },
+      $push: { previousHashes: hash }
+    },
+    { new: true }
+  ).exec();
+
+  if (session) {
+    return { session, refreshToken: next };
+  }
+
+  const reused = await this.findOne({ previousHashes: hash }).exec();
+  if (reused) {
+    await this.revokeAllForUser(reused.user, "refresh token reuse");
+  }
+  return null;
+};
+
+/**
+ * @brief   Revokes the session that owns a refresh token.
+ *
+ * @param {string} refreshToken The plaintext refresh token, current or rotated out.
+ * @param {string} reason       The reason for the revocation.
+ * @returns {Promise<boolean>} True if an active session was revoked, false otherwise.
+ */
+sessionSchema.statics.revokeByToken = async function (refreshToken, reason) {
+  const hash = hashToken(refreshToken);
+  const result = await this.updateOne(
+    { $or: [{ tokenHash: hash }, { previousHashes: hash }], revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  ).exec();
+  return result.modifiedCount > 0;
+};
+
+/**
+ * @brief   Revokes every active session of a user.
+ *
+ * @param {ObjectId} userId The ID of the user.
+ * @param {string}   reason The reason for the revocation.
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+sessionSchema.statics.revokeAllForUser = async function (userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  ).exec();
+  return result.modifiedCount;
+};
+
+/**
+ * @brief   Checks whether a session is still active.
+ *
+ * @param {string} sessionId The ID of the session, taken from an access token's 'sid' claim.
+ * @returns {Promise<boolean>} True if the session exists, is not revoked, and has not expired.
+ */
+sessionSchema.statics.isActive = async function (sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+const Session = mongoose.model("sessions", sessionSchema);
+module.exports = Session;
@@ -0,0 +1,123 @@
+/**
+ * @file    token.js
+ * @brief   This file defines the Mongoose schema for the 'tokens' collection.
+ *
+ * @details A token proves that a user can read the mail sent to their email address. It is sent
+ *          in a link by email and can be used once, before it expires, for its purpose:
+ *
+ *            passwordReset      Sets a new password for a user who forgot theirs.
+ *            emailVerification  Marks the user's email address as verified.
+ *
+ *          Issuing a token for a purpose cancels the user's earlier unused tokens for the same
+ *          purpose, so only the link in the latest email works. Only the hash of a token is
+ *          stored (see 'lib/tokens.js'), and expired tokens are removed by a TTL index.
+ */
+
+const mongoose = require("mongoose");
+const { newToken, hashToken } = require("../lib/tokens");
+
+/**
+ * @brief   How long a token of each purpose can be used, in minutes.
+ */
+const TOKEN_TTL_MINUTES = {
+  passwordReset: 60,
+  emailVerification: 48 * 60
+};
+
+/**
+ * @brief   Defines the Mongoose schema for the 'tokens' collection.
+ *
+ * @details The tokenSchema links a token to its user and records the email address it was sent
+ *          to, so a token stops working if the address changes. 'usedAt' is set when the token
+ *          is consumed.
+ */
+const tokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true
+  },
+  email: { type: String, required: true },
+  purpose: {
+    type: String,
+    enum: Object.keys(TOKEN_TTL_MINUTES),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+tokenSchema.index({ user: 1, purpose: 1 });
+
+/**
+ * @brief   Calculates the expiry time of a token issued now.
+ *
+ * @param {string} purpose The purpose of the token, a key of TOKEN_TTL_MINUTES.
+ * @returns {Date} The expiry time.
+ */
+tokenSchema.statics.expiryOf = function (purpose) {
+  return new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+};
+
+/**
+ * @brief   Issues a new token to a user.
+ *
+ * @param {Object} user    The user document.
+ * @param {string} purpose The purpose of the token, a key of TOKEN_TTL_MINUTES.
+ * @returns {Promise<Object>} The plaintext 'token' and its 'expiresAt' time.
+ */
+tokenSchema.statics.issue = async function (user, purpose) {
+  await this.deleteMany({
+    user: user._id,
+    purpose,
+    usedAt: null
+  }).exec();
+
+  const token = newToken();
+  const expiresAt = this.expiryOf(purpose);
+  await this.create({
+    user: user._id,
+    email: user.email,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt
+  });
+  return { token, expiresAt };
+};
+
+/**
+ * @brief   Uses a token up.
+ *
+ * @details The token is marked as used atomically, so two requests with the same token cannot
+ *          both succeed.
+ *
+ * @param {string} token   The plaintext token presented by the client.
+ * @param {string} purpose The purpose the token must have been issued for.
+ * @returns {Promise<Object|null>} The token document, or null if the token is unknown, expired,
+ *                                 already used, or was issued for another purpose.
+ */
+tokenSchema.statics.consume = async function (token, purpose) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { usedAt: now },
+    { new: true }
+  ).exec();
+};
+
+const Token = mongoose.model("tokens", tokenSchema);
+module.exports = Token;
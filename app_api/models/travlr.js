@@ -1,23 +1,78 @@
 const mongoose = require("mongoose");
+const { formatPrice, formatLength } = require("../lib/tripFields");
+const priceSchema = require("./price");
 
 // Define the trip schema
 const tripSchema = new mongoose.Schema({
   code: {
     type: String,
     required: true,
-    index: true
+    unique: true
   },
   name: {
     type: String,
     required: true,
     index: true
   },
-  length: { type: String, required: true },
+  nights: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: [Number.isInteger, "Nights must be a whole number"]
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: [Number.isInteger, "Days must be a whole number"]
+  },
   start: { type: Date, required: true },
   resort: { type: String, required: true },
-  perPerson: { type: String, required: true },
+  // Price per person, in minor units; see 'models/price.js'
+  price: { type: priceSchema, required: true },
   image: { type: String, required: true },
-  description: { type: String, required: true }
+  description: { type: String, required: true },
+  // Places available on the trip and places held by bookings that are not cancelled.
+  // 'booked' is only changed by the bookings controller, with atomic updates.
+  capacity: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: [Number.isInteger, "Capacity must be a whole number"]
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Soft-delete bookkeeping; archived trips are hidden from public listings
+  archived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  archivedAt: { type: Date },
+  archivedBy: { type: String },
+  // Number of the latest revision in the trip's history; see 'models/revision.js'
+  revision: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Display strings kept for clients written before the typed fields, e.g. "799.00"
+tripSchema.virtual("perPerson").get(function () {
+  return this.price ? formatPrice(this.price.amount) : undefined;
+});
+
+// e.g. "4 nights / 5 days"
+tripSchema.virtual("length").get(function () {
+  return formatLength(this.nights, this.days);
 });
 
 const Trip = mongoose.model("trips", tripSchema);
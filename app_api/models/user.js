@@ -3,23 +3,32 @@
  * @brief   This file defines the Mongoose schema for the 'users' collection.
  *
  * @details This file exports a Mongoose model for the 'users' collection, which represents user
- *          data in the application. The model includes fields for email, name, password hash,
- *          and salt. It also defines methods for setting and validating passwords, as well as
- *          generating JSON Web Tokens (JWT) for authentication purposes.
+ *          data in the application. The model includes fields for email, name, role, whether the
+ *          email address is verified, and the password hash, salt, and hashing algorithm. It also
+ *          defines methods for setting and validating passwords, as well as generating JSON Web
+ *          Tokens (JWT) for authentication purposes.
  */
 
 const mongoose = require("mongoose");
-const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const validator = require("validator");
+const config = require("../config");
+const { ROLES, DEFAULT_ROLE } = require("../config/roles");
+const passwords = require("../lib/passwords");
+
+// Lifetime of an access token. Sessions are kept alive with refresh tokens instead.
+const ACCESS_TOKEN_TTL_MINUTES = 15;
 
 /**
  * @brief   Defines the Mongoose schema for the 'users' collection.
  *
  * @details The userSchema defines the structure and validation rules for user documents in the
- *          'users' collection. It includes fields for email, name, password hash, and salt.
+ *          'users' collection. It includes fields for email, name, role, password hash, and salt.
  *          The email field is required, unique, and must be a valid email address. The name
- *          field is required and has a maximum length of 50 characters.
+ *          field is required and has a maximum length of 50 characters. The role field must be
+ *          one of the roles defined in 'config/roles.js' and defaults to 'customer'. The verified
+ *          field is set once the user follows the link in a verification or password reset
+ *          email (see 'lib/accountMail.js').
  */
 const userSchema = new mongoose.Schema({
   email: {
@@ -36,81 +45,157 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, "Name must be less than 50 characters"]
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  verified: { type: Boolean, default: false },
   hash: String,
-  salt: String
+  salt: String,
+  hashAlgorithm: String,
+  hashParams: mongoose.Schema.Types.Mixed
 });
 
 /**
- * @brief   Pre-save hook to sanitize and standardize user input.
+ * @brief   Sanitizes and standardizes user input.
  *
- * @details This pre-save hook is executed before saving a user document to the database.
- *          It normalizes the email address to a canonical form and escapes HTML entities
- *          in the name field to prevent potential security vulnerabilities.
+ * @details This method normalizes the email address to a canonical form and escapes HTML
+ *          entities in the name field to prevent potential security vulnerabilities. It must
+ *          only run once per user, as it would escape the name again; the storage backends run
+ *          it when a user is added (see 'repositories').
+ */
+userSchema.methods.normalize = function () {
+  this.email = validator.normalizeEmail(this.email, { all_lowercase: true });
+  this.name = validator.escape(this.name.trim());
+};
+
+/**
+ * @brief   Pre-save hook that normalizes a user before saving it to MongoDB.
  *
  * @param {Function} next The callback function to be called after the pre-save hook is executed.
  */
 userSchema.pre("save", function (next) {
-  this.email = validator.normalizeEmail(this.email, { all_lowercase: true });
-  this.name = validator.escape(this.name.trim());
+  this.normalize();
 
   next();
 });
 
+/**
+ * @brief   Reads the stored password hash of a user document.
+ *
+ * @param {Object} user The user document.
+ * @returns {Object} The 'hash', 'salt', 'algorithm', and 'params' (see 'lib/passwords.js').
+ */
+const storedPassword = (user) => ({
+  hash: user.hash,
+  salt: user.salt,
+  algorithm: user.hashAlgorithm,
+  params: user.hashParams
+});
+
 /**
  * @brief Sets the password for a user document.
  *
- * @details This method generates a random salt and hashes the provided password using the
- *          PBKDF2 algorithm with 100,000 iterations and the SHA-512 hash function. The
- *          resulting hash and salt are stored in the user document.
+ * @details This method generates a random salt and hashes the provided password with the
+ *          current algorithm and parameters (see 'lib/passwords.js'), without blocking other
+ *          requests. The resulting hash and salt and the algorithm and parameters used are
+ *          stored in the user document.
  *
  * @param {string} password The plaintext password to be hashed.
+ * @returns {Promise<void>}
  */
-userSchema.methods.setPassword = function (password) {
-  this.salt = crypto.randomBytes(16).toString("hex");
-  this.hash = crypto.pbkdf2Sync(password, this.salt, 100000, 64, "sha512").toString("hex");
+userSchema.methods.setPassword = async function (password) {
+  const hashed = await passwords.hashPassword(password);
+  this.hash = hashed.hash;
+  this.salt = hashed.salt;
+  this.hashAlgorithm = hashed.algorithm;
+  this.hashParams = hashed.params;
 };
 
 /**
  * @brief Validates a provided password against the stored hash and salt.
  *
- * @details This method hashes the provided password using the stored salt and compares
- *          the resulting hash with the stored hash in the user document. It returns
- *          true if the hashes match, indicating a valid password, and false otherwise.
+ * @details This method hashes the provided password with the stored salt, algorithm, and
+ *          parameters and compares the result with the stored hash in constant time. It
+ *          resolves to true if the hashes match, indicating a valid password, and false
+ *          otherwise.
  *
  * @param {string} password The plaintext password to be validated.
- * @returns {boolean} True if the provided password is valid, false otherwise.
+ * @returns {Promise<boolean>} True if the provided password is valid, false otherwise.
  */
 userSchema.methods.validPassword = function (password) {
-  const hash = crypto
-    .pbkdf2Sync(password, this.salt, 100000, 64, "sha512")
-    .toString("hex");
-  return this.hash === hash;
+  return passwords.verifyPassword(password, storedPassword(this));
+};
+
+/**
+ * @brief Gets the password fields of a user document, for saving them with `users.update`.
+ *
+ * @details Saving the whole document would run the pre-save hook, which escapes the name again.
+ *
+ * @returns {Object} The 'hash', 'salt', 'hashAlgorithm', and 'hashParams' fields.
+ */
+userSchema.methods.passwordFields = function () {
+  return {
+    hash: this.hash,
+    salt: this.salt,
+    hashAlgorithm: this.hashAlgorithm,
+    hashParams: this.hashParams
+  };
 };
 
 /**
- * @brief Generates a JSON Web Token (JWT) for the user.
+ * @brief Hashes a user's password again if its hash is out of date.
+ *
+ * @details This method is called with the password from a successful login. If the stored hash
+ *          was made with an older algorithm or parameters, the password is hashed with the
+ *          current ones, so old hashes are upgraded as users sign in. The caller saves the new
+ *          `passwordFields`.
+ *
+ * @param {string} password The plaintext password, already validated.
+ * @returns {Promise<boolean>} True if the hash was upgraded, false if it was current.
+ */
+userSchema.methods.upgradePassword = async function (password) {
+  if (!passwords.needsRehash(storedPassword(this))) {
+    return false;
+  }
+
+  await this.setPassword(password);
+  return true;
+};
+
+/**
+ * @brief Generates a short-lived JSON Web Token (JWT) for the user.
  *
  * @details This method generates a JSON Web Token (JWT) for the user, which can be used
  *          for authentication and authorization purposes. The JWT payload includes the
- *          user's ID, email, name, and an expiration time set to 7 days from the current
- *          date. The JWT is signed using a secret key stored in the environment variable
- *          'JWT_SECRET'.
+ *          user's ID, email, name, role, the ID of the session it belongs to, and an
+ *          expiration time set to ACCESS_TOKEN_TTL_MINUTES from now. The JWT is signed using
+ *          the secret key configured by the environment variable 'JWT_SECRET'.
+ *
+ *          Access tokens are short-lived; clients obtain a new one from '/api/v1/token/refresh'
+ *          with the refresh token of their session. Revoking the session rejects the access
+ *          tokens issued for it even before they expire.
  *
+ * @param {ObjectId} sessionId The ID of the session the token is issued for.
  * @returns {string} The generated JSON Web Token (JWT).
  */
-userSchema.methods.generateJwt = function () {
+userSchema.methods.generateJwt = function (sessionId) {
   const expiry = new Date();
-  expiry.setDate(expiry.getDate() + 7);
+  expiry.setMinutes(expiry.getMinutes() + ACCESS_TOKEN_TTL_MINUTES);
 
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       name: this.name,
+      role: this.role,
+      sid: sessionId,
       exp: parseInt(expiry.getTime() / 1000, 10)
     },
-    process.env.JWT_SECRET
+    config.jwtSecret
   );
 };
 
-mongoose.model("users", userSchema);
+const User = mongoose.model("users", userSchema);
+module.exports = User;
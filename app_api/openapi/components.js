@@ -0,0 +1,307 @@
+/**
+ * @file    components.js
+ * @brief   This file defines the response schemas of the OpenAPI document.
+ *
+ * @details The schemas describe the JSON the controllers send, as JSON Schema (OpenAPI 3.1). They
+ *          list the fields clients rely on and leave other fields open, so adding a field to a
+ *          response is not a breaking change but removing or retyping one is. The request
+ *          schemas are not defined here: they are built from the route schemas in 'schemas/'
+ *          (see 'openapi/index.js').
+ */
+
+const { NEWS_CATEGORIES } = require("../models/content");
+const Booking = require("../models/booking");
+const Revision = require("../models/revision");
+const { ROLES } = require("../config/roles");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const objectId = {
+  type: "string",
+  pattern: "^[0-9a-f]{24}$"
+};
+const dateTime = { type: "string", format: "date-time" };
+const count = { type: "integer", minimum: 0 };
+
+// The problems listed by an error, or by a rejected row of an import
+const errorDetails = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["message"],
+    properties: {
+      field: { type: "string" },
+      message: { type: "string" }
+    }
+  }
+};
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["code", "message", "details"],
+    properties: {
+      code: {
+        type: "string",
+        description: "A stable code for the kind of error, e.g. 'not_found' or 'validation_failed'."
+      },
+      message: { type: "string" },
+      details: errorDetails
+    }
+  },
+  Message: {
+    type: "object",
+    required: ["message"],
+    properties: { message: { type: "string" } }
+  },
+  Price: {
+    type: "object",
+    required: ["amount", "currency"],
+    description: "A price in minor units, e.g. { amount: 79900, currency: 'USD' } for $799.00.",
+    properties: {
+      amount: count,
+      currency: { type: "string", pattern: "^[A-Z]{3}$" }
+    }
+  },
+  Trip: {
+    type: "object",
+    required: ["_id", "code", "name", "start", "resort", "image", "description"],
+    properties: {
+      _id: objectId,
+      code: { type: "string" },
+      name: { type: "string" },
+      nights: count,
+      days: { type: "integer", minimum: 1 },
+      length: { type: "string", description: "The nights and days for display, e.g. '4 nights / 5 days'." },
+      start: dateTime,
+      resort: { type: "string" },
+      price: ref("Price"),
+      perPerson: { type: "string", description: "The price in major units for display, e.g. '799.00'." },
+      capacity: count,
+      booked: count,
+      image: { type: "string" },
+      description: { type: "string", description: "HTML." },
+      archived: { type: "boolean" },
+      archivedAt: dateTime,
+      archivedBy: { type: "string" },
+      revision: count
+    }
+  },
+  TripList: {
+    type: "array",
+    items: ref("Trip")
+  },
+  TripSearch: {
+    type: "object",
+    required: ["q", "total", "results"],
+    properties: {
+      q: { type: "string" },
+      total: count,
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["trip", "score", "highlights"],
+          properties: {
+            trip: ref("Trip"),
+            score: { type: "number" },
+            highlights: {
+              type: "object",
+              description: "HTML fragments of the matched fields, with the matched words in <mark>.",
+              properties: {
+                name: { type: "string" },
+                resort: { type: "string" },
+                description: { type: "string" }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  TripExport: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["code", "name", "start", "resort", "image", "description"],
+      properties: {
+        code: { type: "string" },
+        name: { type: "string" },
+        nights: count,
+        days: { type: "integer", minimum: 1 },
+        start: dateTime,
+        resort: { type: "string" },
+        price: ref("Price"),
+        capacity: count,
+        image: { type: "string" },
+        description: { type: "string" }
+      }
+    }
+  },
+  ImportReport: {
+    type: "object",
+    required: ["applied", "created", "updated", "unchanged", "rejected", "rows"],
+    properties: {
+      dryRun: { type: "boolean" },
+      applied: { type: "boolean" },
+      created: count,
+      updated: count,
+      unchanged: count,
+      rejected: count,
+      rows: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["row", "status"],
+          properties: {
+            row: { type: "integer", minimum: 1 },
+            code: { type: "string" },
+            status: { type: "string", enum: ["created", "updated", "unchanged", "rejected"] },
+            errors: errorDetails
+          }
+        }
+      }
+    }
+  },
+  Revision: {
+    type: "object",
+    required: ["_id", "trip", "tripCode", "revision", "action", "changes", "createdAt"],
+    properties: {
+      _id: objectId,
+      trip: objectId,
+      tripCode: { type: "string" },
+      revision: { type: "integer", minimum: 1 },
+      action: { type: "string", enum: Revision.schema.path("action").enumValues },
+      actor: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          email: { type: "string" }
+        }
+      },
+      changes: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["field"],
+          properties: {
+            field: { type: "string" },
+            from: {},
+            to: {}
+          }
+        }
+      },
+      revertedTo: { type: "integer", minimum: 1 },
+      createdAt: dateTime
+    }
+  },
+  CacheStats: {
+    type: "object",
+    required: ["hits", "misses", "clears", "hitRate", "entries"],
+    properties: {
+      hits: count,
+      misses: count,
+      clears: count,
+      hitRate: {
+        type: "number",
+        minimum: 0,
+        maximum: 1
+      },
+      entries: count
+    }
+  },
+  Tokens: {
+    type: "object",
+    required: ["token", "refreshToken"],
+    properties: {
+      token: { type: "string", description: "A JWT access token, sent as 'Authorization: Bearer <token>'." },
+      refreshToken: { type: "string", description: "Exchanged for new tokens at /token/refresh." }
+    }
+  },
+  EmailVerified: {
+    type: "object",
+    required: ["email", "verified"],
+    properties: {
+      email: { type: "string", format: "email" },
+      verified: { const: true }
+    }
+  },
+  UserRole: {
+    type: "object",
+    required: ["email", "name", "role"],
+    properties: {
+      email: { type: "string", format: "email" },
+      name: { type: "string" },
+      role: { type: "string", enum: ROLES }
+    }
+  },
+  Image: {
+    type: "object",
+    required: ["image", "url", "thumbnailUrl"],
+    properties: {
+      image: { type: "string" },
+      url: { type: "string" },
+      thumbnailUrl: { type: "string" }
+    }
+  },
+  Booking: {
+    type: "object",
+    required: ["_id", "tripCode", "user", "travelers", "totalPrice", "status"],
+    properties: {
+      _id: objectId,
+      tripCode: { type: "string" },
+      user: objectId,
+      travelers: { type: "integer", minimum: 1 },
+      totalPrice: ref("Price"),
+      status: { type: "string", enum: Booking.schema.path("status").enumValues },
+      cancelledAt: dateTime,
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  Room: {
+    type: "object",
+    required: ["_id", "code", "name", "description", "rate"],
+    properties: {
+      _id: objectId,
+      code: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      rate: ref("Price"),
+      image: { type: "string" },
+      position: { type: "integer" }
+    }
+  },
+  Meal: {
+    type: "object",
+    required: ["_id", "code", "name", "description"],
+    properties: {
+      _id: objectId,
+      code: { type: "string" },
+      name: { type: "string" },
+      dish: { type: "string" },
+      description: { type: "string" },
+      image: { type: "string" },
+      position: { type: "integer" }
+    }
+  },
+  News: {
+    type: "object",
+    required: ["_id", "code", "title", "category", "publishedAt", "body"],
+    properties: {
+      _id: objectId,
+      code: { type: "string" },
+      title: { type: "string" },
+      category: { type: "string", enum: NEWS_CATEGORIES },
+      author: { type: "string" },
+      publishedAt: dateTime,
+      body: { type: "string", description: "HTML." },
+      image: { type: "string" }
+    }
+  }
+};
+
+module.exports = {
+  ref,
+  schemas
+};
@@ -0,0 +1,674 @@
+/**
+ * @file    index.js
+ * @brief   This file builds the OpenAPI 3.1 document of version 1 of the API, served at
+ *          '/api/v1/openapi.json'.
+ *
+ * @details Each operation is declared next to the request schema its route validates with (see
+ *          'routes/v1.js'). The parameters and request bodies are built from those schemas,
+ *          so the document cannot describe a request the API would reject, or the other way
+ *          round. The response schemas are in 'openapi/components.js'.
+ *
+ *          The contract tests ('test/api/contract.test.js') check that every route of the router
+ *          is in the document and that the responses of the running API match it.
+ */
+
+const authSchemas = require("../schemas/auth");
+const tripSchemas = require("../schemas/trips");
+const userSchemas = require("../schemas/users");
+const bookingSchemas = require("../schemas/bookings");
+const contentSchemas = require("../schemas/content");
+const { ref, schemas } = require("./components");
+
+// JSON Schema of each type of the request schemas (see 'middleware/validate.js')
+const TYPES = {
+  string: { type: "string" },
+  integer: { type: "integer" },
+  number: { type: "number" },
+  boolean: { type: "boolean" },
+  date: { type: "string", format: "date-time" },
+  email: { type: "string", format: "email" },
+  objectId: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+  object: { type: "object" },
+  array: { type: "array" }
+};
+
+/**
+ * @brief   Converts a rule of a request schema into JSON Schema.
+ *
+ * @param {Object} rule The rule of a field (see 'middleware/validate.js').
+ * @returns {Object} The JSON Schema of the field.
+ */
+const fromRule = (rule) => {
+  const types = [].concat(rule.type || []).map((type) => TYPES[type]);
+  const schema = types.length === 1 ? { ...types[0] } : {};
+  if (types.length > 1) {
+    schema.anyOf = types;
+  }
+  if (rule.enum) {
+    schema.enum = rule.enum;
+  }
+  if (rule.min !== undefined) {
+    schema.minimum = rule.min;
+  }
+  if (rule.max !== undefined) {
+    schema.maximum = rule.max;
+  }
+  if (rule.minLength !== undefined) {
+    schema.minLength = rule.minLength;
+  }
+  if (rule.maxLength !== undefined) {
+    schema.maxLength = rule.maxLength;
+  }
+  if (rule.pattern) {
+    schema.pattern = rule.pattern.source;
+  }
+  if (rule.patternMessage) {
+    schema.description = `The value ${rule.patternMessage}.`;
+  }
+  if (rule.properties) {
+    Object.assign(schema, fromFields(rule.properties));
+  }
+  return schema;
+};
+
+/**
+ * @brief   Converts the fields of a request schema into the JSON Schema of an object.
+ *
+ * @param {Object} fields The fields of the schema, mapped to their rules.
+ * @returns {Object} The JSON Schema of the object.
+ */
+const fromFields = (fields) => {
+  const required = Object.keys(fields).filter((name) => fields[name].required);
+  const properties = {};
+  Object.keys(fields).forEach((name) => {
+    properties[name] = fromRule(fields[name]);
+  });
+  return {
+    type: "object",
+    ...(required.length ? { required } : {}),
+    properties
+  };
+};
+
+/**
+ * @brief   Builds the parameters of an operation from the 'params' and 'query' of its schema.
+ *
+ * @param {Object} schema The request schema of the route.
+ * @returns {Array<Object>} The OpenAPI parameters.
+ */
+const parametersOf = (schema) => ["params", "query"].flatMap((part) =>
+  Object.keys(schema[part] || {}).map((name) => ({
+    name,
+    in: part === "params" ? "path" : "query",
+    required: part === "params" || Boolean(schema[part][name].required),
+    schema: fromRule(schema[part][name])
+  })));
+
+// A response with a JSON body
+const json = (schema, description) => ({
+  description,
+  content: { "application/json": { schema } }
+});
+
+// The error responses an operation may declare, by status
+const ERRORS = {
+  400: "The request is invalid. 'details' lists each problem.",
+  401: "The access token is missing, invalid, expired, or revoked.",
+  403: "The user's role does not have the permission the route requires.",
+  404: "Nothing was found at the address.",
+  409: "The request conflicts with the stored data.",
+  412: "The trip has changed since it was read. 'current' is the stored trip.",
+  429: "Too many attempts. 'Retry-After' gives the seconds to wait."
+};
+
+const HEADERS = {
+  ETag: {
+    description: "The version of the trip or page, for 'If-Match' and 'If-None-Match'.",
+    schema: { type: "string" }
+  },
+  Link: {
+    description: "The next page, as '<url>; rel=\"next\"', unless this is the last page.",
+    schema: { type: "string" }
+  },
+  "Retry-After": {
+    description: "The number of seconds to wait before trying again.",
+    schema: { type: "integer" }
+  }
+};
+
+/**
+ * @brief   Builds an operation.
+ *
+ * @param {Object} options The operation:
+ *                         'tags' and 'summary' describe it;
+ *                         'schema' is the request schema its route validates with, if any;
+ *                         'permission' is the permission its route requires, if any, and
+ *                         'signedIn' is true if it needs an access token but no permission;
+ *                         'body' replaces the request body built from the schema;
+ *                         'responses' are its successful responses, by status; and
+ *                         'errors' are the statuses of its error responses, besides those
+ *                         implied by the other options.
+ * @returns {Object} The OpenAPI operation.
+ */
+const operation = ({
+  tags,
+  summary,
+  description,
+  schema = {},
+  permission,
+  signedIn = Boolean(permission),
+  body,
+  responses,
+  errors = []
+}) => {
+  const op = {
+    tags,
+    summary,
+    parameters: parametersOf(schema),
+    responses: { ...responses }
+  };
+  const notes = [description, permission && `Requires the '${permission}' permission.`].filter(Boolean);
+  if (notes.length) {
+    op.description = notes.join(" ");
+  }
+
+  if (body || schema.body) {
+    op.requestBody = body || {
+      required: true,
+      content: { "application/json": { schema: fromFields(schema.body) } }
+    };
+  }
+  if (signedIn) {
+    op.security = [{ bearerAuth: [] }];
+  }
+
+  const statuses = new Set(errors);
+  if (op.parameters.length || op.requestBody) {
+    statuses.add(400);
+  }
+  if (signedIn) {
+    statuses.add(401);
+  }
+  if (permission) {
+    statuses.add(403);
+  }
+  [...statuses].sort().forEach((status) => {
+    op.responses[status] = json(ref("Error"), ERRORS[status]);
+    if (status === 412) {
+      op.responses[status] = json({
+        allOf: [ref("Error")],
+        properties: { current: ref("Trip") }
+      }, ERRORS[status]);
+    }
+    if (status === 429) {
+      op.responses[status].headers = { "Retry-After": HEADERS["Retry-After"] };
+    }
+  });
+  return op;
+};
+
+// The query parameters of the trip listing, checked by 'lib/tripQuery.js'
+const TRIP_LIST_PARAMETERS = [
+  ["resort", { type: "string" }, "Case-insensitive part of the resort name."],
+  ["minPrice", { type: "number", minimum: 0 }, "Lowest price per person, in major units, e.g. 500."],
+  ["maxPrice", { type: "number", minimum: 0 }, "Highest price per person, in major units."],
+  ["startFrom", { type: "string", format: "date" }, "Earliest start date."],
+  ["startTo", { type: "string", format: "date" }, "Latest start date."],
+  ["minNights", { type: "integer", minimum: 0 }, "Fewest nights."],
+  ["maxNights", { type: "integer", minimum: 0 }, "Most nights."],
+  ["sort", { type: "string" }, "Comma-separated sort keys of code, name, resort, start, price, and nights; '-' sorts descending, e.g. '-price,name'."],
+  ["limit", {
+    type: "integer",
+    minimum: 1,
+    maximum: 100
+  }, "Page size. Defaults to 20."],
+  ["cursor", { type: "string" }, "The cursor of the next page, from the 'Link' header of the previous page."]
+].map(([name, schema, description]) => ({
+  name,
+  in: "query",
+  schema,
+  description
+}));
+
+// The successful responses of the trip routes
+const trip = { 200: { ...json(ref("Trip"), "The trip."), headers: { ETag: HEADERS.ETag } } };
+const tripList = (description) => ({ 200: json(ref("TripList"), description) });
+const message = (status, description) => ({ [status]: json(ref("Message"), description) });
+const tokens = { 200: json(ref("Tokens"), "The tokens of a new session.") };
+
+/**
+ * @brief   Builds the paths of a kind of website content.
+ *
+ * @param {string} path    The path of the listing, e.g. '/rooms'.
+ * @param {string} name    The name of the component schema, e.g. 'Room'.
+ * @param {Object} schemas The request schemas of the kind of content (see 'schemas/content.js').
+ * @returns {Object} The OpenAPI paths.
+ */
+const contentPaths = (path, name, schemas) => {
+  const tags = ["Content"];
+  const item = json(ref(name), `The ${name.toLowerCase()}.`);
+  return {
+    [path]: {
+      get: operation({
+        tags,
+        summary: `List the ${path.slice(1)}`,
+        schema: schemas.list,
+        responses: { 200: json({ type: "array", items: ref(name) }, `The ${path.slice(1)}.`) }
+      }),
+      post: operation({
+        tags,
+        summary: `Add a ${name.toLowerCase()}`,
+        schema: schemas.create,
+        permission: "content:create",
+        responses: { 201: item },
+        errors: [409]
+      })
+    },
+    [`${path}/{code}`]: {
+      get: operation({
+        tags,
+        summary: `Find a ${name.toLowerCase()} by code`,
+        schema: schemas.byCode,
+        responses: { 200: item },
+        errors: [404]
+      }),
+      put: operation({
+        tags,
+        summary: `Update a ${name.toLowerCase()}`,
+        schema: schemas.update,
+        permission: "content:update",
+        responses: { 200: item },
+        errors: [404, 409]
+      }),
+      delete: operation({
+        tags,
+        summary: `Delete a ${name.toLowerCase()}`,
+        schema: schemas.byCode,
+        permission: "content:delete",
+        responses: { 204: { description: `The ${name.toLowerCase()} was deleted.` } },
+        errors: [404]
+      })
+    }
+  };
+};
+
+const paths = {
+  "/login": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Sign in with an email address and password",
+      description: "Attempts are limited per client IP address, and an account is locked for a while after repeated failed logins.",
+      schema: authSchemas.login,
+      responses: tokens,
+      errors: [401, 429]
+    })
+  },
+  "/register": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Create an account and sign in",
+      description: "A verification link is emailed to the new address.",
+      schema: authSchemas.register,
+      responses: tokens,
+      errors: [409, 429]
+    })
+  },
+  "/token/refresh": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Exchange a refresh token for new tokens",
+      description: "The refresh token can only be used once.",
+      schema: authSchemas.refresh,
+      responses: tokens,
+      errors: [401]
+    })
+  },
+  "/logout": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "End the session of a refresh token",
+      schema: authSchemas.logout,
+      responses: { 204: { description: "The session has ended." } }
+    })
+  },
+  "/password/forgot": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Email a password reset link",
+      description: "The response is the same whether or not an account uses the address.",
+      schema: authSchemas.forgotPassword,
+      responses: message(202, "The link has been sent if an account uses the address."),
+      errors: [429]
+    })
+  },
+  "/password/reset": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Set a new password with the token of a reset link",
+      description: "Every session of the user ends.",
+      schema: authSchemas.resetPassword,
+      responses: message(200, "The password has been reset.")
+    })
+  },
+  "/email/verify": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Verify an email address with the token of a verification link",
+      schema: authSchemas.verifyEmail,
+      responses: { 200: json(ref("EmailVerified"), "The address is verified.") }
+    })
+  },
+  "/email/verify/resend": {
+    post: operation({
+      tags: ["Authentication"],
+      summary: "Email the signed-in user another verification link",
+      signedIn: true,
+      responses: message(202, "The link has been sent."),
+      errors: [404, 409, 429]
+    })
+  },
+  "/users/{email}/role": {
+    put: operation({
+      tags: ["Users"],
+      summary: "Change the role of a user",
+      schema: userSchemas.setRole,
+      permission: "users:manage",
+      responses: { 200: json(ref("UserRole"), "The user with the new role.") },
+      errors: [404]
+    })
+  },
+  "/trips": {
+    get: {
+      tags: ["Trips"],
+      summary: "List the trips",
+      description: "Trips that have been archived are not listed.",
+      parameters: TRIP_LIST_PARAMETERS,
+      responses: {
+        200: {
+          ...json(ref("TripList"), "A page of trips."),
+          headers: {
+            ETag: HEADERS.ETag,
+            Link: HEADERS.Link
+          }
+        },
+        400: json(ref("Error"), ERRORS[400])
+      }
+    },
+    post: operation({
+      tags: ["Trips"],
+      summary: "Add a trip",
+      description: "A trip needs either 'nights' and 'days' or a 'length', and either 'price' or 'perPerson'. The 'image' must be in public/images.",
+      schema: tripSchemas.create,
+      permission: "trips:create",
+      responses: trip,
+      errors: [409]
+    })
+  },
+  "/trips/export": {
+    get: operation({
+      tags: ["Trips"],
+      summary: "Download every trip as JSON or CSV",
+      schema: tripSchemas.exportCatalogue,
+      responses: {
+        200: {
+          description: "The trips, ordered by code.",
+          content: {
+            "application/json": { schema: ref("TripExport") },
+            "text/csv": { schema: { type: "string" } }
+          }
+        }
+      }
+    })
+  },
+  "/trips/import": {
+    post: operation({
+      tags: ["Trips"],
+      summary: "Create and update trips in bulk",
+      description: "Trips are matched by code. If any row is rejected, nothing is changed. With 'dryRun=true' the changes are reported but not made.",
+      schema: tripSchemas.importCatalogue,
+      permission: "trips:import",
+      body: {
+        required: true,
+        content: {
+          "application/json": { schema: ref("TripExport") },
+          "text/csv": { schema: { type: "string" } }
+        }
+      },
+      responses: {
+        200: json(ref("ImportReport"), "The report of the import."),
+        400: json({
+          allOf: [ref("Error")],
+          properties: { report: ref("ImportReport") }
+        }, "The body cannot be read or a row was rejected. 'report' gives the status of every row.")
+      }
+    })
+  },
+  "/trips/search": {
+    get: operation({
+      tags: ["Trips"],
+      summary: "Search the trips",
+      description: "Trips are ranked by how well their name, resort, and description match the words of 'q'.",
+      schema: tripSchemas.search,
+      responses: { 200: json(ref("TripSearch"), "The best matches.") }
+    })
+  },
+  "/trips/cache": {
+    get: operation({
+      tags: ["Trips"],
+      summary: "Report the use of the trip cache",
+      permission: "trips:update",
+      responses: { 200: json(ref("CacheStats"), "The cache statistics.") }
+    })
+  },
+  "/trips/archive": {
+    get: operation({
+      tags: ["Trips"],
+      summary: "List the archived trips",
+      permission: "trips:archive",
+      responses: tripList("The archived trips, most recently archived first.")
+    })
+  },
+  "/trips/{tripCode}": {
+    get: operation({
+      tags: ["Trips"],
+      summary: "Find a trip by code",
+      schema: tripSchemas.byCode,
+      responses: {
+        200: {
+          ...json(ref("TripList"), "A list holding the trip."),
+          headers: { ETag: HEADERS.ETag }
+        }
+      },
+      errors: [404]
+    }),
+    put: {
+      ...operation({
+        tags: ["Trips"],
+        summary: "Update a trip",
+        description: "Only the fields in the body are changed. Send the trip's ETag in 'If-Match' to make sure no one changed it since it was read.",
+        schema: tripSchemas.update,
+        permission: "trips:update",
+        responses: trip,
+        errors: [404, 409, 412]
+      }),
+      parameters: [
+        ...parametersOf(tripSchemas.update),
+        {
+          name: "If-Match",
+          in: "header",
+          schema: { type: "string" }
+        }
+      ]
+    },
+    delete: operation({
+      tags: ["Trips"],
+      summary: "Archive a trip",
+      schema: tripSchemas.byCode,
+      permission: "trips:archive",
+      responses: trip,
+      errors: [404]
+    })
+  },
+  "/trips/{tripCode}/restore": {
+    post: operation({
+      tags: ["Trips"],
+      summary: "Restore an archived trip",
+      schema: tripSchemas.byCode,
+      permission: "trips:archive",
+      responses: trip,
+      errors: [404, 409]
+    })
+  },
+  "/trips/{tripCode}/history": {
+    get: operation({
+      tags: ["Trips"],
+      summary: "List the revisions of a trip",
+      schema: tripSchemas.byCode,
+      permission: "trips:update",
+      responses: { 200: json({ type: "array", items: ref("Revision") }, "The revisions, newest first.") },
+      errors: [404]
+    })
+  },
+  "/trips/{tripCode}/revert/{revision}": {
+    post: operation({
+      tags: ["Trips"],
+      summary: "Revert a trip to an earlier revision",
+      schema: tripSchemas.revert,
+      permission: "trips:update",
+      responses: trip,
+      errors: [404, 409]
+    })
+  },
+  "/images": {
+    post: operation({
+      tags: ["Images"],
+      summary: "Upload a trip image",
+      description: "The image is stored under the hash of its content, so uploading it again returns 200 rather than 201.",
+      permission: "images:upload",
+      body: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              required: ["image"],
+              properties: { image: { type: "string", contentMediaType: "image/*" } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json(ref("Image"), "The image was already stored."),
+        201: json(ref("Image"), "The image was stored.")
+      },
+      errors: [400]
+    })
+  },
+  ...contentPaths("/rooms", "Room", contentSchemas.rooms),
+  ...contentPaths("/meals", "Meal", contentSchemas.meals),
+  ...contentPaths("/news", "News", contentSchemas.news),
+  "/bookings": {
+    get: operation({
+      tags: ["Bookings"],
+      summary: "List the bookings of the signed-in user",
+      permission: "bookings:create",
+      responses: { 200: json({ type: "array", items: ref("Booking") }, "The bookings, newest first.") }
+    }),
+    post: operation({
+      tags: ["Bookings"],
+      summary: "Book places on a trip",
+      schema: bookingSchemas.create,
+      permission: "bookings:create",
+      responses: { 201: json(ref("Booking"), "The pending booking.") },
+      errors: [404, 409]
+    })
+  },
+  "/bookings/all": {
+    get: operation({
+      tags: ["Bookings"],
+      summary: "List every booking",
+      schema: bookingSchemas.listAll,
+      permission: "bookings:manage",
+      responses: { 200: json({ type: "array", items: ref("Booking") }, "The bookings, newest first.") }
+    })
+  },
+  "/bookings/{bookingId}": {
+    get: operation({
+      tags: ["Bookings"],
+      summary: "Find a booking",
+      description: "Users without 'bookings:manage' only find their own bookings.",
+      schema: bookingSchemas.byId,
+      permission: "bookings:create",
+      responses: { 200: json(ref("Booking"), "The booking.") },
+      errors: [404]
+    })
+  },
+  "/bookings/{bookingId}/cancel": {
+    post: operation({
+      tags: ["Bookings"],
+      summary: "Cancel a booking",
+      description: "Users without 'bookings:manage' only cancel their own bookings.",
+      schema: bookingSchemas.byId,
+      permission: "bookings:create",
+      responses: { 200: json(ref("Booking"), "The cancelled booking.") },
+      errors: [404, 409]
+    })
+  },
+  "/bookings/{bookingId}/confirm": {
+    post: operation({
+      tags: ["Bookings"],
+      summary: "Confirm a pending booking",
+      schema: bookingSchemas.byId,
+      permission: "bookings:manage",
+      responses: { 200: json(ref("Booking"), "The confirmed booking.") },
+      errors: [404, 409]
+    })
+  },
+  "/openapi.json": {
+    get: {
+      tags: ["Documentation"],
+      summary: "Get this document",
+      responses: { 200: json({ type: "object" }, "The OpenAPI document.") }
+    }
+  },
+  "/docs": {
+    get: {
+      tags: ["Documentation"],
+      summary: "Browse this document",
+      responses: { 200: { description: "The documentation page.", content: { "text/html": {} } } }
+    }
+  }
+};
+
+const document = {
+  openapi: "3.1.0",
+  info: {
+    title: "Travlr Getaways API",
+    version: "1.0.0",
+    description: "The API of the Travlr Getaways website and admin app. Errors are sent as an 'Error' object with a stable 'code'. The same routes are served without the version, under '/api', until the date in their 'Sunset' header. Every response has an 'X-Request-Id' header: the ID sent in the request's own 'X-Request-Id' header, or a generated one. Quote it when reporting a problem."
+  },
+  servers: [{ url: "/api/v1" }],
+  tags: [
+    { name: "Authentication" },
+    { name: "Trips" },
+    { name: "Images" },
+    { name: "Content", description: "The rooms, meals, and news articles of the website." },
+    { name: "Bookings" },
+    { name: "Users" },
+    { name: "Documentation" }
+  ],
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        bearerFormat: "JWT",
+        description: "The access token from /login, /register, or /token/refresh."
+      }
+    }
+  }
+};
+
+module.exports = document;
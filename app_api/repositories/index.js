@@ -0,0 +1,36 @@
+/**
+ * @file    index.js
+ * @brief   This file selects the storage backend of the API and exports its repositories.
+ *
+ * @details The controllers and libraries read and write data through repositories instead of
+ *          the Mongoose models, so the data can be kept in more than one place. STORAGE_BACKEND
+ *          chooses the backend (see 'config/load.js'):
+ *
+ *            mongodb  Stores the data in MongoDB (see 'repositories/mongodb').
+ *            memory   Keeps the data in the process, and in the JSON file STORAGE_FILE if it is
+ *                     set (see 'repositories/memory'). It needs no database, which suits tests
+ *                     and demos, but it does not share its data between processes.
+ *
+ *          Both backends return Mongoose documents, validated by the schemas in 'models', and
+ *          report invalid data and duplicate keys with the same errors, so callers cannot tell
+ *          them apart. Each backend exports:
+ *
+ *            name        "mongodb" or "memory".
+ *            trips, revisions, users, sessions, tokens, bookings, rooms, meals, news
+ *                        The repositories. Their methods are documented in the MongoDB backend.
+ *            state()     "connected" if the backend can serve requests, otherwise the state of
+ *                        its connection, such as "connecting".
+ *            ready()     Resolves once the backend can serve requests, and rejects if it cannot
+ *                        connect.
+ *            close()     Releases the backend when the server stops.
+ */
+
+const config = require("../config");
+
+// Backends are only loaded when chosen, so the memory backend never connects to MongoDB
+const BACKENDS = {
+  mongodb: () => require("./mongodb"),
+  memory: () => require("./memory")
+};
+
+module.exports = BACKENDS[config.storage.backend]();
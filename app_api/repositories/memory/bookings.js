@@ -0,0 +1,47 @@
+/**
+ * @file    bookings.js
+ * @brief   This file keeps the bookings in the memory backend.
+ *
+ * @details The methods behave like those of the MongoDB backend, where they are documented (see
+ *          'repositories/mongodb/bookings.js').
+ */
+
+const Booking = require("../../models/booking");
+const { matches, sortBy } = require("./query");
+
+/**
+ * @brief   Creates the booking repository of a store.
+ *
+ * @param {Object} store The store (see 'repositories/memory/store.js').
+ * @returns {Object} The 'bookings' repository.
+ */
+const createBookingRepository = (store) => {
+  const collection = store.collection(Booking);
+
+  // Changes the status of the booking that matches, if the test accepts it
+  const changeStatus = (where, test, fields) => {
+    const booking = collection.find((b) => matches(where)(b) && test(b));
+    if (!booking) {
+      return null;
+    }
+    booking.set(fields);
+    return collection.write([booking])[0];
+  };
+
+  const bookings = {
+    create: async (fields) => collection.write([new Booking(fields)])[0],
+
+    list: async (where) => sortBy(collection.filter(matches(where)), { createdAt: -1 }),
+
+    find: async (where) => collection.find(matches(where)),
+
+    cancel: async (where) => changeStatus(where, (b) => b.status !== "cancelled",
+      { status: "cancelled", cancelledAt: new Date() }),
+
+    confirm: async (where) => changeStatus(where, (b) => b.status === "pending", { status: "confirmed" })
+  };
+
+  return { bookings };
+};
+
+module.exports = { createBookingRepository };
@@ -0,0 +1,76 @@
+/**
+ * @file    content.js
+ * @brief   This file keeps the rooms, meals, and news articles of the website in the memory
+ *          backend.
+ *
+ * @details The methods behave like those of the MongoDB backend, where they are documented (see
+ *          'repositories/mongodb/content.js').
+ */
+
+const {
+  Room,
+  Meal,
+  News
+} = require("../../models/content");
+const { matches, sortBy } = require("./query");
+
+/**
+ * @brief   Builds the repository of a kind of content.
+ *
+ * @param {Object} store The store (see 'repositories/memory/store.js').
+ * @param {Model}  Model The Mongoose model of the content.
+ * @returns {Object} The repository, with the methods 'list', 'findByCode', 'create', 'update',
+ *                   'remove', and 'imagesInUse'.
+ */
+const contentRepository = (store, Model) => {
+  const collection = store.collection(Model);
+  const byCode = (code) => collection.find((doc) => doc.code === code);
+
+  return {
+    list: async ({
+      where = {},
+      sort,
+      limit
+    }) => {
+      const docs = sortBy(collection.filter(matches(where)), sort);
+      return limit === undefined ? docs : docs.slice(0, limit);
+    },
+
+    findByCode: async (code) => byCode(code),
+
+    create: async (fields) => collection.write([new Model(fields)])[0],
+
+    update: async (code, fields) => {
+      const doc = byCode(code);
+      if (!doc) {
+        return null;
+      }
+      doc.set(fields);
+      return collection.write([doc])[0];
+    },
+
+    remove: async (code) => {
+      const doc = byCode(code);
+      if (doc) {
+        collection.remove([doc]);
+      }
+      return doc;
+    },
+
+    imagesInUse: async () => [...new Set(collection.all().map((doc) => doc.image).filter(Boolean))]
+  };
+};
+
+/**
+ * @brief   Creates the content repositories of a store.
+ *
+ * @param {Object} store The store.
+ * @returns {Object} The 'rooms', 'meals', and 'news' repositories.
+ */
+const createContentRepositories = (store) => ({
+  rooms: contentRepository(store, Room),
+  meals: contentRepository(store, Meal),
+  news: contentRepository(store, News)
+});
+
+module.exports = { createContentRepositories };
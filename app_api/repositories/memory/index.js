@@ -0,0 +1,34 @@
+/**
+ * @file    index.js
+ * @brief   This file is the memory storage backend.
+ *
+ * @details The backend keeps its data in the process, and loads it from and saves it to
+ *          STORAGE_FILE if that is set (see 'config/load.js' and 'repositories/memory/store.js').
+ *          Without a file, every process starts empty and its data is lost when it exits, so the
+ *          server can only be filled through the API. 'npm run migrate -- seed', 'promote-admin',
+ *          and 'gc-images' run in processes of their own, and reach the server's data only through
+ *          a STORAGE_FILE that both of them use, so they refuse to run without one. The data is
+ *          not otherwise shared between processes, so run a single server process with this
+ *          backend.
+ */
+
+const config = require("../../config");
+const { createStore } = require("./store");
+const { createTripRepositories } = require("./trips");
+const { createUserRepositories } = require("./users");
+const { createBookingRepository } = require("./bookings");
+const { createContentRepositories } = require("./content");
+
+const store = createStore({ file: config.storage.file });
+
+module.exports = {
+  name: "memory",
+  ...createTripRepositories(store),
+  ...createUserRepositories(store),
+  ...createBookingRepository(store),
+  ...createContentRepositories(store),
+  state: () => "connected",
+  ready: async () => {},
+  // Every change is saved as it is made
+  close: async () => {}
+};
@@ -0,0 +1,104 @@
+/**
+ * @file    query.js
+ * @brief   This file matches and sorts the documents of the memory backend.
+ *
+ * @details Values are compared the way MongoDB compares them for the types the schemas use:
+ *          dates by time, IDs by their hexadecimal string, and missing values (undefined or
+ *          null) before any other value.
+ */
+
+/**
+ * @brief   Converts a value into one that compares with '===', '<', and '>'.
+ *
+ * @param {*} value The value of a field.
+ * @returns {*} The time of a date, the hexadecimal string of an ID, null for a missing value,
+ *              or the value itself.
+ */
+const comparable = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value.toHexString === "function") {
+    return value.toHexString();
+  }
+  return value;
+};
+
+/**
+ * @brief   Compares two values.
+ *
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @returns {number} A negative number if 'a' comes first, a positive number if 'b' does, or 0.
+ */
+const compareValues = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) {
+    return 0;
+  }
+  if (x === null) {
+    return -1;
+  }
+  if (y === null) {
+    return 1;
+  }
+  return x < y ? -1 : 1;
+};
+
+/**
+ * @brief   Builds a test that matches documents with the given field values.
+ *
+ * @param {Object} where The values the documents must have, by field (IDs may be strings).
+ * @returns {Function} The test, called with a document.
+ */
+const matches = (where) => (doc) =>
+  Object.keys(where).every((field) => compareValues(doc.get(field), where[field]) === 0);
+
+/**
+ * @brief   Reads the values of the sort keys of a document.
+ *
+ * @param {Object} doc  The document.
+ * @param {Object} sort The sort order ({ field: 1 or -1 }).
+ * @returns {Array<*>} The values, in the order of the sort keys.
+ */
+const sortKey = (doc, sort) => Object.keys(sort).map((field) => doc.get(field));
+
+/**
+ * @brief   Compares the sort keys of two documents.
+ *
+ * @param {Array<*>} a    The sort keys of the first document.
+ * @param {Array<*>} b    The sort keys of the second document.
+ * @param {Object}   sort The sort order.
+ * @returns {number} A negative number if 'a' comes first, a positive number if 'b' does, or 0.
+ */
+const compareKeys = (a, b, sort) => {
+  const dirs = Object.values(sort);
+  for (let i = 0; i < dirs.length; i += 1) {
+    const order = compareValues(a[i], b[i]) * dirs[i];
+    if (order) {
+      return order;
+    }
+  }
+  return 0;
+};
+
+/**
+ * @brief   Sorts documents.
+ *
+ * @param {Array<Object>} docs The documents.
+ * @param {Object}        sort The sort order ({ field: 1 or -1 }).
+ * @returns {Array<Object>} The sorted documents, in a new array.
+ */
+const sortBy = (docs, sort) => [...docs].sort((a, b) => compareKeys(sortKey(a, sort), sortKey(b, sort), sort));
+
+module.exports = {
+  compareValues,
+  compareKeys,
+  matches,
+  sortKey,
+  sortBy
+};
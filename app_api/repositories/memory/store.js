@@ -0,0 +1,218 @@
+/**
+ * @file    store.js
+ * @brief   This file keeps the collections of the memory backend, and saves them to a JSON file.
+ *
+ * @details A collection holds the documents of one Mongoose model as records in MongoDB Extended
+ *          JSON, the format of 'mongoexport', so dates and IDs keep their types in the file. Each
+ *          read hydrates a new document from its record, so callers can only change the stored
+ *          data by writing documents back. Writes do what MongoDB and Mongoose would: they
+ *          validate the documents against their schema, set their timestamps, and enforce the
+ *          unique indexes of the schema with a duplicate key error (code 11000).
+ *
+ *          Reads and writes are synchronous. A repository method that reads documents and writes
+ *          them back without awaiting in between is therefore atomic, like a single MongoDB
+ *          update.
+ *
+ *          If the store has a file, it is read when the store is created and written again after
+ *          every change, through a temporary file so that a crash never leaves it half written.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * @brief   Finds the name a timestamp is stored under.
+ *
+ * @param {boolean|Object} option The 'timestamps' option of a schema.
+ * @param {string} name "createdAt" or "updatedAt".
+ * @returns {string|null} The name of the field, or null if the schema does not keep it.
+ */
+const timestampField = (option, name) => {
+  if (option === true) {
+    return name;
+  }
+  if (!option || option[name] === false) {
+    return null;
+  }
+  return typeof option[name] === "string" ? option[name] : name;
+};
+
+/**
+ * @brief   Builds the error MongoDB reports for a duplicate key.
+ *
+ * @param {string} name     The name of the collection.
+ * @param {Object} keyValue The duplicated values, by field.
+ * @returns {Error} The error, with 'code' 11000 and 'keyValue'.
+ */
+const duplicateKeyError = (name, keyValue) => {
+  const err = new Error(`E11000 duplicate key error collection: ${name} dup key: ${JSON.stringify(keyValue)}`);
+  err.code = 11000;
+  err.keyValue = keyValue;
+  return err;
+};
+
+/**
+ * @brief   Creates a store.
+ *
+ * @param {Object} options 'file' is the JSON file to load and save the data in, if any.
+ * @returns {Object} The store, with the methods 'collection' and 'save'.
+ * @throws  {Error} If the file exists but cannot be read.
+ */
+const createStore = ({ file = null } = {}) => {
+  const data = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+
+  /**
+   * @brief   Writes the data to the file of the store, if it has one.
+   */
+  const save = () => {
+    if (!file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+    fs.renameSync(temporary, file);
+  };
+
+  /**
+   * @brief   Opens the collection of a model.
+   *
+   * @param {Model} Model The Mongoose model.
+   * @returns {Object} The collection, with the methods 'all', 'find', 'filter', 'write', and
+   *                   'remove'.
+   */
+  const collection = (Model) => {
+    const name = Model.modelName;
+    data[name] = data[name] || [];
+    const records = data[name];
+
+    const { timestamps, versionKey } = Model.schema.options;
+    const createdAt = timestampField(timestamps, "createdAt");
+    const updatedAt = timestampField(timestamps, "updatedAt");
+    const uniqueKeys = Model.schema.indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields]) => Object.keys(fields));
+
+    const toDocument = (record) => Model.hydrate(EJSON.deserialize(record, { relaxed: true }));
+    const toRecord = (doc) => EJSON.serialize(doc.toObject({ virtuals: false, depopulate: true }), { relaxed: true });
+    const sameId = (record, doc) => EJSON.stringify(record._id) === EJSON.stringify(doc._id);
+
+    // Checks the unique indexes of the schema for the written records
+    const checkUnique = (candidate, written) => {
+      uniqueKeys.forEach((fields) => {
+        const keyOf = (record) => JSON.stringify(fields.map((field) => record[field]));
+        written.forEach((record) => {
+          const clash = candidate.find((other) => other !== record && keyOf(other) === keyOf(record));
+          if (clash) {
+            const keyValue = {};
+            fields.forEach((field) => {
+              keyValue[field] = EJSON.deserialize({ value: record[field] }, { relaxed: true }).value;
+            });
+            throw duplicateKeyError(name, keyValue);
+          }
+        });
+      });
+    };
+
+    return {
+      /**
+       * @brief   Reads every document.
+       *
+       * @returns {Array<Object>} The documents, in the order they were added.
+       */
+      all: () => records.map(toDocument),
+
+      /**
+       * @brief   Reads the first document that passes a test.
+       *
+       * @param {Function} test Called with each document; returns true for a match.
+       * @returns {Object|null} The document, or null if none passes.
+       */
+      find: (test) => {
+        const found = records.map(toDocument).find(test);
+        return found || null;
+      },
+
+      /**
+       * @brief   Reads the documents that pass a test.
+       *
+       * @param {Function} test Called with each document; returns true for a match.
+       * @returns {Array<Object>} The documents, in the order they were added.
+       */
+      filter: (test) => records.map(toDocument).filter(test),
+
+      /**
+       * @brief   Adds new documents and replaces stored ones, matched by their '_id'.
+       *
+       * @details Every document is checked before any is written, so either all of them are
+       *          written or none.
+       *
+       * @param {Array<Object>} docs The documents, new or read from this collection.
+       * @returns {Array<Object>} The documents as stored, in the same order.
+       * @throws  {Error} The ValidationError of the first invalid document, or a duplicate key
+       *                  error (code 11000).
+       */
+      write: (docs) => {
+        const now = new Date();
+        docs.forEach((doc) => {
+          if (createdAt && doc.isNew && !doc.get(createdAt)) {
+            doc.set(createdAt, now);
+          }
+          if (updatedAt) {
+            doc.set(updatedAt, now);
+          }
+          if (versionKey && doc.isNew) {
+            doc.set(versionKey, 0);
+          }
+          const invalid = doc.validateSync();
+          if (invalid) {
+            throw invalid;
+          }
+        });
+
+        const candidate = [...records];
+        const written = docs.map((doc) => {
+          const record = toRecord(doc);
+          const index = candidate.findIndex((stored) => sameId(stored, doc));
+          if (index === -1) {
+            candidate.push(record);
+          } else {
+            candidate[index] = record;
+          }
+          return record;
+        });
+        checkUnique(candidate, written);
+
+        records.splice(0, records.length, ...candidate);
+        save();
+        return written.map(toDocument);
+      },
+
+      /**
+       * @brief   Deletes documents, matched by their '_id'.
+       *
+       * @param {Array<Object>} docs The documents.
+       * @returns {number} The number of documents deleted.
+       */
+      remove: (docs) => {
+        const kept = records.filter((record) => !docs.some((doc) => sameId(record, doc)));
+        const removed = records.length - kept.length;
+        records.splice(0, records.length, ...kept);
+        if (removed) {
+          save();
+        }
+        return removed;
+      }
+    };
+  };
+
+  return {
+    collection,
+    save
+  };
+};
+
+module.exports = { createStore };
@@ -0,0 +1,189 @@
+/**
+ * @file    trips.js
+ * @brief   This file keeps the trips and their revisions in the memory backend.
+ *
+ * @details The methods behave like those of the MongoDB backend, where they are documented (see
+ *          'repositories/mongodb/trips.js'). Each change reads the trip and writes it back
+ *          without awaiting in between, so it is atomic (see 'repositories/memory/store.js').
+ */
+
+const Trip = require("../../models/travlr");
+const Revision = require("../../models/revision");
+const {
+  compareValues,
+  compareKeys,
+  sortKey,
+  sortBy
+} = require("./query");
+
+// Trips created before the 'archived' field existed count as active
+const isActive = (trip) => trip.archived !== true;
+
+/**
+ * @brief   Checks whether a trip is at one of the versions named by ETags.
+ *
+ * @param {Object} trip     The trip document.
+ * @param {Array<Object>} versions The versions (see `parseVersions` in 'lib/etags.js').
+ * @returns {boolean} True if the trip is at one of the versions.
+ */
+const atVersion = (trip, versions) => versions.some((version) => String(trip._id) === version.id &&
+  (trip.revision || 0) === version.revision && (trip.booked || 0) === version.booked);
+
+/**
+ * @brief   Checks whether a value is within an inclusive range.
+ *
+ * @param {*}      value The value.
+ * @param {Object} range The bounds { min, max }, either of which may be undefined.
+ * @returns {boolean} True if the value is set and within the range.
+ */
+const inRange = (value, { min, max }) => value !== undefined && value !== null &&
+  (min === undefined || compareValues(value, min) >= 0) && (max === undefined || compareValues(value, max) <= 0);
+
+/**
+ * @brief   Creates the trip and revision repositories of a store.
+ *
+ * @param {Object} store The store (see 'repositories/memory/store.js').
+ * @returns {Object} The 'trips' and 'revisions' repositories.
+ */
+const createTripRepositories = (store) => {
+  const collection = store.collection(Trip);
+  const history = store.collection(Revision);
+
+  const findActive = (code) => collection.find((trip) => trip.code === code && isActive(trip));
+
+  const trips = {
+    list: async ({
+      resort,
+      ranges = {},
+      sort,
+      after,
+      limit
+    }) => {
+      const needle = resort === undefined ? null : resort.toLowerCase();
+      const position = after && [...after.values, after.id];
+      const found = collection.filter((trip) => isActive(trip) &&
+        (needle === null || String(trip.resort).toLowerCase().includes(needle)) &&
+        Object.keys(ranges).every((field) => inRange(trip.get(field), ranges[field])) &&
+        (!position || compareKeys(sortKey(trip, sort), position, sort) > 0));
+      return sortBy(found, sort).slice(0, limit);
+    },
+
+    listActive: async () => sortBy(collection.filter(isActive), { code: 1 }),
+
+    listArchived: async () => sortBy(collection.filter((trip) => trip.archived === true), { archivedAt: -1 }),
+
+    findActive: async (code) => findActive(code),
+
+    findByCode: async (code) => collection.find((trip) => trip.code === code),
+
+    findManyByCode: async (codes) => collection.filter((trip) => codes.includes(trip.code)),
+
+    create: async (fields) => collection.write([new Trip(fields)])[0],
+
+    update: async (code, fields, { versions } = {}) => {
+      const trip = findActive(code);
+      if (!trip || (versions && !atVersion(trip, versions)) ||
+          (fields.capacity !== undefined && (trip.booked || 0) > Number(fields.capacity))) {
+        return null;
+      }
+
+      const before = Trip.hydrate(trip.toObject({ virtuals: false }));
+      Object.keys(fields).forEach((field) => {
+        if (fields[field] !== undefined) {
+          trip.set(field, fields[field]);
+        }
+      });
+      trip.revision = (trip.revision || 0) + 1;
+      collection.write([trip]);
+      return before;
+    },
+
+    archive: async (code, by) => {
+      const trip = findActive(code);
+      if (!trip) {
+        return null;
+      }
+      trip.set({
+        archived: true,
+        archivedAt: new Date(),
+        archivedBy: by,
+        revision: (trip.revision || 0) + 1
+      });
+      return collection.write([trip])[0];
+    },
+
+    restore: async (code) => {
+      const trip = collection.find((t) => t.code === code && t.archived === true);
+      if (!trip) {
+        return null;
+      }
+      trip.set({
+        archived: false,
+        archivedAt: undefined,
+        archivedBy: undefined,
+        revision: (trip.revision || 0) + 1
+      });
+      return collection.write([trip])[0];
+    },
+
+    reserve: async (code, places) => {
+      const trip = findActive(code);
+      if (!trip || (trip.booked || 0) + places > (trip.capacity || 0)) {
+        return null;
+      }
+      trip.booked = (trip.booked || 0) + places;
+      return collection.write([trip])[0];
+    },
+
+    release: async (code, places) => {
+      const trip = collection.find((t) => t.code === code);
+      if (trip) {
+        trip.booked = (trip.booked || 0) - places;
+        collection.write([trip]);
+      }
+    },
+
+    imagesInUse: async () => [...new Set(collection.all().map((trip) => trip.image))],
+
+    // The trips are written together, so the import is always all or nothing
+    upsertMany: async (changes) => {
+      const rejected = changes
+        .filter((fields) => {
+          const trip = collection.find((t) => t.code === fields.code);
+          return trip && fields.capacity !== undefined && fields.capacity < (trip.booked || 0);
+        })
+        .map((fields) => fields.code);
+      if (rejected.length) {
+        return { trips: [], rejected };
+      }
+
+      const docs = changes.map((fields) => {
+        const trip = collection.find((t) => t.code === fields.code) || new Trip();
+        trip.set(fields);
+        trip.revision = (trip.revision || 0) + 1;
+        return trip;
+      });
+      return { trips: collection.write(docs), rejected };
+    }
+  };
+
+  const revisions = {
+    record: async (fields) => history.write([new Revision(fields)])[0],
+
+    listForTrip: async (tripId) => sortBy(history.filter((rev) => compareValues(rev.trip, tripId) === 0), { revision: -1 })
+      .map((rev) => {
+        rev.snapshot = undefined;
+        return rev;
+      }),
+
+    find: async (tripId, revision) =>
+      history.find((rev) => compareValues(rev.trip, tripId) === 0 && rev.revision === revision)
+  };
+
+  return {
+    trips,
+    revisions
+  };
+};
+
+module.exports = { createTripRepositories };
@@ -0,0 +1,143 @@
+/**
+ * @file    users.js
+ * @brief   This file keeps the users, their sessions, and their email tokens in the memory
+ *          backend.
+ *
+ * @details The methods behave like those of the MongoDB backend and the statics of the session
+ *          and token models, where they are documented (see 'repositories/mongodb/users.js',
+ *          'models/session.js', and 'models/token.js'). Expired sessions and tokens are kept,
+ *          but never accepted.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../../models/user");
+const Session = require("../../models/session");
+const Token = require("../../models/token");
+const { newToken, hashToken } = require("../../lib/tokens");
+const { compareValues } = require("./query");
+
+/**
+ * @brief   Creates the user, session, and token repositories of a store.
+ *
+ * @param {Object} store The store (see 'repositories/memory/store.js').
+ * @returns {Object} The 'users', 'sessions', and 'tokens' repositories.
+ */
+const createUserRepositories = (store) => {
+  const accounts = store.collection(User);
+  const logins = store.collection(Session);
+  const mailTokens = store.collection(Token);
+
+  const sameId = (a, b) => compareValues(a, b) === 0;
+
+  const users = {
+    findByEmail: async (email) => {
+      const normalized = String(email).trim().toLowerCase();
+      return accounts.find((user) => user.email === normalized);
+    },
+
+    findById: async (id) => (mongoose.isValidObjectId(id) ? accounts.find((user) => sameId(user._id, id)) : null),
+
+    findOneByRole: async (role) => accounts.find((user) => user.role === role),
+
+    create: async (user) => {
+      user.normalize();
+      return accounts.write([user])[0];
+    },
+
+    update: async (id, fields) => {
+      const user = accounts.find((u) => sameId(u._id, id));
+      if (!user) {
+        return null;
+      }
+      user.set(fields);
+      return accounts.write([user])[0];
+    }
+  };
+
+  // Active sessions are neither revoked nor expired
+  const isLive = (session, now = new Date()) => session.revokedAt === null && session.expiresAt > now;
+
+  const revokeAll = (sessions, reason) => {
+    const now = new Date();
+    sessions.forEach((session) => session.set({ revokedAt: now, revokedReason: reason }));
+    return logins.write(sessions).length;
+  };
+
+  const sessions = {
+    start: async (user) => {
+      const refreshToken = newToken();
+      const session = logins.write([new Session({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: Session.newExpiry()
+      })])[0];
+      return { session, refreshToken };
+    },
+
+    rotate: async (refreshToken) => {
+      const hash = hashToken(refreshToken);
+      const session = logins.find((s) => s.tokenHash === hash && isLive(s));
+      if (session) {
+        const next = newToken();
+        session.set({ tokenHash: hashToken(next), expiresAt: Session.newExpiry() });
+        session.previousHashes.push(hash);
+        return { session: logins.write([session])[0], refreshToken: next };
+      }
+
+      const reused = logins.find((s) => s.previousHashes.includes(hash));
+      if (reused) {
+        revokeAll(logins.filter((s) => sameId(s.user, reused.user) && s.revokedAt === null), "refresh token reuse");
+      }
+      return null;
+    },
+
+    revokeByToken: async (refreshToken, reason) => {
+      const hash = hashToken(refreshToken);
+      const session = logins.find((s) => s.revokedAt === null && (s.tokenHash === hash || s.previousHashes.includes(hash)));
+      return session ? revokeAll([session], reason) > 0 : false;
+    },
+
+    revokeAllForUser: async (userId, reason) =>
+      revokeAll(logins.filter((s) => sameId(s.user, userId) && s.revokedAt === null), reason),
+
+    isActive: async (sessionId) => mongoose.isValidObjectId(sessionId) &&
+      Boolean(logins.find((s) => sameId(s._id, sessionId) && isLive(s)))
+  };
+
+  const tokens = {
+    issue: async (user, purpose) => {
+      mailTokens.remove(mailTokens.filter((t) => sameId(t.user, user._id) && t.purpose === purpose && t.usedAt === null));
+
+      const token = newToken();
+      const expiresAt = Token.expiryOf(purpose);
+      mailTokens.write([new Token({
+        user: user._id,
+        email: user.email,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt
+      })]);
+      return { token, expiresAt };
+    },
+
+    consume: async (token, purpose) => {
+      const now = new Date();
+      const hash = hashToken(token);
+      const found = mailTokens.find((t) => t.tokenHash === hash && t.purpose === purpose && t.usedAt === null &&
+        t.expiresAt > now);
+      if (!found) {
+        return null;
+      }
+      found.usedAt = now;
+      return mailTokens.write([found])[0];
+    }
+  };
+
+  return {
+    users,
+    sessions,
+    tokens
+  };
+};
+
+module.exports = { createUserRepositories };
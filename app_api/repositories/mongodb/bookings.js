@@ -0,0 +1,67 @@
+/**
+ * @file    bookings.js
+ * @brief   This file stores the bookings in MongoDB.
+ *
+ * @details Bookings are selected with plain equality conditions on their fields, such as
+ *          { _id, user } or { status, tripCode }. Status changes are conditional updates, so a
+ *          booking changes status only once even if two requests change it at the same time.
+ *
+ *          This is the reference implementation of the booking repository: the memory backend
+ *          behaves in the same way (see 'repositories/memory/bookings.js').
+ */
+
+const Booking = require("../../models/booking");
+
+const bookings = {
+  /**
+   * @brief   Adds a booking.
+   *
+   * @param {Object} fields The fields of the booking.
+   * @returns {Promise<Object>} The new booking document.
+   */
+  create: (fields) => Booking.create(fields),
+
+  /**
+   * @brief   Reads the bookings with the given field values, newest first.
+   *
+   * @param {Object} where The values the bookings must have, by field.
+   * @returns {Promise<Array<Object>>} The booking documents.
+   */
+  list: (where) => Booking.find(where).sort({ createdAt: -1 }).exec(),
+
+  /**
+   * @brief   Reads a booking with the given field values.
+   *
+   * @param {Object} where The values the booking must have, by field.
+   * @returns {Promise<Object|null>} The booking document, or null if there is none.
+   */
+  find: (where) => Booking.findOne(where).exec(),
+
+  /**
+   * @brief   Cancels a booking that is not cancelled yet.
+   *
+   * @param {Object} where The values the booking must have, by field.
+   * @returns {Promise<Object|null>} The cancelled booking document, or null if no booking that
+   *                                 is not cancelled matched.
+   */
+  cancel: (where) => Booking.findOneAndUpdate(
+    { ...where, status: { $ne: "cancelled" } },
+    { status: "cancelled", cancelledAt: new Date() },
+    { new: true }
+  ).exec(),
+
+  /**
+   * @brief   Confirms a pending booking.
+   *
+   * @param {Object} where The values the booking must have, by field.
+   * @returns {Promise<Object|null>} The confirmed booking document, or null if no pending
+   *                                 booking matched.
+   */
+  confirm: (where) => Booking.findOneAndUpdate(
+    { ...where, status: "pending" },
+    { status: "confirmed" },
+    { new: true }
+  ).exec()
+};
+
+module.exports = { bookings };
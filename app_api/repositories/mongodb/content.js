@@ -0,0 +1,90 @@
+/**
+ * @file    content.js
+ * @brief   This file stores the rooms, meals, and news articles of the website in MongoDB.
+ *
+ * @details The three kinds of content are stored in the same way, by their unique 'code', so
+ *          their repositories are built by `contentRepository` from their models.
+ *
+ *          This is the reference implementation of the content repositories: the memory backend
+ *          behaves in the same way (see 'repositories/memory/content.js').
+ */
+
+const {
+  Room,
+  Meal,
+  News
+} = require("../../models/content");
+
+/**
+ * @brief   Builds the repository of a kind of content.
+ *
+ * @param {Model} Model The Mongoose model of the content.
+ * @returns {Object} The repository, with the methods 'list', 'findByCode', 'create', 'update',
+ *                   'remove', and 'imagesInUse'.
+ */
+const contentRepository = (Model) => ({
+  /**
+   * @brief   Reads the documents with the given field values.
+   *
+   * @param {Object} options 'where' are the values the documents must have, by field, 'sort'
+   *                         is their order ({ field: 1 or -1 }), and 'limit', if set, is the
+   *                         largest number to read.
+   * @returns {Promise<Array<Object>>} The documents.
+   */
+  list: ({
+    where = {},
+    sort,
+    limit
+  }) => {
+    const query = Model.find(where).sort(sort);
+    return (limit === undefined ? query : query.limit(limit)).exec();
+  },
+
+  /**
+   * @brief   Reads a document by code.
+   *
+   * @param {string} code The code.
+   * @returns {Promise<Object|null>} The document, or null if none has the code.
+   */
+  findByCode: (code) => Model.findOne({ code }).exec(),
+
+  /**
+   * @brief   Adds a document.
+   *
+   * @param {Object} fields The fields of the document.
+   * @returns {Promise<Object>} The new document.
+   * @throws  {Error} A ValidationError if a field is invalid, or a duplicate key error (code
+   *                  11000) if the code is in use.
+   */
+  create: (fields) => Model.create(fields),
+
+  /**
+   * @brief   Changes the fields of a document.
+   *
+   * @param {string} code   The code of the document.
+   * @param {Object} fields The fields to set.
+   * @returns {Promise<Object|null>} The document after the change, or null if none has the code.
+   */
+  update: (code, fields) => Model.findOneAndUpdate({ code }, fields, { new: true, runValidators: true }).exec(),
+
+  /**
+   * @brief   Deletes a document.
+   *
+   * @param {string} code The code of the document.
+   * @returns {Promise<Object|null>} The deleted document, or null if none has the code.
+   */
+  remove: (code) => Model.findOneAndDelete({ code }).exec(),
+
+  /**
+   * @brief   Lists the images that the documents refer to.
+   *
+   * @returns {Promise<Array<string>>} The file names of the images.
+   */
+  imagesInUse: async () => (await Model.distinct("image").exec()).filter(Boolean)
+});
+
+module.exports = {
+  rooms: contentRepository(Room),
+  meals: contentRepository(Meal),
+  news: contentRepository(News)
+};
@@ -0,0 +1,41 @@
+/**
+ * @file    index.js
+ * @brief   This file is the MongoDB storage backend.
+ *
+ * @details The backend connects to MongoDB when it is loaded, retrying until it succeeds (see
+ *          'models/db.js'), and stores each kind of data in the collection of its model.
+ */
+
+const mongoose = require("mongoose");
+const db = require("../../models/db");
+const { trips, revisions } = require("./trips");
+const {
+  users,
+  sessions,
+  tokens
+} = require("./users");
+const { bookings } = require("./bookings");
+const {
+  rooms,
+  meals,
+  news
+} = require("./content");
+
+// Names of the states of a Mongoose connection, by 'readyState'
+const DB_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+module.exports = {
+  name: "mongodb",
+  trips,
+  revisions,
+  users,
+  sessions,
+  tokens,
+  bookings,
+  rooms,
+  meals,
+  news,
+  state: () => DB_STATES[mongoose.connection.readyState] || "unknown",
+  ready: db.ready,
+  close: db.close
+};
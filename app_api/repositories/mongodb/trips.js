@@ -0,0 +1,402 @@
+/**
+ * @file    trips.js
+ * @brief   This file stores the trips and their revisions in MongoDB.
+ *
+ * @details Every change to a trip is a single atomic update of its document, which also bumps
+ *          its 'revision' counter, so concurrent changes never overwrite each other unseen and
+ *          get distinct revision numbers. The conditions of a change, such as the version named
+ *          by an 'If-Match' header or the capacity left for a booking, are part of the update's
+ *          filter.
+ *
+ *          These are the reference implementations of the trip and revision repositories: the
+ *          memory backend behaves in the same way (see 'repositories/memory/trips.js').
+ */
+
+const mongoose = require("mongoose");
+const Trip = require("../../models/travlr");
+const Revision = require("../../models/revision");
+const { logger } = require("../../lib/logger");
+
+// Matches trips that have not been archived, including documents created before the
+// 'archived' field existed.
+const notArchived = { archived: { $ne: true } };
+
+/**
+ * @brief   Matches a stored counter, which is missing on documents that predate it.
+ *
+ * @param {number} value The expected value.
+ * @returns {*} A MongoDB condition.
+ */
+const counter = (value) => (value === 0 ? { $in: [0, null] } : value);
+
+/**
+ * @brief   Matches trips whose places booked, plus a number of places, fit a capacity.
+ *
+ * @param {number} places   The places to add to those booked.
+ * @param {*}      capacity The capacity, as a number or the '$capacity' field of the trip.
+ * @returns {Object} A MongoDB '$expr' condition.
+ */
+const fitsCapacity = (places, capacity) => ({ $expr: { $lte: [{ $add: [{ $ifNull: ["$booked", 0] }, places] }, capacity] } });
+
+/**
+ * @brief   Builds the filter that matches the trip versions named by ETags.
+ *
+ * @param {Array<Object>} versions The versions (see `parseVersions` in 'lib/etags.js').
+ * @returns {Object} A MongoDB filter. If there are no versions, it matches no document.
+ */
+const versionFilter = (versions) => {
+  if (!versions.length) {
+    return { _id: { $exists: false } };
+  }
+  return {
+    $or: versions.map((version) => ({
+      _id: new mongoose.Types.ObjectId(version.id),
+      revision: counter(version.revision),
+      booked: counter(version.booked)
+    }))
+  };
+};
+
+/**
+ * @brief   Builds the condition that matches the trips after a position in a sort order.
+ *
+ * @details Keyset pagination: a trip comes after the position if it is past it on the first
+ *          sort key that differs, with the document ID as the final tie-breaker.
+ *
+ * @param {Object} sort  The sort order, ending with '_id'.
+ * @param {Object} after The 'values' of the sort keys other than '_id', and the document 'id'.
+ * @returns {Object} A MongoDB condition.
+ */
+const afterCondition = (sort, after) => {
+  const fields = Object.keys(sort).filter((field) => field !== "_id");
+  const or = fields.map((field, i) => {
+    const condition = {};
+    fields.slice(0, i).forEach((prev, j) => {
+      condition[prev] = after.values[j];
+    });
+    condition[field] = { [sort[field] === 1 ? "$gt" : "$lt"]: after.values[i] };
+    return condition;
+  });
+
+  const tieBreaker = { _id: { $gt: new mongoose.Types.ObjectId(after.id) } };
+  fields.forEach((field, i) => {
+    tieBreaker[field] = after.values[i];
+  });
+  or.push(tieBreaker);
+
+  return { $or: or };
+};
+
+/**
+ * @brief   Builds the filter of a page of the trip listing.
+ *
+ * @param {Object} options The 'resort', 'ranges', 'sort', and 'after' of the listing.
+ * @returns {Object} A MongoDB filter.
+ */
+const listFilter = ({
+  resort,
+  ranges = {},
+  sort,
+  after
+}) => {
+  const match = { ...notArchived };
+  if (resort !== undefined) {
+    match.resort = { $regex: resort.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+  }
+  Object.keys(ranges).forEach((field) => {
+    const { min, max } = ranges[field];
+    match[field] = {};
+    if (min !== undefined) {
+      match[field].$gte = min;
+    }
+    if (max !== undefined) {
+      match[field].$lte = max;
+    }
+  });
+  return after ? { $and: [match, afterCondition(sort, after)] } : match;
+};
+
+// Whether the deployment supports multi-document transactions, once it is known
+let transactions;
+
+/**
+ * @brief   Checks whether the deployment supports multi-document transactions.
+ *
+ * @details Replica sets and sharded clusters support transactions; a standalone server does
+ *          not. The answer is asked of the server once and then remembered.
+ *
+ * @returns {Promise<boolean>} True if writes can run in a transaction.
+ */
+const supportsTransactions = async () => {
+  if (transactions === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactions = Boolean(hello.setName) || hello.msg === "isdbgrid";
+  }
+  return transactions;
+};
+
+const trips = {
+  /**
+   * @brief   Reads a page of the trips that have not been archived.
+   *
+   * @param {Object} options The 'resort' substring (case-insensitive), the inclusive 'ranges'
+   *                         ({ min, max }) by field, the 'sort' order, the position of the
+   *                         trip the page starts 'after' or null, and the 'limit' (see
+   *                         `parseTripQuery` in 'lib/tripQuery.js').
+   * @returns {Promise<Array<Object>>} The trip documents.
+   */
+  list: (options) => Trip.find(listFilter(options)).sort(options.sort).limit(options.limit).exec(),
+
+  /**
+   * @brief   Reads every trip that has not been archived, ordered by code.
+   *
+   * @returns {Promise<Array<Object>>} The trip documents.
+   */
+  listActive: () => Trip.find(notArchived).sort({ code: 1 }).exec(),
+
+  /**
+   * @brief   Reads every archived trip, most recently archived first.
+   *
+   * @returns {Promise<Array<Object>>} The trip documents.
+   */
+  listArchived: () => Trip.find({ archived: true }).sort({ archivedAt: -1 }).exec(),
+
+  /**
+   * @brief   Reads a trip that has not been archived.
+   *
+   * @param {string} code The trip code.
+   * @returns {Promise<Object|null>} The trip document, or null if no active trip has the code.
+   */
+  findActive: (code) => Trip.findOne({ code, ...notArchived }).exec(),
+
+  /**
+   * @brief   Reads a trip, whether or not it has been archived.
+   *
+   * @param {string} code The trip code.
+   * @returns {Promise<Object|null>} The trip document, or null if no trip has the code.
+   */
+  findByCode: (code) => Trip.findOne({ code }).exec(),
+
+  /**
+   * @brief   Reads the trips with any of a list of codes.
+   *
+   * @param {Array<string>} codes The trip codes.
+   * @returns {Promise<Array<Object>>} The trip documents, in no particular order.
+   */
+  findManyByCode: (codes) => Trip.find({ code: { $in: codes } }).exec(),
+
+  /**
+   * @brief   Adds a trip.
+   *
+   * @param {Object} fields The fields of the trip.
+   * @returns {Promise<Object>} The new trip document.
+   * @throws  {Error} A ValidationError if a field is invalid, or a duplicate key error (code
+   *                  11000) if the code is in use.
+   */
+  create: (fields) => Trip.create(fields),
+
+  /**
+   * @brief   Changes the fields of a trip that has not been archived, and bumps its revision.
+   *
+   * @details Undefined fields are left unchanged. A new 'capacity' must cover the places
+   *          already booked. With 'versions', the trip is only changed if it is still at one of
+   *          them.
+   *
+   * @param {string} code    The trip code.
+   * @param {Object} fields  The fields to set.
+   * @param {Object} options 'versions' are the versions the trip must be at (see
+   *                         `parseVersions` in 'lib/etags.js'), if any.
+   * @returns {Promise<Object|null>} The trip document before the change, or null if no trip
+   *                                 matched.
+   * @throws  {Error} A ValidationError or CastError if a field is invalid, or a duplicate key
+   *                  error (code 11000) if the new code is in use.
+   */
+  update: (code, fields, { versions } = {}) => {
+    const filter = { code, ...notArchived };
+    if (fields.capacity !== undefined) {
+      // Only match the trip if the new capacity still covers the places already booked
+      filter.$expr = { $lte: [{ $ifNull: ["$booked", 0] }, Number(fields.capacity)] };
+    }
+    if (versions) {
+      Object.assign(filter, versionFilter(versions));
+    }
+    return Trip.findOneAndUpdate(filter, { ...fields, $inc: { revision: 1 } },
+      { new: false, runValidators: true }).exec();
+  },
+
+  /**
+   * @brief   Archives a trip that has not been archived.
+   *
+   * @param {string} code The trip code.
+   * @param {string} by   The name of the user archiving it.
+   * @returns {Promise<Object|null>} The archived trip document, or null if no active trip has
+   *                                 the code.
+   */
+  archive: (code, by) => Trip.findOneAndUpdate({ code, ...notArchived },
+    {
+      archived: true,
+      archivedAt: new Date(),
+      archivedBy: by,
+      $inc: { revision: 1 }
+    },
+    { new: true }).exec(),
+
+  /**
+   * @brief   Restores an archived trip and clears its archive details.
+   *
+   * @param {string} code The trip code.
+   * @returns {Promise<Object|null>} The restored trip document, or null if no archived trip has
+   *                                 the code.
+   */
+  restore: (code) => Trip.findOneAndUpdate({ code, archived: true },
+    {
+      $set: { archived: false },
+      $unset: { archivedAt: "", archivedBy: "" },
+      $inc: { revision: 1 }
+    },
+    { new: true }).exec(),
+
+  /**
+   * @brief   Reserves places on a trip that has not been archived, if they fit its capacity.
+   *
+   * @param {string} code   The trip code.
+   * @param {number} places The number of places.
+   * @returns {Promise<Object|null>} The trip document after the reservation, or null if no
+   *                                 active trip has the code or it has too few places left.
+   */
+  reserve: (code, places) => Trip.findOneAndUpdate(
+    {
+      code,
+      ...notArchived,
+      ...fitsCapacity(places, { $ifNull: ["$capacity", 0] })
+    },
+    { $inc: { booked: places } },
+    { new: true }
+  ).exec(),
+
+  /**
+   * @brief   Gives places reserved with `reserve` back to a trip.
+   *
+   * @param {string} code   The trip code.
+   * @param {number} places The number of places.
+   * @returns {Promise<void>}
+   */
+  release: async (code, places) => {
+    await Trip.updateOne({ code }, { $inc: { booked: -places } }).exec();
+  },
+
+  /**
+   * @brief   Lists the images that trips refer to, including archived trips.
+   *
+   * @returns {Promise<Array<string>>} The file names of the images.
+   */
+  imagesInUse: () => Trip.distinct("image").exec(),
+
+  /**
+   * @brief   Creates or updates trips by code, and bumps their revisions.
+   *
+   * @details An existing trip is only updated if its new capacity still holds the places
+   *          booked, which is part of the update's filter as in `reserve`, so a booking made
+   *          after the caller checked the capacity is not lost. The trips that fail it are
+   *          reported as rejected.
+   *
+   *          When the deployment supports transactions, the trips are written in one
+   *          transaction, so either every trip is changed or none is: if any trip is rejected,
+   *          nothing is written. A standalone server has no transactions, and there the write is
+   *          not atomic: the other trips are written, and if the database fails part way, the
+   *          trips written before the failure stay changed. The caller validates every trip
+   *          before writing, so only a database failure can stop the write part way; it is
+   *          logged with the number of trips already written and the error is passed on.
+   *
+   * @param {Array<Object>} changes The fields to write to each trip, including its 'code'.
+   * @returns {Promise<Object>} The trip documents after the change as 'trips', and the codes of
+   *                            the 'rejected' trips.
+   */
+  upsertMany: async (changes) => {
+    let written = 0;
+    const write = async (session) => {
+      written = 0;
+      const rejected = [];
+      for (const fields of changes) {
+        const update = { $set: fields, $inc: { revision: 1 } };
+        const capacity = fields.capacity === undefined ? {} : fitsCapacity(0, fields.capacity);
+        const updated = await Trip.updateOne({ code: fields.code, ...capacity }, update, { session }).exec();
+        if (updated.matchedCount) {
+          written += 1;
+        } else if (await Trip.exists({ code: fields.code }).session(session)) {
+          rejected.push(fields.code);
+        } else {
+          await Trip.updateOne({ code: fields.code }, update, { session, upsert: true }).exec();
+          written += 1;
+        }
+      }
+      return rejected;
+    };
+
+    let rejected;
+    if (await supportsTransactions()) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          rejected = await write(session);
+          if (rejected.length) {
+            // Throwing aborts the transaction, so none of the trips is written
+            throw Object.assign(new Error("Some trips were rejected"), { rejectedTrips: rejected });
+          }
+        });
+      } catch (err) {
+        if (!err.rejectedTrips) {
+          throw err;
+        }
+        return { trips: [], rejected };
+      } finally {
+        await session.endSession();
+      }
+    } else {
+      try {
+        rejected = await write(null);
+      } catch (err) {
+        logger.error("The trip import was only partly written", {
+          written,
+          total: changes.length,
+          err
+        });
+        throw err;
+      }
+    }
+    const codes = changes.map((fields) => fields.code).filter((code) => !rejected.includes(code));
+    return { trips: await Trip.find({ code: { $in: codes } }).exec(), rejected };
+  }
+};
+
+const revisions = {
+  /**
+   * @brief   Records a revision of a trip.
+   *
+   * @param {Object} fields The fields of the revision (see 'models/revision.js').
+   * @returns {Promise<Object>} The revision document.
+   */
+  record: (fields) => Revision.create(fields),
+
+  /**
+   * @brief   Reads the history of a trip, newest first, without the snapshots.
+   *
+   * @param {ObjectId} tripId The document ID of the trip.
+   * @returns {Promise<Array<Object>>} The revision documents.
+   */
+  listForTrip: (tripId) => Revision.find({ trip: tripId }).select("-snapshot").sort({ revision: -1 }).exec(),
+
+  /**
+   * @brief   Reads one revision of a trip.
+   *
+   * @param {ObjectId} tripId   The document ID of the trip.
+   * @param {number}   revision The revision number.
+   * @returns {Promise<Object|null>} The revision document, or null if there is none.
+   */
+  find: (tripId, revision) => Revision.findOne({ trip: tripId, revision }).exec()
+};
+
+module.exports = {
+  trips,
+  revisions
+};
@@ -0,0 +1,87 @@
+/**
+ * @file    users.js
+ * @brief   This file stores the users, their sessions, and their email tokens in MongoDB.
+ *
+ * @details The sessions and tokens are kept by the statics of their models, which make each
+ *          change a single atomic update (see 'models/session.js' and 'models/token.js').
+ *
+ *          These are the reference implementations of the user, session, and token repositories:
+ *          the memory backend behaves in the same way (see 'repositories/memory/users.js').
+ */
+
+const mongoose = require("mongoose");
+const User = require("../../models/user");
+const Session = require("../../models/session");
+const Token = require("../../models/token");
+
+const users = {
+  /**
+   * @brief   Reads a user by email address.
+   *
+   * @param {string} email The email address, in any case.
+   * @returns {Promise<Object|null>} The user document, or null if no user has the address.
+   */
+  findByEmail: (email) => User.findOne({ email: String(email).trim().toLowerCase() }).exec(),
+
+  /**
+   * @brief   Reads a user by ID.
+   *
+   * @param {ObjectId|string} id The ID of the user.
+   * @returns {Promise<Object|null>} The user document, or null if no user has the ID.
+   */
+  findById: (id) => (mongoose.isValidObjectId(id) ? User.findById(id).exec() : Promise.resolve(null)),
+
+  /**
+   * @brief   Reads any one user with a role.
+   *
+   * @param {string} role The role.
+   * @returns {Promise<Object|null>} The user document, or null if no user has the role.
+   */
+  findOneByRole: (role) => User.findOne({ role }).exec(),
+
+  /**
+   * @brief   Adds a user.
+   *
+   * @details The email address and name are normalized first (see `normalize` in
+   *          'models/user.js').
+   *
+   * @param {Object} user The new user document, with its password set.
+   * @returns {Promise<Object>} The saved user document.
+   * @throws  {Error} A ValidationError if a field is invalid, or a duplicate key error (code
+   *                  11000) if the email address is registered.
+   */
+  create: (user) => user.save(),
+
+  /**
+   * @brief   Changes the fields of a user.
+   *
+   * @details The fields are written as they are: the name is not escaped again, as saving the
+   *          whole document would do.
+   *
+   * @param {ObjectId} id     The ID of the user.
+   * @param {Object}   fields The fields to set.
+   * @returns {Promise<Object|null>} The user document after the change, or null if no user has
+   *                                 the ID.
+   */
+  update: (id, fields) => User.findByIdAndUpdate(id, fields, { new: true, runValidators: true }).exec()
+};
+
+// The session and token statics are documented in their models
+const sessions = {
+  start: (user) => Session.start(user),
+  rotate: (refreshToken) => Session.rotate(refreshToken),
+  revokeByToken: (refreshToken, reason) => Session.revokeByToken(refreshToken, reason),
+  revokeAllForUser: (userId, reason) => Session.revokeAllForUser(userId, reason),
+  isActive: (sessionId) => Session.isActive(sessionId)
+};
+
+const tokens = {
+  issue: (user, purpose) => Token.issue(user, purpose),
+  consume: (token, purpose) => Token.consume(token, purpose)
+};
+
+module.exports = {
+  users,
+  sessions,
+  tokens
+};
@@ -0,0 +1,23 @@
+/**
+ * @file    health.js
+ * @brief   This file routes the health checks and metrics of the server.
+ *
+ * @details These routes are mounted at the root of the app ('/healthz', '/readyz', and
+ *          '/metrics'), outside '/api' and its versions, because they describe the process
+ *          rather than the API. The health checks only tell whether the server is up, so they
+ *          are open to the orchestrator and its load balancer. The metrics are only served to
+ *          the metrics scraper (see 'middleware/metrics.js').
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const config = require("../config");
+const healthController = require("../controllers/health");
+const { guardMetrics } = require("../middleware/metrics");
+
+router.get("/healthz", healthController.healthz);
+router.get("/readyz", healthController.readyz);
+router.get("/metrics", guardMetrics(config.metrics), healthController.metricsText);
+
+module.exports = router;
@@ -1,68 +1,46 @@
 /**
  * @file    index.js
- * @brief   This file defines the routes for the application.
+ * @brief   This file mounts the versions of the API.
  *
- * @details This file sets up the Express router and defines the routes for various endpoints
- *          in the application. It imports the necessary controllers and middleware functions
- *          to handle the routes. The routes include authentication (login and registration),
- *          listing trips, adding new trips, finding trips by code, and updating trips.
+ * @details Each version of the API has its own router in this directory, mounted at '/v<n>'
+ *          ('/api/v1' and so on). A response only changes shape in a new version, so clients
+ *          keep working until they choose to move.
+ *
+ *          A new version starts from the routes of the previous one: its router registers only
+ *          the routes that change, with controllers of their own (e.g. 'controllers/v2/trips.js'),
+ *          and passes every other request on to the previous version:
+ *
+ *            const v2 = express.Router();
+ *            v2.route("/trips/:tripCode").get(validate(tripSchemas.byCode), tripsV2.tripsFindByCode);
+ *            v2.use(v1);
+ *            router.use("/v2", v2);
+ *
+ *          The unversioned paths ('/api/trips' and so on) are an alias of version 1, kept for
+ *          clients written before the versions. Their responses carry 'Deprecation' and 'Sunset'
+ *          headers, and a 'Link' to the same route under '/api/v1' (see
+ *          'middleware/deprecation.js'). The alias is removed after the sunset date
+ *          (API_LEGACY_SUNSET, see 'config/load.js').
  */
 
 const express = require("express");
 const router = express.Router();
-const { expressjwt: jwt } = require("express-jwt");
-
-const auth = jwt({
-  secret: process.env.JWT_SECRET,
-  userProperty: "payload",
-  algorithms: ["HS256"]
-});
+const config = require("../config");
+const deprecation = require("../middleware/deprecation");
 
-const authController = require("../controllers/authentication");
-const tripsController = require("../controllers/trips");
+const v1 = require("./v1");
 
-/**
- * @brief   Route for user login.
- *
- * @details This route handles user login requests. It maps the '/login' endpoint to the
- *          'login' function in the 'authController'.
- *
- * @route   POST /login
- * @access  public
- */
-router.route("/login").post(authController.login);
+// The day the unversioned paths were deprecated in favor of '/api/v1'
+const LEGACY_DEPRECATED_AT = new Date("2026-10-19T00:00:00Z");
 
-/**
- * @brief   Route for user registration.
- *
- * @details This route handles user registration requests. It maps the '/register' endpoint
- *          to the 'register' function in the 'authController'.
- *
- * @route   POST /register
- * @access  public
- */
-router.route("/register").post(authController.register);
+router.use("/v1", v1);
 
-/**
- * @brief   Routes for trip operations.
- *
- * @details These routes handle various operations related to trips, such as listing all trips,
- *          adding a new trip, finding a trip by code, and updating an existing trip.
- *
- * @route   GET   /trips
- * @route   POST  /trips
- * @route   GET   /trips/:tripCode
- * @route   PUT   /trips/:tripCode
- * @access  private (requires authentication)
- */
-router
-  .route("/trips")
-  .get(tripsController.tripsList) // GET Method routes tripsList
-  .post(auth, tripsController.tripsAddTrip); // POST Method routes addTrip
+// A path under a version that no route matched is not looked up in the alias
+router.use(/^\/v\d+(?=\/|$)/, (req, res, next) => next("router"));
 
-router
-  .route("/trips/:tripCode")
-  .get(tripsController.tripsFindByCode) // GET Method tripsFindByCode - requires parameter
-  .put(auth, tripsController.tripsUpdateTrip); // PUT Method tripsUpdateTrip - requires parameter
+router.use(deprecation({
+  deprecatedAt: LEGACY_DEPRECATED_AT,
+  sunset: config.legacyApi.sunset,
+  successor: "/v1"
+}), v1);
 
 module.exports = router;
@@ -0,0 +1,375 @@
+/**
+ * @file    v1.js
+ * @brief   This file defines the routes of version 1 of the API.
+ *
+ * @details This file sets up the Express router and defines the routes for various endpoints
+ *          in the application. It imports the necessary controllers and middleware functions to
+ *          handle the routes. The routes include authentication (login and registration), listing
+ *          and searching trips, adding new trips, finding trips by code, updating trips, archiving
+ *          and restoring trips, importing and exporting trips, viewing and reverting the history
+ *          of a trip, uploading trip images, managing the rooms, meals, and news articles of the
+ *          website, and managing user roles.
+ *
+ *          Routes that change data require a valid JWT ('auth') and a permission granted by the
+ *          user's role ('authorize'). The permissions of each role are defined in
+ *          'config/roles.js'. Each route checks its parameters, query, and body against a request
+ *          schema from the 'schemas' directory ('validate') before the controller runs.
+ *
+ *          The routes are described by the OpenAPI document in 'openapi/index.js'. A new route
+ *          must be added there too, or the contract tests fail. The router is mounted at
+ *          '/api/v1' and at the deprecated '/api' alias (see 'routes/index.js').
+ */
+
+const express = require("express");
+const swaggerUi = require("swagger-ui-dist");
+const router = express.Router();
+const { expressjwt: jwt } = require("express-jwt");
+const config = require("../config");
+
+const { sessions } = require("../repositories");
+
+// Access tokens are rejected once their session has been revoked by logout or reuse detection
+const auth = jwt({
+  secret: config.jwtSecret,
+  userProperty: "payload",
+  algorithms: ["HS256"],
+  isRevoked: async (req, token) => !(await sessions.isActive(token.payload.sid))
+});
+
+const authorize = require("../middleware/authorize");
+const validate = require("../middleware/validate");
+const imageUpload = require("../middleware/imageUpload");
+const throttle = require("../middleware/throttle");
+
+const authSchemas = require("../schemas/auth");
+const tripSchemas = require("../schemas/trips");
+const userSchemas = require("../schemas/users");
+const bookingSchemas = require("../schemas/bookings");
+const contentSchemas = require("../schemas/content");
+
+const authController = require("../controllers/authentication");
+const tripsController = require("../controllers/trips");
+const usersController = require("../controllers/users");
+const bookingsController = require("../controllers/bookings");
+const imagesController = require("../controllers/images");
+const contentController = require("../controllers/content");
+const docsController = require("../controllers/docs");
+
+/**
+ * @brief   Route for user login.
+ *
+ * @details This route handles user login requests. It maps the '/login' endpoint to the
+ *          'login' function in the 'authController'. Attempts are rate limited per client IP
+ *          address, and an account is locked for a while after repeated failed logins (see
+ *          'middleware/throttle.js').
+ *
+ * @route   POST /login
+ * @access  public
+ */
+router.route("/login").post(validate(authSchemas.login), throttle.login, authController.login);
+
+/**
+ * @brief   Route for user registration.
+ *
+ * @details This route handles user registration requests. It maps the '/register' endpoint
+ *          to the 'register' function in the 'authController'. Attempts are rate limited per
+ *          client IP address and per email address.
+ *
+ * @route   POST /register
+ * @access  public
+ */
+router.route("/register").post(validate(authSchemas.register), throttle.register, authController.register);
+
+/**
+ * @brief   Route for refreshing an access token.
+ *
+ * @details This route exchanges a refresh token for a new access token and refresh token. It
+ *          maps the '/token/refresh' endpoint to the 'refresh' function in the 'authController'.
+ *
+ * @route   POST /token/refresh
+ * @access  public (requires a refresh token)
+ */
+router.route("/token/refresh").post(validate(authSchemas.refresh), authController.refresh);
+
+/**
+ * @brief   Route for user logout.
+ *
+ * @details This route revokes the session of a refresh token. It maps the '/logout' endpoint
+ *          to the 'logout' function in the 'authController'.
+ *
+ * @route   POST /logout
+ * @access  public (requires a refresh token)
+ */
+router.route("/logout").post(validate(authSchemas.logout), authController.logout);
+
+/**
+ * @brief   Routes for resetting a forgotten password.
+ *
+ * @details The first route emails a password reset link to an address, and the second sets a new
+ *          password with the token from the link. Requests for links are rate limited per client
+ *          IP address and per email address.
+ *
+ * @route   POST /password/forgot
+ * @route   POST /password/reset
+ * @access  public (the reset requires a password reset token)
+ */
+router
+  .route("/password/forgot")
+  .post(validate(authSchemas.forgotPassword), throttle.accountEmail, authController.forgotPassword);
+router.route("/password/reset").post(validate(authSchemas.resetPassword), authController.resetPassword);
+
+/**
+ * @brief   Routes for verifying an email address.
+ *
+ * @details The first route marks a user's email address as verified with the token from a
+ *          verification email. The second sends the signed-in user another verification email.
+ *
+ * @route   POST /email/verify
+ * @route   POST /email/verify/resend
+ * @access  The first is public (requires a verification token). The second requires a signed-in
+ *          user.
+ */
+router.route("/email/verify").post(validate(authSchemas.verifyEmail), authController.verifyEmail);
+router.route("/email/verify/resend").post(auth, throttle.accountEmail, authController.resendVerification);
+
+/**
+ * @brief   Route for changing a user's role.
+ *
+ * @details This route lets an admin promote or demote another user. It maps the
+ *          '/users/:email/role' endpoint to the 'usersSetRole' function in the 'usersController'.
+ *
+ * @route   PUT /users/:email/role
+ * @access  private (requires the 'users:manage' permission)
+ */
+router
+  .route("/users/:email/role")
+  .put(auth, authorize("users:manage"), validate(userSchemas.setRole), usersController.usersSetRole);
+
+/**
+ * @brief   Routes for trip operations.
+ *
+ * @details These routes handle various operations related to trips, such as listing all trips,
+ *          adding a new trip, finding a trip by code, and updating an existing trip.
+ *
+ * @route   GET   /trips
+ * @route   POST  /trips
+ * @route   GET   /trips/:tripCode
+ * @route   PUT   /trips/:tripCode
+ * @route   DELETE /trips/:tripCode
+ * @access  GET is public. POST requires 'trips:create', PUT requires 'trips:update', and DELETE
+ *          requires 'trips:archive'.
+ */
+router
+  .route("/trips")
+  .get(tripsController.tripsList) // GET Method routes tripsList
+  .post(auth, authorize("trips:create"), validate(tripSchemas.create), tripsController.tripsAddTrip); // POST Method routes addTrip
+
+/**
+ * @brief   Routes for importing and exporting the trip catalogue.
+ *
+ * @details These routes export every trip as a JSON or CSV download and import trips from either
+ *          format, upserting them by code. A CSV import is sent with the 'text/csv' content type.
+ *          They are registered before '/trips/:tripCode' so that 'export' and 'import' are not
+ *          treated as trip codes.
+ *
+ * @route   GET   /trips/export
+ * @route   POST  /trips/import
+ * @access  GET is public. POST requires the 'trips:import' permission.
+ */
+router
+  .route("/trips/export")
+  .get(validate(tripSchemas.exportCatalogue), tripsController.tripsExport); // GET Method routes tripsExport
+
+router
+  .route("/trips/import")
+  .post(auth, authorize("trips:import"), express.text({ type: "text/csv" }), validate(tripSchemas.importCatalogue),
+    tripsController.tripsImport); // POST Method routes tripsImport
+
+/**
+ * @brief   Route for searching trips.
+ *
+ * @details This route ranks trips by how well their name, resort, and description match the
+ *          'q' query parameter. It is registered before '/trips/:tripCode' so that 'search' is
+ *          not treated as a trip code.
+ *
+ * @route   GET   /trips/search
+ * @access  public
+ */
+router
+  .route("/trips/search")
+  .get(validate(tripSchemas.search), tripsController.tripsSearch); // GET Method routes tripsSearch
+
+/**
+ * @brief   Route for the trip cache statistics.
+ *
+ * @details This route reports the hits and misses of the cache that public trip reads go through
+ *          (see 'lib/tripService.js'). It is registered before '/trips/:tripCode' so that 'cache'
+ *          is not treated as a trip code.
+ *
+ * @route   GET   /trips/cache
+ * @access  private (requires the 'trips:update' permission)
+ */
+router
+  .route("/trips/cache")
+  .get(auth, authorize("trips:update"), tripsController.tripsCacheStats); // GET Method routes tripsCacheStats
+
+/**
+ * @brief   Routes for archived trips.
+ *
+ * @details Deleting a trip archives it rather than removing it. These routes list the archived
+ *          trips and restore an archived trip to the public listings. The archive listing is
+ *          registered before '/trips/:tripCode' so that 'archive' is not treated as a trip code.
+ *
+ * @route   GET   /trips/archive
+ * @route   POST  /trips/:tripCode/restore
+ * @access  private (requires the 'trips:archive' permission)
+ */
+router
+  .route("/trips/archive")
+  .get(auth, authorize("trips:archive"), tripsController.tripsListArchived); // GET Method routes tripsListArchived
+
+router
+  .route("/trips/:tripCode")
+  .get(validate(tripSchemas.byCode), tripsController.tripsFindByCode) // GET Method tripsFindByCode - requires parameter
+  .put(auth, authorize("trips:update"), validate(tripSchemas.update), tripsController.tripsUpdateTrip) // PUT Method tripsUpdateTrip - requires parameter
+  .delete(auth, authorize("trips:archive"), validate(tripSchemas.byCode), tripsController.tripsDeleteTrip); // DELETE Method tripsDeleteTrip - requires parameter
+
+router
+  .route("/trips/:tripCode/restore")
+  .post(auth, authorize("trips:archive"), validate(tripSchemas.byCode), tripsController.tripsRestoreTrip); // POST Method tripsRestoreTrip - requires parameter
+
+/**
+ * @brief   Routes for the revision history of a trip.
+ *
+ * @details Every change to a trip is recorded as a numbered revision. These routes list the
+ *          revisions of a trip with the changed fields, and revert a trip to the state of an
+ *          earlier revision.
+ *
+ * @route   GET   /trips/:tripCode/history
+ * @route   POST  /trips/:tripCode/revert/:revision
+ * @access  private (requires the 'trips:update' permission)
+ */
+router
+  .route("/trips/:tripCode/history")
+  .get(auth, authorize("trips:update"), validate(tripSchemas.byCode), tripsController.tripsHistory); // GET Method tripsHistory - requires parameter
+
+router
+  .route("/trips/:tripCode/revert/:revision")
+  .post(auth, authorize("trips:update"), validate(tripSchemas.revert), tripsController.tripsRevertTrip); // POST Method tripsRevertTrip - requires parameters
+
+/**
+ * @brief   Route for uploading a trip image.
+ *
+ * @details This route stores an image sent as the 'image' field of a multipart/form-data body in
+ *          'public/images' and returns the name to use as the 'image' of a trip. It maps the
+ *          '/images' endpoint to the 'imagesUpload' function in the 'imagesController'.
+ *
+ * @route   POST  /images
+ * @access  private (requires the 'images:upload' permission)
+ */
+router
+  .route("/images")
+  .post(auth, authorize("images:upload"), imageUpload, imagesController.imagesUpload); // POST Method routes imagesUpload
+
+/**
+ * @brief   Routes for the rooms, meals, and news articles of the website.
+ *
+ * @details These routes list, find, add, update, and delete the content of the Rooms, Meals, and
+ *          News pages. Each document is found by its 'code'. Listings may be capped by 'limit',
+ *          and the news listing may be narrowed by 'category'. Like trips, the content is public
+ *          to read, and changes need a permission.
+ *
+ * @route   GET    /rooms, /meals, /news
+ * @route   POST   /rooms, /meals, /news
+ * @route   GET    /rooms/:code, /meals/:code, /news/:code
+ * @route   PUT    /rooms/:code, /meals/:code, /news/:code
+ * @route   DELETE /rooms/:code, /meals/:code, /news/:code
+ * @access  GET is public. POST requires 'content:create', PUT requires 'content:update', and
+ *          DELETE requires 'content:delete'.
+ */
+router
+  .route("/rooms")
+  .get(validate(contentSchemas.rooms.list), contentController.rooms.list) // GET Method routes rooms.list
+  .post(auth, authorize("content:create"), validate(contentSchemas.rooms.create), contentController.rooms.create); // POST Method routes rooms.create
+
+router
+  .route("/rooms/:code")
+  .get(validate(contentSchemas.rooms.byCode), contentController.rooms.read) // GET Method rooms.read - requires parameter
+  .put(auth, authorize("content:update"), validate(contentSchemas.rooms.update), contentController.rooms.update) // PUT Method rooms.update - requires parameter
+  .delete(auth, authorize("content:delete"), validate(contentSchemas.rooms.byCode), contentController.rooms.remove); // DELETE Method rooms.remove - requires parameter
+
+router
+  .route("/meals")
+  .get(validate(contentSchemas.meals.list), contentController.meals.list) // GET Method routes meals.list
+  .post(auth, authorize("content:create"), validate(contentSchemas.meals.create), contentController.meals.create); // POST Method routes meals.create
+
+router
+  .route("/meals/:code")
+  .get(validate(contentSchemas.meals.byCode), contentController.meals.read) // GET Method meals.read - requires parameter
+  .put(auth, authorize("content:update"), validate(contentSchemas.meals.update), contentController.meals.update) // PUT Method meals.update - requires parameter
+  .delete(auth, authorize("content:delete"), validate(contentSchemas.meals.byCode), contentController.meals.remove); // DELETE Method meals.remove - requires parameter
+
+router
+  .route("/news")
+  .get(validate(contentSchemas.news.list), contentController.news.list) // GET Method routes news.list
+  .post(auth, authorize("content:create"), validate(contentSchemas.news.create), contentController.news.create); // POST Method routes news.create
+
+router
+  .route("/news/:code")
+  .get(validate(contentSchemas.news.byCode), contentController.news.read) // GET Method news.read - requires parameter
+  .put(auth, authorize("content:update"), validate(contentSchemas.news.update), contentController.news.update) // PUT Method news.update - requires parameter
+  .delete(auth, authorize("content:delete"), validate(contentSchemas.news.byCode), contentController.news.remove); // DELETE Method news.remove - requires parameter
+
+/**
+ * @brief   Routes for booking operations.
+ *
+ * @details These routes let customers book trips, list their own bookings, view a booking, and
+ *          cancel it. Admins can also list every booking and confirm pending bookings. The admin
+ *          listing is registered before '/bookings/:bookingId' so that 'all' is not treated as a
+ *          booking ID.
+ *
+ * @route   POST  /bookings
+ * @route   GET   /bookings
+ * @route   GET   /bookings/all
+ * @route   GET   /bookings/:bookingId
+ * @route   POST  /bookings/:bookingId/cancel
+ * @route   POST  /bookings/:bookingId/confirm
+ * @access  private. Listing every booking and confirming bookings require 'bookings:manage';
+ *          the other routes require 'bookings:create'.
+ */
+router
+  .route("/bookings")
+  .get(auth, authorize("bookings:create"), bookingsController.bookingsListOwn) // GET Method routes bookingsListOwn
+  .post(auth, authorize("bookings:create"), validate(bookingSchemas.create), bookingsController.bookingsCreate); // POST Method routes bookingsCreate
+
+router
+  .route("/bookings/all")
+  .get(auth, authorize("bookings:manage"), validate(bookingSchemas.listAll), bookingsController.bookingsListAll); // GET Method routes bookingsListAll
+
+router
+  .route("/bookings/:bookingId")
+  .get(auth, authorize("bookings:create"), validate(bookingSchemas.byId), bookingsController.bookingsReadOne); // GET Method bookingsReadOne - requires parameter
+
+router
+  .route("/bookings/:bookingId/cancel")
+  .post(auth, authorize("bookings:create"), validate(bookingSchemas.byId), bookingsController.bookingsCancel); // POST Method bookingsCancel - requires parameter
+
+router
+  .route("/bookings/:bookingId/confirm")
+  .post(auth, authorize("bookings:manage"), validate(bookingSchemas.byId), bookingsController.bookingsConfirm); // POST Method bookingsConfirm - requires parameter
+
+/**
+ * @brief   Routes for the documentation of the API.
+ *
+ * @details The first route sends the OpenAPI document of the API, and the second a page to
+ *          browse it. The files of the page are served from the 'swagger-ui-dist' package.
+ *
+ * @route   GET  /openapi.json
+ * @route   GET  /docs
+ * @access  public
+ */
+router.route("/openapi.json").get(docsController.docsOpenApi);
+router.route("/docs").get(docsController.docsPage);
+router.use("/docs", express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
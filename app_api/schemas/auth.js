@@ -0,0 +1,38 @@
+/**
+ * @file    auth.js
+ * @brief   This file defines the request schemas of the authentication routes.
+ *
+ * @details See 'middleware/validate.js' for the rule format.
+ */
+
+const refreshTokenBody = { refreshToken: { type: "string", required: true } };
+
+module.exports = {
+  register: {
+    body: {
+      name: {
+        type: "string",
+        required: true,
+        maxLength: 100
+      },
+      email: { type: "email", required: true },
+      password: { type: "string", required: true }
+    }
+  },
+  login: {
+    body: {
+      email: { type: "string", required: true },
+      password: { type: "string", required: true }
+    }
+  },
+  refresh: { body: refreshTokenBody },
+  logout: { body: refreshTokenBody },
+  forgotPassword: { body: { email: { type: "email", required: true } } },
+  resetPassword: {
+    body: {
+      token: { type: "string", required: true },
+      password: { type: "string", required: true }
+    }
+  },
+  verifyEmail: { body: { token: { type: "string", required: true } } }
+};
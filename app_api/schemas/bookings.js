@@ -0,0 +1,29 @@
+/**
+ * @file    bookings.js
+ * @brief   This file defines the request schemas of the booking routes.
+ *
+ * @details See 'middleware/validate.js' for the rule format.
+ */
+
+const Booking = require("../models/booking");
+const BOOKING_STATUSES = Booking.schema.path("status").enumValues;
+
+module.exports = {
+  create: {
+    body: {
+      tripCode: { type: "string", required: true },
+      travelers: {
+        type: "integer",
+        required: true,
+        min: 1
+      }
+    }
+  },
+  listAll: {
+    query: {
+      status: { type: "string", enum: BOOKING_STATUSES },
+      tripCode: { type: "string" }
+    }
+  },
+  byId: { params: { bookingId: { type: "objectId", required: true } } }
+};
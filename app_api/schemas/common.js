@@ -0,0 +1,45 @@
+/**
+ * @file    common.js
+ * @brief   This file defines the rules shared by the request schemas of several routes.
+ *
+ * @details See 'middleware/validate.js' for the rule format.
+ */
+
+// The code that identifies a trip, room, meal, or news article in its URL
+const CODE_RULE = {
+  type: "string",
+  maxLength: 40,
+  pattern: /^[A-Za-z0-9_-]+$/,
+  patternMessage: "may only contain letters, digits, '-' and '_'"
+};
+
+// The file name of an image in 'public/images'
+const IMAGE_RULE = {
+  type: "string",
+  maxLength: 200,
+  pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+  patternMessage: "must be the file name of an image in public/images"
+};
+
+// A price in minor units, as stored by 'models/price.js'
+const PRICE_RULE = {
+  type: "object",
+  properties: {
+    amount: {
+      type: "integer",
+      required: true,
+      min: 0
+    },
+    currency: {
+      type: "string",
+      pattern: /^[A-Za-z]{3}$/,
+      patternMessage: "must be an ISO 4217 code such as USD"
+    }
+  }
+};
+
+module.exports = {
+  CODE_RULE,
+  IMAGE_RULE,
+  PRICE_RULE
+};
@@ -0,0 +1,82 @@
+/**
+ * @file    content.js
+ * @brief   This file defines the request schemas of the room, meal, and news routes.
+ *
+ * @details See 'middleware/validate.js' for the rule format. Each kind of content has a 'create'
+ *          schema, in which the fields every document needs are required, an 'update' schema, in
+ *          which every field is optional, and a 'byCode' schema for the routes that only name a
+ *          document. Its 'list' schema checks the query of the listing.
+ */
+
+const {
+  CODE_RULE,
+  IMAGE_RULE,
+  PRICE_RULE
+} = require("./common");
+const { NEWS_CATEGORIES } = require("../models/content");
+
+const codeParams = { code: { ...CODE_RULE, required: true } };
+
+const NAME_RULE = { type: "string", maxLength: 200 };
+const POSITION_RULE = { type: "integer" };
+const LIMIT_RULE = {
+  type: "integer",
+  min: 1,
+  max: 100
+};
+
+/**
+ * @brief   Builds the list, create, update, and byCode schemas of a kind of content.
+ *
+ * @param {Function} body Builds the schema of the request body, given whether the fields every
+ *                        document needs are required.
+ * @returns {Object} The 'list', 'create', 'update', and 'byCode' schemas.
+ */
+const contentSchemas = (body) => ({
+  list: { query: { limit: LIMIT_RULE } },
+  create: { body: body(true) },
+  update: { params: codeParams, body: body(false) },
+  byCode: { params: codeParams }
+});
+
+const rooms = contentSchemas((required) => ({
+  code: { ...CODE_RULE, required },
+  name: { ...NAME_RULE, required },
+  description: { type: "string", required },
+  rate: { ...PRICE_RULE, required },
+  image: IMAGE_RULE,
+  position: POSITION_RULE
+}));
+
+const meals = contentSchemas((required) => ({
+  code: { ...CODE_RULE, required },
+  name: { ...NAME_RULE, required },
+  dish: NAME_RULE,
+  description: { type: "string", required },
+  image: IMAGE_RULE,
+  position: POSITION_RULE
+}));
+
+const news = {
+  ...contentSchemas((required) => ({
+    code: { ...CODE_RULE, required },
+    title: { ...NAME_RULE, required },
+    category: { type: "string", enum: NEWS_CATEGORIES },
+    author: NAME_RULE,
+    publishedAt: { type: "date" },
+    body: { type: "string", required },
+    image: IMAGE_RULE
+  })),
+  list: {
+    query: {
+      category: { type: "string", enum: NEWS_CATEGORIES },
+      limit: LIMIT_RULE
+    }
+  }
+};
+
+module.exports = {
+  rooms,
+  meals,
+  news
+};
@@ -0,0 +1,79 @@
+/**
+ * @file    trips.js
+ * @brief   This file defines the request schemas of the trip routes.
+ *
+ * @details See 'middleware/validate.js' for the rule format. The schemas check the shape of the
+ *          request; the rules that depend on several fields, such as a trip needing either
+ *          'nights' and 'days' or a 'length', are checked by the trip model when it is saved.
+ *          The query of the trip listing is checked by `parseTripQuery` in 'lib/tripQuery.js'.
+ */
+
+const {
+  CODE_RULE,
+  IMAGE_RULE,
+  PRICE_RULE
+} = require("./common");
+
+const tripCodeParams = { tripCode: { ...CODE_RULE, required: true } };
+
+/**
+ * @brief   Builds the schema of a trip in a request body.
+ *
+ * @param {boolean} required True if the fields every trip needs must be present.
+ * @returns {Object} The schema of the trip.
+ */
+const tripBody = (required) => ({
+  code: { ...CODE_RULE, required },
+  name: {
+    type: "string",
+    required,
+    maxLength: 200
+  },
+  nights: { type: "integer", min: 0 },
+  days: { type: "integer", min: 1 },
+  length: { type: "string" },
+  start: { type: "date", required },
+  resort: {
+    type: "string",
+    required,
+    maxLength: 200
+  },
+  price: PRICE_RULE,
+  perPerson: { type: ["string", "number"] },
+  capacity: { type: "integer", min: 0 },
+  image: { ...IMAGE_RULE, required },
+  description: { type: "string", required }
+});
+
+module.exports = {
+  create: { body: tripBody(true) },
+  update: { params: tripCodeParams, body: tripBody(false) },
+  byCode: { params: tripCodeParams },
+  revert: {
+    params: {
+      ...tripCodeParams,
+      revision: {
+        type: "integer",
+        required: true,
+        min: 1
+      }
+    }
+  },
+  search: {
+    query: {
+      q: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 200
+      },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: 50
+      }
+    }
+  },
+  exportCatalogue: { query: { format: { type: "string", enum: ["json", "csv"] } } },
+  importCatalogue: { query: { dryRun: { type: "string", enum: ["true", "false"] } } }
+};
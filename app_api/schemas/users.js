@@ -0,0 +1,21 @@
+/**
+ * @file    users.js
+ * @brief   This file defines the request schemas of the user management routes.
+ *
+ * @details See 'middleware/validate.js' for the rule format.
+ */
+
+const { ROLES } = require("../config/roles");
+
+module.exports = {
+  setRole: {
+    params: { email: { type: "email", required: true } },
+    body: {
+      role: {
+        type: "string",
+        required: true,
+        enum: ROLES
+      }
+    }
+  }
+};
@@ -0,0 +1,94 @@
+const accounts = require("../../app_api/lib/accounts");
+const { logger } = require("../../app_api/lib/logger");
+
+const INVALID_RESET = "This password reset link is invalid or has expired. Ask for a new one from the sign-in page.";
+const INVALID_VERIFICATION = "This verification link is invalid or has expired. Sign in to ask for a new one.";
+
+// The token of an emailed link, from its query string or from the form that sends it back
+const tokenOf = (req) => {
+  const token = req.method === "POST" ? req.body.token : req.query.token;
+  return typeof token === "string" ? token.trim() : "";
+};
+
+// Send the error page of a failed change
+const changeFailed = (req, res, err) => {
+  logger.error("Could not use the account token", { err });
+  res.status(500).render("error", {
+    message: "Your request could not be completed. Please try again later.",
+    error: req.app.get("env") === "development" ? err : {}
+  });
+};
+
+/* GET password reset page, with the form to choose a new password */
+const resetPasswordForm = function (req, res) {
+  const token = tokenOf(req);
+  res.status(token ? 200 : 400).render("password", {
+    title: "Travlr Getaways",
+    token,
+    message: token ? null : INVALID_RESET
+  });
+};
+
+/* POST password reset form */
+const resetPassword = async function (req, res) {
+  const token = tokenOf(req);
+  const password = typeof req.body.password === "string" ? req.body.password : "";
+
+  // A mistyped password is caught before the single-use token is spent
+  let problem = null;
+  if (!password) {
+    problem = "Enter a new password.";
+  } else if (password !== req.body.confirm) {
+    problem = "The passwords do not match.";
+  }
+  if (!token || problem) {
+    return res.status(400).render("password", {
+      title: "Travlr Getaways",
+      token,
+      message: token ? problem : INVALID_RESET
+    });
+  }
+
+  try {
+    const user = await accounts.resetPassword(token, password);
+    res.status(user ? 200 : 400).render("password", {
+      title: "Travlr Getaways",
+      done: Boolean(user),
+      message: user ? "Your password has been reset. Sign in with the new password." : INVALID_RESET
+    });
+  } catch (err) {
+    changeFailed(req, res, err);
+  }
+};
+
+/* GET email verification page, with the button that verifies the address */
+const verifyEmailForm = function (req, res) {
+  const token = tokenOf(req);
+  res.status(token ? 200 : 400).render("verify", {
+    title: "Travlr Getaways",
+    token,
+    message: token ? null : INVALID_VERIFICATION
+  });
+};
+
+/* POST email verification form */
+const verifyEmail = async function (req, res) {
+  const token = tokenOf(req);
+  try {
+    const user = token ? await accounts.verifyEmail(token) : null;
+    res.status(user ? 200 : 400).render("verify", {
+      title: "Travlr Getaways",
+      done: Boolean(user),
+      message: user ? `Thank you. Your email address ${user.email} is verified.` : INVALID_VERIFICATION
+    });
+  } catch (err) {
+    changeFailed(req, res, err);
+  }
+};
+
+module.exports = {
+  resetPasswordForm,
+  resetPassword,
+  verifyEmailForm,
+  verifyEmail
+};
@@ -0,0 +1,104 @@
+const storage = require("../../app_api/repositories");
+const { LISTING_ORDERS } = require("../../app_api/models/content");
+const { logger } = require("../../app_api/lib/logger");
+
+// Format a rate in minor units, e.g. { amount: 22000, currency: "USD" } as "$220"
+const formatRate = (rate) => {
+  if (!rate || !Number.isInteger(rate.amount)) {
+    return "On request";
+  }
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: rate.currency || "USD",
+    minimumFractionDigits: rate.amount % 100 ? 2 : 0
+  }).format(rate.amount / 100);
+};
+
+// Format the publication date of a news article, e.g. "April 03, 2023"
+const formatDate = (value) => new Intl.DateTimeFormat("en-US", {
+  month: "long",
+  day: "2-digit",
+  year: "numeric",
+  timeZone: "UTC"
+}).format(new Date(value));
+
+// Read documents from their repository as the plain objects the API sends
+const readList = async (repository, options) => (await repository.list(options)).map((doc) => doc.toJSON());
+
+// Send the error page of a failed lookup
+const lookupFailed = (req, res, err) => {
+  logger.error("Could not read the page content", { err });
+  res.status(500).render("error", {
+    message: "This page could not be loaded. Please try again later.",
+    error: req.app.get("env") === "development" ? err : {}
+  });
+};
+
+// Render the page of a list of rooms or meals
+const renderList = async (req, res, view, repository, sort, empty, toItem) => {
+  try {
+    const items = await readList(repository, { sort });
+    res.render(view, {
+      title: "Travlr Getaways",
+      items: items.map(toItem),
+      message: items.length ? null : empty
+    });
+  } catch (err) {
+    lookupFailed(req, res, err);
+  }
+};
+
+/* GET rooms view */
+const rooms = async function (req, res) {
+  await renderList(req, res, "rooms", storage.rooms, LISTING_ORDERS.rooms, "No rooms are listed yet.",
+    (room) => ({ ...room, rate: formatRate(room.rate) }));
+};
+
+/* GET meals view */
+const meals = async function (req, res) {
+  await renderList(req, res, "meals", storage.meals, LISTING_ORDERS.meals, "No meals are listed yet.", (meal) => meal);
+};
+
+// Read the newest articles of a news category
+const latestNews = (category, limit) => readList(storage.news, {
+  where: { category },
+  sort: LISTING_ORDERS.news,
+  limit
+});
+
+/* GET news view, showing the latest news article or the one given by 'code' */
+const news = async function (req, res) {
+  const code = req.params.code;
+
+  try {
+    const [latest, tips, requested] = await Promise.all([
+      latestNews("news", 4),
+      latestNews("tips", 6),
+      code ? storage.news.findByCode(code) : null
+    ]);
+    if (code && !requested) {
+      return res.status(404).render("notfound", {
+        title: "Travlr Getaways",
+        message: `We could not find a news article with the code "${code}".`,
+        back: { href: "/news", label: "Latest news" }
+      });
+    }
+
+    const article = requested ? requested.toJSON() : latest[0] || null;
+    res.render("news", {
+      title: "Travlr Getaways",
+      latest,
+      tips,
+      article: article && { ...article, date: formatDate(article.publishedAt) },
+      message: article ? null : "No news has been published yet."
+    });
+  } catch (err) {
+    lookupFailed(req, res, err);
+  }
+};
+
+module.exports = {
+  rooms,
+  meals,
+  news
+};
@@ -1,30 +1,156 @@
-const tripsEndpoint = "http://localhost:3000/api/trips";
-const options = {
-  method: "GET",
-  headers: { Accept: "application/json" }
-};
+const tripService = require("../../app_api/lib/tripService");
+const { logger } = require("../../app_api/lib/logger");
+
+// The longest search query the API accepts (see 'app_api/schemas/trips.js')
+const MAX_QUERY_LENGTH = 200;
 
 // var fs = require('fs');
 // var trips = JSON.parse(fs.readFileSync('./data/trips.json','utf8'));
 
-/* GET travel view */
+// Send the error page of a failed lookup
+const lookupFailed = (req, res, err) => {
+  logger.error("Could not read the trips", { err });
+  res.status(500).render("error", {
+    message: "The trips could not be loaded. Please try again later.",
+    error: req.app.get("env") === "development" ? err : {}
+  });
+};
+
+/* GET travel view, or the trips matching the 'q' search query */
 const travel = async function (req, res) {
-  await fetch(tripsEndpoint, options)
-    .then((res) => res.json())
-    .then((json) => {
-      let message = null;
-      if (!(json instanceof Array)) {
-        message = "API lookup error";
-        json = [];
-      } else {
-        if (!json.length) {
-          message = "No trips exist in our database!";
-          console.log(message);
-        }
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (q) {
+    return search(req, res, q);
+  }
+
+  const query = typeof req.query.cursor === "string" ? { cursor: req.query.cursor } : {};
+  try {
+    const { trips, nextCursor } = await tripService.listTrips(query);
+    let message = null;
+    if (!trips.length) {
+      message = "No trips exist in our database!";
+    }
+    res.render("travel", {
+      title: "Travlr Getaways",
+      trips,
+      message,
+      next: nextCursor ? `/travel?cursor=${encodeURIComponent(nextCursor)}` : null,
+      paged: Boolean(query.cursor)
+    });
+  } catch (err) {
+    // A malformed or stale cursor is rejected with 400
+    if (err.status === 400) {
+      return res.render("travel", {
+        title: "Travlr Getaways",
+        trips: [],
+        message: "That page of trips is no longer available.",
+        paged: true
+      });
+    }
+    lookupFailed(req, res, err);
+  }
+};
+
+/* Render the trips matching a search, with the matched words highlighted */
+const search = async function (req, res, q) {
+  let message = null;
+  let trips = [];
+  try {
+    if (q.length > MAX_QUERY_LENGTH) {
+      message = `Search for at most ${MAX_QUERY_LENGTH} characters.`;
+    } else {
+      const { results } = await tripService.searchTrips(q);
+      if (!results.length) {
+        message = `No trips match "${q}".`;
       }
-      res.render("travel", { title: "Travlr Getaways", trips: json });
-    })
-    .catch((err) => res.status(500).send(err.message));
+      trips = results.map(({ trip, highlights }) => ({
+        ...trip,
+        nameHtml: highlights.name,
+        snippet: highlights.description
+      }));
+    }
+  } catch (err) {
+    // A query without letters or digits is rejected with 400
+    if (err.status !== 400) {
+      return lookupFailed(req, res, err);
+    }
+    message = err.message;
+  }
+  res.render("travel", {
+    title: "Travlr Getaways",
+    trips,
+    message,
+    q
+  });
+};
+
+// Format a price in minor units, e.g. { amount: 79900, currency: "USD" } as "$799.00"
+const formatPrice = (price) => {
+  if (!price || !Number.isInteger(price.amount)) {
+    return "On request";
+  }
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: price.currency || "USD" })
+    .format(price.amount / 100);
+};
+
+// Format the dates of a trip, from its start to the day after its last night
+const formatDates = (trip) => {
+  const start = new Date(trip.start);
+  if (isNaN(start.getTime())) {
+    return "To be announced";
+  }
+
+  const format = new Intl.DateTimeFormat("en-US", { dateStyle: "long", timeZone: "UTC" });
+  if (!Number.isInteger(trip.nights)) {
+    return `From ${format.format(start)}`;
+  }
+  const end = new Date(start.getTime() + trip.nights * 24 * 60 * 60 * 1000);
+  return format.formatRange(start, end);
+};
+
+// Describe the places left on a trip, or null if it has no capacity set
+const availability = (trip) => {
+  if (!Number.isInteger(trip.capacity)) {
+    return null;
+  }
+
+  const left = trip.capacity - (trip.booked || 0);
+  if (left <= 0) {
+    return "Sold out";
+  }
+  return left === 1 ? "1 place left" : `${left} places left`;
 };
 
-module.exports = { travel };
+/* GET trip details view */
+const tripDetails = async function (req, res) {
+  const code = req.params.tripCode;
+
+  try {
+    const trip = await tripService.findTrip(code);
+    if (!trip) {
+      return res.status(404).render("notfound", {
+        title: "Travlr Getaways",
+        message: `We could not find a trip with the code "${code}".`,
+        back: { href: "/travel", label: "All trips" }
+      });
+    }
+
+    const origin = `${req.protocol}://${req.get("host")}`;
+    res.render("trip", {
+      title: "Travlr Getaways",
+      trip,
+      url: `${origin}/travel/${encodeURIComponent(trip.code)}`,
+      imageUrl: `${origin}/images/${encodeURIComponent(trip.image)}`,
+      price: formatPrice(trip.price),
+      dates: formatDates(trip),
+      availability: availability(trip)
+    });
+  } catch (err) {
+    lookupFailed(req, res, err);
+  }
+};
+
+module.exports = {
+  travel,
+  tripDetails
+};
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/account");
+
+/* GET and POST the pages that the password reset and verification emails link to. The token is
+   only used up by the POST, so a mail scanner that opens the link does not spend it. */
+router.get("/reset-password", controller.resetPasswordForm);
+router.post("/reset-password", controller.resetPassword);
+router.get("/verify-email", controller.verifyEmailForm);
+router.post("/verify-email", controller.verifyEmail);
+
+module.exports = router;
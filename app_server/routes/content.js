@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const controller = require("../controllers/content");
+
+// Highlight the section of each page in the navigation
+const section = (name) => (req, res, next) => {
+  res.locals.selected = { [name]: true };
+  next();
+};
+
+/* GET rooms, meals, and news pages. */
+router.get("/rooms", section("rooms"), controller.rooms);
+router.get("/meals", section("meals"), controller.meals);
+router.get("/news", section("news"), controller.news);
+router.get("/news/:code", section("news"), controller.news);
+
+/* Redirect the addresses of the old static pages. */
+["rooms", "meals", "news"].forEach((page) => {
+  router.get(`/${page}.html`, (req, res) => res.redirect(301, `/${page}`));
+});
+
+module.exports = router;
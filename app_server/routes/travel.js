@@ -2,7 +2,16 @@ const express = require("express");
 const router = express.Router();
 const controller = require("../controllers/travel");
 
+// Highlight Travel in the navigation of every page below /travel
+router.use((req, res, next) => {
+  res.locals.selected = { travel: true };
+  next();
+});
+
 /* GET home page. */
 router.get("/", controller.travel);
 
+/* GET trip details page. */
+router.get("/:tripCode", controller.tripDetails);
+
 module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * @file    accounts.test.js
+ * @brief   This file checks password resets and email verification through the API.
+ *
+ * @details The password reset and verification emails carry single-use tokens (see
+ *          'app_api/lib/accountMail.js'). The tests catch the emails with a stand-in mail
+ *          transport, send the tokens back to the API, and check that each token works once and
+ *          only for its purpose. They run against the memory storage backend, so they need no
+ *          database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { setImmediate: nextTick } = require("node:timers/promises");
+
+const {
+  PASSWORD,
+  serve,
+  captureMail
+} = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+const credentials = {
+  email: "traveler@accounts.test",
+  password: PASSWORD
+};
+
+describe("Account tokens", () => {
+  const server = serve();
+  const { call } = server;
+  const mail = captureMail();
+  const { inbox } = mail;
+
+  // Waits for the next email with a link to the given page, and returns the token of the link
+  const tokenFrom = async (page) => (await mail.linkTo(page)).token;
+
+  before(async () => {
+    assert.equal((await call("POST", "/register", { body: { name: "Accounts Traveler", ...credentials } })).status, 200);
+  });
+
+  it("verifies an email address once with the emailed token", async () => {
+    const token = await tokenFrom("/verify-email");
+    assert.equal((await storage.users.findByEmail(credentials.email)).verified, false);
+
+    const verified = await call("POST", "/email/verify", { body: { token } });
+    assert.equal(verified.status, 200);
+    assert.deepEqual(verified.body, { email: credentials.email, verified: true });
+    assert.equal((await storage.users.findByEmail(credentials.email)).verified, true);
+
+    const again = await call("POST", "/email/verify", { body: { token } });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, "invalid_token");
+  });
+
+  it("resets a password once with the emailed token and signs out every session", async () => {
+    const session = (await call("POST", "/login", { body: credentials })).body;
+    assert.equal((await call("POST", "/password/forgot", { body: { email: credentials.email } })).status, 202);
+    const token = await tokenFrom("/reset-password");
+
+    const password = "a brand new password";
+    const reset = await call("POST", "/password/reset", { body: { token, password } });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await call("POST", "/login", { body: credentials })).status, 401);
+    assert.equal((await call("POST", "/login", { body: { email: credentials.email, password } })).status, 200);
+    assert.equal((await call("GET", "/bookings", { token: session.token })).status, 401);
+
+    const again = await call("POST", "/password/reset", { body: { token, password: "yet another password" } });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, "invalid_token");
+  });
+
+  it("accepts a token only for the purpose it was issued for", async () => {
+    await call("POST", "/password/forgot", { body: { email: credentials.email } });
+    const token = await tokenFrom("/reset-password");
+
+    assert.equal((await call("POST", "/email/verify", { body: { token } })).status, 400);
+    assert.equal((await call("POST", "/password/reset", { body: { token: "not-a-token", password: "whatever" } })).status, 400);
+  });
+
+  it("answers a request for an unknown address as for a known one, without sending email", async () => {
+    const res = await call("POST", "/password/forgot", { body: { email: "nobody@accounts.test" } });
+    assert.equal(res.status, 202);
+    await nextTick();
+    assert.equal(inbox.filter((message) => message.to === "nobody@accounts.test").length, 0);
+  });
+});
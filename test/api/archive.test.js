@@ -0,0 +1,109 @@
+/**
+ * @file    archive.test.js
+ * @brief   This file checks that deleting a trip archives it, and that archived trips can be
+ *          listed and restored.
+ *
+ * @details Deleting a trip keeps it with the name of the user who archived it and the time (see
+ *          'tripsDeleteTrip' in 'app_api/controllers/trips.js'). The tests check that an archived
+ *          trip leaves the public listings and search, that the archive lists it most recently
+ *          archived first, and that restoring it brings it back without the archive details.
+ *          Only the 'admin' role has the 'trips:archive' permission. They run against the memory
+ *          storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+describe("Trip archive", () => {
+  const server = serve();
+  let token;
+
+  // Sends a request to the API as the signed-in admin
+  const call = (method, path) => server.call(method, path, { token });
+
+  // The codes of the trips in a list
+  const codes = (trips) => trips.map((trip) => trip.code);
+
+  before(async () => {
+    token = await server.signIn("admin@archive.test", { role: "admin", name: "Ada Archivist" });
+
+    for (const code of ["SHELF01", "SHELF02", "SHELF03"]) {
+      await storage.trips.create(tripRecord(code, { name: `Shelved Lagoon ${code}` }));
+    }
+  });
+
+  it("archives a trip and hides it from the listings and search", async () => {
+    const res = await call("DELETE", "/trips/SHELF01");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.code, "SHELF01");
+    assert.equal(res.body.archived, true);
+    assert.equal(res.body.archivedBy, "Ada Archivist");
+    assert.equal(Math.abs(Date.parse(res.body.archivedAt) - Date.now()) < 60000, true);
+
+    assert.equal((await call("GET", "/trips/SHELF01")).status, 404);
+    assert.equal(codes((await call("GET", "/trips?limit=100")).body).includes("SHELF01"), false);
+    const search = await call("GET", "/trips/search?q=lagoon");
+    assert.deepEqual(search.body.results.map((result) => result.trip.code), ["SHELF02", "SHELF03"]);
+  });
+
+  it("lists the archived trips, most recently archived first", async () => {
+    assert.equal((await call("DELETE", "/trips/SHELF02")).status, 200);
+
+    const res = await call("GET", "/trips/archive");
+    assert.equal(res.status, 200);
+    assert.deepEqual(codes(res.body), ["SHELF02", "SHELF01"]);
+    assert.equal(res.body.every((trip) => trip.archived === true), true);
+  });
+
+  it("answers archiving a trip that is unknown or already archived with 404", async () => {
+    for (const code of ["NOSUCHTRIP", "SHELF01"]) {
+      const res = await call("DELETE", `/trips/${code}`);
+      assert.equal(res.status, 404, code);
+      assert.equal(res.body.message, `Trip not found with code ${code}`, code);
+    }
+  });
+
+  it("restores an archived trip without its archive details", async () => {
+    const res = await call("POST", "/trips/SHELF01/restore");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.archived, false);
+    assert.equal("archivedAt" in res.body, false);
+    assert.equal("archivedBy" in res.body, false);
+
+    assert.equal((await call("GET", "/trips/SHELF01")).status, 200);
+    assert.deepEqual(codes((await call("GET", "/trips/archive")).body), ["SHELF02"]);
+  });
+
+  it("answers restoring a trip that is unknown or not archived with 404", async () => {
+    for (const code of ["NOSUCHTRIP", "SHELF03"]) {
+      const res = await call("POST", `/trips/${code}/restore`);
+      assert.equal(res.status, 404, code);
+      assert.equal(res.body.message, `Archived trip not found with code ${code}`, code);
+    }
+  });
+
+  it("lets only admins archive, list, and restore trips", async () => {
+    const editor = await server.signIn("editor@archive.test", { role: "editor" });
+    const requests = [
+      ["GET", "/trips/archive"],
+      ["DELETE", "/trips/SHELF03"],
+      ["POST", "/trips/SHELF02/restore"]
+    ];
+
+    for (const [method, path] of requests) {
+      const res = await server.call(method, path, { token: editor });
+      assert.equal(res.status, 403, path);
+      assert.equal(res.body.message, "Forbidden: the 'editor' role does not have the 'trips:archive' permission", path);
+      assert.equal((await server.call(method, path)).status, 401, path);
+    }
+    assert.equal((await call("GET", "/trips/SHELF03")).status, 200);
+    assert.deepEqual(codes((await call("GET", "/trips/archive")).body), ["SHELF02"]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * @file    bookings.test.js
+ * @brief   This file checks that bookings never sell more places than a trip has.
+ *
+ * @details Places are reserved with `trips.reserve`, which checks the capacity and increments the
+ *          trip's 'booked' counter in one atomic step (see 'app_api/controllers/bookings.js').
+ *          The tests send many bookings at the same time and cancel bookings, and check the
+ *          counter. They run against the memory storage backend, so they need no database.
+ *
+ *          On the memory backend `reserve` cannot be interrupted, so the last tests also reserve
+ *          places in parallel with the MongoDB repository, where the capacity condition of the
+ *          update is what keeps the counter in bounds, and check the same condition when an
+ *          import lowers the capacity. They need a MongoDB database whose name ends in '_test',
+ *          given with MONGODB_URI, and are skipped without one.
+ */
+
+const {
+  describe,
+  it,
+  before,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const Trip = require("../../app_api/models/travlr");
+
+// Adds a bookable trip with the given code and capacity
+const addTrip = (code, capacity) => storage.trips.create(tripRecord(code, { capacity }));
+
+const bookedOn = async (code) => (await storage.trips.findByCode(code)).booked;
+
+describe("Bookings", () => {
+  const server = serve();
+  let token;
+
+  // Sends a JSON request to the API as the signed-in customer
+  const call = (method, path, body) => server.call(method, path, { body, token });
+
+  const book = (tripCode, travelers) => call("POST", "/bookings", { tripCode, travelers });
+
+  before(async () => {
+    token = await server.signIn("traveler@bookings.test");
+  });
+
+  it("sells exactly the capacity of a trip to parallel requests", async () => {
+    const capacity = 3;
+    const requests = 10;
+    await addTrip("PARALLEL1", capacity);
+
+    const results = await Promise.all(Array.from({ length: requests }, () => book("PARALLEL1", 1)));
+    const statuses = results.map((res) => res.status);
+
+    assert.equal(statuses.filter((status) => status === 201).length, capacity);
+    assert.equal(statuses.filter((status) => status === 409).length, requests - capacity);
+    assert.equal(await bookedOn("PARALLEL1"), capacity);
+  });
+
+  it("never takes more places than are left for larger parties", async () => {
+    await addTrip("PARALLEL2", 5);
+
+    const results = await Promise.all([2, 2, 2, 2, 1, 1].map((travelers) => book("PARALLEL2", travelers)));
+    const sold = results
+      .filter((res) => res.status === 201)
+      .reduce((places, res) => places + res.body.travelers, 0);
+
+    assert.ok(results.every((res) => res.status === 201 || res.status === 409));
+    assert.ok(sold <= 5);
+    assert.equal(await bookedOn("PARALLEL2"), sold);
+  });
+
+  it("gives the places of a cancelled booking back once", async () => {
+    await addTrip("CANCEL1", 2);
+    const booking = (await book("CANCEL1", 2)).body;
+    assert.equal((await book("CANCEL1", 1)).status, 409);
+
+    const cancels = await Promise.all([1, 2, 3].map(() => call("POST", `/bookings/${booking._id}/cancel`)));
+    assert.deepEqual(cancels.map((res) => res.status).sort(), [200, 409, 409]);
+    assert.equal(await bookedOn("CANCEL1"), 0);
+
+    // The released places can be booked again
+    assert.equal((await book("CANCEL1", 2)).status, 201);
+    assert.equal(await bookedOn("CANCEL1"), 2);
+  });
+
+  it("rejects bookings for unknown or archived trips without taking places", async () => {
+    assert.equal((await book("NOSUCHTRIP", 1)).status, 404);
+
+    await addTrip("ARCHIVED1", 4);
+    await storage.trips.archive("ARCHIVED1", "admin@bookings.test");
+    assert.equal((await book("ARCHIVED1", 1)).status, 404);
+    assert.equal(await bookedOn("ARCHIVED1"), 0);
+  });
+});
+
+describe("Bookings on MongoDB", () => {
+  const codes = ["MONGOPAR1", "MONGOPAR2", "MONGOPAR3"];
+  let trips;
+  let unavailable = process.env.MONGODB_URI ? null : "Set MONGODB_URI to a test database to reserve places in MongoDB";
+
+  // Runs a test that needs MongoDB, or skips it if MongoDB is not available
+  const itWithDatabase = (name, fn) => it(name, (t) => (unavailable ? t.skip(unavailable) : fn(t)));
+
+  before(async () => {
+    if (unavailable) {
+      return;
+    }
+    try {
+      await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+    } catch (err) {
+      unavailable = `MongoDB could not be reached: ${err.message}`;
+      return;
+    }
+    assert.match(mongoose.connection.name, /_test$/,
+      `Refusing to write to the database '${mongoose.connection.name}': its name must end in '_test'`);
+
+    ({ trips } = require("../../app_api/repositories/mongodb/trips"));
+    await Trip.deleteMany({ code: { $in: codes } });
+  });
+
+  after(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await Trip.deleteMany({ code: { $in: codes } });
+    }
+    await mongoose.disconnect();
+  });
+
+  itWithDatabase("reserves exactly the capacity of a trip for parallel requests", async () => {
+    await trips.create(tripRecord("MONGOPAR1", { capacity: 3 }));
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => trips.reserve("MONGOPAR1", 1)));
+
+    assert.equal(results.filter(Boolean).length, 3);
+    assert.equal((await trips.findByCode("MONGOPAR1")).booked, 3);
+  });
+
+  itWithDatabase("never reserves more places than are left for larger parties", async () => {
+    await trips.create(tripRecord("MONGOPAR2", { capacity: 5 }));
+    const parties = [2, 2, 2, 2, 1, 1];
+
+    const results = await Promise.all(parties.map((places) => trips.reserve("MONGOPAR2", places)));
+    const sold = parties.filter((places, index) => results[index]).reduce((sum, places) => sum + places, 0);
+
+    assert.ok(sold <= 5);
+    assert.equal((await trips.findByCode("MONGOPAR2")).booked, sold);
+  });
+
+  itWithDatabase("rejects an import that would take a trip below its places booked", async () => {
+    await trips.create(tripRecord("MONGOPAR3", { capacity: 5 }));
+    assert.ok(await trips.reserve("MONGOPAR3", 4));
+
+    const { rejected } = await trips.upsertMany([tripRecord("MONGOPAR3", { capacity: 3 })]);
+
+    assert.deepEqual(rejected, ["MONGOPAR3"]);
+    const trip = await trips.findByCode("MONGOPAR3");
+    assert.equal(trip.capacity, 5);
+    assert.equal(trip.booked, 4);
+  });
+});
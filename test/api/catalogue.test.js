@@ -0,0 +1,124 @@
+/**
+ * @file    catalogue.test.js
+ * @brief   This file checks that a trip import that fails leaves the catalogue unchanged.
+ *
+ * @details An import validates every row before it writes anything, and the storage backend
+ *          writes the trips together (see 'app_api/lib/tripCatalog.js'). The tests import
+ *          catalogues with a bad row or a trip booked past its new capacity during the write,
+ *          and write trips with one invalid trip straight to the repository, and compare the
+ *          exported catalogue before and after. They run against
+ *          the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+describe("Catalogue import", () => {
+  const server = serve();
+  let token;
+
+  // Sends a JSON request to the API as the signed-in editor
+  const call = (method, path, body) => server.call(method, path, { body, token });
+
+  const exported = async () => (await call("GET", "/trips/export")).body;
+
+  before(async () => {
+    token = await server.signIn("editor@catalogue.test", { role: "editor" });
+
+    await storage.trips.create(tripRecord("CATALOG1"));
+    await storage.trips.create(tripRecord("CATALOG2"));
+  });
+
+  it("changes no trip when one row of an import is rejected", async () => {
+    const before = await exported();
+
+    const res = await call("POST", "/trips/import", [
+      tripRecord("CATALOG1", { name: "Renamed by the import" }),
+      tripRecord("CATALOG3"),
+      tripRecord("CATALOG4", { nights: -1 })
+    ]);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "import_rejected");
+    assert.equal(res.body.report.applied, false);
+    assert.deepEqual(res.body.report.rows.map((row) => row.status), ["updated", "created", "rejected"]);
+    assert.deepEqual(await exported(), before);
+    assert.equal(await storage.trips.findByCode("CATALOG3"), null);
+  });
+
+  it("changes no trip when a row would take a booked trip below its bookings", async () => {
+    const before = await exported();
+    assert.ok(await storage.trips.reserve("CATALOG2", 4));
+
+    const res = await call("POST", "/trips/import", [
+      tripRecord("CATALOG5"),
+      tripRecord("CATALOG2", { capacity: 3 })
+    ]);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.report.rows[1].errors[0].field, "capacity");
+    assert.deepEqual((await exported()).map(({ code }) => code), before.map(({ code }) => code));
+    assert.equal((await storage.trips.findByCode("CATALOG2")).capacity, 10);
+  });
+
+  it("writes none of the trips when the storage rejects one of them", async () => {
+    const before = await exported();
+
+    await assert.rejects(storage.trips.upsertMany([
+      tripRecord("CATALOG1", { name: "Renamed by the write" }),
+      tripRecord("CATALOG6"),
+      tripRecord("CATALOG7", { nights: -1 })
+    ]));
+
+    assert.deepEqual(await exported(), before);
+    assert.equal(await storage.trips.findByCode("CATALOG6"), null);
+  });
+
+  it("changes no trip when places are booked past a new capacity while the import is written", async (t) => {
+    await storage.trips.create(tripRecord("CATALOG9"));
+    const before = await exported();
+
+    // Book the places after the import has read the trips, but before it writes them
+    const read = storage.trips.findManyByCode;
+    t.mock.method(storage.trips, "findManyByCode", async (codes) => {
+      const stored = await read(codes);
+      assert.ok(await storage.trips.reserve("CATALOG9", 4));
+      return stored;
+    });
+
+    const res = await call("POST", "/trips/import", [
+      tripRecord("CATALOG1", { name: "Renamed by the import" }),
+      tripRecord("CATALOG9", { capacity: 3 })
+    ]);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "1 trip(s) rejected, no trips were imported");
+    assert.equal(res.body.report.applied, false);
+    assert.deepEqual(res.body.report.rows.map((row) => row.status), ["updated", "rejected"]);
+    assert.equal(res.body.report.rows[1].errors[0].field, "capacity");
+    assert.deepEqual(await exported(), before);
+
+    const trip = await storage.trips.findByCode("CATALOG9");
+    assert.equal(trip.capacity, 10);
+    assert.equal(trip.booked, 4);
+  });
+
+  it("applies an import whose rows are all valid", async () => {
+    const res = await call("POST", "/trips/import", [
+      tripRecord("CATALOG1", { name: "Renamed by the import" }),
+      tripRecord("CATALOG8")
+    ]);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.applied, true);
+    assert.equal((await storage.trips.findByCode("CATALOG1")).name, "Renamed by the import");
+    assert.equal((await storage.trips.findByCode("CATALOG8")).revision, 1);
+  });
+});
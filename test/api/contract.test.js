@@ -0,0 +1,465 @@
+/**
+ * @file    contract.test.js
+ * @brief   This file checks the API against its OpenAPI document ('app_api/openapi/index.js').
+ *
+ * @details The first tests compare the routes of the router with the paths of the document, so a
+ *          route cannot be added, removed, or renamed without updating the document. The others
+ *          send real requests to the app and check each response against the schema the document
+ *          gives for its operation and status.
+ *
+ *          The last test checks that every operation of the document was called at least once.
+ *
+ *          The requests run with the 'test' profile, which keeps the data in memory (see
+ *          'app_api/config/load.js'), so 'npm test' needs no database. Run
+ *          'STORAGE_BACKEND=mongodb npm test' to send them to MongoDB instead, whose test
+ *          database is emptied first. The tests refuse to empty a database whose name does not
+ *          end in '_test'. If MongoDB cannot be reached, they are skipped with the reason.
+ */
+
+const {
+  describe,
+  it,
+  before,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv/dist/2020");
+const addFormats = require("ajv-formats");
+const mongoose = require("mongoose");
+
+const helpers = require("../helpers");
+helpers.useRequestedBackend();
+const config = require("../../app_api/config");
+const storage = require("../../app_api/repositories");
+const router = require("../../app_api/routes/v1");
+const openapi = require("../../app_api/openapi");
+const { IMAGES_DIR } = require("../../app_api/lib/images");
+
+const METHODS = ["get", "put", "post", "delete", "patch"];
+
+// Only a database with a name like this is emptied before the requests are sent
+const TEST_DATABASE = /_test$/;
+
+// The operations the response tests have called, as "<method> <path>"
+const called = new Set();
+
+const ajv = new Ajv({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema({ $id: "openapi.json", components: openapi.components });
+
+// The routes of the router, as "<method> <OpenAPI path>"
+const routes = () => router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods)
+    .map((method) => `${method} ${layer.route.path.replace(/:(\w+)/g, "{$1}")}`));
+
+// The operations of the document, as "<method> <path>"
+const operations = () => Object.keys(openapi.paths)
+  .flatMap((path) => Object.keys(openapi.paths[path])
+    .filter((method) => METHODS.includes(method))
+    .map((method) => `${method} ${path}`));
+
+/**
+ * @brief   Finds the path of the document that matches a request path.
+ *
+ * @param {string} path The request path, relative to '/api/v1'.
+ * @returns {string|undefined} The path of the document, e.g. '/trips/{tripCode}'.
+ */
+const templateOf = (path) => Object.keys(openapi.paths).find((template) => {
+  const pattern = template.replace(/\{\w+\}/g, "[^/]+");
+  return new RegExp(`^${pattern}$`).test(path);
+});
+
+/**
+ * @brief   Checks a response against the document.
+ *
+ * @param {string} method The method of the request.
+ * @param {string} path   The request path, relative to '/api/v1', without the query.
+ * @param {Response} res  The response.
+ * @param {*} body        The parsed JSON body, if any.
+ */
+const assertContract = (method, path, res, body) => {
+  const template = templateOf(path);
+  assert.ok(template, `${path} is not in the OpenAPI document`);
+  const op = openapi.paths[template][method.toLowerCase()];
+  assert.ok(op, `${method} ${template} is not in the OpenAPI document`);
+  called.add(`${method.toLowerCase()} ${template}`);
+  const response = op.responses[res.status];
+  assert.ok(response, `${method} ${template} does not document status ${res.status}: ${JSON.stringify(body)}`);
+
+  Object.keys(response.headers || {}).filter((name) => name !== "Link").forEach((name) => {
+    assert.ok(res.headers.has(name), `${method} ${template} ${res.status} has no ${name} header`);
+  });
+
+  const content = response.content || {};
+  const type = (res.headers.get("content-type") || "").split(";")[0];
+  if (!type) {
+    assert.deepEqual(Object.keys(content), [], `${method} ${template} ${res.status} has no body`);
+    return;
+  }
+  assert.ok(content[type], `${method} ${template} ${res.status} does not document ${type}`);
+  if (type === "application/json") {
+    const schema = JSON.parse(JSON.stringify(content[type].schema)
+      .replace(/"#\/components\//g, "\"openapi.json#/components/"));
+    const valid = ajv.validate(schema, body);
+    assert.ok(valid, `${method} ${template} ${res.status}: ${ajv.errorsText(ajv.errors)}`);
+  }
+};
+
+describe("OpenAPI document", () => {
+  it("describes every route of the router", () => {
+    const documented = new Set(operations());
+    const missing = routes().filter((route) => !documented.has(route));
+    assert.deepEqual(missing, []);
+  });
+
+  it("describes no route the router does not have", () => {
+    const routed = new Set(routes());
+    const extra = operations().filter((operation) => !routed.has(operation));
+    assert.deepEqual(extra, []);
+  });
+
+  it("declares every path parameter", () => {
+    operations().forEach((operation) => {
+      const [method, path] = operation.split(" ");
+      const declared = (openapi.paths[path][method].parameters || [])
+        .filter((p) => p.in === "path")
+        .map((p) => p.name);
+      const named = [...path.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+      assert.deepEqual(declared.sort(), named.sort(), operation);
+    });
+  });
+
+  it("has response schemas that compile", () => {
+    Object.keys(openapi.components.schemas).forEach((name) => {
+      assert.ok(ajv.getSchema(`openapi.json#/components/schemas/${name}`), name);
+    });
+  });
+});
+
+describe("API responses", () => {
+  const server = helpers.serve();
+  const mail = helpers.captureMail();
+  let adminToken;
+  let unavailable = null;
+  const uploaded = new Set();
+
+  // Runs a test that sends requests, or skips it if MongoDB could not be reached
+  const itWithDatabase = (name, fn) => it(name, (t) => (unavailable ? t.skip(unavailable) : fn(t)));
+
+  // Sends a request to the API (see 'test/helpers.js') and checks the response against the document
+  const call = async (method, path, options) => {
+    const res = await server.call(method, path, options);
+    assertContract(method, path.split("?")[0], res, res.body);
+    return res;
+  };
+
+  // Registers a user with the given role and returns the access token of a new session, checking
+  // the responses of the registration and the login too
+  const signIn = async (email, role) => {
+    const credentials = { email, password: helpers.PASSWORD };
+    await call("POST", "/register", { body: { name: "Contract Traveler", ...credentials } });
+    if (role) {
+      const user = await storage.users.findByEmail(email);
+      await storage.users.update(user._id, { role });
+    }
+    return (await call("POST", "/login", { body: credentials })).body.token;
+  };
+
+  // Waits for the next email to an address with a link to the given page, and returns the token
+  // of the link
+  const tokenFrom = async (to, page) => (await mail.linkTo(page, to)).token;
+
+  const trip = helpers.tripRecord("CONTRACT1", { name: "Contract Reef" });
+
+  before(async () => {
+    assert.equal(config.env, "test", "The contract tests only run against the test database");
+    if (storage.name === "mongodb") {
+      try {
+        // The app connects on startup (see 'app_api/models/db.js')
+        await storage.ready();
+      } catch (err) {
+        unavailable = `The response tests need MongoDB at ${config.db.redactedUri}: ${err.message}`;
+        return;
+      }
+      assert.match(mongoose.connection.name, TEST_DATABASE,
+        `Refusing to empty the database '${mongoose.connection.name}': its name must end in '_test'`);
+      await mongoose.connection.dropDatabase();
+    }
+
+    adminToken = await signIn("admin@contract.test", "admin");
+  });
+
+  after(async () => {
+    for (const name of uploaded) {
+      await fs.promises.rm(path.join(IMAGES_DIR, name), { force: true });
+      await fs.promises.rm(path.join(IMAGES_DIR, "thumbs", name), { force: true });
+    }
+    await storage.close();
+  });
+
+  itWithDatabase("signs users in and out", async () => {
+    const failed = await call("POST", "/login", {
+      body: {
+        email: "admin@contract.test",
+        password: "wrong"
+      }
+    });
+    assert.equal(failed.status, 401);
+
+    const session = await call("POST", "/login", {
+      body: {
+        email: "admin@contract.test",
+        password: helpers.PASSWORD
+      }
+    });
+    const refreshed = await call("POST", "/token/refresh", { body: { refreshToken: session.body.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.equal((await call("POST", "/logout", { body: { refreshToken: refreshed.body.refreshToken } })).status, 204);
+
+    const duplicate = await call("POST", "/register", {
+      body: {
+        name: "Someone Else",
+        email: "admin@contract.test",
+        password: "another password"
+      }
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal((await call("POST", "/register", { body: { email: "not an email" } })).status, 400);
+  });
+
+  itWithDatabase("creates, reads, updates, archives, and restores a trip", async () => {
+    assert.equal((await call("POST", "/trips", { body: trip })).status, 401);
+    const created = await call("POST", "/trips", {
+      body: trip,
+      token: adminToken
+    });
+    assert.equal(created.status, 200);
+
+    const found = await call("GET", `/trips/${trip.code}`);
+    assert.equal(found.body[0].code, trip.code);
+    assert.equal((await call("GET", "/trips/NOSUCHTRIP")).status, 404);
+    assert.equal((await call("GET", "/trips?limit=1")).status, 200);
+    assert.equal((await call("GET", "/trips?unknown=1")).status, 400);
+    assert.equal((await call("GET", "/trips/search?q=reef")).body.total, 1);
+
+    const updated = await call("PUT", `/trips/${trip.code}`, {
+      body: { name: "Contract Reef Deluxe" },
+      token: adminToken,
+      headers: { "If-Match": found.headers.get("etag") }
+    });
+    assert.equal(updated.body.name, "Contract Reef Deluxe");
+    const stale = await call("PUT", `/trips/${trip.code}`, {
+      body: { name: "Lost Update" },
+      token: adminToken,
+      headers: { "If-Match": found.headers.get("etag") }
+    });
+    assert.equal(stale.status, 412);
+
+    const history = await call("GET", `/trips/${trip.code}/history`, { token: adminToken });
+    assert.equal(history.body.length, 2);
+    assert.deepEqual(history.body.map((revision) => revision.actor.email), ["admin@contract.test", "admin@contract.test"]);
+    assert.equal((await call("POST", `/trips/${trip.code}/revert/1`, { token: adminToken })).status, 200);
+
+    assert.equal((await call("DELETE", `/trips/${trip.code}`, { token: adminToken })).status, 200);
+    assert.equal((await call("GET", "/trips/archive", { token: adminToken })).body.length, 1);
+    assert.equal((await call("POST", `/trips/${trip.code}/restore`, { token: adminToken })).status, 200);
+  });
+
+  itWithDatabase("exports and imports the catalogue", async () => {
+    const exported = await call("GET", "/trips/export");
+    assert.equal(exported.status, 200);
+    assert.equal((await call("GET", "/trips/export?format=csv")).status, 200);
+
+    const dryRun = await call("POST", "/trips/import?dryRun=true", {
+      body: exported.body,
+      token: adminToken
+    });
+    assert.equal(dryRun.body.unchanged, exported.body.length);
+    const rejected = await call("POST", "/trips/import", {
+      body: [{ code: "BROKEN" }],
+      token: adminToken
+    });
+    assert.equal(rejected.status, 400);
+  });
+
+  itWithDatabase("reports the trip cache", async () => {
+    assert.equal((await call("GET", "/trips/cache")).status, 401);
+    assert.equal((await call("GET", "/trips/cache", { token: adminToken })).status, 200);
+  });
+
+  itWithDatabase("serves the unversioned paths as a deprecated alias of version 1", async () => {
+    const versioned = await call("GET", "/trips/search?q=reef");
+    assert.equal(versioned.headers.has("deprecation"), false);
+
+    const legacy = await fetch(`${server.base}/api/trips/search?q=reef`);
+    assert.equal(legacy.status, 200);
+    assert.deepEqual(await legacy.json(), versioned.body);
+    assert.match(legacy.headers.get("deprecation"), /^@\d+$/);
+    assert.ok(new Date(legacy.headers.get("sunset")) > new Date(0));
+    assert.equal(legacy.headers.get("link"), "</api/v1/trips/search>; rel=\"successor-version\"");
+
+    assert.equal((await fetch(`${server.base}/api/v1/no-such-route`)).headers.has("deprecation"), false);
+  });
+
+  itWithDatabase("resets passwords and verifies email addresses", async () => {
+    const email = "accounts@contract.test";
+    const token = await signIn(email);
+    await tokenFrom(email, "/verify-email");
+
+    assert.equal((await call("POST", "/email/verify/resend")).status, 401);
+    assert.equal((await call("POST", "/email/verify/resend", { token })).status, 202);
+    assert.equal((await call("POST", "/email/verify", { body: { token: "not-a-token" } })).status, 400);
+    const verified = await call("POST", "/email/verify", { body: { token: await tokenFrom(email, "/verify-email") } });
+    assert.equal(verified.status, 200);
+    assert.equal((await call("POST", "/email/verify/resend", { token })).status, 409);
+
+    assert.equal((await call("POST", "/password/forgot", { body: { email } })).status, 202);
+    assert.equal((await call("POST", "/password/forgot", { body: {} })).status, 400);
+    const reset = await call("POST", "/password/reset", {
+      body: {
+        token: await tokenFrom(email, "/reset-password"),
+        password: "a brand new password"
+      }
+    });
+    assert.equal(reset.status, 200);
+    const invalid = await call("POST", "/password/reset", {
+      body: {
+        token: "not-a-token",
+        password: "a brand new password"
+      }
+    });
+    assert.equal(invalid.status, 400);
+  });
+
+  itWithDatabase("changes the role of a user", async () => {
+    const customerToken = await signIn("roles@contract.test");
+
+    const changed = await call("PUT", "/users/roles@contract.test/role", {
+      body: { role: "editor" },
+      token: adminToken
+    });
+    assert.equal(changed.status, 200);
+    const unknown = await call("PUT", "/users/nobody@contract.test/role", {
+      body: { role: "editor" },
+      token: adminToken
+    });
+    assert.equal(unknown.status, 404);
+    const invalid = await call("PUT", "/users/roles@contract.test/role", {
+      body: { role: "owner" },
+      token: adminToken
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal((await call("PUT", "/users/roles@contract.test/role", { body: { role: "admin" } })).status, 401);
+    const forbidden = await call("PUT", "/users/admin@contract.test/role", {
+      body: { role: "customer" },
+      token: customerToken
+    });
+    assert.equal(forbidden.status, 403);
+  });
+
+  itWithDatabase("books, confirms, and cancels a trip", async () => {
+    const customerToken = await signIn("bookings@contract.test");
+    const book = (travelers) => call("POST", "/bookings", {
+      body: { tripCode: trip.code, travelers },
+      token: customerToken
+    });
+
+    const first = await book(2);
+    assert.equal(first.status, 201);
+    const second = await book(1);
+    assert.equal(second.status, 201);
+    assert.equal((await book(100)).status, 409);
+    assert.equal((await call("POST", "/bookings", { body: { tripCode: "NOSUCHTRIP", travelers: 1 }, token: customerToken })).status, 404);
+
+    assert.equal((await call("GET", "/bookings", { token: customerToken })).body.length, 2);
+    assert.equal((await call("GET", `/bookings/${first.body._id}`, { token: customerToken })).status, 200);
+    assert.equal((await call("GET", "/bookings/not-an-id", { token: customerToken })).status, 400);
+    assert.equal((await call("GET", "/bookings/all", { token: customerToken })).status, 403);
+    assert.equal((await call("GET", `/bookings/all?tripCode=${trip.code}`, { token: adminToken })).body.length, 2);
+
+    const confirmed = await call("POST", `/bookings/${first.body._id}/confirm`, { token: adminToken });
+    assert.equal(confirmed.body.status, "confirmed");
+    const cancelled = await call("POST", `/bookings/${second.body._id}/cancel`, { token: customerToken });
+    assert.equal(cancelled.body.status, "cancelled");
+    assert.equal((await call("POST", `/bookings/${second.body._id}/cancel`, { token: customerToken })).status, 409);
+  });
+
+  itWithDatabase("creates, reads, updates, and deletes rooms, meals, and news articles", async () => {
+    const documents = {
+      rooms: {
+        code: "contract-suite",
+        name: "Contract Suite",
+        description: "A room with a view of the reef.",
+        rate: { amount: 22000, currency: "USD" }
+      },
+      meals: {
+        code: "contract-dinner",
+        name: "Contract Dinner",
+        description: "Fresh fish from the bay."
+      },
+      news: {
+        code: "contract-news",
+        title: "Contract News",
+        category: "news",
+        body: "<p>The reef is open.</p>"
+      }
+    };
+
+    for (const [kind, document] of Object.entries(documents)) {
+      assert.equal((await call("POST", `/${kind}`, { body: document })).status, 401, kind);
+      assert.equal((await call("POST", `/${kind}`, { body: document, token: adminToken })).status, 201, kind);
+      assert.equal((await call("POST", `/${kind}`, { body: document, token: adminToken })).status, 409, kind);
+      assert.equal((await call("GET", `/${kind}`)).body.length, 1, kind);
+      assert.equal((await call("GET", `/${kind}/${document.code}`)).status, 200, kind);
+      assert.equal((await call("GET", `/${kind}/no-such-code`)).status, 404, kind);
+
+      const description = kind === "news" ? { body: "<p>The reef is closed.</p>" } : { description: "Changed." };
+      const updated = await call("PUT", `/${kind}/${document.code}`, {
+        body: description,
+        token: adminToken
+      });
+      assert.equal(updated.status, 200, kind);
+      assert.equal((await call("DELETE", `/${kind}/${document.code}`, { token: adminToken })).status, 204, kind);
+      assert.equal((await call("DELETE", `/${kind}/${document.code}`, { token: adminToken })).status, 404, kind);
+    }
+  });
+
+  itWithDatabase("uploads images", async () => {
+    const image = await helpers.randomPng();
+    const form = () => {
+      const data = new FormData();
+      data.append("image", new Blob([image], { type: "image/png" }), "contract.png");
+      return data;
+    };
+
+    assert.equal((await call("POST", "/images", { form: form() })).status, 401);
+    const stored = await call("POST", "/images", {
+      form: form(),
+      token: adminToken
+    });
+    assert.equal(stored.status, 201);
+    uploaded.add(stored.body.image);
+    const again = await call("POST", "/images", {
+      form: form(),
+      token: adminToken
+    });
+    assert.equal(again.status, 200);
+    const empty = await call("POST", "/images", {
+      form: new FormData(),
+      token: adminToken
+    });
+    assert.equal(empty.status, 400);
+  });
+
+  itWithDatabase("serves its documentation", async () => {
+    assert.deepEqual((await call("GET", "/openapi.json")).body, JSON.parse(JSON.stringify(openapi)));
+    assert.equal((await call("GET", "/docs")).status, 200);
+  });
+
+  itWithDatabase("has checked a response of every operation", () => {
+    assert.deepEqual(operations().filter((operation) => !called.has(operation)), []);
+  });
+});
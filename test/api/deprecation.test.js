@@ -0,0 +1,71 @@
+/**
+ * @file    deprecation.test.js
+ * @brief   This file checks the headers that mark the unversioned '/api' paths as deprecated.
+ *
+ * @details The unversioned paths are an alias of '/api/v1' whose responses carry 'Deprecation',
+ *          'Sunset', and 'Link' headers (see 'app_api/routes/index.js'). The tests compare the
+ *          alias with version 1, including the link to the next page of the trip listing. They
+ *          run against the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const config = require("../../app_api/config");
+const storage = require("../../app_api/repositories");
+
+const DEPRECATED_AT = `@${Date.parse("2026-10-19T00:00:00Z") / 1000}`;
+
+describe("Deprecated API paths", () => {
+  const server = serve();
+
+  const get = (path) => fetch(`${server.base}${path}`);
+
+  before(async () => {
+    await storage.trips.create(tripRecord("LEGACY01"));
+    await storage.trips.create(tripRecord("LEGACY02"));
+  });
+
+  it("serves the unversioned paths as version 1 with deprecation headers", async () => {
+    const legacy = await get("/api/trips/LEGACY01");
+    const current = await get("/api/v1/trips/LEGACY01");
+
+    assert.equal(legacy.status, 200);
+    assert.deepEqual(await legacy.json(), await current.json());
+    assert.equal(legacy.headers.get("Deprecation"), DEPRECATED_AT);
+    assert.equal(legacy.headers.get("Sunset"), config.legacyApi.sunset.toUTCString());
+    assert.equal(legacy.headers.get("Link"), "</api/v1/trips/LEGACY01>; rel=\"successor-version\"");
+
+    assert.equal(current.headers.get("Deprecation"), null);
+    assert.equal(current.headers.get("Sunset"), null);
+  });
+
+  it("adds the link to the next page after the successor link", async () => {
+    const res = await get("/api/trips?limit=1");
+    assert.equal(res.status, 200);
+
+    const [successor, next] = res.headers.get("Link").split(", ");
+    assert.equal(successor, "</api/v1/trips>; rel=\"successor-version\"");
+    assert.match(next, /^<http:\/\/127\.0\.0\.1:\d+\/api\/trips\?limit=1&cursor=[^>]+>; rel="next"$/);
+
+    const current = await get("/api/v1/trips?limit=1");
+    assert.match(current.headers.get("Link"), /^<[^>]+\/api\/v1\/trips\?limit=1&cursor=[^>]+>; rel="next"$/);
+  });
+
+  it("answers unknown paths with 404, and does not pass unknown versions to the alias", async () => {
+    const unknown = await get("/api/nowhere");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.headers.get("Deprecation"), DEPRECATED_AT);
+
+    for (const path of ["/api/v1/nowhere", "/api/v2/trips"]) {
+      const res = await get(path);
+      assert.equal(res.status, 404, path);
+      assert.equal(res.headers.get("Deprecation"), null, path);
+    }
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * @file    errors.test.js
+ * @brief   This file checks the validation of requests and the format of the error responses.
+ *
+ * @details Every error response of the API has the body '{ code, message, details }' (see
+ *          'app_api/lib/errors.js'). The tests check the rules of the request schemas (see
+ *          'app_api/middleware/validate.js'), the conversion of each kind of error into that
+ *          body, and the error handler of the API, which hands an error on to Express once a
+ *          response has started (see 'app_api/middleware/errorHandler.js'). They run against the
+ *          memory storage backend, so they need no database.
+ */
+
+const express = require("express");
+const createError = require("http-errors");
+const mongoose = require("mongoose");
+const {
+  describe,
+  it,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { serve } = require("../helpers");
+const validate = require("../../app_api/middleware/validate");
+const { errorHandler } = require("../../app_api/middleware/errorHandler");
+const { handleError } = require("../../app_api/lib/errors");
+const { logger } = require("../../app_api/lib/logger");
+const User = require("../../app_api/models/user");
+
+/**
+ * @brief   Creates a response object that records what is sent.
+ *
+ * @returns {Object} The response, with the 'status' and 'body' that were sent in 'sent'.
+ */
+const fakeResponse = () => {
+  const res = {
+    sent: {},
+    headersSent: false,
+    status: (status) => {
+      res.sent.status = status;
+      return res;
+    },
+    json: (body) => {
+      res.sent.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+/**
+ * @brief   Runs a request through the 'validate' middleware.
+ *
+ * @param {Object} schema The schema of the route.
+ * @param {Object} req    The parts of the request: 'params', 'query', and 'body'.
+ * @returns {Array<Object>|null} The details of the 400 response, or null if the request was let
+ *                               through.
+ */
+const problems = (schema, req) => {
+  const res = fakeResponse();
+  let passed = false;
+  validate(schema)(req, res, () => {
+    passed = true;
+  });
+  if (passed) {
+    return null;
+  }
+  assert.equal(res.sent.status, 400);
+  assert.equal(res.sent.body.code, "validation_failed");
+  assert.equal(res.sent.body.message, "The request is invalid");
+  return res.sent.body.details;
+};
+
+// The messages of the problems with a body
+const messages = (schema, body) => (problems({ body: schema }, { body }) || []).map((detail) => detail.message);
+
+describe("Request validation", () => {
+  it("lets a valid request through, whatever fields the schema does not name", () => {
+    const schema = {
+      params: { tripCode: { type: "string", required: true } },
+      query: { limit: { type: "integer", min: 1 } },
+      body: { name: { type: "string" } }
+    };
+    const req = {
+      params: { tripCode: "REEF1" },
+      query: { limit: "5" },
+      body: { name: "Reef", unknown: [1, 2] }
+    };
+    assert.equal(problems(schema, req), null);
+  });
+
+  it("lists every problem of every part of the request, with its field", () => {
+    const schema = {
+      params: { id: { type: "objectId" } },
+      query: { limit: { type: "integer" } },
+      body: { email: { type: "email", required: true } }
+    };
+    const req = {
+      params: { id: "not-an-id" },
+      query: { limit: "1.5" },
+      body: {}
+    };
+    assert.deepEqual(problems(schema, req), [
+      { field: "id", message: "id must be a valid ID" },
+      { field: "limit", message: "limit must be a whole number" },
+      { field: "email", message: "email is required" }
+    ]);
+  });
+
+  it("treats an empty or null field as missing", () => {
+    const schema = { name: { type: "string", required: true }, note: { type: "string" } };
+    for (const name of [undefined, null, ""]) {
+      assert.deepEqual(messages(schema, { name, note: null }), ["name is required"], String(name));
+    }
+    assert.deepEqual(messages(schema, undefined), ["name is required"]);
+  });
+
+  it("checks the type of a field, accepting numbers as numeric strings", () => {
+    const schema = {
+      count: { type: "integer" },
+      ratio: { type: "number" },
+      done: { type: "boolean" },
+      start: { type: "date" },
+      tags: { type: "array" },
+      price: { type: ["integer", "object"] }
+    };
+    assert.deepEqual(messages(schema, {
+      count: "12",
+      ratio: "0.5",
+      done: false,
+      start: "2030-02-14",
+      tags: [],
+      price: { amount: 1 }
+    }), []);
+    assert.deepEqual(messages(schema, {
+      count: " ",
+      ratio: "half",
+      done: "yes",
+      start: "someday",
+      tags: "reef",
+      price: "cheap"
+    }), [
+      "count must be a whole number",
+      "ratio must be a number",
+      "done must be true or false",
+      "start must be an ISO 8601 date",
+      "tags must be an array",
+      "price must be a whole number or must be an object"
+    ]);
+  });
+
+  it("checks the values, bounds, lengths, and format of a field", () => {
+    const schema = {
+      sort: { type: "string", enum: ["name", "start"] },
+      limit: {
+        type: "integer",
+        min: 1,
+        max: 100
+      },
+      code: {
+        type: "string",
+        minLength: 3,
+        maxLength: 5,
+        pattern: /^[A-Z]+$/,
+        patternMessage: "must be upper case letters"
+      },
+      slug: { type: "string", pattern: /^[a-z-]+$/ }
+    };
+    assert.deepEqual(messages(schema, {
+      sort: "price",
+      limit: 0,
+      code: "ab",
+      slug: "Not A Slug"
+    }), [
+      "sort must be one of: name, start",
+      "limit must be at least 1",
+      "code must be at least 3 characters long",
+      "slug has an invalid format"
+    ]);
+    assert.deepEqual(messages(schema, { limit: "101", code: "TOOLONG" }), [
+      "limit must be at most 100",
+      "code must be at most 5 characters long"
+    ]);
+    assert.deepEqual(messages(schema, { code: "abcd" }), ["code must be upper case letters"]);
+  });
+
+  it("checks a nested object, naming its fields by their path", () => {
+    const schema = {
+      price: {
+        type: "object",
+        required: true,
+        properties: {
+          amount: {
+            type: "integer",
+            required: true,
+            min: 0
+          },
+          currency: { type: "string", pattern: /^[A-Z]{3}$/ }
+        }
+      }
+    };
+    assert.deepEqual(problems({ body: schema }, { body: { price: { amount: -1, currency: "usd" } } }), [
+      { field: "price.amount", message: "price.amount must be at least 0" },
+      { field: "price.currency", message: "price.currency has an invalid format" }
+    ]);
+    assert.deepEqual(messages(schema, { price: 799 }), ["price must be an object"]);
+  });
+});
+
+describe("Error responses", () => {
+  // The status and body sent for an error
+  const responseTo = (err) => {
+    const res = fakeResponse();
+    handleError(res, err);
+    return res.sent;
+  };
+
+  it("lists the invalid fields of a Mongoose document", () => {
+    const err = new User({ email: "not an email" }).validateSync();
+    const { status, body } = responseTo(err);
+    assert.equal(status, 400);
+    assert.equal(body.code, "validation_failed");
+    assert.equal(body.message, "The request is invalid");
+    assert.deepEqual(body.details.map((detail) => detail.field).sort(), ["email", "name"]);
+  });
+
+  it("names the field of a value Mongoose could not cast", () => {
+    const err = new mongoose.Error.CastError("ObjectId", "nope", "_id");
+    assert.deepEqual(responseTo(err), {
+      status: 400,
+      body: {
+        code: "validation_failed",
+        message: "The request is invalid",
+        details: [{ field: "_id", message: "_id must be a valid ObjectId" }]
+      }
+    });
+  });
+
+  it("answers a duplicate key with 409", () => {
+    const err = Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+      keyValue: { email: "taken@errors.test" }
+    });
+    assert.deepEqual(responseTo(err), {
+      status: 409,
+      body: {
+        code: "duplicate",
+        message: "email 'taken@errors.test' is already in use",
+        details: [{ field: "email", message: "email 'taken@errors.test' is already in use" }]
+      }
+    });
+    assert.equal(responseTo({ code: 11000 }).body.message, "A record with the same key already exists");
+  });
+
+  it("keeps the status, message, code, and details of a client error", () => {
+    const err = createError(412, "The trip has changed", {
+      code: "stale",
+      details: [{ message: "revision 3 is not 2" }]
+    });
+    assert.deepEqual(responseTo(err), {
+      status: 412,
+      body: {
+        code: "stale",
+        message: "The trip has changed",
+        details: [{ message: "revision 3 is not 2" }]
+      }
+    });
+    assert.equal(responseTo(createError(418, "Short and stout")).body.code, "invalid_request");
+  });
+
+  it("logs a server error and sends none of its details", (t) => {
+    const logged = t.mock.method(logger, "error", () => {});
+    const err = new Error("password authentication failed for the database");
+
+    assert.deepEqual(responseTo(err), {
+      status: 500,
+      body: {
+        code: "internal_error",
+        message: "Internal server error",
+        details: []
+      }
+    });
+    assert.equal(responseTo(createError(503, "Down for maintenance")).body.message, "Internal server error");
+    assert.equal(logged.mock.callCount(), 2);
+    assert.deepEqual(logged.mock.calls[0].arguments, ["Request failed", { err }]);
+
+    responseTo(createError(404, "Not here"));
+    assert.equal(logged.mock.callCount(), 2);
+  });
+});
+
+describe("API error handler", () => {
+  const server = serve();
+
+  it("sends malformed JSON, a bad token, and an unknown route in the error format", async () => {
+    const malformed = await fetch(`${server.base}/api/v1/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{\"email\":"
+    });
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).code, "invalid_request");
+
+    const badToken = await server.call("POST", "/trips", {
+      body: {},
+      token: "not-a-token"
+    });
+    assert.equal(badToken.status, 401);
+    assert.equal(badToken.body.code, "unauthorized");
+
+    const unknown = await server.call("GET", "/nowhere?x=1");
+    assert.deepEqual(unknown.body, {
+      code: "not_found",
+      message: "No API route for GET /api/v1/nowhere?x=1",
+      details: []
+    });
+  });
+
+  it("validates a request before its route runs", async () => {
+    const res = await server.call("POST", "/register", { body: { email: "nobody", password: "x" } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, {
+      code: "validation_failed",
+      message: "The request is invalid",
+      details: [
+        { field: "name", message: "name is required" },
+        { field: "email", message: "email must be a valid email address" }
+      ]
+    });
+  });
+
+  describe("after the response has started", () => {
+    const app = express();
+    app.get("/stream", (req, res, next) => {
+      res.write("The first half of the trips");
+      next(new Error("The rest of the trips could not be read"));
+    });
+    app.use(errorHandler);
+    const listener = app.listen(0);
+
+    after(() => {
+      listener.close();
+    });
+
+    it("passes the error on instead of sending a response", (t) => {
+      const logged = t.mock.method(logger, "error", () => {});
+      const res = fakeResponse();
+      res.headersSent = true;
+      const err = new Error("The rest of the trips could not be read");
+      const forwarded = [];
+
+      errorHandler(err, {}, res, (e) => forwarded.push(e));
+      assert.deepEqual(forwarded, [err]);
+      assert.deepEqual(res.sent, {});
+      assert.equal(logged.mock.callCount(), 0);
+    });
+
+    it("lets Express close the connection", async () => {
+      const res = await fetch(`http://127.0.0.1:${listener.address().port}/stream`);
+      assert.equal(res.status, 200);
+      await assert.rejects(res.text(), { name: "TypeError", message: "terminated" });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @file    etags.test.js
+ * @brief   This file checks the ETags of trips and the conditional requests that use them.
+ *
+ * @details Trip responses carry an ETag made of the trip's ID, revision, and booked places (see
+ *          'app_api/lib/etags.js'). The tests revalidate reads with 'If-None-Match' and update
+ *          trips with current, stale, and malformed 'If-Match' headers. They run against the
+ *          memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+describe("ETags", () => {
+  const server = serve();
+  let token;
+
+  // Sends a JSON request to the API as the signed-in editor, with any extra headers
+  const call = async (method, path, { body, headers } = {}) => {
+    const res = await server.call(method, path, {
+      body,
+      token,
+      headers
+    });
+    return { ...res, etag: res.headers.get("etag") };
+  };
+
+  const update = (code, name, ifMatch) => call("PUT", `/trips/${code}`, {
+    body: tripRecord(code, { name }),
+    headers: ifMatch === undefined ? {} : { "If-Match": ifMatch }
+  });
+
+  // fetch adds 'Cache-Control: no-cache' to a request with 'If-None-Match' unless the request
+  // has its own, and a server must not answer such a request from its validators
+  const revalidate = (path, etag) => {
+    const headers = { "If-None-Match": etag, "Cache-Control": "max-age=0" };
+    return call("GET", path, { headers });
+  };
+
+  before(async () => {
+    token = await server.signIn("editor@etags.test", { role: "editor" });
+
+    await storage.trips.create(tripRecord("ETAG1"));
+    await storage.trips.create(tripRecord("ETAG2"));
+    await storage.trips.create(tripRecord("ETAG3"));
+  });
+
+  it("answers a read whose ETag still matches with 304 Not Modified", async () => {
+    const trip = await call("GET", "/trips/ETAG1");
+    assert.equal(trip.status, 200);
+    assert.match(trip.etag, /^"[0-9a-f]{24}-0-0"$/);
+    assert.equal((await revalidate("/trips/ETAG1", trip.etag)).status, 304);
+
+    const list = await call("GET", "/trips");
+    assert.equal(list.status, 200);
+    assert.ok(list.etag);
+    assert.equal((await revalidate("/trips", list.etag)).status, 304);
+  });
+
+  it("updates a trip whose ETag matches and gives it a new one", async () => {
+    const read = await call("GET", "/trips/ETAG1");
+
+    const updated = await update("ETAG1", "Renamed once", read.etag);
+    assert.equal(updated.status, 200);
+    assert.notEqual(updated.etag, read.etag);
+
+    // The old ETag no longer revalidates the trip
+    const reread = await revalidate("/trips/ETAG1", read.etag);
+    assert.equal(reread.status, 200);
+    assert.equal(reread.etag, updated.etag);
+    assert.equal(reread.body[0].name, "Renamed once");
+  });
+
+  it("refuses an update with a stale ETag and sends the current trip", async () => {
+    const read = await call("GET", "/trips/ETAG2");
+    const first = await update("ETAG2", "First writer", read.etag);
+    assert.equal(first.status, 200);
+
+    const second = await update("ETAG2", "Second writer", read.etag);
+    assert.equal(second.status, 412);
+    assert.equal(second.body.code, "precondition_failed");
+    assert.equal(second.body.current.name, "First writer");
+    assert.equal(second.etag, first.etag);
+    assert.equal((await storage.trips.findByCode("ETAG2")).name, "First writer");
+
+    // Retrying with the ETag of the 412 response succeeds
+    assert.equal((await update("ETAG2", "Second writer", second.etag)).status, 200);
+  });
+
+  it("treats a booking as a change to the trip", async () => {
+    const read = await call("GET", "/trips/ETAG3");
+    assert.ok(await storage.trips.reserve("ETAG3", 2));
+
+    const stale = await update("ETAG3", "Renamed after a booking", read.etag);
+    assert.equal(stale.status, 412);
+    assert.match(stale.etag, /-0-2"$/);
+  });
+
+  it("accepts any version with 'If-Match: *' and none with a malformed ETag", async () => {
+    assert.equal((await update("ETAG1", "Renamed by anyone", "*")).status, 200);
+    assert.equal((await update("ETAG1", "Renamed by a weak tag", "W/\"something\"")).status, 412);
+    assert.equal((await update("NOSUCHTRIP", "Renamed", "*")).status, 404);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file    health.test.js
+ * @brief   This file checks the health checks and metrics of the server.
+ *
+ * @details '/healthz' and '/readyz' report whether the server is alive and ready, and '/metrics'
+ *          serves the request metrics to the metrics scraper (see 'app_api/controllers/health.js'
+ *          and 'app_api/middleware/metrics.js'). The tests make the storage backend report that
+ *          it is down, and guard a route with a scraper token. They run against the memory
+ *          storage backend, so they need no database. The shutdown of the server is checked in
+ *          'shutdown.test.js'.
+ */
+
+const express = require("express");
+const {
+  describe,
+  it,
+  before,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const { guardMetrics } = require("../../app_api/middleware/metrics");
+
+describe("Health checks", () => {
+  const server = serve();
+
+  // Requests a path at the root of the app
+  const get = async (path, headers = {}) => {
+    const res = await fetch(`${server.base}${path}`, { headers });
+    return {
+      status: res.status,
+      headers: res.headers,
+      text: await res.text()
+    };
+  };
+
+  it("reports that the server is alive and ready", async () => {
+    const alive = await get("/healthz");
+    assert.equal(alive.status, 200);
+    assert.deepEqual(JSON.parse(alive.text), { status: "ok", db: "connected" });
+
+    const ready = await get("/readyz");
+    assert.equal(ready.status, 200);
+    assert.deepEqual(JSON.parse(ready.text), { status: "ready", db: "connected" });
+  });
+
+  it("reports that the server is alive but not ready while the storage is down", async (t) => {
+    t.mock.method(storage, "state", () => "disconnected");
+
+    const alive = await get("/healthz");
+    assert.equal(alive.status, 200);
+    assert.deepEqual(JSON.parse(alive.text), { status: "ok", db: "disconnected" });
+
+    const ready = await get("/readyz");
+    assert.equal(ready.status, 503);
+    assert.deepEqual(JSON.parse(ready.text), { status: "not ready", db: "disconnected" });
+
+    assert.match((await get("/metrics")).text, /^travlr_db_up 0$/m);
+  });
+
+  it("serves the request metrics in the Prometheus text format", async () => {
+    await server.call("GET", "/trips?limit=1");
+    await server.call("GET", "/trips/NOSUCHTRIP");
+    await get("/nowhere");
+
+    const res = await get("/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("Content-Type"), /^text\/plain; .*version=0\.0\.4/);
+    assert.match(res.text, /^# TYPE http_requests_total counter$/m);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="\/api\/v1\/trips",status="200"\} [1-9]\d*$/m);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="\/api\/v1\/trips\/:tripCode",status="404"\} 1$/m);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+    assert.match(res.text, /^travlr_db_up 1$/m);
+    assert.match(res.text, /^travlr_trip_cache_misses_total \d+$/m);
+    assert.match(res.text, /^process_resident_memory_bytes \d+$/m);
+  });
+});
+
+describe("Metrics guard", () => {
+  let listener;
+  let base;
+
+  // Serves '/metrics' behind the guard with a token and without one
+  before(() => {
+    const app = express();
+    const scrape = (req, res) => res.send("metrics");
+    app.get("/metrics", guardMetrics({ token: "scraper-token", open: true }), scrape);
+    app.get("/closed", guardMetrics({ token: null, open: false }), scrape);
+    app.get("/open", guardMetrics({ token: null, open: true }), scrape);
+    listener = app.listen(0);
+    base = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(() => {
+    listener.close();
+  });
+
+  it("only serves the metrics to the scraper when there is a token", async () => {
+    for (const authorization of [undefined, "Bearer wrong-token", "scraper-token", "Bearer scraper-token2"]) {
+      const res = await fetch(`${base}/metrics`, { headers: authorization ? { Authorization: authorization } : {} });
+      assert.equal(res.status, 401, authorization);
+      assert.equal(res.headers.get("WWW-Authenticate"), "Bearer realm=\"metrics\"");
+      assert.equal((await res.json()).code, "unauthorized");
+    }
+
+    const res = await fetch(`${base}/metrics`, { headers: { Authorization: "Bearer scraper-token" } });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "metrics");
+  });
+
+  it("serves the metrics without a token only where they are open", async () => {
+    assert.equal((await fetch(`${base}/open`)).status, 200);
+
+    const closed = await fetch(`${base}/closed`);
+    assert.equal(closed.status, 404);
+    assert.equal((await closed.json()).message, "The metrics are turned off: set METRICS_TOKEN to serve them");
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @file    images.test.js
+ * @brief   This file checks the upload of trip images.
+ *
+ * @details An upload is stored in 'public/images' under a name made from its content, with a
+ *          thumbnail in 'public/images/thumbs' (see 'app_api/lib/images.js'). The tests upload
+ *          generated images and files that must be refused, check which uploads the garbage
+ *          collection would remove, and remove the images they stored when they finish. They
+ *          run against the memory storage backend, so they need no database.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  describe,
+  it,
+  before,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+
+const {
+  tripRecord,
+  serve,
+  randomPng
+} = require("../helpers");
+const storage = require("../../app_api/repositories");
+const {
+  IMAGES_DIR,
+  MAX_BYTES,
+  collectGarbage
+} = require("../../app_api/lib/images");
+
+describe("Image uploads", () => {
+  const server = serve();
+  let editorToken;
+  let customerToken;
+  const stored = new Set();
+
+  // Sends a multipart upload with the file as its 'image' field
+  const upload = async (buffer, { type = "image/png", token = editorToken } = {}) => {
+    const form = new FormData();
+    form.append("image", new Blob([buffer], { type }), "upload.png");
+    const res = await server.call("POST", "/images", { form, token });
+    if (res.body.image) {
+      stored.add(res.body.image);
+    }
+    return res;
+  };
+
+  before(async () => {
+    editorToken = await server.signIn("editor@images.test", { role: "editor" });
+    customerToken = await server.signIn("customer@images.test", { role: "customer" });
+  });
+
+  after(async () => {
+    for (const name of stored) {
+      await fs.promises.rm(path.join(IMAGES_DIR, name), { force: true });
+      await fs.promises.rm(path.join(IMAGES_DIR, "thumbs", name), { force: true });
+    }
+  });
+
+  it("stores an image under a name made from its content, with a thumbnail", async () => {
+    const image = await randomPng(800, 600);
+
+    const res = await upload(image);
+    assert.equal(res.status, 201);
+    assert.match(res.body.image, /^upload-[0-9a-f]{32}\.png$/);
+    assert.equal(res.body.url, `/images/${res.body.image}`);
+    assert.equal(res.body.thumbnailUrl, `/images/thumbs/${res.body.image}`);
+    assert.equal(res.body.format, "png");
+    assert.equal(res.body.width, 800);
+    assert.equal(res.body.height, 600);
+    assert.equal(res.body.size, image.length);
+
+    assert.deepEqual(await fs.promises.readFile(path.join(IMAGES_DIR, res.body.image)), image);
+    const thumbnail = await sharp(path.join(IMAGES_DIR, "thumbs", res.body.image)).metadata();
+    assert.equal(thumbnail.width, 400);
+  });
+
+  it("stores the same image once", async () => {
+    const image = await randomPng();
+
+    const first = await upload(image);
+    const again = await upload(image);
+    assert.equal(first.status, 201);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.image, first.body.image);
+  });
+
+  it("refuses files that are not images", async () => {
+    const res = await upload(Buffer.from("This is not an image."), { type: "text/plain" });
+    assert.equal(res.status, 415);
+  });
+
+  it("refuses an image that is not sent as a multipart body", async () => {
+    const res = await server.call("POST", "/images", {
+      form: await randomPng(),
+      token: editorToken,
+      headers: { "Content-Type": "image/png" }
+    });
+    assert.equal(res.status, 415);
+  });
+
+  it("refuses a request without an image", async () => {
+    const res = await server.call("POST", "/images", {
+      form: new FormData(),
+      token: editorToken
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "validation_failed");
+  });
+
+  it("refuses files larger than the limit", async () => {
+    const res = await upload(Buffer.alloc(MAX_BYTES + 1));
+    assert.equal(res.status, 413);
+  });
+
+  it("refuses uploads from users without the 'images:upload' permission", async () => {
+    const res = await upload(await randomPng(), { token: customerToken });
+    assert.equal(res.status, 403);
+  });
+
+  it("collects only the old uploads that no trip or content refers to", async () => {
+    const [forTrip, forRoom, forNews, unused, recent] = await Promise.all([1, 2, 3, 4, 5].map(async () =>
+      (await upload(await randomPng())).body.image));
+    const aDayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+    for (const name of [forTrip, forRoom, forNews, unused]) {
+      await fs.promises.utimes(path.join(IMAGES_DIR, name), aDayAgo, aDayAgo);
+    }
+
+    await storage.trips.create(tripRecord("GCTRIP1", { image: forTrip }));
+    await storage.trips.archive("GCTRIP1", "editor@images.test");
+    await storage.rooms.create({
+      code: "gc-room",
+      name: "Garbage Room",
+      description: "A room with a view.",
+      rate: { amount: 12000, currency: "USD" },
+      image: forRoom
+    });
+    await storage.news.create({
+      code: "gc-news",
+      title: "Garbage News",
+      body: "<p>Nothing to report.</p>",
+      image: forNews
+    });
+
+    // A dry run reports the images without removing them, so it leaves other uploads alone
+    const { removed } = await collectGarbage({ dryRun: true });
+    assert.ok(removed.includes(unused));
+    [forTrip, forRoom, forNews, recent].forEach((name) => assert.ok(!removed.includes(name), name));
+    assert.ok(fs.existsSync(path.join(IMAGES_DIR, unused)));
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @file    logging.test.js
+ * @brief   This file checks the IDs of requests and the redaction of log entries.
+ *
+ * @details Each request gets an ID, taken from its 'X-Request-Id' header if that is a plausible
+ *          ID (see 'app_api/middleware/requestId.js'). Log entries are written as JSON lines,
+ *          with the ID of the request being handled and without the values of sensitive fields
+ *          (see 'app_api/lib/logger.js'). The logger tests write the entries to an array. The
+ *          request tests run against the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { serve } = require("../helpers");
+const { createLogger, redactUrl } = require("../../app_api/lib/logger");
+const { runWithRequestId } = require("../../app_api/lib/requestContext");
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// A logger that keeps the entries it writes
+const memoryLogger = (level = "debug") => {
+  const entries = [];
+  const logger = createLogger({
+    level,
+    write: (line) => {
+      assert.equal(line.endsWith("\n"), true);
+      entries.push(JSON.parse(line));
+    }
+  });
+  return { logger, entries };
+};
+
+describe("Request IDs", () => {
+  const server = serve();
+
+  // The ID the API answers a request with
+  const idFor = async (incoming) => {
+    const headers = incoming === undefined ? {} : { "X-Request-Id": incoming };
+    return (await server.call("GET", "/trips?limit=1", { headers })).headers.get("X-Request-Id");
+  };
+
+  it("echoes a valid incoming ID", async () => {
+    for (const id of ["trace-42", "a1b2c3.d4:e5_f6", "x".repeat(128)]) {
+      assert.equal(await idFor(id), id);
+    }
+  });
+
+  it("replaces a missing or invalid ID with a new one", async () => {
+    const ids = [];
+    for (const incoming of [undefined, "", "has spaces", "<script>", "x".repeat(129), "ünïcode"]) {
+      const id = await idFor(incoming);
+      assert.match(id, UUID, incoming);
+      ids.push(id);
+    }
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it("also gives the pages of the website an ID", async () => {
+    const res = await fetch(`${server.base}/travel`, { headers: { "X-Request-Id": "page-trace-1" } });
+    assert.equal(res.headers.get("X-Request-Id"), "page-trace-1");
+  });
+});
+
+describe("Logger", () => {
+  it("writes each entry as a JSON line with the ID of the request", () => {
+    const { logger, entries } = memoryLogger();
+
+    logger.info("Outside a request", { count: 1 });
+    runWithRequestId("trace-42", () => logger.warn("Inside a request"));
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].level, "info");
+    assert.equal(entries[0].msg, "Outside a request");
+    assert.equal(entries[0].count, 1);
+    assert.equal(entries[0].requestId, undefined);
+    assert.equal(Number.isNaN(Date.parse(entries[0].time)), false);
+    assert.equal(entries[1].requestId, "trace-42");
+  });
+
+  it("only writes the entries at or above its level", () => {
+    const { logger, entries } = memoryLogger("warn");
+
+    logger.debug("debug");
+    logger.info("info");
+    logger.warn("warn");
+    logger.error("error");
+    assert.deepEqual(entries.map((e) => e.level), ["warn", "error"]);
+  });
+
+  it("redacts passwords, tokens, and authorization headers at any depth", () => {
+    const { logger, entries } = memoryLogger();
+
+    logger.info("Signing in", {
+      email: "ann@travlr.test",
+      password: "correct horse",
+      newPassword: "battery staple",
+      token: "eyJhbGciOi",
+      refreshToken: "r-123",
+      request: {
+        headers: {
+          authorization: "Bearer eyJhbGciOi",
+          Cookie: "session=abc",
+          accept: "application/json"
+        },
+        body: [{ passwd: "hunter2", clientSecret: "s3cret" }]
+      }
+    });
+
+    const [entry] = entries;
+    assert.equal(entry.email, "ann@travlr.test");
+    for (const field of ["password", "newPassword", "token", "refreshToken"]) {
+      assert.equal(entry[field], "[REDACTED]", field);
+    }
+    assert.deepEqual(entry.request.headers, {
+      authorization: "[REDACTED]",
+      Cookie: "[REDACTED]",
+      accept: "application/json"
+    });
+    assert.deepEqual(entry.request.body, [{ passwd: "[REDACTED]", clientSecret: "[REDACTED]" }]);
+  });
+
+  it("redacts the fields a child logger adds, and writes errors without their other properties", () => {
+    const { logger, entries } = memoryLogger();
+    const err = Object.assign(new Error("Validation failed"), { status: 400, doc: { password: "hash" } });
+
+    logger.child({ component: "accounts", apiToken: "t-1" }).error("Failed", { err });
+
+    const [entry] = entries;
+    assert.equal(entry.component, "accounts");
+    assert.equal(entry.apiToken, "[REDACTED]");
+    assert.deepEqual(Object.keys(entry.err), ["name", "message", "status", "stack"]);
+    assert.equal(entry.err.message, "Validation failed");
+    assert.equal(JSON.stringify(entry).includes("hash"), false);
+  });
+
+  it("redacts the sensitive query parameters of a URL", () => {
+    assert.equal(redactUrl("/verify-email?token=abc&next=%2Faccount"), "/verify-email?token=%5BREDACTED%5D&next=%2Faccount");
+    assert.equal(redactUrl("/reset?Password=abc"), "/reset?Password=%5BREDACTED%5D");
+    assert.equal(redactUrl("/travel?q=reef"), "/travel?q=reef");
+    assert.equal(redactUrl("/travel"), "/travel");
+  });
+});
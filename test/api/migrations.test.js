@@ -0,0 +1,162 @@
+/**
+ * @file    migrations.test.js
+ * @brief   This file checks the migration runner and the seeding of trips and website content.
+ *
+ * @details The migrator records the migrations it applies in the 'migrations' collection (see
+ *          'app_api/lib/migrator.js'). Its tests replace the database with a fake that holds that
+ *          collection, and replace the migration with one that reports what the test chooses. The
+ *          seeder tests seed the memory storage backend twice and check that the second run
+ *          changes nothing (see 'app_api/lib/seeder.js'), so they need no database.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  describe,
+  it,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord } = require("../helpers");
+const migrator = require("../../app_api/lib/migrator");
+const typedTripFields = require("../../app_api/migrations/001-typed-trip-fields");
+const { seedTrips, seedContent } = require("../../app_api/lib/seeder");
+const storage = require("../../app_api/repositories");
+
+const MIGRATION = "001-typed-trip-fields";
+
+// The report of a run of the migration
+const report = (trips, rejected = []) => ({
+  trips,
+  bookings: 0,
+  rejected
+});
+
+// A database that only holds the 'migrations' collection
+const fakeDb = () => {
+  const applied = [];
+  return {
+    applied,
+    collection: (name) => {
+      assert.equal(name, "migrations");
+      return {
+        find: () => ({ toArray: async () => [...applied] }),
+        insertOne: async (doc) => {
+          applied.push(doc);
+        },
+        deleteOne: async ({ _id: id }) => {
+          applied.splice(applied.findIndex((doc) => doc._id === id), 1);
+        }
+      };
+    }
+  };
+};
+
+describe("Migrator", () => {
+  it("records an applied migration and does not apply it again", async (t) => {
+    const up = t.mock.method(typedTripFields, "up", async () => report(2));
+    const db = fakeDb();
+
+    const [result] = await migrator.up(db);
+    assert.equal(result.id, MIGRATION);
+    assert.equal(result.recorded, true);
+    assert.deepEqual(db.applied.map((m) => m._id), [MIGRATION]);
+
+    const [status] = await migrator.status(db);
+    assert.equal(status.appliedAt instanceof Date, true);
+
+    assert.deepEqual(await migrator.up(db), []);
+    assert.equal(up.mock.callCount(), 1);
+  });
+
+  it("leaves a migration that rejected documents pending", async (t) => {
+    const rejected = [{ code: "BAD1", errors: ["cannot parse perPerson \"lots\""] }];
+    const up = t.mock.method(typedTripFields, "up", async () => report(1, rejected));
+    const db = fakeDb();
+
+    const [result] = await migrator.up(db);
+    assert.equal(result.recorded, false);
+    assert.deepEqual(result.report.rejected, rejected);
+    assert.deepEqual(db.applied, []);
+    assert.equal((await migrator.status(db))[0].appliedAt, null);
+
+    // Once the documents are fixed, running it again records it
+    up.mock.mockImplementation(async () => report(1));
+    assert.equal((await migrator.up(db))[0].recorded, true);
+  });
+
+  it("records nothing on a dry run", async (t) => {
+    const up = t.mock.method(typedTripFields, "up", async () => report(2));
+    const db = fakeDb();
+
+    const [result] = await migrator.up(db, { dryRun: true });
+    assert.equal(result.recorded, false);
+    assert.deepEqual(up.mock.calls[0].arguments[1], { dryRun: true });
+    assert.deepEqual(db.applied, []);
+  });
+
+  it("refuses to revert a migration unless destructive operations are allowed", async (t) => {
+    t.mock.method(typedTripFields, "up", async () => report(0));
+    const down = t.mock.method(typedTripFields, "down", async () => report(0));
+    const db = fakeDb();
+    await migrator.up(db);
+
+    await assert.rejects(migrator.down(db), { status: 403, message: /TRAVLR_ALLOW_DESTRUCTIVE=true/ });
+    assert.equal(down.mock.callCount(), 0);
+    assert.equal(db.applied.length, 1);
+
+    assert.deepEqual(await migrator.down(db, { dryRun: true }), { id: MIGRATION, report: report(0) });
+    assert.equal(db.applied.length, 1);
+  });
+});
+
+describe("Seeder", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "travlr-seed-"));
+  const file = path.join(dir, "trips.json");
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("seeds the trips of a file once, and updates them by code", async () => {
+    const trips = [tripRecord("SEED01"), tripRecord("SEED02", { name: "Seeded Lagoon" })];
+    fs.writeFileSync(file, JSON.stringify(trips));
+
+    const first = await seedTrips({ file });
+    assert.deepEqual([first.applied, first.created, first.updated, first.unchanged], [true, 2, 0, 0]);
+
+    const again = await seedTrips({ file });
+    assert.deepEqual([again.created, again.updated, again.unchanged], [0, 0, 2]);
+
+    trips[1].name = "Reseeded Lagoon";
+    fs.writeFileSync(file, JSON.stringify(trips));
+    const changed = await seedTrips({ file });
+    assert.deepEqual([changed.created, changed.updated, changed.unchanged], [0, 1, 1]);
+    assert.equal((await storage.trips.findByCode("SEED02")).name, "Reseeded Lagoon");
+  });
+
+  it("writes nothing when a trip of the file is rejected", async () => {
+    fs.writeFileSync(file, JSON.stringify([tripRecord("SEED03"), tripRecord("SEED04", { capacity: -1 })]));
+
+    const result = await seedTrips({ file });
+    assert.equal(result.applied, false);
+    assert.equal(result.rejected, 1);
+    assert.equal(await storage.trips.findByCode("SEED03"), null);
+  });
+
+  it("seeds the website content once", async () => {
+    const first = await seedContent();
+    const again = await seedContent();
+
+    for (const kind of ["rooms", "meals", "news"]) {
+      assert.equal(first[kind].created > 0, true, kind);
+      assert.deepEqual(again[kind], {
+        created: 0,
+        updated: 0,
+        unchanged: first[kind].created
+      }, kind);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @file    passwords.test.js
+ * @brief   This file checks the hashing of passwords and the upgrade of old hashes at login.
+ *
+ * @details New passwords are hashed with scrypt, and hashes made with PBKDF2 or older scrypt
+ *          parameters still verify and are replaced after the next successful login (see
+ *          'app_api/lib/passwords.js'). The login tests run against the memory storage backend,
+ *          so they need no database.
+ */
+
+const crypto = require("crypto");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PASSWORD, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const User = require("../../app_api/models/user");
+const {
+  CURRENT_ALGORITHM,
+  CURRENT_PARAMS,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+} = require("../../app_api/lib/passwords");
+
+// Hashes a password the way users created before the algorithm was stored had it hashed
+const legacyHash = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return { hash: crypto.pbkdf2Sync(password, salt, 100000, 64, "sha512").toString("hex"), salt };
+};
+
+describe("Password hashing", () => {
+  it("hashes with the current algorithm and a new salt each time", async () => {
+    const first = await hashPassword(PASSWORD);
+    const second = await hashPassword(PASSWORD);
+
+    assert.equal(first.algorithm, CURRENT_ALGORITHM);
+    assert.deepEqual(first.params, CURRENT_PARAMS);
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+    assert.equal(needsRehash(first), false);
+  });
+
+  it("verifies only the password that was hashed", async () => {
+    const stored = await hashPassword(PASSWORD);
+
+    assert.equal(await verifyPassword(PASSWORD, stored), true);
+    assert.equal(await verifyPassword("correct horse battery stapler", stored), false);
+    assert.equal(await verifyPassword(PASSWORD, null), false);
+  });
+
+  it("verifies old hashes and asks for them to be hashed again", async () => {
+    const legacy = legacyHash(PASSWORD);
+    assert.equal(await verifyPassword(PASSWORD, legacy), true);
+    assert.equal(await verifyPassword("wrong", legacy), false);
+    assert.equal(needsRehash(legacy), true);
+
+    const params = { ...CURRENT_PARAMS, N: 2 ** 10 };
+    const salt = crypto.randomBytes(16).toString("hex");
+    const cheaper = {
+      hash: crypto.scryptSync(PASSWORD, salt, params.keyLength, { N: params.N }).toString("hex"),
+      salt,
+      algorithm: "scrypt",
+      params
+    };
+    assert.equal(await verifyPassword(PASSWORD, cheaper), true);
+    assert.equal(needsRehash(cheaper), true);
+  });
+
+  it("refuses a hash made with an unknown algorithm", async () => {
+    await assert.rejects(verifyPassword(PASSWORD, { ...legacyHash(PASSWORD), algorithm: "md5" }), /md5/);
+  });
+});
+
+describe("Password upgrade at login", () => {
+  const server = serve();
+
+  const login = async (email, password) => (await server.call("POST", "/login", { body: { email, password } })).status;
+
+  it("replaces an old hash after a successful login", async () => {
+    const email = "legacy@passwords.test";
+    await storage.users.create(new User({
+      name: "Legacy Traveler",
+      email,
+      ...legacyHash(PASSWORD)
+    }));
+
+    // A failed login leaves the old hash alone
+    assert.equal(await login(email, "wrong"), 401);
+    const before = await storage.users.findByEmail(email);
+    assert.equal(before.hashAlgorithm, undefined);
+
+    assert.equal(await login(email, PASSWORD), 200);
+    const upgraded = await storage.users.findByEmail(email);
+    assert.equal(upgraded.hashAlgorithm, CURRENT_ALGORITHM);
+    assert.notEqual(upgraded.hash, before.hash);
+    assert.equal(await upgraded.validPassword(PASSWORD), true);
+
+    // The new hash is current, so the next login keeps it
+    assert.equal(await login(email, PASSWORD), 200);
+    assert.equal((await storage.users.findByEmail(email)).hash, upgraded.hash);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * @file    roles.test.js
+ * @brief   This file checks the roles of the users and the permissions they grant.
+ *
+ * @details Each route declares the permission it needs, and the 'authorize' middleware checks it
+ *          against the role in the access token (see 'app_api/config/roles.js' and
+ *          'app_api/middleware/authorize.js'). The tests check the permissions of each role, the
+ *          403 response to a role without the permission, and the changes of role an admin makes
+ *          through the API. They also run 'bin/promote-admin' in a process of its own, on a
+ *          STORAGE_FILE that the test fills. They run against the memory storage backend, so they
+ *          need no database.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const {
+  describe,
+  it,
+  before,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+// Sets up the test profile, which the command's process inherits
+const {
+  PASSWORD,
+  tripRecord,
+  serve
+} = require("../helpers");
+const authorize = require("../../app_api/middleware/authorize");
+const { ROLES, hasPermission } = require("../../app_api/config/roles");
+const User = require("../../app_api/models/user");
+const { createStore } = require("../../app_api/repositories/memory/store");
+const { createUserRepositories } = require("../../app_api/repositories/memory/users");
+
+const PROMOTE_ADMIN = path.join(__dirname, "..", "..", "bin", "promote-admin");
+
+/**
+ * @brief   Runs a request through the 'authorize' middleware.
+ *
+ * @param {string} permission The permission the route needs.
+ * @param {Object} auth       The payload of the access token, if any.
+ * @returns {Object} 'next' if the request was let through, or the 'status' and 'body' of the
+ *                   response.
+ */
+const runAuthorize = (permission, auth) => {
+  const outcome = {};
+  const res = {
+    status: (status) => {
+      outcome.status = status;
+      return res;
+    },
+    json: (body) => {
+      outcome.body = body;
+      return res;
+    }
+  };
+  authorize(permission)({ auth }, res, () => {
+    outcome.next = true;
+  });
+  return outcome;
+};
+
+/**
+ * @brief   Runs 'bin/promote-admin' on a storage file.
+ *
+ * @param {string}   file The STORAGE_FILE of the memory backend.
+ * @param {string[]} args The arguments of the command.
+ * @returns {Promise<Object>} The exit 'code' of the command, and its 'stdout' and 'stderr'.
+ */
+const promoteAdmin = (file, args) => new Promise((resolve) => {
+  const child = spawn(process.execPath, [PROMOTE_ADMIN, ...args], {
+    env: {
+      ...process.env,
+      STORAGE_FILE: file
+    }
+  });
+  const output = {
+    stdout: "",
+    stderr: ""
+  };
+  child.stdout.on("data", (chunk) => {
+    output.stdout += chunk;
+  });
+  child.stderr.on("data", (chunk) => {
+    output.stderr += chunk;
+  });
+  child.on("close", (code) => resolve({ code, ...output }));
+});
+
+describe("Permissions", () => {
+  it("grants each role its permissions", () => {
+    assert.deepEqual(ROLES, ["customer", "editor", "admin"]);
+
+    assert.equal(hasPermission("customer", "bookings:create"), true);
+    assert.equal(hasPermission("customer", "trips:create"), false);
+
+    for (const permission of ["trips:create", "trips:update", "trips:import", "images:upload", "content:update"]) {
+      assert.equal(hasPermission("editor", permission), true, permission);
+    }
+    for (const permission of ["trips:archive", "content:delete", "bookings:manage", "users:manage"]) {
+      assert.equal(hasPermission("editor", permission), false, permission);
+      assert.equal(hasPermission("admin", permission), true, permission);
+    }
+  });
+
+  it("grants nothing to an unknown role", () => {
+    for (const role of ["owner", "constructor", "toString", "", undefined]) {
+      assert.equal(hasPermission(role, "bookings:create"), false, String(role));
+    }
+  });
+
+  it("lets a request through only if its role has the permission", () => {
+    assert.deepEqual(runAuthorize("trips:create", { role: "editor" }), { next: true });
+
+    const denied = runAuthorize("users:manage", { role: "editor" });
+    assert.equal(denied.next, undefined);
+    assert.equal(denied.status, 403);
+    assert.deepEqual(denied.body, {
+      code: "forbidden",
+      message: "Forbidden: the 'editor' role does not have the 'users:manage' permission",
+      details: []
+    });
+  });
+
+  it("treats a token without a role as a customer's", () => {
+    assert.deepEqual(runAuthorize("bookings:create", { email: "old@roles.test" }), { next: true });
+    assert.equal(runAuthorize("trips:create", {}).body.message,
+      "Forbidden: the 'customer' role does not have the 'trips:create' permission");
+    assert.equal(runAuthorize("trips:create", undefined).status, 403);
+  });
+});
+
+describe("Roles", () => {
+  const server = serve();
+  let adminToken;
+
+  before(async () => {
+    adminToken = await server.signIn("admin@roles.test", { role: "admin" });
+  });
+
+  it("answers a customer who uses a staff route with 403", async () => {
+    const token = await server.signIn("customer@roles.test");
+    const requests = [
+      ["POST", "/trips", "trips:create"],
+      ["GET", "/bookings/all", "bookings:manage"],
+      ["PUT", "/users/admin@roles.test/role", "users:manage"]
+    ];
+
+    for (const [method, path, permission] of requests) {
+      const res = await server.call(method, path, {
+        body: method === "GET" ? undefined : {},
+        token
+      });
+      assert.equal(res.status, 403, path);
+      assert.equal(res.body.message, `Forbidden: the 'customer' role does not have the '${permission}' permission`, path);
+    }
+  });
+
+  it("lets an editor change trips but not manage users", async () => {
+    const token = await server.signIn("editor@roles.test", { role: "editor" });
+
+    const created = await server.call("POST", "/trips", {
+      body: tripRecord("ROLES01"),
+      token
+    });
+    assert.equal(created.status, 200);
+
+    const promoted = await server.call("PUT", "/users/editor@roles.test/role", {
+      body: { role: "admin" },
+      token
+    });
+    assert.equal(promoted.status, 403);
+  });
+
+  it("lets an admin change the role of a user, which takes effect at the next refresh", async () => {
+    const email = "promoted@roles.test";
+    await server.signIn(email);
+    const session = (await server.call("POST", "/login", {
+      body: {
+        email,
+        password: PASSWORD
+      }
+    })).body;
+
+    const changed = await server.call("PUT", "/users/Promoted@Roles.test/role", {
+      body: { role: "editor" },
+      token: adminToken
+    });
+    assert.equal(changed.status, 200);
+    assert.deepEqual(changed.body, {
+      email,
+      name: "Test Traveler",
+      role: "editor"
+    });
+
+    const create = (token) => server.call("POST", "/trips", {
+      body: tripRecord("ROLES02"),
+      token
+    });
+    assert.equal((await create(session.token)).status, 403);
+    const refreshed = await server.call("POST", "/token/refresh", { body: { refreshToken: session.refreshToken } });
+    assert.equal((await create(refreshed.body.token)).status, 200);
+  });
+
+  it("refuses an unknown role, an unknown user, and a change of the admin's own role", async () => {
+    const setRole = (email, role) => server.call("PUT", `/users/${email}/role`, {
+      body: { role },
+      token: adminToken
+    });
+
+    assert.equal((await setRole("promoted@roles.test", "owner")).status, 400);
+    assert.equal((await setRole("nobody@roles.test", "editor")).status, 404);
+
+    const own = await setRole("admin@roles.test", "customer");
+    assert.equal(own.status, 400);
+    assert.equal(own.body.message, "You cannot change your own role");
+  });
+});
+
+describe("bin/promote-admin", () => {
+  let dir;
+  let file;
+
+  // Registers the users in the storage file, with the roles given by email
+  const register = async (roles) => {
+    const { users } = createUserRepositories(createStore({ file }));
+    for (const [email, role] of Object.entries(roles)) {
+      await users.create(new User({
+        name: "Test Staff",
+        email,
+        role
+      }));
+    }
+  };
+
+  // Reads the role of a user from the storage file
+  const roleOf = async (email) => {
+    const { users } = createUserRepositories(createStore({ file }));
+    return (await users.findByEmail(email)).role;
+  };
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "travlr-roles-"));
+    file = path.join(dir, "travlr.json");
+    await register({
+      "first@roles.test": "customer",
+      "second@roles.test": "editor"
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, {
+      recursive: true,
+      force: true
+    });
+  });
+
+  it("promotes the first admin", async () => {
+    const result = await promoteAdmin(file, ["First@Roles.test"]);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(result.stdout, "first@roles.test is now an admin\n");
+    assert.equal(await roleOf("first@roles.test"), "admin");
+
+    const again = await promoteAdmin(file, ["first@roles.test"]);
+    assert.equal(again.code, 0);
+    assert.equal(again.stdout, "first@roles.test is already an admin\n");
+  });
+
+  it("promotes another admin only with --force", async () => {
+    const refused = await promoteAdmin(file, ["second@roles.test"]);
+    assert.equal(refused.code, 1);
+    assert.equal(refused.stderr, "first@roles.test is already an admin. Use the API to promote users, or pass --force.\n");
+    assert.equal(await roleOf("second@roles.test"), "editor");
+
+    const forced = await promoteAdmin(file, ["second@roles.test", "--force"]);
+    assert.equal(forced.code, 0, forced.stderr);
+    assert.equal(await roleOf("second@roles.test"), "admin");
+  });
+
+  it("fails without an email, or with one that is not registered", async () => {
+    const missing = await promoteAdmin(file, []);
+    assert.equal(missing.code, 1);
+    assert.equal(missing.stderr, "Usage: npm run promote-admin -- <email> [--force]\n");
+
+    const unknown = await promoteAdmin(file, ["nobody@roles.test"]);
+    assert.equal(unknown.code, 1);
+    assert.equal(unknown.stderr, "No user is registered with the email nobody@roles.test\n");
+  });
+
+  it("refuses to run on the memory backend without a storage file", async () => {
+    const result = await promoteAdmin("", ["first@roles.test"]);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /set STORAGE_FILE to promote a user/);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @file    sessions.test.js
+ * @brief   This file checks the rotation and revocation of the refresh tokens of the API.
+ *
+ * @details Each login starts a session with a single-use refresh token (see
+ *          'app_api/models/session.js'). The tests rotate the token, present a token that was
+ *          already rotated out, and log out, and check which access tokens keep working. They
+ *          run against the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PASSWORD, serve } = require("../helpers");
+
+const credentials = {
+  email: "traveler@sessions.test",
+  password: PASSWORD
+};
+
+describe("Sessions", () => {
+  const server = serve();
+  const { call } = server;
+
+  const login = async () => (await call("POST", "/login", { body: credentials })).body;
+
+  // Whether an access token is still accepted by a route that requires authentication
+  const accepted = async (token) => (await call("GET", "/bookings", { token })).status === 200;
+
+  before(async () => {
+    const registered = await call("POST", "/register", { body: { name: "Sessions Traveler", ...credentials } });
+    assert.equal(registered.status, 200);
+  });
+
+  it("swaps a refresh token for new tokens only once", async () => {
+    const first = await login();
+
+    const rotated = await call("POST", "/token/refresh", { body: { refreshToken: first.refreshToken } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refreshToken, first.refreshToken);
+    assert.equal(await accepted(rotated.body.token), true);
+
+    const next = await call("POST", "/token/refresh", { body: { refreshToken: rotated.body.refreshToken } });
+    assert.equal(next.status, 200);
+    assert.equal(await accepted(next.body.token), true);
+  });
+
+  it("revokes every session of the user when a rotated-out token is presented again", async () => {
+    const stolen = await login();
+    const other = await login();
+
+    const rotated = await call("POST", "/token/refresh", { body: { refreshToken: stolen.refreshToken } });
+    assert.equal(rotated.status, 200);
+
+    const reused = await call("POST", "/token/refresh", { body: { refreshToken: stolen.refreshToken } });
+    assert.equal(reused.status, 401);
+
+    // The reuse ends the rotated session and the user's other sessions alike
+    assert.equal(await accepted(rotated.body.token), false);
+    assert.equal(await accepted(other.token), false);
+    assert.equal((await call("POST", "/token/refresh", { body: { refreshToken: rotated.body.refreshToken } })).status, 401);
+    assert.equal((await call("POST", "/token/refresh", { body: { refreshToken: other.refreshToken } })).status, 401);
+
+    // Signing in again starts a new session
+    assert.equal(await accepted((await login()).token), true);
+  });
+
+  it("ends a session on logout", async () => {
+    const kept = await login();
+    const ended = await login();
+
+    assert.equal((await call("POST", "/logout", { body: { refreshToken: ended.refreshToken } })).status, 204);
+    assert.equal(await accepted(ended.token), false);
+    assert.equal((await call("POST", "/token/refresh", { body: { refreshToken: ended.refreshToken } })).status, 401);
+
+    // Other sessions of the user are not affected, and logging out twice is not an error
+    assert.equal(await accepted(kept.token), true);
+    assert.equal((await call("POST", "/logout", { body: { refreshToken: ended.refreshToken } })).status, 204);
+  });
+
+  it("rejects an unknown refresh token", async () => {
+    const res = await call("POST", "/token/refresh", { body: { refreshToken: "not-a-refresh-token" } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "unauthorized");
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @file    shutdown.test.js
+ * @brief   This file checks that the server lets its requests in flight finish when it is asked
+ *          to stop.
+ *
+ * @details The tests start 'bin/www' in a process of its own, with the memory storage backend,
+ *          and keep a request in flight by sending only part of its body. They then send the
+ *          process SIGTERM and check that it stops taking connections, answers the request once
+ *          the rest of the body arrives, and exits (see 'app_api/lib/shutdown.js'). If the body
+ *          never arrives, the connection is closed at the timeout instead.
+ */
+
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { setTimeout: sleep } = require("node:timers/promises");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Sets up the test profile, which the server process inherits
+const helpers = require("../helpers");
+
+const WWW = path.join(__dirname, "..", "..", "bin", "www");
+const BODY = JSON.stringify({ email: "nobody@shutdown.test", password: helpers.PASSWORD });
+
+// Finds a port that nothing listens on
+const freePort = () => new Promise((resolve) => {
+  const probe = net.createServer().listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+/**
+ * @brief   Starts the server in a process of its own, and waits until it answers.
+ *
+ * @details The process is killed after the test if it is still running, e.g. because the test
+ *          failed.
+ *
+ * @param {Object} t   The context of the test.
+ * @param {Object} env Variables added to the environment of the test profile.
+ * @returns {Promise<Object>} The 'port' of the server, its 'child' process, a promise of its
+ *                            exit code 'exited', and 'logged(msg)', which waits for a log entry.
+ */
+const startServer = async (t, env) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [WWW], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOG_LEVEL: "info",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  const entries = [];
+  let output = "";
+  child.stdout.on("data", (chunk) => {
+    output += chunk;
+    const lines = output.split("\n");
+    output = lines.pop();
+    entries.push(...lines.map((line) => JSON.parse(line)));
+  });
+  const exited = new Promise((resolve) => child.on("exit", (code) => resolve(code)));
+  t.after(() => child.kill());
+
+  for (let tries = 0; ; tries += 1) {
+    try {
+      await fetch(`http://127.0.0.1:${port}/healthz`);
+      break;
+    } catch (err) {
+      if (tries === 100) {
+        throw err;
+      }
+      await sleep(50);
+    }
+  }
+
+  const logged = async (msg) => {
+    for (let tries = 0; tries < 100; tries += 1) {
+      const entry = entries.find((e) => e.msg === msg);
+      if (entry) {
+        return entry;
+      }
+      await sleep(50);
+    }
+    throw new Error(`The server did not log "${msg}"`);
+  };
+
+  return {
+    port,
+    child,
+    exited,
+    logged
+  };
+};
+
+/**
+ * @brief   Starts a sign-in request and sends only the first half of its body.
+ *
+ * @param {number} port The port of the server.
+ * @returns {Object} The 'socket', 'finish()', which sends the rest of the body, and a promise of
+ *                   the raw 'response', which resolves when the server closes the connection.
+ */
+const startRequest = (port) => {
+  const socket = net.connect(port, "127.0.0.1");
+  const half = Math.floor(BODY.length / 2);
+  socket.write("POST /api/v1/login HTTP/1.1\r\nHost: 127.0.0.1\r\nContent-Type: application/json\r\n" +
+    `Content-Length: ${BODY.length}\r\n\r\n${BODY.slice(0, half)}`);
+
+  let raw = "";
+  socket.on("data", (chunk) => {
+    raw += chunk;
+  });
+  const response = new Promise((resolve) => socket.on("close", () => resolve(raw)));
+  return {
+    socket,
+    finish: () => socket.write(BODY.slice(half)),
+    response
+  };
+};
+
+describe("Shutdown", () => {
+  it("finishes the requests in flight on SIGTERM, then exits", async (t) => {
+    const server = await startServer(t, { SHUTDOWN_TIMEOUT_SECONDS: "10" });
+    const request = startRequest(server.port);
+    await sleep(100);
+
+    server.child.kill("SIGTERM");
+    assert.equal((await server.logged("Shutting down")).requests, 1);
+
+    // The server no longer takes connections, but still answers the request in flight
+    await assert.rejects(fetch(`http://127.0.0.1:${server.port}/healthz`));
+    request.finish();
+    const response = await request.response;
+    assert.match(response, /^HTTP\/1\.1 401 /);
+    assert.match(response, /^Connection: close\r$/mi);
+
+    assert.equal(await server.exited, 0);
+    await server.logged("Shutdown complete");
+  });
+
+  it("closes the connections still in flight at the timeout", async (t) => {
+    const server = await startServer(t, { SHUTDOWN_TIMEOUT_SECONDS: "1" });
+    const request = startRequest(server.port);
+    await sleep(100);
+
+    server.child.kill("SIGTERM");
+    assert.equal(await request.response, "");
+    assert.equal((await server.logged("Closing the connections of the requests still in flight")).requests, 1);
+    assert.equal(await server.exited, 0);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @file    throttle.test.js
+ * @brief   This file checks the limits on login, registration, and account email attempts.
+ *
+ * @details Each test builds the throttles with `createThrottle` on a new in-memory counter store
+ *          and a fake clock (see 'app_api/middleware/throttle.js'), with small limits, in front of
+ *          stand-in routes: a login with the password "right" succeeds and any other fails with
+ *          401. The tests move the clock forward instead of waiting.
+ */
+
+const {
+  describe,
+  it
+} = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// The logger the throttles use loads the config, which needs the test environment
+require("../helpers");
+const { createThrottle } = require("../../app_api/middleware/throttle");
+const { createMemoryStore } = require("../../app_api/lib/counters");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Limits small enough to reach in a test; each test overrides the ones it checks
+const LIMITS = {
+  login: { perIp: { max: 100, windowMs: MINUTE } },
+  register: {
+    perIp: { max: 100, windowMs: MINUTE },
+    perAccount: { max: 100, windowMs: MINUTE }
+  },
+  accountEmail: {
+    perIp: { max: 100, windowMs: MINUTE },
+    perAccount: { max: 100, windowMs: MINUTE }
+  },
+  lockout: {
+    failures: 100,
+    windowMs: 60 * MINUTE,
+    baseMs: 10 * SECOND,
+    maxMs: 40 * SECOND
+  }
+};
+
+/**
+ * @brief   Starts a server with throttled stand-in routes.
+ *
+ * @param {Object} t      The test context, which stops the server when the test ends.
+ * @param {Object} limits The limits that replace those in LIMITS.
+ * @returns {Promise<Object>} 'post(path, body)' sends a request and resolves to its 'status',
+ *                            'retryAfter' header, and 'body', and 'advance(ms)' moves the clock.
+ */
+const serve = async (t, limits) => {
+  let time = Date.UTC(2030, 0, 1);
+  const now = () => time;
+  const throttle = createThrottle(createMemoryStore({ now }), { limits: { ...LIMITS, ...limits }, now });
+
+  const app = express();
+  app.use(express.json());
+  app.post("/login", throttle.login, (req, res) => {
+    res.status(req.body.password === "right" ? 200 : 401).json({});
+  });
+  app.post("/register", throttle.register, (req, res) => res.status(200).json({}));
+  app.post("/forgot-password", throttle.accountEmail, (req, res) => res.status(202).json({}));
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const post = async (path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    return {
+      status: res.status,
+      retryAfter: res.headers.get("retry-after"),
+      body: await res.json()
+    };
+  };
+
+  return {
+    post,
+    advance: (ms) => {
+      time += ms;
+    }
+  };
+};
+
+describe("Throttle", () => {
+  it("limits the logins from an IP address until the window ends", async (t) => {
+    const { post, advance } = await serve(t, { login: { perIp: { max: 3, windowMs: MINUTE } } });
+    const login = (n) => post("/login", { email: `traveler${n}@throttle.test`, password: "right" });
+
+    for (const n of [1, 2, 3]) {
+      assert.equal((await login(n)).status, 200);
+    }
+    const limited = await login(4);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.retryAfter, "60");
+    assert.equal(limited.body.code, "too_many_requests");
+
+    advance(45 * SECOND);
+    assert.equal((await login(5)).retryAfter, "15");
+
+    // A new window starts once the old one has ended
+    advance(15 * SECOND);
+    assert.equal((await login(6)).status, 200);
+  });
+
+  it("limits the registrations for an email address and from an IP address", async (t) => {
+    const { post, advance } = await serve(t, {
+      register: {
+        perIp: { max: 4, windowMs: MINUTE },
+        perAccount: { max: 2, windowMs: MINUTE }
+      }
+    });
+    const register = (email) => post("/register", { email, password: "right" });
+
+    assert.equal((await register("same@throttle.test")).status, 200);
+    assert.equal((await register("SAME@throttle.test ")).status, 200);
+    assert.equal((await register("same@throttle.test")).status, 429);
+    assert.equal((await register("other@throttle.test")).status, 200);
+    assert.equal((await register("third@throttle.test")).status, 429);
+
+    advance(MINUTE);
+    assert.equal((await register("same@throttle.test")).status, 200);
+  });
+
+  it("limits the account emails sent to an address", async (t) => {
+    const { post } = await serve(t, {
+      accountEmail: {
+        perIp: { max: 10, windowMs: MINUTE },
+        perAccount: { max: 1, windowMs: MINUTE }
+      }
+    });
+
+    assert.equal((await post("/forgot-password", { email: "inbox@throttle.test" })).status, 202);
+    const limited = await post("/forgot-password", { email: "inbox@throttle.test" });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.retryAfter, "60");
+    assert.equal((await post("/forgot-password", { email: "other@throttle.test" })).status, 202);
+  });
+
+  it("locks an account after repeated failed logins, for longer after each further failure", async (t) => {
+    const { post, advance } = await serve(t, {
+      lockout: {
+        failures: 3,
+        windowMs: 60 * MINUTE,
+        baseMs: 10 * SECOND,
+        maxMs: 15 * SECOND
+      }
+    });
+    const login = (password, email = "locked@throttle.test") => post("/login", { email, password });
+
+    assert.equal((await login("wrong")).status, 401);
+    assert.equal((await login("wrong", "LOCKED@throttle.test")).status, 401);
+    assert.equal((await login("wrong")).status, 401);
+
+    // Even the right password is refused while the account is locked
+    const locked = await login("right");
+    assert.equal(locked.status, 429);
+    assert.equal(locked.retryAfter, "10");
+    assert.equal((await login("right", "other@throttle.test")).status, 200);
+
+    // Another failure after the lock ends locks the account for twice as long, up to the maximum
+    advance(10 * SECOND);
+    assert.equal((await login("wrong")).status, 401);
+    assert.equal((await login("right")).retryAfter, "15");
+
+    // A successful login once the lock ends clears the failures
+    advance(15 * SECOND);
+    assert.equal((await login("right")).status, 200);
+    assert.equal((await login("wrong")).status, 401);
+    assert.equal((await login("right")).status, 200);
+  });
+});
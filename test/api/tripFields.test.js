@@ -0,0 +1,340 @@
+/**
+ * @file    tripFields.test.js
+ * @brief   This file checks the typed price and duration fields of trips, and the migration that
+ *          converts the strings trips used to store.
+ *
+ * @details Trips store their price in minor units and their duration as numbers, and older
+ *          clients still send and read the strings 'perPerson' and 'length' (see
+ *          'app_api/lib/tripFields.js'). The tests check that the strings parse and format back
+ *          to the same values, and that the API accepts them. The migration tests replace the
+ *          database with a fake that holds trips and bookings as they were stored before the
+ *          migration (see 'app_api/migrations/001-typed-trip-fields.js'). They run against the
+ *          memory storage backend, so they need no database.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  describe,
+  it,
+  before,
+  after
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const {
+  parsePrice,
+  formatPrice,
+  parseLength,
+  formatLength,
+  typedFieldsFromInput
+} = require("../../app_api/lib/tripFields");
+const typedTripFields = require("../../app_api/migrations/001-typed-trip-fields");
+
+// Reads a field by its dotted path, e.g. 'price.amount'
+const valueAt = (doc, field) => field.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+
+// Checks a document against the subset of MongoDB filters the migration uses
+const matchesFilter = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === "$or") {
+    return condition.some((alternative) => matchesFilter(doc, alternative));
+  }
+  const value = valueAt(doc, field);
+  if ("$exists" in condition) {
+    return (value !== undefined) === condition.$exists;
+  }
+  return typeof value === condition.$type;
+});
+
+// A database that holds the trips and bookings as plain documents
+const fakeDb = (data) => ({
+  data,
+  collection: (name) => ({
+    find: (filter) => data[name].filter((doc) => matchesFilter(doc, filter)),
+    updateOne: async ({ _id: id }, { $set = {}, $unset = {} }) => {
+      const doc = data[name].find((d) => d._id === id);
+      Object.assign(doc, $set);
+      Object.keys($unset).forEach((field) => {
+        delete doc[field];
+      });
+    }
+  })
+});
+
+// The trips and bookings as they were stored before the migration
+const legacyData = () => ({
+  trips: [
+    {
+      _id: 1,
+      code: "OLD1",
+      perPerson: "799.00",
+      length: "4 nights / 5 days"
+    },
+    {
+      _id: 2,
+      code: "OLD2",
+      perPerson: "$1,199",
+      length: "1 night"
+    },
+    {
+      _id: 3,
+      code: "BAD1",
+      perPerson: "on request",
+      length: "a long weekend"
+    },
+    {
+      _id: 4,
+      code: "NEW1",
+      price: {
+        amount: 50000,
+        currency: "USD"
+      },
+      nights: 2,
+      days: 3
+    }
+  ],
+  bookings: [
+    {
+      _id: 1,
+      totalPrice: 1598
+    },
+    {
+      _id: 2,
+      totalPrice: {
+        amount: 2500,
+        currency: "USD"
+      }
+    }
+  ]
+});
+
+describe("Trip fields", () => {
+  it("parses prices into minor units", () => {
+    const prices = {
+      "799.00": 79900,
+      "$1,199": 119900,
+      "12.5": 1250,
+      " 0.05 ": 5
+    };
+    for (const [text, amount] of Object.entries(prices)) {
+      assert.deepEqual(parsePrice(text), { amount, currency: "USD" }, text);
+    }
+    assert.equal(parsePrice(45).amount, 4500);
+
+    for (const text of ["", "free", "1.234", "-5", "12.", null, undefined]) {
+      assert.equal(parsePrice(text), null, String(text));
+    }
+  });
+
+  it("formats a price that parses back to the same amount", () => {
+    for (const amount of [0, 5, 1250, 79900, 119950]) {
+      assert.equal(parsePrice(formatPrice(amount)).amount, amount, String(amount));
+    }
+    assert.equal(formatPrice(79900), "799.00");
+    assert.equal(formatPrice(1.5), undefined);
+    assert.equal(formatPrice(undefined), undefined);
+  });
+
+  it("parses durations, filling in a missing part", () => {
+    assert.deepEqual(parseLength("4 nights / 5 days"), { nights: 4, days: 5 });
+    assert.deepEqual(parseLength("3 Nights"), { nights: 3, days: 4 });
+    assert.deepEqual(parseLength("1 day"), { nights: 0, days: 1 });
+
+    for (const text of ["a week", "0 days", "", null]) {
+      assert.equal(parseLength(text), null, String(text));
+    }
+  });
+
+  it("formats a duration that parses back to the same numbers", () => {
+    for (const [nights, days] of [[0, 1], [1, 2], [4, 5], [13, 14]]) {
+      assert.deepEqual(parseLength(formatLength(nights, days)), { nights, days });
+    }
+    assert.equal(formatLength(1, 1), "1 night / 1 day");
+    assert.equal(formatLength(4, undefined), undefined);
+  });
+
+  it("reads the typed fields of a request, or else its strings", () => {
+    const typed = typedFieldsFromInput({
+      price: { amount: 100, currency: "EUR" },
+      perPerson: "5.00",
+      nights: 2,
+      length: "9 nights"
+    });
+    assert.deepEqual(typed, {
+      price: { amount: 100, currency: "EUR" },
+      nights: 2,
+      days: undefined
+    });
+
+    assert.deepEqual(typedFieldsFromInput({ perPerson: "5.00", length: "2 nights" }), {
+      price: { amount: 500, currency: "USD" },
+      nights: 2,
+      days: 3
+    });
+    assert.deepEqual(typedFieldsFromInput({}), {
+      price: undefined,
+      nights: undefined,
+      days: undefined
+    });
+
+    assert.throws(() => typedFieldsFromInput({ perPerson: "lots" }), {
+      status: 400,
+      message: "Cannot read the price \"lots\". Use a number such as 799.00."
+    });
+    assert.throws(() => typedFieldsFromInput({ length: "a while" }), {
+      status: 400,
+      message: "Cannot read the length \"a while\". Use a form such as \"4 nights / 5 days\"."
+    });
+  });
+});
+
+describe("Trip fields through the API", () => {
+  const server = serve();
+  let token;
+
+  before(async () => {
+    token = await server.signIn("admin@trip-fields.test", { role: "admin" });
+  });
+
+  it("accepts the strings of older clients and sends them back", async () => {
+    const trip = {
+      ...tripRecord("STRINGS1"),
+      perPerson: "$1,250.50",
+      length: "6 nights"
+    };
+    delete trip.price;
+    delete trip.nights;
+    delete trip.days;
+
+    const res = await server.call("POST", "/trips", {
+      body: trip,
+      token
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.price, { amount: 125050, currency: "USD" });
+    assert.equal(res.body.nights, 6);
+    assert.equal(res.body.days, 7);
+    assert.equal(res.body.perPerson, "1250.50");
+    assert.equal(res.body.length, "6 nights / 7 days");
+  });
+
+  it("answers a string it cannot read with 400", async () => {
+    const res = await server.call("PUT", "/trips/STRINGS1", {
+      body: {
+        ...tripRecord("STRINGS1"),
+        price: undefined,
+        perPerson: "on request"
+      },
+      token
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Cannot read the price \"on request\". Use a number such as 799.00.");
+  });
+});
+
+describe("Typed trip fields migration", () => {
+  it("converts the strings of trips and the totals of bookings, and reports the rest", async () => {
+    const db = fakeDb(legacyData());
+
+    const report = await typedTripFields.up(db);
+    assert.deepEqual(report, {
+      trips: 2,
+      bookings: 1,
+      rejected: [
+        {
+          code: "BAD1",
+          _id: "3",
+          errors: ["cannot parse perPerson \"on request\"", "cannot parse length \"a long weekend\""]
+        }
+      ]
+    });
+
+    const [first, second, bad, untouched] = db.data.trips;
+    assert.deepEqual(first, {
+      _id: 1,
+      code: "OLD1",
+      price: { amount: 79900, currency: "USD" },
+      nights: 4,
+      days: 5
+    });
+    assert.deepEqual(second.price, { amount: 119900, currency: "USD" });
+    assert.deepEqual([second.nights, second.days], [1, 2]);
+    assert.deepEqual(bad, legacyData().trips[2]);
+    assert.deepEqual(untouched, legacyData().trips[3]);
+    assert.deepEqual(db.data.bookings[0].totalPrice, { amount: 159800, currency: "USD" });
+
+    // Only the trip that was rejected is looked at again
+    const again = await typedTripFields.up(db);
+    assert.equal(again.trips, 0);
+    assert.equal(again.bookings, 0);
+    assert.deepEqual(again.rejected.map((trip) => trip.code), ["BAD1"]);
+  });
+
+  it("counts the changes of a dry run without making them", async () => {
+    const db = fakeDb(legacyData());
+
+    const report = await typedTripFields.up(db, { dryRun: true });
+    assert.equal(report.trips, 2);
+    assert.equal(report.bookings, 1);
+    assert.deepEqual(db.data, legacyData());
+  });
+
+  it("formats the typed fields back into strings when it is reverted", async () => {
+    const db = fakeDb(legacyData());
+    await typedTripFields.up(db);
+
+    const report = await typedTripFields.down(db);
+    assert.equal(report.trips, 3);
+    assert.equal(report.bookings, 2);
+
+    const [first, second, , converted] = db.data.trips;
+    assert.deepEqual(first, legacyData().trips[0]);
+    assert.deepEqual(second, {
+      _id: 2,
+      code: "OLD2",
+      perPerson: "1199.00",
+      length: "1 night / 2 days"
+    });
+    assert.deepEqual(converted, {
+      _id: 4,
+      code: "NEW1",
+      perPerson: "500.00",
+      length: "2 nights / 3 days"
+    });
+    assert.deepEqual(db.data.bookings.map((booking) => booking.totalPrice), [1598, 25]);
+  });
+
+  describe("on a file of trips", () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "travlr-trip-fields-"));
+    });
+
+    after(() => {
+      fs.rmSync(dir, {
+        recursive: true,
+        force: true
+      });
+    });
+
+    it("converts the trips in place, keeping the order of their keys", () => {
+      const file = path.join(dir, "trips.json");
+      const trips = legacyData().trips.map(({ _id: id, ...trip }) => ({ ...trip, name: `Trip ${id}` }));
+      fs.writeFileSync(file, JSON.stringify(trips));
+
+      const report = typedTripFields.convertFile(file);
+      assert.equal(report.trips, 2);
+      assert.deepEqual(report.rejected.map((trip) => trip.code), ["BAD1"]);
+
+      const text = fs.readFileSync(file, "utf8");
+      assert.match(text, /^\[\n {4}\{\n {8}"code": "OLD1",/);
+      const [first, , bad, untouched] = JSON.parse(text);
+      assert.deepEqual(Object.keys(first), ["code", "price", "nights", "days", "name"]);
+      assert.deepEqual(bad, trips[2]);
+      assert.deepEqual(untouched, trips[3]);
+    });
+  });
+});
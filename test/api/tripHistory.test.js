@@ -0,0 +1,152 @@
+/**
+ * @file    tripHistory.test.js
+ * @brief   This file checks the revision history of trips and reverting a trip to a revision.
+ *
+ * @details Every change to a trip is recorded as a revision with the user who made it and the
+ *          changed fields (see 'app_api/lib/tripHistory.js'). The tests change trips through the
+ *          API, list their history, revert them, and make recording a revision fail. They run
+ *          against the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const { logger } = require("../../app_api/lib/logger");
+
+const ADMIN = "admin@trip-history.test";
+
+describe("Trip history", () => {
+  const server = serve();
+  let token;
+
+  // Sends a JSON request to the API as the signed-in admin
+  const call = (method, path, body) => server.call(method, path, { body, token });
+
+  // The revisions of a trip, newest first
+  const history = async (code) => {
+    const res = await call("GET", `/trips/${code}/history`);
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  before(async () => {
+    token = await server.signIn(ADMIN, { role: "admin", name: "Ada Admin" });
+  });
+
+  it("lists every change to a trip, newest first", async () => {
+    const trip = tripRecord("HIST01", { name: "First name" });
+    assert.equal((await call("POST", "/trips", trip)).status, 200);
+    assert.equal((await call("PUT", "/trips/HIST01", { ...trip, name: "Second name" })).status, 200);
+    const priced = {
+      ...trip,
+      name: "Second name",
+      price: { amount: 89900, currency: "USD" }
+    };
+    assert.equal((await call("PUT", "/trips/HIST01", priced)).status, 200);
+    assert.equal((await call("DELETE", "/trips/HIST01")).status, 200);
+    assert.equal((await call("POST", "/trips/HIST01/restore")).status, 200);
+
+    const revisions = await history("HIST01");
+    assert.deepEqual(revisions.map((rev) => [rev.revision, rev.action]), [
+      [5, "restore"],
+      [4, "delete"],
+      [3, "update"],
+      [2, "update"],
+      [1, "create"]
+    ]);
+    for (const rev of revisions) {
+      assert.deepEqual(rev.actor, { name: "Ada Admin", email: ADMIN });
+      assert.equal(rev.snapshot, undefined);
+    }
+
+    assert.deepEqual(revisions[3].changes, [{
+      field: "name",
+      from: "First name",
+      to: "Second name"
+    }]);
+    assert.deepEqual(revisions[2].changes, [{
+      field: "price",
+      from: { amount: 79900, currency: "USD" },
+      to: { amount: 89900, currency: "USD" }
+    }]);
+    assert.deepEqual(revisions[1].changes, [{
+      field: "archived",
+      from: false,
+      to: true
+    }]);
+    assert.equal(revisions[4].changes.find((change) => change.field === "name").to, "First name");
+  });
+
+  it("reverts a trip to a revision, and records the revert", async () => {
+    const reverted = await call("POST", "/trips/HIST01/revert/2");
+    assert.equal(reverted.status, 200);
+    assert.equal(reverted.body.name, "Second name");
+    assert.deepEqual(reverted.body.price, { amount: 79900, currency: "USD" });
+    assert.equal(reverted.body.revision, 6);
+
+    const [latest] = await history("HIST01");
+    assert.equal(latest.action, "revert");
+    assert.equal(latest.revertedTo, 2);
+    assert.deepEqual(latest.changes.map((change) => change.field), ["price"]);
+
+    // Reverting again changes nothing, so nothing is recorded
+    assert.equal((await call("POST", "/trips/HIST01/revert/2")).status, 200);
+    assert.equal((await history("HIST01")).length, 6);
+
+    // A revert can be undone by reverting to the revision before it
+    assert.deepEqual((await call("POST", "/trips/HIST01/revert/3")).body.price, { amount: 89900, currency: "USD" });
+  });
+
+  it("answers a revert to a revision or trip that does not exist with 404", async () => {
+    const missingRevision = await call("POST", "/trips/HIST01/revert/99");
+    assert.equal(missingRevision.status, 404);
+    assert.equal(missingRevision.body.message, "Revision 99 not found for trip HIST01");
+
+    assert.equal((await call("POST", "/trips/NOSUCHTRIP/revert/1")).status, 404);
+    assert.equal((await call("GET", "/trips/NOSUCHTRIP/history")).status, 404);
+
+    // Archived trips must be restored first
+    assert.equal((await call("DELETE", "/trips/HIST01")).status, 200);
+    assert.equal((await call("POST", "/trips/HIST01/revert/1")).status, 404);
+    assert.equal((await call("POST", "/trips/HIST01/restore")).status, 200);
+  });
+
+  it("refuses to revert to a capacity below the places booked since", async () => {
+    const trip = tripRecord("HIST02", { capacity: 2 });
+    assert.equal((await call("POST", "/trips", trip)).status, 200);
+    assert.equal((await call("PUT", "/trips/HIST02", { ...trip, capacity: 10 })).status, 200);
+    await storage.trips.reserve("HIST02", 5);
+
+    const res = await call("POST", "/trips/HIST02/revert/1");
+    assert.equal(res.status, 409);
+    assert.equal((await history("HIST02")).length, 2);
+  });
+
+  it("reports a change whose revision could not be recorded as failed", async (t) => {
+    const failure = new Error("the history is unavailable");
+    t.mock.method(storage.revisions, "record", async () => {
+      throw failure;
+    });
+    const logged = t.mock.method(logger, "error", () => {});
+
+    const trip = tripRecord("HIST03");
+    const created = await call("POST", "/trips", trip);
+    assert.equal(created.status, 500);
+    assert.equal(created.body.message.includes("the history is unavailable"), false);
+
+    const imported = await call("POST", "/trips/import", [{ ...trip, name: "Imported name" }]);
+    assert.equal(imported.status, 500);
+
+    const failures = logged.mock.calls.filter((call) => call.arguments[0] === "Request failed");
+    assert.equal(failures.length, 2);
+    for (const call of failures) {
+      assert.equal(call.arguments[1].err, failure);
+    }
+  });
+});
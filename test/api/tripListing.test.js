@@ -0,0 +1,144 @@
+/**
+ * @file    tripListing.test.js
+ * @brief   This file checks the filters, sort keys, and pages of the trip listing.
+ *
+ * @details The query parameters of GET /trips are parsed in 'app_api/lib/tripQuery.js'. The
+ *          tests add trips through the repository, list them with each filter and sort key,
+ *          follow the 'next' links through every page, and check that unknown or malformed
+ *          parameters are answered with 400. They run against the memory storage backend, so
+ *          they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+// Code => name, resort, price in cents, start date, and nights of the trips, in the order they are added
+const TRIPS = {
+  LIST01: ["Alpha", "Coral Sands, 4 stars", 50000, "2030-01-10", 3],
+  LIST02: ["Bravo", "Emerald Bay, 3 stars", 79900, "2030-03-01", 4],
+  LIST03: ["Charlie", "Emerald Bay, 5 stars", 120000, "2030-05-20", 7],
+  LIST04: ["Delta", "Blue Lagoon", 99900, "2030-02-14", 5],
+  LIST05: ["Echo", "Coral Sands, 4 stars", 79900, "2030-07-04", 10]
+};
+
+describe("Trip listing", () => {
+  const server = serve();
+
+  // Lists the trips and returns their codes, in order
+  const codes = async (query) => {
+    const res = await server.call("GET", `/trips?${query}`);
+    assert.equal(res.status, 200, query);
+    return res.body.map((trip) => trip.code);
+  };
+
+  before(async () => {
+    for (const [code, [name, resort, amount, start, nights]] of Object.entries(TRIPS)) {
+      await storage.trips.create(tripRecord(code, {
+        name,
+        resort,
+        price: { amount, currency: "USD" },
+        start: `${start}T08:00:00.000Z`,
+        nights,
+        days: nights + 1
+      }));
+    }
+  });
+
+  it("filters the trips by resort, price, start date, and nights", async () => {
+    const filters = {
+      "resort=emerald": ["LIST02", "LIST03"],
+      "resort=%20Coral%20": ["LIST01", "LIST05"],
+      "minPrice=799&maxPrice=999": ["LIST02", "LIST04", "LIST05"],
+      "maxPrice=500": ["LIST01"],
+      "startFrom=2030-02-14&startTo=2030-05-20T23:59:59Z": ["LIST02", "LIST03", "LIST04"],
+      "minNights=5&maxNights=7": ["LIST03", "LIST04"],
+      "resort=coral&minNights=5": ["LIST05"],
+      "minPrice=2000": []
+    };
+
+    for (const [query, expected] of Object.entries(filters)) {
+      assert.deepEqual(await codes(query), expected, query);
+    }
+  });
+
+  it("sorts the trips by each sort key, and by several", async () => {
+    const sorts = {
+      "sort=code": ["LIST01", "LIST02", "LIST03", "LIST04", "LIST05"],
+      "sort=-name": ["LIST05", "LIST04", "LIST03", "LIST02", "LIST01"],
+      "sort=resort": ["LIST04", "LIST01", "LIST05", "LIST02", "LIST03"],
+      "sort=start": ["LIST01", "LIST04", "LIST02", "LIST03", "LIST05"],
+      "sort=-nights": ["LIST05", "LIST03", "LIST04", "LIST02", "LIST01"],
+      // Trips with the same price keep the order they were added in
+      "sort=price": ["LIST01", "LIST02", "LIST05", "LIST04", "LIST03"],
+      "sort=price,-start": ["LIST01", "LIST05", "LIST02", "LIST04", "LIST03"]
+    };
+
+    for (const [query, expected] of Object.entries(sorts)) {
+      assert.deepEqual(await codes(query), expected, query);
+    }
+  });
+
+  it("follows the next links through every page", async () => {
+    const seen = [];
+    let next = `${server.base}/api/v1/trips?limit=2&sort=-price`;
+    let pages = 0;
+
+    while (next) {
+      const res = await fetch(next);
+      assert.equal(res.status, 200);
+      seen.push(...(await res.json()).map((trip) => trip.code));
+      pages += 1;
+
+      const link = res.headers.get("Link");
+      next = link && /^<([^>]+)>; rel="next"$/.exec(link)[1];
+    }
+
+    assert.equal(pages, 3);
+    assert.deepEqual(seen, ["LIST03", "LIST04", "LIST02", "LIST05", "LIST01"]);
+  });
+
+  it("answers a cursor with another sort order with 400", async () => {
+    const first = await server.call("GET", "/trips?limit=2&sort=name");
+    const cursor = new URL(/^<([^>]+)>/.exec(first.headers.get("Link"))[1]).searchParams.get("cursor");
+
+    const res = await server.call("GET", `/trips?limit=2&sort=-name&cursor=${cursor}`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "'cursor' does not match the requested sort order");
+  });
+
+  it("answers unknown or malformed parameters with 400", async () => {
+    const invalid = {
+      "page=2": "Unknown query parameter(s): page",
+      "resort=coral&resort=emerald": "Query parameter(s) must be given once as a plain value: resort",
+      "resort=%20": "'resort' must not be empty",
+      "minPrice=-1": "'minPrice' must be a non-negative number",
+      "maxNights=many": "'maxNights' must be a non-negative number",
+      "minPrice=900&maxPrice=800": "'minPrice' must not be greater than 'maxPrice'",
+      "startFrom=someday": "'startFrom' must be an ISO 8601 date",
+      "sort=": "'sort' must be a comma separated list of sort keys",
+      "sort=rating": "Unknown sort key 'rating'. Allowed keys: code, name, resort, start, price, nights",
+      "sort=name,-name": "'sort' must not repeat a sort key",
+      "limit=0": "'limit' must be an integer between 1 and 100",
+      "limit=101": "'limit' must be an integer between 1 and 100",
+      "limit=2.5": "'limit' must be an integer between 1 and 100",
+      "cursor=not-a-cursor": "'cursor' is malformed"
+    };
+
+    for (const [query, message] of Object.entries(invalid)) {
+      const res = await server.call("GET", `/trips?${query}`);
+      assert.equal(res.status, 400, query);
+      assert.deepEqual(res.body, {
+        code: "invalid_request",
+        message,
+        details: []
+      }, query);
+    }
+  });
+});
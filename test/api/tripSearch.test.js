@@ -0,0 +1,174 @@
+/**
+ * @file    tripSearch.test.js
+ * @brief   This file checks the free-text search of trips.
+ *
+ * @details The search matches each term of a query against the words of a trip's name, resort,
+ *          and description, and ranks the trips by the number of terms they match and then by
+ *          score (see 'app_api/lib/tripSearch.js'). The tests check the ranking, the matching of
+ *          prefixes, typing mistakes, and accents, and the escaping of the highlighted fragments.
+ *          The API tests run against the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const tripService = require("../../app_api/lib/tripService");
+const { htmlToText, searchTrips } = require("../../app_api/lib/tripSearch");
+
+// Builds a trip with only the fields the search reads
+const trip = (name, resort, description = "") => ({
+  name,
+  resort,
+  description
+});
+
+const TRIPS = [
+  trip("Mountain Lodge", "Alpine Hut", "<p>No reefs up here &amp; no sea.</p>"),
+  trip("Rief Walk", "Harbour Inn"),
+  trip("Island Hopping", "Reefside Resort"),
+  trip("Reef Escape", "Coral Bay", "<p>Snorkel the reef.</p>")
+];
+
+// The names of the trips found by a query, best first
+const ranking = (query, trips = TRIPS) => searchTrips(trips, query).results.map((result) => result.trip.name);
+
+describe("Trip search", () => {
+  it("ranks an exact match in the name above a prefix or a typo, and those above the description", () => {
+    const { total, results } = searchTrips(TRIPS, "reef");
+    assert.equal(total, 4);
+    assert.deepEqual(results.map((result) => [result.trip.name, result.score]), [
+      ["Reef Escape", 3],
+      ["Island Hopping", 1.5],
+      ["Rief Walk", 1.5],
+      ["Mountain Lodge", 0.75]
+    ]);
+  });
+
+  it("ranks a trip that matches more of the terms first, whatever its score", () => {
+    assert.deepEqual(ranking("reef alpine"), ["Mountain Lodge", "Reef Escape", "Island Hopping", "Rief Walk"]);
+  });
+
+  it("matches words without case or accents", () => {
+    const trips = [trip("Côte Sauvage", "Hôtel Étoile")];
+    assert.deepEqual(ranking("COTE", trips), ["Côte Sauvage"]);
+    assert.deepEqual(ranking("étoilé", trips), ["Côte Sauvage"]);
+  });
+
+  it("matches a prefix of two letters or more", () => {
+    assert.deepEqual(ranking("isl"), ["Island Hopping"]);
+    assert.deepEqual(ranking("mo"), ["Mountain Lodge"]);
+    assert.equal(searchTrips(TRIPS, "m").total, 0);
+  });
+
+  it("allows one typing mistake in a term of four letters, and two in one of eight", () => {
+    assert.deepEqual(ranking("lodeg"), ["Mountain Lodge"]);
+    assert.deepEqual(ranking("escpae"), ["Reef Escape"]);
+    assert.equal(searchTrips(TRIPS, "lpdeg").total, 0);
+    assert.equal(searchTrips(TRIPS, "raf").total, 0);
+
+    assert.deepEqual(ranking("montian"), []);
+    assert.deepEqual(ranking("muontian"), ["Mountain Lodge"]);
+  });
+
+  it("counts all the matches but returns only the best", () => {
+    const { total, results } = searchTrips(TRIPS, "reef", { limit: 2 });
+    assert.equal(total, 4);
+    assert.deepEqual(results.map((result) => result.trip.name), ["Reef Escape", "Island Hopping"]);
+  });
+
+  it("refuses a query without letters or digits", () => {
+    for (const query of ["", "  ", "!?", null]) {
+      assert.throws(() => searchTrips(TRIPS, query), {
+        status: 400,
+        message: "'q' must contain at least one letter or digit"
+      }, String(query));
+    }
+  });
+
+  it("uses the first ten distinct terms of a query", () => {
+    const query = `${"nothing ".repeat(3)}a b c d e f g h i reef`;
+    assert.equal(searchTrips(TRIPS, query).total, 0);
+    assert.equal(searchTrips(TRIPS, `${"nothing ".repeat(3)}a b c d e f g h reef`).total, 4);
+  });
+});
+
+describe("Search highlights", () => {
+  it("marks the matched words of each field and escapes the rest", () => {
+    const found = trip("Reef <b>&</b> Rock", "Reefside", "<p>Fish &amp; <em>reef</em> sharks &lt;3</p>");
+    const [{ highlights }] = searchTrips([found], "reef").results;
+    assert.deepEqual(highlights, {
+      name: "<mark>Reef</mark> &lt;b&gt;&amp;&lt;/b&gt; Rock",
+      resort: "<mark>Reefside</mark>",
+      description: "Fish &amp; <mark>reef</mark> sharks &lt;3"
+    });
+  });
+
+  it("escapes the matched words themselves", () => {
+    const [{ highlights }] = searchTrips([trip("O'Brien's \"Reef\"", "Bay")], "brien reef").results;
+    assert.equal(highlights.name, "O&#39;<mark>Brien</mark>&#39;s &quot;<mark>Reef</mark>&quot;");
+  });
+
+  it("cuts a long description to a fragment around the first match", () => {
+    const filler = Array.from({ length: 60 }, (_, i) => `word${i}`).join(" ");
+    const found = trip("Escape", "Bay", `<p>${filler} reef ${filler}</p>`);
+    const [{ highlights }] = searchTrips([found], "reef").results;
+
+    assert.match(highlights.description, /^…word54 word55 .* <mark>reef<\/mark> word0 .* word16…$/);
+    // The fragment holds at most 160 characters, with an ellipsis at each end
+    assert.equal(highlights.description.replace(/<\/?mark>/g, "").length <= 162, true);
+  });
+
+  it("reads the text of a description without its markup", () => {
+    assert.equal(htmlToText("<p>Sun&nbsp;&amp; <b>sea</b></p><script>alert(1)</script>&#39;&#x41;&bogus;"),
+      "Sun & sea 'A&bogus;");
+  });
+});
+
+describe("Trip search through the API", () => {
+  const server = serve();
+
+  before(async () => {
+    await storage.trips.create(tripRecord("SEARCH01", { name: "Lagoon <Escape>", resort: "Reef & Co" }));
+    await storage.trips.create(tripRecord("SEARCH02", { name: "Lagoon Lodge", description: "<p>A quiet lagoon.</p>" }));
+    tripService.invalidate();
+  });
+
+  it("sends the ranked results with their highlights", async () => {
+    const res = await server.call("GET", "/trips/search?q=lagoon%20lodge&limit=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.q, "lagoon lodge");
+    assert.equal(res.body.total, 2);
+    assert.equal(res.body.results.length, 1);
+
+    const [best] = res.body.results;
+    assert.equal(best.trip.code, "SEARCH02");
+    assert.deepEqual(best.highlights, {
+      name: "<mark>Lagoon</mark> <mark>Lodge</mark>",
+      description: "A quiet <mark>lagoon</mark>."
+    });
+  });
+
+  it("escapes the name of a trip in its highlights", async () => {
+    const res = await server.call("GET", "/trips/search?q=escape");
+    assert.equal(res.body.results[0].highlights.name, "Lagoon &lt;<mark>Escape</mark>&gt;");
+  });
+
+  it("answers a query it cannot search with 400", async () => {
+    const messages = {
+      "?q=%21%3F": "'q' must contain at least one letter or digit",
+      "": "The request is invalid",
+      "?q=lagoon&limit=51": "The request is invalid"
+    };
+    for (const [query, message] of Object.entries(messages)) {
+      const res = await server.call("GET", `/trips/search${query}`);
+      assert.equal(res.status, 400, query);
+      assert.equal(res.body.message, message, query);
+    }
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @file    tripService.test.js
+ * @brief   This file checks the cache that public trip reads go through.
+ *
+ * @details The cache keeps loaded values for a time to live and counts its hits and misses (see
+ *          'app_api/lib/cache.js'), and the trip service empties it whenever a trip changes (see
+ *          'app_api/lib/tripService.js'). The cache tests use a fake clock. The service tests
+ *          change trips through the API and run against the memory storage backend, so they need
+ *          no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const tripService = require("../../app_api/lib/tripService");
+const { createCache } = require("../../app_api/lib/cache");
+
+// A cache on a clock that only moves when the test moves it
+const fakeClockCache = (options) => {
+  const clock = { time: 0 };
+  const cache = createCache({ ...options, now: () => clock.time });
+  return { cache, clock };
+};
+
+// Counts the loads of a value
+const loader = (value) => {
+  const load = async () => {
+    load.calls += 1;
+    return value;
+  };
+  load.calls = 0;
+  return load;
+};
+
+describe("Cache", () => {
+  it("loads a value once and serves it until it expires", async () => {
+    const { cache, clock } = fakeClockCache({ ttlMs: 1000 });
+    const load = loader("value");
+
+    assert.equal(await cache.get("key", load), "value");
+    clock.time = 999;
+    assert.equal(await cache.get("key", load), "value");
+    assert.equal(load.calls, 1);
+    assert.deepEqual(cache.stats(), {
+      hits: 1,
+      misses: 1,
+      clears: 0,
+      hitRate: 0.5,
+      entries: 1
+    });
+
+    clock.time = 1000;
+    await cache.get("key", load);
+    assert.equal(load.calls, 2);
+  });
+
+  it("shares one load between concurrent requests and keeps no failed load", async () => {
+    const { cache } = fakeClockCache({ ttlMs: 1000 });
+    const load = loader("value");
+
+    const values = await Promise.all([cache.get("key", load), cache.get("key", load)]);
+    assert.deepEqual(values, ["value", "value"]);
+    assert.equal(load.calls, 1);
+
+    const failing = () => Promise.reject(new Error("unavailable"));
+    await assert.rejects(cache.get("failing", failing), /unavailable/);
+    assert.equal(await cache.get("failing", load), "value");
+  });
+
+  it("keeps nothing with a time to live of 0", async () => {
+    const { cache } = fakeClockCache({ ttlMs: 0 });
+    const load = loader("value");
+
+    await cache.get("key", load);
+    await cache.get("key", load);
+    assert.equal(load.calls, 2);
+    assert.equal(cache.stats().entries, 0);
+  });
+
+  it("removes the entries stored first when it holds too many", async () => {
+    const { cache } = fakeClockCache({ ttlMs: 1000, maxEntries: 2 });
+    const load = loader("value");
+
+    await cache.get("first", load);
+    await cache.get("second", load);
+    await cache.get("third", load);
+    assert.equal(cache.stats().entries, 2);
+
+    await cache.get("third", load);
+    await cache.get("first", load);
+    assert.equal(load.calls, 4);
+  });
+
+  it("does not serve a load that was in progress when it was cleared", async () => {
+    const { cache } = fakeClockCache({ ttlMs: 1000 });
+    let finish;
+    const stale = cache.get("key", () => new Promise((resolve) => {
+      finish = resolve;
+    }));
+
+    cache.clear();
+    const fresh = cache.get("key", async () => "fresh");
+    finish("stale");
+    assert.equal(await stale, "stale");
+    assert.equal(await fresh, "fresh");
+    assert.equal(cache.stats().clears, 1);
+  });
+});
+
+describe("Trip service", () => {
+  const server = serve();
+  let token;
+
+  // Sends a JSON request to the API as the signed-in admin
+  const call = (method, path, body) => server.call(method, path, { body, token });
+
+  before(async () => {
+    token = await server.signIn("admin@trip-service.test", { role: "admin" });
+
+    await storage.trips.create(tripRecord("CACHED01", { name: "Cached Reef" }));
+    tripService.invalidate();
+  });
+
+  it("serves a cached, frozen trip until the cache is emptied", async () => {
+    const first = await tripService.findTrip("CACHED01");
+    assert.equal(first.name, "Cached Reef");
+    assert.equal(Object.isFrozen(first), true);
+    assert.equal(Object.isFrozen(first.price), true);
+
+    // A change made around the service is not seen while the trip is cached
+    await storage.trips.update("CACHED01", { name: "Renamed Reef" });
+    assert.equal(await tripService.findTrip("CACHED01"), first);
+
+    tripService.invalidate();
+    assert.equal((await tripService.findTrip("CACHED01")).name, "Renamed Reef");
+  });
+
+  it("caches a page of the list whatever the order of its parameters", async () => {
+    const { hits } = tripService.cacheStats();
+    const page = await tripService.listTrips({ limit: "5", sort: "name" });
+    assert.equal(await tripService.listTrips({ sort: "name", limit: "5" }), page);
+    assert.equal(tripService.cacheStats().hits, hits + 1);
+  });
+
+  it("empties the cache when a trip is archived or restored through the API", async () => {
+    assert.equal((await call("GET", "/trips/CACHED01")).status, 200);
+    assert.equal((await tripService.searchTrips("reef", { limit: 5 })).total, 1);
+
+    assert.equal((await call("DELETE", "/trips/CACHED01")).status, 200);
+    assert.equal((await call("GET", "/trips/CACHED01")).status, 404);
+    assert.equal(await tripService.findTrip("CACHED01"), null);
+    assert.equal((await tripService.searchTrips("reef", { limit: 5 })).total, 0);
+
+    assert.equal((await call("POST", "/trips/CACHED01/restore")).status, 200);
+    assert.equal((await call("GET", "/trips/CACHED01")).status, 200);
+
+    const stats = await call("GET", "/trips/cache");
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.clears >= 3, true);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * @file    helpers.js
+ * @brief   This file holds the setup that the tests of the API and the website share.
+ *
+ * @details Requiring this module sets up the environment of the 'test' profile with the memory
+ *          storage backend, so it must be required before the app or anything the app uses. A
+ *          test that can also run against MongoDB calls `useRequestedBackend` right after, which
+ *          keeps the STORAGE_BACKEND the tests were started with.
+ *
+ *          `serve` starts the app for the tests of a suite and returns helpers that send it
+ *          requests. `captureMail` catches the emails the app sends during a suite.
+ *
+ *          'npm test' runs every file in this directory, so this module defines no tests of its
+ *          own.
+ */
+
+const crypto = require("crypto");
+const { before, after } = require("node:test");
+const { setImmediate: nextTick } = require("node:timers/promises");
+
+const REQUESTED_BACKEND = process.env.STORAGE_BACKEND;
+
+process.env.NODE_ENV = "test";
+process.env.STORAGE_BACKEND = "memory";
+process.env.STORAGE_FILE = "";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "travlr-test-secret";
+
+// The password of every user the tests sign up
+const PASSWORD = "correct horse battery staple";
+
+/**
+ * @brief   Uses the storage backend the tests were started with, e.g. with
+ *          'STORAGE_BACKEND=mongodb npm test', instead of the memory backend.
+ */
+const useRequestedBackend = () => {
+  process.env.STORAGE_BACKEND = REQUESTED_BACKEND || "memory";
+};
+
+/**
+ * @brief   Builds a trip in the API format.
+ *
+ * @param {string} code   The trip code.
+ * @param {Object} fields Fields that replace the defaults, e.g. '{ capacity: 2 }'.
+ * @returns {Object} The trip.
+ */
+const tripRecord = (code, fields = {}) => ({
+  code,
+  name: `Trip ${code}`,
+  nights: 4,
+  days: 5,
+  start: "2030-02-14T08:00:00.000Z",
+  resort: "Emerald Bay, 3 stars",
+  price: { amount: 79900, currency: "USD" },
+  capacity: 10,
+  image: "reef1.jpg",
+  description: "<p>Sinking in the turquoise water.</p>",
+  ...fields
+});
+
+/**
+ * @brief   Starts the app on a free port before the tests of the enclosing suite, and stops it
+ *          after them.
+ *
+ * @details Call it in the body of a `describe`. The returned object gets its 'base' URL once the
+ *          app has started.
+ *
+ * @returns {Object} The 'base' URL of the app, and the methods 'call', 'page', and 'signIn'.
+ */
+const serve = () => {
+  let listener;
+
+  const server = {
+    base: null,
+
+    /**
+     * @brief   Sends a request to the API.
+     *
+     * @param {string} method  The method.
+     * @param {string} path    The path, relative to '/api/v1', with any query.
+     * @param {Object} options 'body' is sent as JSON, or 'form' as it is, such as multipart
+     *                         form data or a file; 'token' is sent as a bearer token, and
+     *                         'headers' are added.
+     * @returns {Promise<Object>} The 'status', 'headers', and 'body' of the response, parsed if
+     *                            it is JSON.
+     */
+    call: async (method, path, {
+      body,
+      form,
+      token,
+      headers = {}
+    } = {}) => {
+      const res = await fetch(`${server.base}/api/v1${path}`, {
+        method,
+        headers: {
+          ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: form || (body === undefined ? undefined : JSON.stringify(body))
+      });
+      const text = await res.text();
+      const json = (res.headers.get("content-type") || "").startsWith("application/json");
+      return {
+        status: res.status,
+        headers: res.headers,
+        body: json ? JSON.parse(text) : text || null
+      };
+    },
+
+    /**
+     * @brief   Requests a page of the website, posting the fields as a form if there are any.
+     *
+     * @param {string} path   The path of the page, with any query.
+     * @param {Object} fields The fields of the form.
+     * @returns {Promise<Object>} The 'status' and 'html' of the response.
+     */
+    page: async (path, fields) => {
+      const res = await fetch(`${server.base}${path}`, fields && {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams(fields).toString()
+      });
+      return { status: res.status, html: await res.text() };
+    },
+
+    /**
+     * @brief   Signs up a user and signs them in.
+     *
+     * @param {string} email   The email address of the user.
+     * @param {Object} options 'role' is given to the user after they sign up, and 'name' is
+     *                         their name.
+     * @returns {Promise<string>} The access token of a new session.
+     */
+    signIn: async (email, { role, name = "Test Traveler" } = {}) => {
+      const storage = require("../app_api/repositories");
+      const credentials = { email, password: PASSWORD };
+      await server.call("POST", "/register", { body: { name, ...credentials } });
+      if (role) {
+        const user = await storage.users.findByEmail(email);
+        await storage.users.update(user._id, { role });
+      }
+      return (await server.call("POST", "/login", { body: credentials })).body.token;
+    }
+  };
+
+  before(() => {
+    listener = require("../app").listen(0);
+    server.base = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(() => {
+    if (listener) {
+      listener.close();
+    }
+  });
+
+  return server;
+};
+
+/**
+ * @brief   Catches the emails the app sends during the tests of the enclosing suite.
+ *
+ * @details Call it in the body of a `describe`. It replaces the mail transport before the tests
+ *          (see 'app_api/lib/mail.js') and restores it after them.
+ *
+ * @returns {Object} The 'inbox' of sent messages, and the method 'linkTo'.
+ */
+const captureMail = () => {
+  const { setTransport } = require("../app_api/lib/mail");
+  const inbox = [];
+
+  before(() => {
+    setTransport({
+      send: async (message) => {
+        inbox.push(message);
+        return { id: String(inbox.length) };
+      }
+    });
+  });
+
+  after(() => {
+    setTransport(null);
+  });
+
+  return {
+    inbox,
+
+    /**
+     * @brief   Waits for the next email with a link to a page, and takes it out of the inbox.
+     *
+     * @param {string} page The path of the page, e.g. '/verify-email'.
+     * @param {string} to   The address the email must be sent to, if any.
+     * @returns {Promise<Object>} The 'path' of the link, with its query, and its 'token'.
+     */
+    linkTo: async (page, to) => {
+      for (let tries = 0; tries < 100; tries += 1) {
+        const index = inbox.findIndex((message) => message.text.includes(page) && (!to || message.to === to));
+        if (index !== -1) {
+          const [message] = inbox.splice(index, 1);
+          const url = new URL(/(https?:\/\/\S+)/.exec(message.text)[1]);
+          return { path: `${url.pathname}${url.search}`, token: url.searchParams.get("token") };
+        }
+        await nextTick();
+      }
+      throw new Error(`No email with a link to ${page} was sent`);
+    }
+  };
+};
+
+/**
+ * @brief   Generates a PNG image of a random colour, so that each one is stored under a new name.
+ *
+ * @param {number} width  The width in pixels.
+ * @param {number} height The height in pixels.
+ * @returns {Promise<Buffer>} The image.
+ */
+const randomPng = (width = 64, height = 48) => {
+  const sharp = require("sharp");
+  const [r, g, b] = crypto.randomBytes(3);
+  return sharp({
+    create: {
+      width,
+      height,
+      channels: 3,
+      background: {
+        r,
+        g,
+        b
+      }
+    }
+  }).png().toBuffer();
+};
+
+module.exports = {
+  PASSWORD,
+  useRequestedBackend,
+  tripRecord,
+  serve,
+  captureMail,
+  randomPng
+};
@@ -0,0 +1,101 @@
+/**
+ * @file    account.test.js
+ * @brief   This file checks the pages that the password reset and verification emails link to.
+ *
+ * @details The pages show a form that sends the token of the link back, and the token is only
+ *          used up when the form is posted (see 'app_server/controllers/account.js'). The tests
+ *          catch the emails with a stand-in mail transport and follow their links. They run
+ *          against the memory storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  PASSWORD,
+  serve,
+  captureMail
+} = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+const credentials = {
+  email: "traveler@account-pages.test",
+  password: PASSWORD
+};
+
+describe("Account pages", () => {
+  const server = serve();
+  const { page } = server;
+  const { linkTo } = captureMail();
+
+  const api = async (path, body) => (await server.call("POST", path, { body })).status;
+
+  before(async () => {
+    assert.equal(await api("/register", { name: "Account Pages Traveler", ...credentials }), 200);
+  });
+
+  it("verifies an email address from the emailed link", async () => {
+    const link = await linkTo("/verify-email");
+
+    // Opening the link only shows the form, so the token is not spent yet
+    const form = await page(link.path);
+    assert.equal(form.status, 200);
+    assert.match(form.html, new RegExp(`name="token" value="${link.token}"`));
+    assert.equal((await storage.users.findByEmail(credentials.email)).verified, false);
+
+    const done = await page("/verify-email", { token: link.token });
+    assert.equal(done.status, 200);
+    assert.match(done.html, /is verified/);
+    assert.equal((await storage.users.findByEmail(credentials.email)).verified, true);
+
+    const again = await page("/verify-email", { token: link.token });
+    assert.equal(again.status, 400);
+    assert.match(again.html, /invalid or has expired/);
+  });
+
+  it("resets a password from the emailed link", async () => {
+    assert.equal(await api("/password/forgot", { email: credentials.email }), 202);
+    const link = await linkTo("/reset-password");
+
+    const form = await page(link.path);
+    assert.equal(form.status, 200);
+    assert.match(form.html, /<form id="password" action="\/reset-password" method="post">/);
+
+    // Passwords that do not match are caught before the token is spent
+    const mismatch = await page("/reset-password", {
+      token: link.token,
+      password: "a brand new password",
+      confirm: "a brand new pasword"
+    });
+    assert.equal(mismatch.status, 400);
+    assert.match(mismatch.html, /The passwords do not match\./);
+
+    const fields = {
+      token: link.token,
+      password: "a brand new password",
+      confirm: "a brand new password"
+    };
+    const done = await page("/reset-password", fields);
+    assert.equal(done.status, 200);
+    assert.match(done.html, /Your password has been reset/);
+    assert.equal(await api("/login", credentials), 401);
+    assert.equal(await api("/login", { email: credentials.email, password: fields.password }), 200);
+
+    const again = await page("/reset-password", fields);
+    assert.equal(again.status, 400);
+    assert.match(again.html, /invalid or has expired/);
+  });
+
+  it("explains a link without a token", async () => {
+    for (const path of ["/reset-password", "/verify-email"]) {
+      const res = await page(path);
+      assert.equal(res.status, 400);
+      assert.match(res.html, /invalid or has expired/);
+      assert.doesNotMatch(res.html, /<form/);
+    }
+  });
+});
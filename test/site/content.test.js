@@ -0,0 +1,94 @@
+/**
+ * @file    content.test.js
+ * @brief   This file checks the Rooms, Meals, and News pages of the website.
+ *
+ * @details The pages read the rooms, meals, and news articles from the repositories of the
+ *          storage backend (see 'app_server/controllers/content.js'). The tests add content
+ *          through the repositories and check what the pages show. They run against the memory
+ *          storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+
+describe("Content pages", () => {
+  const { page } = serve();
+
+  before(async () => {
+    await storage.rooms.create({
+      code: "penthouse",
+      name: "Penthouse Suite",
+      description: "The whole top floor.",
+      rate: { amount: 22000, currency: "USD" },
+      position: 2
+    });
+    await storage.rooms.create({
+      code: "cabin",
+      name: "Beach Cabin",
+      description: "A step from the sand.",
+      rate: { amount: 9950, currency: "USD" },
+      position: 1
+    });
+    await storage.news.create({
+      code: "older-news",
+      title: "The Reef Reopens",
+      category: "news",
+      publishedAt: new Date("2030-01-10T00:00:00.000Z"),
+      body: "<p>Diving starts again.</p>"
+    });
+    await storage.news.create({
+      code: "newer-news",
+      title: "New Boats Arrive",
+      category: "news",
+      publishedAt: new Date("2030-03-03T00:00:00.000Z"),
+      body: "<p>Three new boats.</p>"
+    });
+    await storage.news.create({
+      code: "sunscreen",
+      title: "Bring Reef-Safe Sunscreen",
+      category: "tips",
+      publishedAt: new Date("2030-02-01T00:00:00.000Z"),
+      body: "<p>It protects the coral.</p>"
+    });
+  });
+
+  it("lists the rooms in order with their rates", async () => {
+    const { status, html } = await page("/rooms");
+    assert.equal(status, 200);
+    assert.ok(html.indexOf("Beach Cabin") < html.indexOf("Penthouse Suite"));
+    assert.match(html, /Rate: \$99\.50 \/ Day/);
+    assert.match(html, /Rate: \$220 \/ Day/);
+  });
+
+  it("says so when no meals are listed", async () => {
+    const { status, html } = await page("/meals");
+    assert.equal(status, 200);
+    assert.match(html, /No meals are listed yet\./);
+  });
+
+  it("shows the newest news article, and any other by its code", async () => {
+    const latest = await page("/news");
+    assert.equal(latest.status, 200);
+    assert.match(latest.html, /<h2>New Boats Arrive<\/h2>/);
+    assert.match(latest.html, /March 03, 2030/);
+    assert.match(latest.html, /Bring Reef-Safe Sunscreen/);
+
+    const older = await page("/news/older-news");
+    assert.equal(older.status, 200);
+    assert.match(older.html, /<h2>The Reef Reopens<\/h2>/);
+    assert.match(older.html, /<p>Diving starts again\.<\/p>/);
+  });
+
+  it("answers an unknown news article with 404", async () => {
+    const { status, html } = await page("/news/no-such-article");
+    assert.equal(status, 404);
+    assert.match(html, /no-such-article/);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @file    travel.test.js
+ * @brief   This file checks the Travel pages of the website.
+ *
+ * @details The pages read the trips through the trip service (see
+ *          'app_server/controllers/travel.js'). The tests add trips through the repository and
+ *          check the page of a trip, including the 404 page of a trip that does not exist or was
+ *          archived. They also make the service fail and check that the error is logged and the
+ *          error page is shown, without the message of the error. They run against the memory
+ *          storage backend, so they need no database.
+ */
+
+const {
+  describe,
+  it,
+  before
+} = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tripRecord, serve } = require("../helpers");
+const storage = require("../../app_api/repositories");
+const tripService = require("../../app_api/lib/tripService");
+const { logger } = require("../../app_api/lib/logger");
+
+describe("Travel pages", () => {
+  const { page } = serve();
+
+  before(async () => {
+    await storage.trips.create(tripRecord("DETAIL1", { name: "Reef & Rainforest", capacity: 3 }));
+    await storage.trips.create(tripRecord("SOLDOUT1", { capacity: 2 }));
+    await storage.trips.reserve("SOLDOUT1", 2);
+    await storage.trips.create(tripRecord("GONE1"));
+    await storage.trips.archive("GONE1", "editor@travel.test");
+    tripService.invalidate();
+  });
+
+  it("shows the details of a trip", async () => {
+    const res = await page("/travel/DETAIL1");
+    assert.equal(res.status, 200);
+    assert.match(res.html, /<h1>Reef &amp; Rainforest<\/h1>/);
+    assert.match(res.html, /<span>Resort<\/span> Emerald Bay, 3 stars/);
+    assert.match(res.html, /<span>Price<\/span> \$799\.00 per person/);
+    assert.match(res.html, /<span>Dates<\/span> February 14\D+18, 2030/);
+    assert.match(res.html, /<span>Places<\/span> 3 places left/);
+    assert.match(res.html, /<p>Sinking in the turquoise water\.<\/p>/);
+    assert.match(res.html, /<link rel="canonical" href="http:\/\/127\.0\.0\.1:\d+\/travel\/DETAIL1">/);
+
+    assert.match((await page("/travel/SOLDOUT1")).html, /<span>Places<\/span> Sold out/);
+  });
+
+  it("answers a trip that does not exist or was archived with 404", async () => {
+    for (const code of ["NOSUCHTRIP", "GONE1"]) {
+      const res = await page(`/travel/${code}`);
+      assert.equal(res.status, 404, code);
+      assert.match(res.html, new RegExp(`We could not find a trip with the code &quot;${code}&quot;\\.`), code);
+      assert.match(res.html, /<a href="\/travel">&laquo; All trips<\/a>/, code);
+    }
+  });
+
+  it("logs a failed read and shows the error page", async (t) => {
+    const failure = new Error("connection to the database was lost");
+    const fail = async () => {
+      throw failure;
+    };
+    t.mock.method(tripService, "listTrips", fail);
+    t.mock.method(tripService, "searchTrips", fail);
+    t.mock.method(tripService, "findTrip", fail);
+    const logged = t.mock.method(logger, "error", () => {});
+
+    for (const path of ["/travel", "/travel?q=reef", "/travel/REEF1"]) {
+      const res = await page(path);
+      assert.equal(res.status, 500, path);
+      assert.match(res.html, /The trips could not be loaded/, path);
+      assert.doesNotMatch(res.html, /connection to the database was lost/, path);
+    }
+
+    // The request log also reports each 500 response as an error
+    const failures = logged.mock.calls.filter((call) => call.arguments[0] === "Could not read the trips");
+    assert.equal(failures.length, 3);
+    for (const call of failures) {
+      assert.deepEqual(call.arguments[1], { err: failure });
+    }
+  });
+});